@@ -1,7 +1,11 @@
 const express = require('express');
-const axios = require('axios');
-const cors = require('cors');
 const NodeCache = require('node-cache');
+const CONFIG = require('./src/config');
+const Auth = require('./src/auth');
+const apiKeys = require('./src/apiKeys');
+const logger = require('./src/logger');
+const metrics = require('./src/metrics');
+const Errors = require('./src/errors');
 
 // 🎯 CONFIGURACIÓN PARA RAILWAY
 const app = express();
@@ -9,530 +13,1036 @@ const cache = new NodeCache({
     stdTTL: 30, // Cache por 30 segundos
     checkperiod: 60, // Verificar cada minuto
     useClones: false, // Mejor rendimiento
-    maxKeys: 100 // Límite de keys en cache
+    maxKeys: 1000 // Límite de keys en cache (las claves incluyen los parámetros de consulta)
 });
+metrics.registerCache('api', () => cache.getStats());
 
-app.use(cors());
-app.use(express.json());
+app.set('trust proxy', CONFIG.TRUST_PROXY);
 
-// 🚨 MANEJO GLOBAL DE ERRORES
-process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error);
-    // No salir del proceso en producción
-});
+// 📝 REQUEST ID, LOGS Y MÉTRICAS DE CADA PETICIÓN (antes que nada para cubrir también los errores)
+app.use(logger.requests());
+app.use(metrics.requests());
+app.use(Errors.envelope);
 
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-    // No salir del proceso en producción
-});
+app.use(Auth.cors());
+app.use(express.json({ limit: '10mb' })); // Datasets de backtest pueden ser grandes
 
-// Middleware de manejo de errores
-app.use((err, req, res, next) => {
-    console.error('Error middleware:', err);
-    res.status(500).json({ 
-        error: 'Error interno del servidor',
-        message: process.env.NODE_ENV === 'development' ? err.message : 'Error interno'
-    });
-});
+// 🛡️ API KEYS Y RATE LIMITING EN /api/*
+app.use('/api', Auth.authenticate, Auth.rateLimit);
 
 // 🔥 CONFIGURACIÓN DEL SISTEMA
-const CONFIG = {
-    BINANCE_API_KEY: process.env.BINANCE_API_KEY || 'Sr3uBcWgM8ZZS2Uu3liN1nEodwiwN4RVfAbjmpKYnUs9VE6sl8eeHoh4ZNYNpvs2',
-    BINANCE_SECRET: process.env.BINANCE_SECRET || '', // No necesario para endpoints públicos
-    BINANCE_BASE_URL: 'https://api.binance.com',
-    EXPLOSION_MIN_VOLUME: 1000000, // Volumen mínimo en USDT
-    EXPLOSION_MIN_GAIN: 8, // Ganancia mínima 8%
-    MIN_PRICE: 0.000001, // Precio mínimo para evitar shitcoins
-    MAX_PRICE: 100, // Precio máximo para tokens accesibles
-    VOLUME_SPIKE_THRESHOLD: 3, // 3x el volumen normal
-    RSI_OVERSOLD: 30,
-    RSI_OVERBOUGHT: 70
-};
-
-// 🧮 CALCULADORA DE INDICADORES TÉCNICOS MEJORADA
-class TechnicalAnalysis {
-    static calculateRSI(prices, period = 14) {
-        if (prices.length < period) return 50;
-        
-        let gains = 0;
-        let losses = 0;
-        
-        for (let i = 1; i < period + 1; i++) {
-            const change = prices[i] - prices[i - 1];
-            if (change > 0) gains += change;
-            else losses -= change;
-        }
-        
-        const avgGain = gains / period;
-        const avgLoss = losses / period;
-        
-        if (avgLoss === 0) return 100;
-        
-        const rs = avgGain / avgLoss;
-        return 100 - (100 / (1 + rs));
+const TechnicalAnalysis = require('./src/technicalAnalysis');
+const ExplosionDetector = require('./src/explosionDetector');
+const Backtester = require('./src/backtest');
+const Rankings = require('./src/rankings');
+const marketStream = require('./src/marketStream');
+const liveFeed = require('./src/liveFeed');
+const alertEngine = require('./src/alerts');
+const listingTracker = require('./src/listings');
+const alertRoutes = require('./src/routes/alerts');
+const historyStore = require('./src/history');
+const historyRoutes = require('./src/routes/history');
+const reportScheduler = require('./src/reports');
+const portfolio = require('./src/portfolio');
+const portfolioRoutes = require('./src/routes/portfolio');
+const adminRoutes = require('./src/routes/admin');
+const Providers = require('./src/providers');
+const RankingQuery = require('./src/rankingQuery');
+const Strategies = require('./src/strategies');
+const scanner = require('./src/scanner');
+const liquidity = require('./src/liquidity');
+const RiskManager = require('./src/riskManager');
+const RankingPipeline = require('./src/rankingPipeline');
+const { LiquidityAnalyzer } = liquidity;
+const anomalyDetector = require('./src/anomalyDetector');
+const { AnomalyDetector } = anomalyDetector;
+const ScanQuery = require('./src/scanQuery');
+const Exporter = require('./src/exporter');
+const marketBreadth = require('./src/marketBreadth');
+const { MarketBreadth } = marketBreadth;
+const Categories = require('./src/categories');
+const { getAllTickers, getTickersFreshness } = require('./src/binance');
+const ApiV1 = require('./src/apiV1');
+const I18n = require('./src/i18n');
+const swaggerUi = require('swagger-ui-express');
+
+// 🧭 Rutas de /api/*: se montan tal cual en /api y, con el contrato estable, en /api/v1
+// Los rankings y el histórico se exportan con ?format=csv|ndjson|excel o Accept (src/exporter.js)
+// Los textos de recomendaciones y alertas salen en el idioma de ?lang= o Accept-Language (src/i18n)
+const routes = express.Router();
+routes.use(I18n.middleware());
+
+// 🏦 Exchange pedido con ?exchange= (binance por defecto); responde 400 si no existe
+function resolveProvider(req, res) {
+    const provider = Providers.get(req.query.exchange);
+    if (!provider) {
+        res.status(400).json({ error: `Exchange no soportado. Valores permitidos: ${Providers.names().join(', ')}` });
+    }
+    return provider;
+}
+
+// 🎚️ Estrategia de scoring pedida con ?strategy= (DEFAULT_STRATEGY por defecto); 400 si no existe
+function resolveStrategy(req, res) {
+    const strategy = Strategies.get(req.query.strategy || undefined);
+    if (!strategy) {
+        res.status(400).json({ error: `Estrategia no soportada. Valores permitidos: ${Strategies.names().join(', ')}` });
+    }
+    return strategy;
+}
+
+// 🩺 Frescura de los datos de mercado en cabeceras (las respuestas array no admiten campos extra)
+function setFreshnessHeaders(res, freshness) {
+    const ageSeconds = freshness.fetchedAt ? Math.round((Date.now() - Date.parse(freshness.fetchedAt)) / 1000) : null;
+    res.set('X-Data-Source', freshness.source);
+    if (ageSeconds !== null) res.set('X-Data-Age', String(ageSeconds));
+    res.set('X-Degraded', String(freshness.degraded));
+}
+
+// Sin tickers recientes ni copia utilizable: mejor 503 que un ranking vacío con 200
+function sendUnavailable(res, freshness) {
+    setFreshnessHeaders(res, freshness);
+    return res.status(503).json({
+        error: 'Datos de mercado no disponibles',
+        degraded: true,
+        dataFreshness: freshness
+    });
+}
+
+// Sin velas o ticker de un símbolo: distingue "el símbolo no existe" (404) de "el exchange no responde" (503)
+function sendSymbolUnavailable(res, provider, symbol) {
+    const upstream = provider.getUpstreamStatus();
+    if (!upstream.available || provider.getFreshness().degraded) {
+        return res.status(503).json({ error: `${provider.name} no disponible temporalmente`, degraded: true, upstream });
+    }
+    return res.status(404).json({ error: `No hay datos para ${symbol}` });
+}
+
+// 💧 ?liquidity=true&orderSize= → { orderSize } (análisis de libro de órdenes, solo Binance);
+// null si no se pide; undefined tras responder 400
+function resolveLiquidity(req, res, provider) {
+    if (req.query.liquidity !== 'true') return null;
+    if (provider.name !== 'binance') {
+        res.status(400).json({ error: 'El análisis de liquidez solo está disponible para binance' });
+        return undefined;
     }
     
-    static calculateVolatility(prices) {
-        if (prices.length < 2) return 0;
+    const orderSize = parseOrderSize(req, res);
+    return orderSize === undefined ? undefined : { orderSize };
+}
+
+// Tamaño de orden en USDT para estimar el slippage (LIQUIDITY_ORDER_SIZE por defecto); undefined tras 400
+function parseOrderSize(req, res) {
+    const orderSize = req.query.orderSize === undefined ? CONFIG.LIQUIDITY_ORDER_SIZE : Number(req.query.orderSize);
+    if (!Number.isFinite(orderSize) || orderSize <= 0) {
+        res.status(400).json({ error: 'El parámetro orderSize debe ser un número positivo (USDT)' });
+        return undefined;
+    }
+    return orderSize;
+}
+
+function isTechnicalMode(req) {
+    return req.query.mode === 'technical';
+}
+
+// 🛡️ ?levels=volatility → añade a la recomendación stop y objetivo por ATR (RiskManager).
+// Necesita el análisis técnico; null si no se pide, undefined tras responder 400
+function resolveLevels(req, res, technical = true) {
+    if (req.query.levels === undefined || req.query.levels === 'fixed') return null;
+    if (req.query.levels !== 'volatility') {
+        res.status(400).json({ error: 'El parámetro levels debe ser fixed o volatility' });
+        return undefined;
+    }
+    if (!technical) {
+        res.status(400).json({ error: 'levels=volatility requiere mode=technical' });
+        return undefined;
+    }
+    return true;
+}
+
+// 🌡️ Resumen de amplitud compartido por /market/breadth y /market/fear-greed (misma clave de caché);
+// null si no hay datos de mercado
+async function loadBreadth(provider, query) {
+    const cacheKey = `${provider.name}:market-breadth:${query.key}`;
+    const cachedData = cache.get(cacheKey);
+    if (cachedData) return cachedData;
+    
+    const tickers = MarketBreadth.universe(await provider.getTickers(), query.params);
+    const dataFreshness = provider.getFreshness();
+    if (dataFreshness.source === 'none') return null;
+    
+    const breadth = {
+        exchange: provider.name,
+        quote: query.params.quote,
+        ...metrics.time('marketBreadth', () => MarketBreadth.summarize(tickers)),
+        degraded: dataFreshness.degraded,
+        dataFreshness,
+        timestamp: new Date().toISOString()
+    };
+    
+    if (!dataFreshness.degraded) cache.set(cacheKey, breadth);
+    return breadth;
+}
+
+// 🔥 ENDPOINT: EXPLOSION CANDIDATES
+routes.get('/explosion-candidates', Exporter.middleware('explosion-candidates'), async (req, res, next) => {
+    try {
+        const provider = resolveProvider(req, res);
+        if (!provider) return;
+        const strategy = resolveStrategy(req, res);
+        if (!strategy) return;
+        
+        const query = RankingQuery.parse(req.query, Rankings.explosionDefaults(provider.defaultQuote));
+        if (query.errors.length > 0) return RankingQuery.sendErrors(res, query.errors);
+        
+        const liquidityOptions = resolveLiquidity(req, res, provider);
+        if (liquidityOptions === undefined) return;
         
-        const returns = [];
-        for (let i = 1; i < prices.length; i++) {
-            returns.push((prices[i] - prices[i - 1]) / prices[i - 1]);
+        const technicalMode = isTechnicalMode(req);
+        const volatilityLevels = resolveLevels(req, res, technicalMode);
+        if (volatilityLevels === undefined) return;
+        // La detección de manipulación usa klines y trades de Binance; ?anomalies=false la desactiva
+        const anomalies = provider.name === 'binance' && req.query.anomalies !== 'false';
+        const cacheKey = `${provider.name}:explosion-candidates:${strategy.name}${technicalMode ? ':technical' : ''}${volatilityLevels ? ':levels=volatility' : ''}${anomalies ? ':anomalies' : ''}${liquidityOptions ? `:liquidity=${liquidityOptions.orderSize}` : ''}:${query.key}`;
+        let cachedData = cache.get(cacheKey);
+        
+        if (cachedData) {
+            setFreshnessHeaders(res, cachedData.dataFreshness);
+            if (liquidityOptions) res.set('X-Illiquid-Excluded', String(cachedData.excluded));
+            return RankingQuery.sendPage(res, cachedData);
         }
         
-        const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
-        const variance = returns.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / returns.length;
+        const page = await RankingPipeline.rankPage(provider, query, strategy, { technical: technicalMode, levels: volatilityLevels, anomalies, liquidity: liquidityOptions });
+        const dataFreshness = provider.getFreshness();
+        if (dataFreshness.source === 'none') return sendUnavailable(res, dataFreshness);
         
-        return Math.sqrt(variance) * 100;
-    }
-    
-    static detectVolumeSpike(currentVolume, avgVolume) {
-        if (!avgVolume || avgVolume === 0) return 1;
-        return currentVolume / avgVolume;
+        const explosionCandidates = { total: page.total, excluded: page.excluded, items: page.items.map(Rankings.formatExplosionCandidate), dataFreshness };
+        
+        // Los datos degradados no se cachean para recuperar la fuente en cuanto vuelva
+        if (!dataFreshness.degraded) cache.set(cacheKey, explosionCandidates);
+        setFreshnessHeaders(res, dataFreshness);
+        if (liquidityOptions) res.set('X-Illiquid-Excluded', String(page.excluded));
+        RankingQuery.sendPage(res, explosionCandidates);
+        
+    } catch (error) {
+        next(error);
     }
+});
 
-    // 🔥 NUEVO: Análisis técnico con datos históricos
-    static async analyzeTechnicals(symbol) {
-        try {
-            const historicalData = await getHistoricalData(symbol);
-            if (historicalData.length === 0) return null;
-
-            const prices = historicalData.map(candle => candle.close);
-            const volumes = historicalData.map(candle => candle.volume);
-            
-            const rsi = this.calculateRSI(prices);
-            const volatility = this.calculateVolatility(prices);
-            const avgVolume = volumes.reduce((a, b) => a + b, 0) / volumes.length;
-            const currentVolume = volumes[volumes.length - 1];
-            const volumeSpike = this.detectVolumeSpike(currentVolume, avgVolume);
-
-            return {
-                rsi: rsi.toFixed(2),
-                volatility: volatility.toFixed(2),
-                volumeSpike: volumeSpike.toFixed(2),
-                trend: this.getTrend(prices),
-                support: Math.min(...prices.slice(-5)).toFixed(8),
-                resistance: Math.max(...prices.slice(-5)).toFixed(8)
-            };
-        } catch (error) {
-            console.error(`Error en análisis técnico para ${symbol}:`, error.message);
-            return null;
+// 📈 ENDPOINT: TOP GAINERS
+routes.get('/top-gainers', Exporter.middleware('top-gainers'), async (req, res, next) => {
+    try {
+        const provider = resolveProvider(req, res);
+        if (!provider) return;
+        const strategy = resolveStrategy(req, res);
+        if (!strategy) return;
+        
+        const query = RankingQuery.parse(req.query, Rankings.gainerDefaults(provider.defaultQuote));
+        if (query.errors.length > 0) return RankingQuery.sendErrors(res, query.errors);
+        
+        const liquidityOptions = resolveLiquidity(req, res, provider);
+        if (liquidityOptions === undefined) return;
+        
+        const technicalMode = isTechnicalMode(req);
+        const volatilityLevels = resolveLevels(req, res, technicalMode);
+        if (volatilityLevels === undefined) return;
+        const cacheKey = `${provider.name}:top-gainers:${strategy.name}${technicalMode ? ':technical' : ''}${volatilityLevels ? ':levels=volatility' : ''}${liquidityOptions ? `:liquidity=${liquidityOptions.orderSize}` : ''}:${query.key}`;
+        let cachedData = cache.get(cacheKey);
+        
+        if (cachedData) {
+            setFreshnessHeaders(res, cachedData.dataFreshness);
+            if (liquidityOptions) res.set('X-Illiquid-Excluded', String(cachedData.excluded));
+            return RankingQuery.sendPage(res, cachedData);
         }
+        
+        const page = await RankingPipeline.rankPage(provider, query, strategy, { technical: technicalMode, levels: volatilityLevels, liquidity: liquidityOptions });
+        const dataFreshness = provider.getFreshness();
+        if (dataFreshness.source === 'none') return sendUnavailable(res, dataFreshness);
+        
+        const topGainers = { total: page.total, excluded: page.excluded, items: page.items.map(Rankings.formatGainer), dataFreshness };
+        
+        // Los datos degradados no se cachean para recuperar la fuente en cuanto vuelva
+        if (!dataFreshness.degraded) cache.set(cacheKey, topGainers);
+        setFreshnessHeaders(res, dataFreshness);
+        if (liquidityOptions) res.set('X-Illiquid-Excluded', String(page.excluded));
+        RankingQuery.sendPage(res, topGainers);
+        
+    } catch (error) {
+        next(error);
     }
+});
 
-    static getTrend(prices) {
-        const recent = prices.slice(-5);
-        const older = prices.slice(-10, -5);
+// 🆕 ENDPOINT: NEW LISTINGS
+routes.get('/new-listings', Exporter.middleware('new-listings'), async (req, res, next) => {
+    try {
+        // La detección usa exchangeInfo y klines de Binance
+        if (req.query.exchange && req.query.exchange.toLowerCase() !== 'binance') {
+            return res.status(400).json({ error: 'New listings solo está disponible para binance' });
+        }
+        const strategy = resolveStrategy(req, res);
+        if (!strategy) return;
+        
+        const query = RankingQuery.parse(req.query, {
+            sortFields: ['age', 'score', 'change', 'volume'],
+            sort: 'age',
+            order: 'asc'
+        });
+        if (query.errors.length > 0) return RankingQuery.sendErrors(res, query.errors);
+        
+        const cacheKey = `new-listings:${strategy.name}:${query.key}`;
+        let cachedData = cache.get(cacheKey);
+        
+        if (cachedData) {
+            setFreshnessHeaders(res, cachedData.dataFreshness);
+            return RankingQuery.sendPage(res, cachedData);
+        }
+        
+        // El primer refresco crea la baseline de símbolos; los siguientes corren en segundo plano
+        if (!listingTracker.isInitialized()) {
+            await listingTracker.refresh();
+        }
+        
+        // Sin tickers los listados se devuelven igual, solo sin precio ni score
+        const tickers = await getAllTickers();
+        const dataFreshness = getTickersFreshness();
+        const listings = listingTracker.getNewListings(tickers, strategy)
+            .filter(listing => RankingQuery.matches({
+                symbol: listing.symbol,
+                quoteAsset: 'USDT',
+                price: listing.price,
+                volume: listing.volume,
+                change: listing.priceChangePercent
+            }, query.params));
+        
+        const newListings = {
+            ...RankingQuery.paginate(RankingQuery.sort(listings, query.params, {
+                age: listing => listing.listingAgeHours,
+                score: listing => listing.score,
+                change: listing => listing.priceChangePercent,
+                volume: listing => listing.volume
+            }), query.params),
+            dataFreshness
+        };
         
-        const recentAvg = recent.reduce((a, b) => a + b, 0) / recent.length;
-        const olderAvg = older.reduce((a, b) => a + b, 0) / older.length;
+        if (!dataFreshness.degraded) cache.set(cacheKey, newListings);
+        setFreshnessHeaders(res, dataFreshness);
+        RankingQuery.sendPage(res, newListings);
         
-        if (recentAvg > olderAvg * 1.02) return 'BULLISH';
-        if (recentAvg < olderAvg * 0.98) return 'BEARISH';
-        return 'NEUTRAL';
+    } catch (error) {
+        next(error);
     }
-}
+});
 
-// 🎯 SISTEMA DE SCORING INTELIGENTE
-class ExplosionDetector {
-    static calculateExplosionScore(token) {
-        let score = 0;
-        const analysis = {};
-        
-        // 1. Análisis de precio y ganancia (30 puntos)
-        const priceChange = parseFloat(token.priceChangePercent);
-        if (priceChange > 20) score += 30;
-        else if (priceChange > 15) score += 25;
-        else if (priceChange > 10) score += 20;
-        else if (priceChange > 5) score += 15;
-        else if (priceChange > 0) score += 10;
-        
-        analysis.priceScore = Math.min(30, Math.max(0, score));
-        
-        // 2. Análisis de volumen (25 puntos)
-        const volume = parseFloat(token.quoteVolume);
-        let volumeScore = 0;
-        if (volume > 50000000) volumeScore = 25;
-        else if (volume > 20000000) volumeScore = 20;
-        else if (volume > 10000000) volumeScore = 15;
-        else if (volume > 5000000) volumeScore = 10;
-        else if (volume > 1000000) volumeScore = 5;
-        
-        score += volumeScore;
-        analysis.volumeScore = volumeScore;
-        
-        // 3. Análisis de momentum (20 puntos)
-        const price = parseFloat(token.lastPrice);
-        const momentum = priceChange > 0 ? Math.min(20, priceChange) : 0;
-        score += momentum;
-        analysis.momentumScore = momentum;
-        
-        // 4. Análisis de accesibilidad de precio (15 puntos)
-        let priceAccessibility = 0;
-        if (price > 0.001 && price < 10) priceAccessibility = 15;
-        else if (price > 0.0001 && price < 50) priceAccessibility = 10;
-        else if (price > 0.00001 && price < 100) priceAccessibility = 5;
-        
-        score += priceAccessibility;
-        analysis.priceAccessibility = priceAccessibility;
-        
-        // 5. Bonus por volatilidad controlada (10 puntos)
-        const volatilityBonus = priceChange > 0 && priceChange < 100 ? 10 : 0;
-        score += volatilityBonus;
-        analysis.volatilityBonus = volatilityBonus;
-        
-        return {
-            totalScore: Math.min(100, score),
-            breakdown: analysis,
-            recommendation: this.getRecommendation(score, token)
+// 🧠 ENDPOINT: SMART ANALYSIS
+routes.get('/smart-analysis', async (req, res, next) => {
+    try {
+        const provider = resolveProvider(req, res);
+        if (!provider) return;
+        const strategy = resolveStrategy(req, res);
+        if (!strategy) return;
+        
+        // limit, offset y sort se aplican a cada sección (alertas y oportunidades seguras)
+        const query = RankingQuery.parse(req.query, Rankings.smartDefaults(provider.defaultQuote));
+        if (query.errors.length > 0) return RankingQuery.sendErrors(res, query.errors);
+        
+        const cacheKey = `${provider.name}:smart-analysis:${strategy.name}:${query.key}`;
+        let cachedData = cache.get(cacheKey);
+        
+        if (cachedData) {
+            return res.json(cachedData);
+        }
+        
+        const binanceData = (await provider.getTickers()).filter(token => RankingQuery.matchesTicker(token, query.params));
+        const dataFreshness = provider.getFreshness();
+        if (dataFreshness.source === 'none') return sendUnavailable(res, dataFreshness);
+        
+        const smartAnalysis = {
+            ...metrics.time('smartAnalysis', () => Rankings.buildSmartAnalysis(binanceData, query.params, strategy)),
+            degraded: dataFreshness.degraded,
+            dataFreshness
         };
+        
+        if (!dataFreshness.degraded) cache.set(cacheKey, smartAnalysis);
+        setFreshnessHeaders(res, dataFreshness);
+        res.json(smartAnalysis);
+        
+    } catch (error) {
+        next(error);
     }
-    
-    static getRecommendation(score, token) {
-        const price = parseFloat(token.lastPrice);
-        const change = parseFloat(token.priceChangePercent);
-        
-        if (score >= 80) {
-            return {
-                action: "🔥 COMPRA FUERTE",
-                confidence: "MUY ALTA",
-                buyPrice: price,
-                sellTarget: (price * 1.25).toFixed(8),
-                stopLoss: (price * 0.85).toFixed(8),
-                risk: "ALTO",
-                timeframe: "1-6 horas"
-            };
-        } else if (score >= 60) {
-            return {
-                action: "📈 COMPRA MODERADA",
-                confidence: "ALTA",
-                buyPrice: price,
-                sellTarget: (price * 1.15).toFixed(8),
-                stopLoss: (price * 0.90).toFixed(8),
-                risk: "MEDIO",
-                timeframe: "6-24 horas"
-            };
-        } else if (score >= 40) {
-            return {
-                action: "⚠️ OBSERVAR",
-                confidence: "MEDIA",
-                buyPrice: price,
-                sellTarget: (price * 1.10).toFixed(8),
-                stopLoss: (price * 0.95).toFixed(8),
-                risk: "MEDIO",
-                timeframe: "1-3 días"
-            };
-        } else {
-            return {
-                action: "❌ EVITAR",
-                confidence: "BAJA",
-                buyPrice: null,
-                sellTarget: null,
-                stopLoss: null,
-                risk: "ALTO",
-                timeframe: "No recomendado"
-            };
+});
+
+// 🔬 ENDPOINT: ANÁLISIS TÉCNICO POR SÍMBOLO
+routes.get('/analysis/:symbol', async (req, res, next) => {
+    try {
+        const provider = resolveProvider(req, res);
+        if (!provider) return;
+        const strategy = resolveStrategy(req, res);
+        if (!strategy) return;
+        
+        const symbol = req.params.symbol.toUpperCase();
+        const interval = req.query.interval || '1h';
+        const limit = parseInt(req.query.limit, 10) || CONFIG.KLINE_LOOKBACK;
+        
+        if (!symbol.endsWith(provider.defaultQuote)) {
+            return res.status(400).json({ error: `Solo se admiten pares ${provider.defaultQuote}` });
+        }
+        if (!provider.supportsInterval(interval)) {
+            return res.status(400).json({ error: `Intervalo inválido. Valores permitidos: ${Object.keys(provider.intervals).join(', ')}` });
+        }
+        if (limit < 15 || limit > 1000) {
+            return res.status(400).json({ error: 'El parámetro limit debe estar entre 15 y 1000' });
+        }
+        
+        const liquidityOptions = resolveLiquidity(req, res, provider);
+        if (liquidityOptions === undefined) return;
+        const volatilityLevels = resolveLevels(req, res);
+        if (volatilityLevels === undefined) return;
+        
+        const cacheKey = `${provider.name}:analysis:${strategy.name}:${symbol}:${interval}:${limit}${volatilityLevels ? ':levels=volatility' : ''}${liquidityOptions ? `:liquidity=${liquidityOptions.orderSize}` : ''}`;
+        let cachedData = cache.get(cacheKey);
+        
+        if (cachedData) {
+            return res.json(cachedData);
         }
+        
+        const [technicals, ticker] = await Promise.all([
+            TechnicalAnalysis.analyzeTechnicals(symbol, interval, limit, provider.name),
+            provider.getTicker(symbol)
+        ]);
+        
+        if (!technicals || !ticker) return sendSymbolUnavailable(res, provider, symbol);
+        
+        // Riesgo de manipulación (solo Binance: klines del escáner y trades recientes)
+        const manipulation = provider.name === 'binance'
+            ? await anomalyDetector.analyze(ticker, AnomalyDetector.universeStats(await provider.getTickers()))
+            : undefined;
+        const analysis = ExplosionDetector.calculateExplosionScore(ticker, technicals, strategy, manipulation || null);
+        const liquidityAnalysis = liquidityOptions ? await liquidity.analyze(symbol, liquidityOptions.orderSize) : undefined;
+        if (liquidityAnalysis) LiquidityAnalyzer.applyToRecommendation(analysis.recommendation, liquidityAnalysis);
+        if (volatilityLevels) RiskManager.applyToRecommendation(analysis.recommendation, RiskManager.levels(parseFloat(ticker.lastPrice), technicals));
+        
+        const result = {
+            symbol,
+            exchange: provider.name,
+            price: parseFloat(ticker.lastPrice),
+            priceChangePercent: parseFloat(ticker.priceChangePercent),
+            volume: parseFloat(ticker.quoteVolume),
+            technicals,
+            score: analysis.totalScore,
+            analysis: analysis.breakdown,
+            recommendation: analysis.recommendation,
+            strategy: analysis.strategy,
+            ...(manipulation !== undefined && { manipulation }),
+            ...(liquidityAnalysis !== undefined && { liquidity: liquidityAnalysis }),
+            timestamp: new Date().toISOString()
+        };
+        
+        cache.set(cacheKey, result);
+        res.json(result);
+        
+    } catch (error) {
+        next(error);
     }
-}
+});
 
-// 🌐 OBTENER DATOS DE BINANCE CON API KEY
-async function getBinanceData() {
+// 💧 ENDPOINT: LIQUIDEZ POR SÍMBOLO (spread, profundidad, desequilibrio, slippage y riesgo)
+routes.get('/liquidity/:symbol', async (req, res, next) => {
     try {
-        const headers = {
-            'X-MBX-APIKEY': CONFIG.BINANCE_API_KEY,
-            'User-Agent': 'Mozilla/5.0 (compatible; BoostIQ/1.0)'
-        };
+        if (req.query.exchange && req.query.exchange.toLowerCase() !== 'binance') {
+            return res.status(400).json({ error: 'El análisis de liquidez solo está disponible para binance' });
+        }
+        
+        const symbol = req.params.symbol.toUpperCase();
+        const orderSize = parseOrderSize(req, res);
+        if (orderSize === undefined) return;
+        
+        const result = await liquidity.analyze(symbol, orderSize);
+        if (!result) {
+            const upstream = Providers.get('binance').getUpstreamStatus();
+            if (!upstream.available) {
+                return res.status(503).json({ error: 'binance no disponible temporalmente', degraded: true, upstream });
+            }
+            return res.status(404).json({ error: `No hay libro de órdenes para ${symbol}` });
+        }
+        
+        res.json(result);
+        
+    } catch (error) {
+        next(error);
+    }
+});
 
-        // Obtener datos de 24hr con API key para mayor límite
-        const response = await axios.get(`${CONFIG.BINANCE_BASE_URL}/api/v3/ticker/24hr`, {
-            headers,
-            timeout: 10000
+// 🛰️ ENDPOINT: ESCÁNER TÉCNICO MULTI-INTERVALO
+// /api/scan?q=RSI(1h) < 30 and trend(4h) BULLISH and volumeSpike > 3 (+ filtros de RankingQuery)
+routes.get('/scan', Exporter.middleware('scan', body => body.results), async (req, res, next) => {
+    try {
+        // Las klines incrementales salen de Binance
+        if (req.query.exchange && req.query.exchange.toLowerCase() !== 'binance') {
+            return res.status(400).json({ error: 'El escáner solo está disponible para binance' });
+        }
+        const provider = Providers.get('binance');
+        const strategy = resolveStrategy(req, res);
+        if (!strategy) return;
+        
+        const scan = ScanQuery.parse(req.query.q);
+        const query = RankingQuery.parse(req.query, {
+            ...Rankings.universeDefaults(provider.defaultQuote),
+            limit: 20,
+            sort: 'score'
         });
-
-        return response.data.filter(token => 
-            token.symbol.endsWith('USDT') && 
-            parseFloat(token.quoteVolume) > CONFIG.EXPLOSION_MIN_VOLUME &&
-            parseFloat(token.lastPrice) > CONFIG.MIN_PRICE &&
-            parseFloat(token.lastPrice) < CONFIG.MAX_PRICE
-        );
-    } catch (error) {
-        console.error('Error obteniendo datos de Binance:', error.message);
+        const errors = [...scan.errors, ...query.errors];
+        if (errors.length > 0) return RankingQuery.sendErrors(res, errors);
         
-        // Fallback sin API key si falla
-        try {
-            const fallbackResponse = await axios.get('https://api.binance.com/api/v3/ticker/24hr', {
-                timeout: 5000
-            });
-            return fallbackResponse.data.filter(token => 
-                token.symbol.endsWith('USDT') && 
-                parseFloat(token.quoteVolume) > CONFIG.EXPLOSION_MIN_VOLUME
-            );
-        } catch (fallbackError) {
-            console.error('Fallback también falló:', fallbackError.message);
-            return [];
+        const cacheKey = `scan:${strategy.name}:${scan.normalized}:${query.key}`;
+        let cachedData = cache.get(cacheKey);
+        
+        if (cachedData) {
+            res.set('X-Total-Count', String(cachedData.total));
+            return res.json(cachedData);
         }
+        
+        const tickers = await provider.getTickers();
+        const dataFreshness = provider.getFreshness();
+        if (dataFreshness.source === 'none') return sendUnavailable(res, dataFreshness);
+        
+        // Universo filtrado; si supera SCAN_MAX_SYMBOLS se escanean los de más volumen
+        const universe = tickers
+            .filter(token => RankingQuery.matchesTicker(token, query.params))
+            .sort((a, b) => b.quoteVolume - a.quoteVolume);
+        const scanned = universe.slice(0, CONFIG.SCAN_MAX_SYMBOLS);
+        
+        const matches = (await metrics.time('scan', () => scanner.scan(scanned, scan.intervals)))
+            .map(({ ticker, technicals }) => ({
+                token: ticker,
+                technicals,
+                analysis: ExplosionDetector.calculateExplosionScore(ticker, null, strategy)
+            }))
+            .filter(({ token, technicals, analysis }) => ScanQuery.evaluate(scan.ast, {
+                price: token.lastPrice,
+                change: token.priceChangePercent,
+                volume: token.quoteVolume,
+                score: analysis.totalScore,
+                technicals
+            }));
+        const page = RankingQuery.paginate(RankingQuery.sort(matches, query.params, Rankings.SORT_ACCESSORS), query.params);
+        
+        const result = {
+            query: scan.normalized,
+            intervals: scan.intervals,
+            strategy: strategy.name,
+            universe: universe.length,
+            scanned: scanned.length,
+            truncated: universe.length > scanned.length,
+            total: page.total,
+            results: page.items.map(({ token, technicals, analysis }) => ({
+                symbol: token.symbol,
+                price: token.lastPrice,
+                priceChangePercent: token.priceChangePercent,
+                volume: token.quoteVolume,
+                score: analysis.totalScore,
+                recommendation: analysis.recommendation,
+                technicals
+            })),
+            degraded: dataFreshness.degraded,
+            dataFreshness,
+            timestamp: new Date().toISOString()
+        };
+        
+        res.set('X-Total-Count', String(result.total));
+        if (!result.degraded) cache.set(cacheKey, result);
+        setFreshnessHeaders(res, dataFreshness);
+        res.json(result);
+        
+    } catch (error) {
+        next(error);
     }
-}
+});
 
-// 🔥 OBTENER DATOS HISTÓRICOS CON API KEY
-async function getHistoricalData(symbol, interval = '1h', limit = 24) {
+// 🌍 ENDPOINT: VISTA AGREGADA ENTRE EXCHANGES
+routes.get('/cross-exchange', Exporter.middleware('cross-exchange', body => body.assets), async (req, res, next) => {
     try {
-        const headers = {
-            'X-MBX-APIKEY': CONFIG.BINANCE_API_KEY
+        const names = req.query.exchanges
+            ? String(req.query.exchanges).split(',').map(name => name.trim().toLowerCase())
+            : Providers.names();
+        const unknown = names.filter(name => !Providers.get(name));
+        
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Exchange no soportado: ${unknown.join(', ')}. Valores permitidos: ${Providers.names().join(', ')}` });
+        }
+        if (names.length < 2) {
+            return res.status(400).json({ error: 'Se necesitan al menos 2 exchanges' });
+        }
+        const strategy = resolveStrategy(req, res);
+        if (!strategy) return;
+        
+        const query = RankingQuery.parse(req.query, {
+            ...Rankings.universeDefaults(),
+            quote: null,
+            limit: 20,
+            sort: 'score'
+        });
+        if (query.errors.length > 0) return RankingQuery.sendErrors(res, query.errors);
+        
+        const cacheKey = `cross-exchange:${[...names].sort().join(',')}:${strategy.name}:${query.key}`;
+        let cachedData = cache.get(cacheKey);
+        
+        if (cachedData) {
+            res.set('X-Total-Count', String(cachedData.total));
+            return res.json(cachedData);
+        }
+        
+        const market = await metrics.time('crossExchange', () => Providers.getAggregatedMarket(names, strategy));
+        const dataFreshness = Object.fromEntries(names.map(name => [name, Providers.get(name).getFreshness()]));
+        const freshness = Object.values(dataFreshness);
+        if (freshness.every(entry => entry.source === 'none')) {
+            return res.status(503).json({ error: 'Datos de mercado no disponibles', degraded: true, dataFreshness });
+        }
+        
+        const aggregated = market.filter(item => RankingQuery.matches({
+            symbol: item.symbol,
+            price: item.price,
+            volume: item.volume,
+            change: item.priceChangePercent
+        }, query.params));
+        const page = RankingQuery.paginate(RankingQuery.sort(aggregated, query.params, {
+            score: item => item.score,
+            change: item => item.priceChangePercent,
+            volume: item => item.volume
+        }), query.params);
+        
+        const result = {
+            exchanges: names,
+            strategy: strategy.name,
+            total: page.total,
+            assets: page.items,
+            degraded: freshness.some(entry => entry.degraded),
+            dataFreshness,
+            timestamp: new Date().toISOString()
         };
+        
+        res.set('X-Total-Count', String(result.total));
+        if (!result.degraded) cache.set(cacheKey, result);
+        res.json(result);
+        
+    } catch (error) {
+        next(error);
+    }
+});
 
-        const response = await axios.get(`${CONFIG.BINANCE_BASE_URL}/api/v3/klines`, {
-            headers,
-            params: {
-                symbol,
-                interval,
-                limit
-            },
-            timeout: 5000
+// 🛡️ ENDPOINT: TAMAÑO DE POSICIÓN Y STOP POR VOLATILIDAD
+// { equity, riskPercent?, symbol, exchange?, interval?, entryPrice?, atrMultiplier?, rewardRisk? }
+routes.post('/position-size', async (req, res, next) => {
+    try {
+        const errors = RiskManager.validateRequest(req.body);
+        if (errors.length > 0) return res.status(400).json({ error: 'Parámetros inválidos', details: errors });
+        
+        const { equity, riskPercent = CONFIG.RISK_DEFAULT_PERCENT, entryPrice, atrMultiplier, rewardRisk } = req.body;
+        const provider = Providers.get(req.body.exchange);
+        if (!provider) {
+            return res.status(400).json({ error: `Exchange no soportado. Valores permitidos: ${Providers.names().join(', ')}` });
+        }
+        const symbol = req.body.symbol.trim().toUpperCase();
+        const interval = req.body.interval || CONFIG.RISK_ATR_INTERVAL;
+        
+        if (!symbol.endsWith(provider.defaultQuote)) {
+            return res.status(400).json({ error: `Solo se admiten pares ${provider.defaultQuote}` });
+        }
+        if (!provider.supportsInterval(interval)) {
+            return res.status(400).json({ error: `Intervalo inválido. Valores permitidos: ${Object.keys(provider.intervals).join(', ')}` });
+        }
+        
+        const [technicals, ticker] = await Promise.all([
+            TechnicalAnalysis.analyzeTechnicals(symbol, interval, CONFIG.KLINE_LOOKBACK, provider.name),
+            entryPrice === undefined ? provider.getTicker(symbol) : null
+        ]);
+        if (!technicals || (entryPrice === undefined && !ticker)) return sendSymbolUnavailable(res, provider, symbol);
+        
+        const price = entryPrice !== undefined ? entryPrice : parseFloat(ticker.lastPrice);
+        const levels = RiskManager.levels(price, technicals, {
+            atrMultiplier: atrMultiplier !== undefined ? atrMultiplier : CONFIG.RISK_ATR_MULTIPLIER,
+            rewardRisk: rewardRisk !== undefined ? rewardRisk : CONFIG.RISK_REWARD_RATIO
+        });
+        if (!levels) return res.status(404).json({ error: `No hay velas suficientes para medir la volatilidad de ${symbol}` });
+        
+        const sized = RiskManager.size({
+            equity,
+            riskPercent,
+            entryPrice: price,
+            stopLoss: levels.stopLoss,
+            sellTarget: levels.sellTarget
         });
+        if (!sized) {
+            return res.status(400).json({ error: `El stop (${levels.stopLoss}) debe quedar entre 0 y el precio de entrada (${price})` });
+        }
+        const { expectedLoss, expectedLossPercent, expectedProfit, ...position } = sized;
+        
+        res.json({
+            symbol,
+            exchange: provider.name,
+            entryPrice: price,
+            equity,
+            riskPercent,
+            levels,
+            position,
+            expectedLoss,
+            expectedLossPercent,
+            expectedProfit,
+            timestamp: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        next(error);
+    }
+});
 
-        return response.data.map(candle => ({
-            timestamp: candle[0],
-            open: parseFloat(candle[1]),
-            high: parseFloat(candle[2]),
-            low: parseFloat(candle[3]),
-            close: parseFloat(candle[4]),
-            volume: parseFloat(candle[5])
-        }));
+// 🌡️ ENDPOINTS: AMPLITUD DE MERCADO, MIEDO/CODICIA, CORRELACIÓN Y CATEGORÍAS
+// Universo: cotización por defecto del exchange, sin stablecoins y con volumen > MARKET_MIN_VOLUME
+// (ajustable con los filtros de RankingQuery: ?quote=&minVolume=&exclude=...)
+routes.get('/market/breadth', async (req, res, next) => {
+    try {
+        const provider = resolveProvider(req, res);
+        if (!provider) return;
+        
+        const query = RankingQuery.parse(req.query, MarketBreadth.universeDefaults(provider.defaultQuote));
+        if (query.errors.length > 0) return RankingQuery.sendErrors(res, query.errors);
+        
+        const breadth = await loadBreadth(provider, query);
+        if (!breadth) return sendUnavailable(res, provider.getFreshness());
+        
+        setFreshnessHeaders(res, breadth.dataFreshness);
+        res.json(breadth);
+        
     } catch (error) {
-        console.error(`Error obteniendo datos históricos para ${symbol}:`, error.message);
-        return [];
+        next(error);
     }
-}
+});
 
-// 🔥 ENDPOINT: EXPLOSION CANDIDATES
-app.get('/api/explosion-candidates', async (req, res) => {
+routes.get('/market/fear-greed', async (req, res, next) => {
+    try {
+        const provider = resolveProvider(req, res);
+        if (!provider) return;
+        
+        const query = RankingQuery.parse(req.query, MarketBreadth.universeDefaults(provider.defaultQuote));
+        if (query.errors.length > 0) return RankingQuery.sendErrors(res, query.errors);
+        
+        const breadth = await loadBreadth(provider, query);
+        if (!breadth) return sendUnavailable(res, provider.getFreshness());
+        
+        const { exchange, quote, fearGreed, degraded, dataFreshness, timestamp } = breadth;
+        setFreshnessHeaders(res, dataFreshness);
+        res.json({ exchange, quote, ...fearGreed, degraded, dataFreshness, timestamp });
+        
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Correlación de los mayores ganadores con BTC y ETH: ?limit=&interval= (klines de Binance)
+routes.get('/market/correlation', async (req, res, next) => {
     try {
-        const cacheKey = 'explosion-candidates';
+        if (req.query.exchange && req.query.exchange.toLowerCase() !== 'binance') {
+            return res.status(400).json({ error: 'La correlación solo está disponible para binance' });
+        }
+        const provider = Providers.get('binance');
+        
+        const query = RankingQuery.parse(req.query, {
+            ...MarketBreadth.universeDefaults(provider.defaultQuote),
+            limit: CONFIG.MARKET_CORRELATION_TOP
+        });
+        const interval = req.query.interval || CONFIG.MARKET_CORRELATION_INTERVAL;
+        const errors = [...query.errors];
+        if (query.params.limit > CONFIG.MARKET_CORRELATION_MAX) {
+            errors.push({ param: 'limit', message: `máximo ${CONFIG.MARKET_CORRELATION_MAX}` });
+        }
+        if (!CONFIG.SCAN_INTERVALS.includes(interval)) {
+            errors.push({ param: 'interval', message: `valores permitidos: ${CONFIG.SCAN_INTERVALS.join(', ')}` });
+        }
+        if (errors.length > 0) return RankingQuery.sendErrors(res, errors);
+        
+        const cacheKey = `market-correlation:${interval}:${query.key}`;
         let cachedData = cache.get(cacheKey);
         
         if (cachedData) {
+            setFreshnessHeaders(res, cachedData.dataFreshness);
             return res.json(cachedData);
         }
         
-        const binanceData = await getBinanceData();
-        
-        const explosionCandidates = binanceData
-            .filter(token => parseFloat(token.priceChangePercent) > CONFIG.EXPLOSION_MIN_GAIN)
-            .map(token => {
-                const analysis = ExplosionDetector.calculateExplosionScore(token);
-                return {
-                    symbol: token.symbol,
-                    price: parseFloat(token.lastPrice),
-                    priceChangePercent: parseFloat(token.priceChangePercent),
-                    volume: parseFloat(token.quoteVolume),
-                    explosionScore: analysis.totalScore,
-                    analysis: analysis.breakdown,
-                    recommendation: analysis.recommendation,
-                    timestamp: new Date().toISOString()
-                };
-            })
-            .sort((a, b) => b.explosionScore - a.explosionScore)
-            .slice(0, 5);
-        
-        cache.set(cacheKey, explosionCandidates);
-        res.json(explosionCandidates);
+        const tickers = MarketBreadth.universe(await provider.getTickers(), query.params);
+        const dataFreshness = provider.getFreshness();
+        if (dataFreshness.source === 'none') return sendUnavailable(res, dataFreshness);
+        
+        // Las referencias (BTC/ETH) cotizan en la primera moneda de ?quote=
+        const correlation = {
+            exchange: provider.name,
+            ...(await metrics.time('marketCorrelation', () => marketBreadth.correlation(tickers, {
+                limit: query.params.limit,
+                interval,
+                quoteAsset: query.params.quote[0]
+            }))),
+            degraded: dataFreshness.degraded,
+            dataFreshness,
+            timestamp: new Date().toISOString()
+        };
+        
+        if (!correlation.degraded) cache.set(cacheKey, correlation);
+        setFreshnessHeaders(res, dataFreshness);
+        res.json(correlation);
         
     } catch (error) {
-        console.error('Error en explosion-candidates:', error);
-        res.status(500).json({ error: 'Error interno del servidor' });
+        next(error);
     }
 });
 
-// 📈 ENDPOINT: TOP GAINERS
-app.get('/api/top-gainers', async (req, res) => {
+// Rendimiento por categoría (mapeo de src/categories.json): ?sort=change|volume&order=
+routes.get('/market/categories', async (req, res, next) => {
     try {
-        const cacheKey = 'top-gainers';
+        const provider = resolveProvider(req, res);
+        if (!provider) return;
+        
+        const query = RankingQuery.parse(req.query, {
+            ...MarketBreadth.universeDefaults(provider.defaultQuote),
+            sortFields: ['change', 'volume']
+        });
+        if (query.errors.length > 0) return RankingQuery.sendErrors(res, query.errors);
+        
+        const cacheKey = `${provider.name}:market-categories:${query.key}`;
         let cachedData = cache.get(cacheKey);
         
         if (cachedData) {
+            setFreshnessHeaders(res, cachedData.dataFreshness);
             return res.json(cachedData);
         }
         
-        const binanceData = await getBinanceData();
-        
-        const topGainers = binanceData
-            .filter(token => parseFloat(token.priceChangePercent) > 0)
-            .map(token => {
-                const analysis = ExplosionDetector.calculateExplosionScore(token);
-                return {
-                    symbol: token.symbol,
-                    price: parseFloat(token.lastPrice),
-                    priceChangePercent: parseFloat(token.priceChangePercent),
-                    volume: parseFloat(token.quoteVolume),
-                    score: analysis.totalScore,
-                    recommendation: analysis.recommendation,
-                    timestamp: new Date().toISOString()
-                };
-            })
-            .sort((a, b) => b.priceChangePercent - a.priceChangePercent)
-            .slice(0, 5);
-        
-        cache.set(cacheKey, topGainers);
-        res.json(topGainers);
+        const tickers = MarketBreadth.universe(await provider.getTickers(), query.params);
+        const dataFreshness = provider.getFreshness();
+        if (dataFreshness.source === 'none') return sendUnavailable(res, dataFreshness);
+        
+        const performance = metrics.time('categoryPerformance', () => MarketBreadth.categoryPerformance(tickers));
+        const result = {
+            exchange: provider.name,
+            quote: query.params.quote,
+            total: performance.categories.length,
+            categories: RankingQuery.sort(performance.categories, query.params, MarketBreadth.CATEGORY_SORT_ACCESSORS),
+            uncategorized: performance.uncategorized,
+            degraded: dataFreshness.degraded,
+            dataFreshness,
+            timestamp: new Date().toISOString()
+        };
+        
+        if (!result.degraded) cache.set(cacheKey, result);
+        setFreshnessHeaders(res, dataFreshness);
+        res.json(result);
         
     } catch (error) {
-        console.error('Error en top-gainers:', error);
-        res.status(500).json({ error: 'Error interno del servidor' });
+        next(error);
     }
 });
 
-// 🆕 ENDPOINT: NEW LISTINGS
-app.get('/api/new-listings', async (req, res) => {
+routes.get('/market/categories/:category', async (req, res, next) => {
     try {
-        const cacheKey = 'new-listings';
+        const category = Categories.get(req.params.category);
+        if (!category) {
+            return res.status(404).json({
+                error: 'Categoría no encontrada',
+                details: `Valores permitidos: ${Categories.ids().join(', ')}`
+            });
+        }
+        const provider = resolveProvider(req, res);
+        if (!provider) return;
+        
+        const query = RankingQuery.parse(req.query, {
+            ...MarketBreadth.universeDefaults(provider.defaultQuote),
+            sortFields: ['change', 'volume']
+        });
+        if (query.errors.length > 0) return RankingQuery.sendErrors(res, query.errors);
+        
+        const cacheKey = `${provider.name}:market-category:${category.id}:${query.key}`;
         let cachedData = cache.get(cacheKey);
         
         if (cachedData) {
+            setFreshnessHeaders(res, cachedData.dataFreshness);
             return res.json(cachedData);
         }
         
-        const binanceData = await getBinanceData();
-        
-        // Simulamos nuevos listados (tokens con volumen bajo pero precio activo)
-        const newListings = binanceData
-            .filter(token => 
-                parseFloat(token.quoteVolume) < 5000000 && 
-                parseFloat(token.priceChangePercent) > -10 &&
-                parseFloat(token.count) > 100
-            )
-            .map(token => {
-                const analysis = ExplosionDetector.calculateExplosionScore(token);
-                return {
-                    symbol: token.symbol,
-                    price: parseFloat(token.lastPrice),
-                    priceChangePercent: parseFloat(token.priceChangePercent),
-                    volume: parseFloat(token.quoteVolume),
-                    score: analysis.totalScore,
-                    recommendation: analysis.recommendation,
-                    isNew: true,
-                    timestamp: new Date().toISOString()
-                };
-            })
-            .sort((a, b) => b.score - a.score)
-            .slice(0, 5);
-        
-        cache.set(cacheKey, newListings);
-        res.json(newListings);
+        const tickers = MarketBreadth.universe(await provider.getTickers(), query.params);
+        const dataFreshness = provider.getFreshness();
+        if (dataFreshness.source === 'none') return sendUnavailable(res, dataFreshness);
+        
+        const detail = MarketBreadth.categoryDetail(tickers, category);
+        const result = {
+            exchange: provider.name,
+            quote: query.params.quote,
+            ...detail,
+            assets: RankingQuery.sort(detail.assets, query.params, MarketBreadth.ASSET_SORT_ACCESSORS),
+            degraded: dataFreshness.degraded,
+            dataFreshness,
+            timestamp: new Date().toISOString()
+        };
+        
+        if (!result.degraded) cache.set(cacheKey, result);
+        setFreshnessHeaders(res, dataFreshness);
+        res.json(result);
         
     } catch (error) {
-        console.error('Error en new-listings:', error);
-        res.status(500).json({ error: 'Error interno del servidor' });
+        next(error);
     }
 });
 
-// 🧠 ENDPOINT: SMART ANALYSIS
-app.get('/api/smart-analysis', async (req, res) => {
+// 🎚️ ENDPOINT: ESTRATEGIAS DE SCORING
+routes.get('/strategies', (req, res) => {
+    res.json(Strategies.list());
+});
+
+// ⚖️ ENDPOINT: COMPARACIÓN DE ESTRATEGIAS SOBRE EL MISMO UNIVERSO
+routes.get('/strategies/compare', Exporter.middleware('strategy-comparison', body => body.symbols), async (req, res, next) => {
     try {
-        const cacheKey = 'smart-analysis';
+        const provider = resolveProvider(req, res);
+        if (!provider) return;
+        
+        const names = req.query.strategies
+            ? String(req.query.strategies).split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+            : Strategies.names();
+        const unknown = names.filter(name => !Strategies.get(name));
+        
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Estrategia no soportada: ${unknown.join(', ')}. Valores permitidos: ${Strategies.names().join(', ')}` });
+        }
+        if (names.length < 2) {
+            return res.status(400).json({ error: 'Se necesitan al menos 2 estrategias' });
+        }
+        
+        const query = RankingQuery.parse(req.query, { ...Rankings.explosionDefaults(provider.defaultQuote), limit: 10 });
+        if (query.errors.length > 0) return RankingQuery.sendErrors(res, query.errors);
+        
+        const cacheKey = `${provider.name}:strategies-compare:${names.join(',')}:${query.key}`;
         let cachedData = cache.get(cacheKey);
         
         if (cachedData) {
             return res.json(cachedData);
         }
         
-        const binanceData = await getBinanceData();
+        const tickers = await provider.getTickers();
+        const dataFreshness = provider.getFreshness();
+        if (dataFreshness.source === 'none') return sendUnavailable(res, dataFreshness);
         
-        const smartAnalysis = {
-            explosionAlerts: [],
-            safeInvestments: [],
-            riskWarnings: [],
-            marketSentiment: 'NEUTRAL',
-            timestamp: new Date().toISOString()
+        const comparison = {
+            exchange: provider.name,
+            ...metrics.time('strategyComparison', () => Rankings.compareStrategies(tickers, query.params, names.map(name => Strategies.get(name)))),
+            degraded: dataFreshness.degraded,
+            dataFreshness
         };
         
-        // Análisis de explosiones
-        const explosions = binanceData
-            .filter(token => parseFloat(token.priceChangePercent) > 15)
-            .map(token => {
-                const analysis = ExplosionDetector.calculateExplosionScore(token);
-                return { ...token, analysis };
-            })
-            .sort((a, b) => b.analysis.totalScore - a.analysis.totalScore)
-            .slice(0, 3);
-        
-        smartAnalysis.explosionAlerts = explosions.map(token => ({
-            symbol: token.symbol,
-            price: parseFloat(token.lastPrice),
-            change: parseFloat(token.priceChangePercent),
-            volume: parseFloat(token.quoteVolume),
-            score: token.analysis.totalScore,
-            recommendation: token.analysis.recommendation,
-            alert: `🔥 ${token.symbol} subió ${token.priceChangePercent}% con score ${token.analysis.totalScore}/100`
-        }));
+        if (!dataFreshness.degraded) cache.set(cacheKey, comparison);
+        setFreshnessHeaders(res, dataFreshness);
+        res.json(comparison);
         
-        // Inversiones seguras
-        const safeTokens = binanceData
-            .filter(token => 
-                parseFloat(token.priceChangePercent) > 2 && 
-                parseFloat(token.priceChangePercent) < 8 &&
-                parseFloat(token.quoteVolume) > 10000000
-            )
-            .sort((a, b) => parseFloat(b.quoteVolume) - parseFloat(a.quoteVolume))
-            .slice(0, 3);
-        
-        smartAnalysis.safeInvestments = safeTokens.map(token => {
-            const analysis = ExplosionDetector.calculateExplosionScore(token);
-            return {
-                symbol: token.symbol,
-                price: parseFloat(token.lastPrice),
-                change: parseFloat(token.priceChangePercent),
-                volume: parseFloat(token.quoteVolume),
-                score: analysis.totalScore,
-                recommendation: analysis.recommendation,
-                reason: `Crecimiento estable del ${token.priceChangePercent}%`
-            };
-        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// 🧪 ENDPOINT: BACKTEST
+routes.post('/backtest', (req, res, next) => {
+    try {
+        const { dataset: inlineDataset, file, minScore, feePercent, minVolume, includeTrades, strategy } = req.body || {};
         
-        // Análisis de sentimiento del mercado
-        const positiveTokens = binanceData.filter(t => parseFloat(t.priceChangePercent) > 0).length;
-        const totalTokens = binanceData.length;
-        const bullishPercentage = (positiveTokens / totalTokens) * 100;
+        if (!inlineDataset && !file) {
+            return res.status(400).json({ error: 'Se requiere "dataset" o "file"' });
+        }
         
-        if (bullishPercentage > 60) smartAnalysis.marketSentiment = 'BULLISH';
-        else if (bullishPercentage < 40) smartAnalysis.marketSentiment = 'BEARISH';
-        else smartAnalysis.marketSentiment = 'NEUTRAL';
+        const dataset = inlineDataset || Backtester.loadDataset(String(file));
+        if (!dataset) {
+            return res.status(404).json({ error: `Dataset no encontrado: ${file}` });
+        }
         
-        smartAnalysis.marketStats = {
-            totalTokens,
-            positiveTokens,
-            bullishPercentage: bullishPercentage.toFixed(1),
-            avgChange: (binanceData.reduce((sum, token) => sum + parseFloat(token.priceChangePercent), 0) / totalTokens).toFixed(2)
-        };
+        const options = { includeTrades: Boolean(includeTrades) };
+        if (strategy !== undefined) options.strategy = String(strategy);
+        for (const [key, value] of Object.entries({ minScore, feePercent, minVolume })) {
+            if (value === undefined) continue;
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                return res.status(400).json({ error: `El parámetro ${key} debe ser un número positivo` });
+            }
+            options[key] = value;
+        }
         
-        cache.set(cacheKey, smartAnalysis);
-        res.json(smartAnalysis);
+        let report;
+        try {
+            report = metrics.time('backtest', () => Backtester.run(dataset, options));
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        res.json(report);
         
     } catch (error) {
-        console.error('Error en smart-analysis:', error);
-        res.status(500).json({ error: 'Error interno del servidor' });
+        next(error);
     }
 });
 
+// 📡 ENDPOINT: STREAM EN VIVO (SSE)
+routes.get('/stream', (req, res) => {
+    liveFeed.handleSSE(req, res);
+});
+
+// 🔔 ENDPOINTS: ALERTAS
+routes.use('/alerts', alertRoutes);
+
+// 🗄️ ENDPOINTS: HISTÓRICO DE RANKINGS, SENTIMIENTO Y SCORE POR SÍMBOLO
+routes.use('/history', historyRoutes);
+
+// 📒 ENDPOINTS: CARTERA SIMULADA (PAPER TRADING)
+routes.use('/portfolio', portfolioRoutes);
+
+// 🔑 ENDPOINTS: ADMINISTRACIÓN DE API KEYS
+routes.use('/admin', adminRoutes);
+
 // ⚡ ENDPOINT: HEALTH CHECK
-app.get('/api/health', (req, res) => {
-    res.status(200).json({
-        status: 'OK',
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        memory: process.memoryUsage(),
-        env: process.env.NODE_ENV || 'development',
-        endpoints: [
-            '/api/explosion-candidates',
-            '/api/top-gainers',
-            '/api/new-listings',
-            '/api/smart-analysis',
-            '/api/health'
-        ]
-    });
+routes.get('/health', async (req, res, next) => {
+    try {
+        // Estado de cada exchange: circuit breaker, peso consumido y frescura de los tickers
+        const upstream = Object.fromEntries(Providers.names().map(name => {
+            const provider = Providers.get(name);
+            return [name, { ...provider.getUpstreamStatus(), freshness: provider.getFreshness() }];
+        }));
+    
+        // Sigue respondiendo 200: la API sirve datos aunque Binance esté degradado
+        res.status(200).json({
+            status: upstream.binance.freshness.degraded ? 'DEGRADED' : 'OK',
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime(),
+            env: process.env.NODE_ENV || 'development',
+            auth: CONFIG.AUTH_ENABLED ? 'api-key' : 'optional',
+            exchanges: Providers.names(),
+            upstream,
+            listings: listingTracker.getStatus(),
+            history: await historyStore.getStatus(),
+            reports: reportScheduler.getStatus(),
+            scanner: scanner.getStatus(),
+            stream: {
+                ...marketStream.getStatus(),
+                ...liveFeed.getStatus()
+            },
+            endpoints: [
+                ...ApiV1.registry.endpoints(),
+                '/api/v1/openapi.json',
+                '/api/stream',
+                'ws /ws',
+                '/docs',
+                '/metrics'
+            ]
+        });
+    } catch (error) {
+        next(error);
+    }
 });
 
+// 🧭 API VERSIONADA, LEGACY Y DOCUMENTACIÓN (Swagger UI sobre el documento OpenAPI)
+app.use('/api/v1', ApiV1.createRouter(routes));
+app.use('/api', routes);
+app.use('/docs', swaggerUi.serve, swaggerUi.setup(ApiV1.registry.document()));
+
+// 📊 MÉTRICAS PROMETHEUS
+app.get('/metrics', metrics.handler());
+
 // Health check adicional para Railway
 app.get('/health', (req, res) => res.status(200).send('OK'));
 app.get('/', (req, res) => {
@@ -543,16 +1053,73 @@ app.get('/', (req, res) => {
     });
 });
 
+// Rutas desconocidas y manejador de errores: siempre después de todas las rutas
+app.use(Errors.notFound);
+app.use(Errors.handle);
+
 // 🚀 INICIAR SERVIDOR
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`🚀 BoostIQ Crypto API corriendo en puerto ${PORT}`);
-    console.log(`📈 Endpoints disponibles:`);
-    console.log(`   - Explosion Candidates: /api/explosion-candidates`);
-    console.log(`   - Top Gainers: /api/top-gainers`);
-    console.log(`   - New Listings: /api/new-listings`);
-    console.log(`   - Smart Analysis: /api/smart-analysis`);
-    console.log(`   - Health: /api/health`);
-});
+// Solo al ejecutar index.js: los tests montan `app` sin puerto ni procesos en segundo plano
+function start() {
+    const PORT = process.env.PORT || 3000;
+    const server = app.listen(PORT, '0.0.0.0', () => {
+        logger.info('BoostIQ Crypto API iniciada', {
+            port: Number(PORT),
+            auth: CONFIG.AUTH_ENABLED ? 'api-key' : 'optional',
+            endpoints: ApiV1.registry.endpoints().length,
+            docs: '/docs',
+            metrics: '/metrics'
+        });
+    });
+
+    // 🚨 ERRORES FUERA DE UNA PETICIÓN
+    // Tras una excepción no capturada el estado del proceso es desconocido: se registra, se deja de
+    // aceptar conexiones y se sale con código 1 para que Railway reinicie el servicio.
+    process.on('uncaughtException', (error) => {
+        logger.fatal('Excepción no capturada', error);
+        server.close(() => process.exit(1));
+        // SSE y WebSocket mantienen conexiones abiertas: no se espera más de SHUTDOWN_TIMEOUT_MS
+        setTimeout(() => process.exit(1), CONFIG.SHUTDOWN_TIMEOUT_MS).unref();
+    });
+
+    // Una promesa rechazada sin catch no deja estado a medias: se registra y el proceso sigue
+    process.on('unhandledRejection', (reason) => {
+        logger.error('Promesa rechazada sin capturar', { error: reason instanceof Error ? reason : new Error(String(reason)) });
+    });
+
+    // 📡 STREAM DE MERCADO Y FEED EN VIVO
+    if (CONFIG.STREAM_ENABLED) {
+        marketStream.start();
+    }
+    liveFeed.start();
+    liveFeed.attachWebSocket(server);
+
+    // 🔔 EVALUACIÓN PERIÓDICA DE ALERTAS
+    alertEngine.start();
+
+    // 🆕 SEGUIMIENTO DE NUEVOS LISTADOS
+    listingTracker.start();
+
+    // 🔑 GUARDADO PERIÓDICO DEL USO DE API KEYS
+    apiKeys.start();
+
+    // 📒 VALORACIÓN DE LA CARTERA SIMULADA
+    portfolio.start();
+
+    // 🗄️ SNAPSHOTS HISTÓRICOS
+    if (CONFIG.HISTORY_ENABLED) {
+        historyStore.start();
+    }
+
+    // 📑 INFORME DIARIO
+    if (CONFIG.REPORTS_ENABLED) {
+        reportScheduler.start();
+    }
+
+    return server;
+}
+
+if (require.main === module) {
+    start();
+}
 
 module.exports = app;
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+// 🧪 CLI DE BACKTESTING
+//
+// Uso:
+//   node scripts/backtest.js record <nombre> --symbols BTCUSDT,ETHUSDT [--interval 1h] [--candles 1000]
+//   node scripts/backtest.js run <nombre|ruta.json> [--min-score 40] [--fee 0.1] [--strategy default] [--trades] [--json]
+const fs = require('fs');
+const Backtester = require('../src/backtest');
+
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            const key = argv[i].slice(2);
+            const next = argv[i + 1];
+            if (next === undefined || next.startsWith('--')) args[key] = true;
+            else args[key] = argv[++i];
+        } else {
+            args._.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+function loadDataset(source) {
+    if (fs.existsSync(source)) return JSON.parse(fs.readFileSync(source, 'utf8'));
+    return Backtester.loadDataset(source);
+}
+
+async function record(name, args) {
+    if (!name || !args.symbols) {
+        throw new Error('Uso: record <nombre> --symbols BTCUSDT,ETHUSDT [--interval 1h] [--candles 1000]');
+    }
+
+    const symbols = String(args.symbols).split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+    const dataset = await Backtester.recordKlines(symbols, args.interval || '1h', parseInt(args.candles, 10) || 1000);
+    const filePath = Backtester.saveDataset(name, dataset);
+
+    for (const [symbol, candles] of Object.entries(dataset.symbols)) {
+        console.log(`📼 ${symbol}: ${candles.length} velas`);
+    }
+    console.log(`💾 Dataset guardado en ${filePath}`);
+}
+
+function run(source, args) {
+    if (!source) throw new Error('Uso: run <nombre|ruta.json> [--min-score 40] [--fee 0.1] [--strategy default] [--trades] [--json]');
+
+    const dataset = loadDataset(source);
+    if (!dataset) throw new Error(`Dataset no encontrado: ${source}`);
+
+    const options = { includeTrades: Boolean(args.trades) };
+    if (args['min-score'] !== undefined) options.minScore = parseFloat(args['min-score']);
+    if (args.fee !== undefined) options.feePercent = parseFloat(args.fee);
+    if (args['min-volume'] !== undefined) options.minVolume = parseFloat(args['min-volume']);
+    if (args.strategy !== undefined) options.strategy = String(args.strategy);
+
+    const report = Backtester.run(dataset, options);
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    console.log(`🧪 Backtest ${report.period.from} → ${report.period.to} (${report.symbols} símbolos, estrategia ${report.settings.strategy})`);
+    const rows = { TOTAL: report.summary, ...report.tiers };
+    console.table(Object.fromEntries(Object.entries(rows).map(([tier, stats]) => [tier, {
+        trades: stats.trades,
+        'winRate %': stats.winRate,
+        'avgReturn %': stats.avgReturn,
+        'expectancy %': stats.expectancy,
+        'maxDrawdown %': stats.maxDrawdown
+    }])));
+
+    if (report.trades) console.table(report.trades);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const [command, target] = args._;
+
+    if (command === 'record') return record(target, args);
+    if (command === 'run') return run(target, args);
+
+    throw new Error('Comandos disponibles: record, run');
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
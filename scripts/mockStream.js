@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+// 🧪 SERVIDOR MOCK DEL STREAM !ticker@arr DE BINANCE
+//
+// Emite cada segundo un array de eventos 24hrTicker con un random walk de precios,
+// para desarrollar y probar el feed en vivo sin conexión a Binance.
+//
+// Uso:
+//   node scripts/mockStream.js [--port 9001] [--file tickers.json] [--interval 1000]
+//   BINANCE_STREAM_URL=ws://localhost:9001 npm start
+//
+// --file acepta una respuesta grabada de /api/v3/ticker/24hr como punto de partida.
+const fs = require('fs');
+const WebSocket = require('ws');
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        args[argv[i].replace(/^--/, '')] = argv[i + 1];
+    }
+    return args;
+}
+
+const DEFAULT_TICKERS = [
+    { symbol: 'BTCUSDT', lastPrice: '65000', priceChangePercent: '1.5', quoteVolume: '900000000' },
+    { symbol: 'ETHUSDT', lastPrice: '3200', priceChangePercent: '2.1', quoteVolume: '400000000' },
+    { symbol: 'SOLUSDT', lastPrice: '45', priceChangePercent: '6.4', quoteVolume: '150000000' },
+    { symbol: 'DOGEUSDT', lastPrice: '0.12', priceChangePercent: '12.3', quoteVolume: '80000000' },
+    { symbol: 'PEPEUSDT', lastPrice: '0.0000085', priceChangePercent: '24.7', quoteVolume: '60000000' },
+    { symbol: 'ARBUSDT', lastPrice: '0.95', priceChangePercent: '-3.2', quoteVolume: '30000000' },
+    { symbol: 'FETUSDT', lastPrice: '1.45', priceChangePercent: '9.8', quoteVolume: '25000000' }
+];
+
+// Tabla de tickers inicial (numérica) a partir de tickers con el formato de /api/v3/ticker/24hr
+function initialState(seed) {
+    return seed.map(ticker => {
+        const lastPrice = parseFloat(ticker.lastPrice);
+        const openPrice = lastPrice / (1 + parseFloat(ticker.priceChangePercent) / 100);
+        return {
+            symbol: ticker.symbol,
+            lastPrice,
+            openPrice,
+            highPrice: Math.max(lastPrice, openPrice),
+            lowPrice: Math.min(lastPrice, openPrice),
+            quoteVolume: parseFloat(ticker.quoteVolume),
+            count: parseInt(ticker.count, 10) || 10000
+        };
+    });
+}
+
+function nextEvents(state) {
+    const now = Date.now();
+
+    return state.map(ticker => {
+        ticker.lastPrice *= 1 + (Math.random() - 0.5) * 0.01;
+        ticker.highPrice = Math.max(ticker.highPrice, ticker.lastPrice);
+        ticker.lowPrice = Math.min(ticker.lowPrice, ticker.lastPrice);
+        ticker.quoteVolume += ticker.quoteVolume * Math.random() * 0.001;
+        ticker.count += Math.floor(Math.random() * 50);
+
+        const change = ticker.lastPrice - ticker.openPrice;
+        return {
+            e: '24hrTicker',
+            E: now,
+            s: ticker.symbol,
+            p: change.toFixed(8),
+            P: ((change / ticker.openPrice) * 100).toFixed(3),
+            w: ((ticker.highPrice + ticker.lowPrice) / 2).toFixed(8),
+            c: ticker.lastPrice.toFixed(8),
+            o: ticker.openPrice.toFixed(8),
+            h: ticker.highPrice.toFixed(8),
+            l: ticker.lowPrice.toFixed(8),
+            v: (ticker.quoteVolume / ticker.lastPrice).toFixed(2),
+            q: ticker.quoteVolume.toFixed(2),
+            O: now - 86400000,
+            C: now,
+            n: ticker.count
+        };
+    });
+}
+
+// También se usa desde los tests: port 0 elige un puerto libre (mock.port tras 'listening'),
+// mock.broadcast() emite un array al momento y mock.dropClients() corta las conexiones abiertas.
+function createMockStream({ port = 9001, interval = 1000, seed = DEFAULT_TICKERS } = {}) {
+    const state = initialState(seed);
+    const wss = new WebSocket.Server({ port });
+
+    const broadcast = () => {
+        const message = JSON.stringify(nextEvents(state));
+        for (const client of wss.clients) {
+            if (client.readyState === WebSocket.OPEN) client.send(message);
+        }
+    };
+    const timer = setInterval(broadcast, interval);
+
+    return {
+        wss,
+        state,
+        broadcast,
+        get port() {
+            return wss.address().port;
+        },
+        listening: new Promise(resolve => wss.once('listening', resolve)),
+        dropClients() {
+            for (const client of wss.clients) client.terminate();
+        },
+        close() {
+            clearInterval(timer);
+            this.dropClients();
+            return new Promise(resolve => wss.close(resolve));
+        }
+    };
+}
+
+module.exports = { createMockStream, DEFAULT_TICKERS };
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const port = parseInt(args.port, 10) || 9001;
+    const interval = parseInt(args.interval, 10) || 1000;
+    const seed = args.file ? JSON.parse(fs.readFileSync(args.file, 'utf8')) : DEFAULT_TICKERS;
+    createMockStream({ port, interval, seed });
+
+    console.log(`🧪 Mock stream !ticker@arr en ws://localhost:${port} (${seed.length} símbolos)`);
+}
@@ -0,0 +1,199 @@
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const CONFIG = require('./config');
+const logger = require('./logger').child({ component: 'alerts' });
+
+// 📬 CANALES DE ENTREGA DE ALERTAS
+// Cada canal define validate(config) → mensaje de error | null, y send(config, alert) → Promise.
+// Opcional: redact(config) → copia sin secretos para las respuestas de la API, y
+// serverCredentials(config) → true si envía con la cuenta del servidor (SMTP, bot de Telegram).
+// Para añadir un canal nuevo basta con registrarlo con AlertChannels.register().
+const channels = {};
+let mailer = null;
+
+const REDACTED = '***';
+
+// Los webhooks no pueden apuntar a la red interna (SSRF): loopback, privadas, link-local...
+const privateRanges = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]) {
+    privateRanges.addSubnet(network, prefix, 'ipv4');
+}
+privateRanges.addAddress('::', 'ipv6');
+privateRanges.addAddress('::1', 'ipv6');
+privateRanges.addSubnet('fc00::', 7, 'ipv6');
+privateRanges.addSubnet('fe80::', 10, 'ipv6');
+
+function isPrivateAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    const family = net.isIP(address);
+    return family !== 0 && privateRanges.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Host del webhook no permitido: IP interna literal o localhost (los nombres se comprueban al resolver)
+function blockedHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+}
+
+// dns.lookup que falla si el nombre resuelve a una dirección interna (también tras cambios de DNS)
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked) return callback(new Error(`El webhook resuelve a una dirección interna (${blocked.address})`));
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const AlertChannels = {
+    register(type, channel) {
+        channels[type] = channel;
+    },
+
+    types() {
+        return Object.keys(channels);
+    },
+
+    validate(config) {
+        if (!config || typeof config !== 'object') return 'Canal inválido';
+        const channel = channels[config.type];
+        if (!channel) return `Tipo de canal desconocido: ${config.type}. Valores permitidos: ${this.types().join(', ')}`;
+        return channel.validate(config);
+    },
+
+    // Copia del canal apta para las respuestas (tokens y cabeceras sustituidos por REDACTED)
+    redact(config) {
+        const channel = channels[config.type];
+        return channel && channel.redact ? channel.redact(config) : config;
+    },
+
+    // Canales que envían con credenciales del servidor: solo para peticiones con API key
+    usesServerCredentials(config) {
+        const channel = config && channels[config.type];
+        return Boolean(channel && channel.serverCredentials && channel.serverCredentials(config));
+    },
+
+    // En un reemplazo (PUT) los campos que llegan como REDACTED conservan el valor guardado
+    restore(config, stored) {
+        if (!stored || !config || stored.type !== config.type) return config;
+
+        const merge = (value, previous) => {
+            if (value === REDACTED && previous !== undefined) return previous;
+            if (!value || typeof value !== 'object' || Array.isArray(value) || !previous || typeof previous !== 'object') return value;
+            return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, merge(field, previous[key])]));
+        };
+        return merge(config, stored);
+    },
+
+    REDACTED,
+    isPrivateAddress,
+
+    async send(config, alert) {
+        try {
+            await channels[config.type].send(config, alert);
+            return { type: config.type, ok: true };
+        } catch (error) {
+            logger.error('Error enviando alerta', { channel: config.type, error });
+            return { type: config.type, ok: false, error: error.message };
+        }
+    }
+};
+
+// 🌐 Webhook genérico: POST JSON con la alerta completa
+// Solo a hosts públicos (salvo ALERT_ALLOW_PRIVATE_WEBHOOKS) y sin seguir redirecciones
+AlertChannels.register('webhook', {
+    validate(config) {
+        if (typeof config.url !== 'string' || !/^https?:\/\//.test(config.url)) {
+            return 'El canal webhook requiere una "url" http(s)';
+        }
+        let url;
+        try {
+            url = new URL(config.url);
+        } catch (error) {
+            return 'El canal webhook requiere una "url" http(s)';
+        }
+        if (!CONFIG.ALERT_ALLOW_PRIVATE_WEBHOOKS && blockedHost(url.hostname)) {
+            return 'La "url" del webhook no puede apuntar a una dirección interna';
+        }
+        if (config.headers !== undefined && (typeof config.headers !== 'object' || config.headers === null || Array.isArray(config.headers))) {
+            return '"headers" debe ser un objeto';
+        }
+        return null;
+    },
+    redact(config) {
+        if (!config.headers) return config;
+        return { ...config, headers: Object.fromEntries(Object.keys(config.headers).map(name => [name, REDACTED])) };
+    },
+    async send(config, alert) {
+        const privateAllowed = CONFIG.ALERT_ALLOW_PRIVATE_WEBHOOKS;
+        if (!privateAllowed && blockedHost(new URL(config.url).hostname)) {
+            throw new Error('La url del webhook apunta a una dirección interna');
+        }
+        await axios.post(config.url, alert, {
+            headers: config.headers || {},
+            timeout: 5000,
+            maxRedirects: 0,
+            ...(privateAllowed ? {} : { lookup: publicLookup })
+        });
+    }
+});
+
+// ✈️ Telegram Bot API (token por canal o TELEGRAM_BOT_TOKEN)
+AlertChannels.register('telegram', {
+    validate(config) {
+        if (!config.chatId) return 'El canal telegram requiere "chatId"';
+        if (!config.botToken && !CONFIG.TELEGRAM_BOT_TOKEN) {
+            return 'El canal telegram requiere "botToken" o la variable TELEGRAM_BOT_TOKEN';
+        }
+        return null;
+    },
+    redact(config) {
+        return config.botToken ? { ...config, botToken: REDACTED } : config;
+    },
+    serverCredentials(config) {
+        return !config.botToken;
+    },
+    async send(config, alert) {
+        const token = config.botToken || CONFIG.TELEGRAM_BOT_TOKEN;
+        await axios.post(`https://api.telegram.org/bot${token}/sendMessage`, {
+            chat_id: config.chatId,
+            text: alert.message
+        }, { timeout: 5000 });
+    }
+});
+
+// 📧 Email por SMTP (configurado con las variables SMTP_*)
+AlertChannels.register('email', {
+    validate(config) {
+        if (typeof config.to !== 'string' || !config.to.includes('@')) return 'El canal email requiere "to"';
+        if (!CONFIG.SMTP.host) return 'SMTP no configurado (SMTP_HOST)';
+        return null;
+    },
+    serverCredentials() {
+        return true;
+    },
+    async send(config, alert) {
+        if (!mailer) {
+            mailer = nodemailer.createTransport({
+                host: CONFIG.SMTP.host,
+                port: CONFIG.SMTP.port,
+                secure: CONFIG.SMTP.port === 465,
+                auth: CONFIG.SMTP.user ? { user: CONFIG.SMTP.user, pass: CONFIG.SMTP.pass } : undefined
+            });
+        }
+
+        await mailer.sendMail({
+            from: CONFIG.SMTP.from,
+            to: config.to,
+            subject: `[BoostIQ] ${alert.ruleName}: ${alert.symbol}`,
+            text: alert.message
+        });
+    }
+});
+
+module.exports = AlertChannels;
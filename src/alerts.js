@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const CONFIG = require('./config');
+const logger = require('./logger').child({ component: 'alerts' });
+const JsonStore = require('./jsonStore');
+const AlertChannels = require('./alertChannels');
+const ExplosionDetector = require('./explosionDetector');
+const TechnicalAnalysis = require('./technicalAnalysis');
+const Rankings = require('./rankings');
+const I18n = require('./i18n');
+const { getBinanceData, KLINE_INTERVALS } = require('./binance');
+
+const RULE_TYPES = ['score', 'price_change', 'volume_spike', 'rsi'];
+const TECHNICAL_TYPES = ['volume_spike', 'rsi'];
+const DIRECTIONS = ['above', 'below'];
+
+const rulesStore = new JsonStore('alerts/rules', { rules: [] });
+const historyStore = new JsonStore('alerts/history', { deliveries: [] });
+
+// 🔔 MOTOR DE ALERTAS
+// Reglas:
+//   score         → score de ExplosionDetector >= threshold
+//   price_change  → el cambio 24h cruza threshold% (direction above/below)
+//   volume_spike  → spike de volumen >= threshold (por defecto VOLUME_SPIKE_THRESHOLD)
+//   rsi           → el RSI cruza threshold (por defecto RSI_OVERBOUGHT para above, RSI_OVERSOLD para below)
+// Las reglas de "cruce" comparan contra el valor de la evaluación anterior; score y volume_spike son por nivel.
+// El cooldown por regla y símbolo evita repetir la misma alerta en cada refresco.
+// El mensaje se escribe en el idioma de la regla ("locale"; por defecto el de la petición que la creó).
+// Cada regla pertenece a la API key que la creó ("owner"; null si se creó sin key): los métodos CRUD
+// reciben el owner del llamante y `undefined` significa sin filtro (admin). Las respuestas llevan los
+// canales sin secretos (AlertEngine.redact). Cada owner tiene un cupo de ALERT_MAX_RULES_PER_OWNER reglas.
+// Los canales con credenciales del servidor (email, telegram sin botToken) requieren API key.
+class AlertEngine {
+    constructor() {
+        this.previousValues = new Map();
+        this.lastFired = null;
+        this.timer = null;
+        this.evaluating = false;
+    }
+
+    start() {
+        this.timer = setInterval(() => this.refresh(), CONFIG.ALERT_EVAL_MS);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async refresh() {
+        if (this.evaluating) return;
+        this.evaluating = true;
+        try {
+            await this.evaluate(await getBinanceData());
+        } catch (error) {
+            logger.error('Error evaluando alertas', error);
+        } finally {
+            this.evaluating = false;
+        }
+    }
+
+    // ---- CRUD de reglas ----
+
+    static ownedBy(item, owner) {
+        return owner === undefined || (item.owner === undefined ? null : item.owner) === owner;
+    }
+
+    listRules(owner) {
+        return rulesStore.load().rules.filter(rule => AlertEngine.ownedBy(rule, owner));
+    }
+
+    getRule(id, owner) {
+        return this.listRules(owner).find(rule => rule.id === id) || null;
+    }
+
+    hasRoomFor(owner) {
+        return this.listRules(owner).length < CONFIG.ALERT_MAX_RULES_PER_OWNER;
+    }
+
+    createRule(input, owner = null) {
+        const now = new Date().toISOString();
+        const rule = { id: crypto.randomUUID(), owner, ...AlertEngine.normalizeRule(input), createdAt: now, updatedAt: now };
+        rulesStore.update(data => data.rules.push(rule));
+        return rule;
+    }
+
+    // Los secretos que llegan como AlertChannels.REDACTED (copiados de un GET) conservan el valor guardado
+    updateRule(id, input, owner) {
+        return rulesStore.update(data => {
+            const index = data.rules.findIndex(rule => rule.id === id && AlertEngine.ownedBy(rule, owner));
+            if (index === -1) return null;
+
+            const stored = data.rules[index];
+            const channels = input.channels.map((channel, i) => AlertChannels.restore(channel, stored.channels[i]));
+            data.rules[index] = {
+                id,
+                owner: stored.owner === undefined ? null : stored.owner,
+                ...AlertEngine.normalizeRule({ ...input, channels }),
+                createdAt: stored.createdAt,
+                updatedAt: new Date().toISOString()
+            };
+            return data.rules[index];
+        });
+    }
+
+    deleteRule(id, owner) {
+        return rulesStore.update(data => {
+            const before = data.rules.length;
+            data.rules = data.rules.filter(rule => rule.id !== id || !AlertEngine.ownedBy(rule, owner));
+            return data.rules.length < before;
+        });
+    }
+
+    listHistory({ limit = 100, ruleId, symbol, owner } = {}) {
+        return historyStore.load().deliveries
+            .filter(entry => AlertEngine.ownedBy(entry, owner))
+            .filter(entry => (!ruleId || entry.ruleId === ruleId) && (!symbol || entry.symbol === symbol))
+            .slice(-limit)
+            .reverse();
+    }
+
+    // Copia de la regla para las respuestas, sin tokens ni cabeceras de los canales
+    static redact(rule) {
+        return { ...rule, channels: rule.channels.map(channel => AlertChannels.redact(channel)) };
+    }
+
+    // Devuelve la lista de errores de validación (vacía si la regla es válida)
+    static validateRule(input) {
+        const errors = [];
+        if (!input || typeof input !== 'object') return ['El cuerpo debe ser un objeto JSON'];
+
+        if (typeof input.name !== 'string' || input.name.trim() === '') errors.push('"name" es obligatorio');
+        if (!RULE_TYPES.includes(input.type)) errors.push(`"type" debe ser uno de: ${RULE_TYPES.join(', ')}`);
+
+        const thresholdRequired = input.type === 'score' || input.type === 'price_change';
+        if (input.threshold !== undefined || thresholdRequired) {
+            if (typeof input.threshold !== 'number' || !Number.isFinite(input.threshold)) {
+                errors.push('"threshold" debe ser un número');
+            }
+        }
+        if (input.direction !== undefined && !DIRECTIONS.includes(input.direction)) {
+            errors.push(`"direction" debe ser uno de: ${DIRECTIONS.join(', ')}`);
+        }
+        if (input.interval !== undefined && !KLINE_INTERVALS.includes(input.interval)) {
+            errors.push(`"interval" inválido. Valores permitidos: ${KLINE_INTERVALS.join(', ')}`);
+        }
+        if (input.symbols !== undefined && (!Array.isArray(input.symbols) || input.symbols.some(s => typeof s !== 'string'))) {
+            errors.push('"symbols" debe ser un array de símbolos');
+        } else if (input.symbols && input.symbols.length > CONFIG.ALERT_MAX_SYMBOLS_PER_RULE) {
+            errors.push(`"symbols" admite como mucho ${CONFIG.ALERT_MAX_SYMBOLS_PER_RULE} símbolos`);
+        }
+        if (input.cooldownMinutes !== undefined && (typeof input.cooldownMinutes !== 'number' || input.cooldownMinutes < 0)) {
+            errors.push('"cooldownMinutes" debe ser un número positivo');
+        }
+        if (input.locale !== undefined && !I18n.match(input.locale)) {
+            errors.push(`"locale" debe ser uno de: ${I18n.locales().join(', ')}`);
+        }
+        if (!Array.isArray(input.channels) || input.channels.length === 0) {
+            errors.push('"channels" debe contener al menos un canal');
+        } else {
+            input.channels.forEach((channel, i) => {
+                const error = AlertChannels.validate(channel);
+                if (error) errors.push(`channels[${i}]: ${error}`);
+            });
+        }
+
+        return errors;
+    }
+
+    // Reglas que enviarían con la cuenta SMTP o el bot de Telegram del servidor
+    static usesServerCredentials(input) {
+        return Array.isArray(input.channels) && input.channels.some(channel => AlertChannels.usesServerCredentials(channel));
+    }
+
+    static normalizeRule(input) {
+        const direction = input.direction || 'above';
+        let threshold = input.threshold;
+
+        if (threshold === undefined && input.type === 'volume_spike') threshold = CONFIG.VOLUME_SPIKE_THRESHOLD;
+        if (threshold === undefined && input.type === 'rsi') {
+            threshold = direction === 'above' ? CONFIG.RSI_OVERBOUGHT : CONFIG.RSI_OVERSOLD;
+        }
+
+        return {
+            name: input.name.trim(),
+            type: input.type,
+            threshold,
+            direction,
+            symbols: input.symbols ? input.symbols.map(s => s.toUpperCase()) : null,
+            interval: input.interval || '1h',
+            cooldownMinutes: input.cooldownMinutes !== undefined ? input.cooldownMinutes : CONFIG.ALERT_COOLDOWN_MINUTES,
+            channels: input.channels,
+            locale: input.locale ? I18n.match(input.locale) : CONFIG.DEFAULT_LOCALE,
+            enabled: input.enabled !== false
+        };
+    }
+
+    // ---- Evaluación ----
+
+    async evaluate(binanceData) {
+        const allRules = this.listRules();
+        this.prune(allRules, binanceData);
+        const rules = allRules.filter(rule => rule.enabled);
+        if (rules.length === 0 || binanceData.length === 0) return [];
+
+        const fired = [];
+        const technicalsCache = new Map();
+
+        for (const rule of rules) {
+            const tokens = await this.selectTokens(rule, binanceData);
+
+            for (const token of tokens) {
+                const value = await this.measure(rule, token, technicalsCache);
+                if (value === null) continue;
+
+                const key = `${rule.id}:${token.symbol}`;
+                const previous = this.previousValues.get(key);
+                this.previousValues.set(key, value);
+
+                if (!AlertEngine.matches(rule, value, previous)) continue;
+                if (this.inCooldown(key, rule)) continue;
+
+                fired.push(await this.deliver(rule, token, value));
+            }
+        }
+
+        return fired;
+    }
+
+    // Olvida el estado de reglas borradas y de símbolos que ya no cotizan (sin datos no se toca)
+    prune(rules, binanceData) {
+        const ruleIds = new Set(rules.map(rule => rule.id));
+        const symbols = new Set(binanceData.map(token => token.symbol));
+        const stale = key => {
+            const separator = key.lastIndexOf(':');
+            return !ruleIds.has(key.slice(0, separator)) || (symbols.size > 0 && !symbols.has(key.slice(separator + 1)));
+        };
+
+        for (const key of this.previousValues.keys()) {
+            if (stale(key)) this.previousValues.delete(key);
+        }
+        // El cooldown solo se olvida con la regla: un símbolo que vuelve a cotizar no debe repetir la alerta
+        if (this.lastFired) {
+            for (const key of this.lastFired.keys()) {
+                if (!ruleIds.has(key.slice(0, key.lastIndexOf(':')))) this.lastFired.delete(key);
+            }
+        }
+    }
+
+    async selectTokens(rule, binanceData) {
+        if (rule.symbols) return binanceData.filter(token => rule.symbols.includes(token.symbol));
+        if (!TECHNICAL_TYPES.includes(rule.type)) return binanceData;
+
+        // Las reglas técnicas necesitan klines: solo se analizan los mejores candidatos
+        return Rankings.scoreExplosionCandidates(binanceData)
+            .slice(0, CONFIG.ALERT_TECHNICAL_UNIVERSE)
+            .map(item => item.token);
+    }
+
+    async measure(rule, token, technicalsCache) {
+        if (rule.type === 'score') return ExplosionDetector.calculateExplosionScore(token).totalScore;
+        if (rule.type === 'price_change') return parseFloat(token.priceChangePercent);
+
+        const cacheKey = `${token.symbol}:${rule.interval}`;
+        if (!technicalsCache.has(cacheKey)) {
+            technicalsCache.set(cacheKey, await TechnicalAnalysis.analyzeTechnicals(token.symbol, rule.interval));
+        }
+        const technicals = technicalsCache.get(cacheKey);
+        if (!technicals) return null;
+
+        return parseFloat(rule.type === 'rsi' ? technicals.rsi : technicals.volumeSpike);
+    }
+
+    static matches(rule, value, previous) {
+        const beyond = v => (rule.direction === 'below' ? v <= rule.threshold : v >= rule.threshold);
+
+        if (rule.type === 'score' || rule.type === 'volume_spike') return value >= rule.threshold;
+
+        // Cruce: hace falta una observación previa al otro lado del umbral
+        return previous !== undefined && !beyond(previous) && beyond(value);
+    }
+
+    inCooldown(key, rule) {
+        if (!this.lastFired) {
+            // Reconstruye el cooldown desde el historial persistido tras un reinicio
+            this.lastFired = new Map();
+            for (const entry of historyStore.load().deliveries) {
+                this.lastFired.set(`${entry.ruleId}:${entry.symbol}`, Date.parse(entry.firedAt));
+            }
+        }
+
+        const last = this.lastFired.get(key);
+        return last !== undefined && Date.now() - last < rule.cooldownMinutes * 60000;
+    }
+
+    static buildMessage(rule, token, value) {
+        const change = parseFloat(token.priceChangePercent).toFixed(2);
+        const direction = rule.direction === 'below' ? 'below' : 'above';
+        const text = (key, params) => I18n.t(rule.locale, key, { symbol: token.symbol, ...params });
+
+        switch (rule.type) {
+            case 'score':
+                return text('alert.score', { change, score: ExplosionDetector.calculateExplosionScore(token).totalScore });
+            case 'price_change':
+                return text(`alert.price_change.${direction}`, { threshold: rule.threshold, change });
+            case 'volume_spike':
+                return text('alert.volume_spike', { value: value.toFixed(2), interval: rule.interval });
+            case 'rsi':
+                return text(`alert.rsi.${direction}`, { interval: rule.interval, threshold: rule.threshold, value: value.toFixed(2) });
+            default:
+                return text('alert.default', { name: rule.name });
+        }
+    }
+
+    async deliver(rule, token, value) {
+        const alert = {
+            ruleId: rule.id,
+            ruleName: rule.name,
+            type: rule.type,
+            symbol: token.symbol,
+            price: parseFloat(token.lastPrice),
+            priceChangePercent: parseFloat(token.priceChangePercent),
+            value,
+            message: AlertEngine.buildMessage(rule, token, value),
+            firedAt: new Date().toISOString()
+        };
+
+        const results = await Promise.all(rule.channels.map(channel => AlertChannels.send(channel, alert)));
+        const entry = { id: crypto.randomUUID(), owner: rule.owner === undefined ? null : rule.owner, ...alert, deliveries: results };
+
+        this.lastFired.set(`${rule.id}:${token.symbol}`, Date.parse(alert.firedAt));
+        historyStore.update(data => {
+            data.deliveries.push(entry);
+            if (data.deliveries.length > CONFIG.ALERT_HISTORY_LIMIT) {
+                data.deliveries = data.deliveries.slice(-CONFIG.ALERT_HISTORY_LIMIT);
+            }
+        });
+
+        return entry;
+    }
+}
+
+module.exports = new AlertEngine();
+module.exports.AlertEngine = AlertEngine;
+module.exports.RULE_TYPES = RULE_TYPES;
+module.exports.DIRECTIONS = DIRECTIONS;
@@ -0,0 +1,211 @@
+const CONFIG = require('./config');
+const scanner = require('./scanner');
+const { getRecentTrades } = require('./binance');
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+// Puntos de riesgo de cada señal (el total se limita a 100)
+const SIGNAL_POINTS = {
+    verticalRetrace: 35,
+    verticalCandle: 15,
+    wickToBody: 20,
+    tradeConcentration: 20,
+    repeatedSizes: 15,
+    tradeSizeMismatch: 15,
+    thinVolumePump: 20
+};
+
+// 🚨 DETECCIÓN DE PUMP-AND-DUMP Y WASH TRADING
+// Señales sobre velas ANOMALY_INTERVAL (caché del escáner), operaciones recientes y el ticker 24h:
+//   verticalRetrace/verticalCandle → vela de cuerpo >= ANOMALY_VERTICAL_PERCENT, con o sin retroceso inmediato
+//   wickToBody         → la vela de mayor rango deja una mecha superior desproporcionada
+//   tradeConcentration → pocas operaciones concentran el volumen
+//   repeatedSizes      → muchas operaciones con la misma cantidad exacta (típico de bots de wash trading)
+//   tradeSizeMismatch  → volumen 24h / count muy por encima de la mediana del mercado
+//   thinVolumePump     → gran subida 24h con volumen escaso
+// El riesgo (0-100) resta hasta ANOMALY_MAX_PENALTY puntos del score de explosión.
+class AnomalyDetector {
+    constructor() {
+        this.cache = new Map();
+        this.pending = new Map();
+    }
+
+    // context: { medianTradeSize } del universo (ver universeStats); sin él se omite tradeSizeMismatch
+    analyze(token, context = {}) {
+        const cached = this.cache.get(token.symbol);
+        if (cached && Date.now() - cached.at < CONFIG.ANOMALY_CACHE_MS) return Promise.resolve(cached.result);
+
+        if (!this.pending.has(token.symbol)) {
+            this.pending.set(token.symbol, this.fetchAndAnalyze(token, context).finally(() => {
+                this.pending.delete(token.symbol);
+            }));
+        }
+        return this.pending.get(token.symbol);
+    }
+
+    async fetchAndAnalyze(token, context) {
+        const [candles, trades] = await Promise.all([
+            scanner.getCandles(token.symbol, CONFIG.ANOMALY_INTERVAL),
+            getRecentTrades(token.symbol, CONFIG.ANOMALY_TRADES_LIMIT)
+        ]);
+
+        const result = AnomalyDetector.evaluate(token, candles.slice(-CONFIG.ANOMALY_LOOKBACK), trades || [], context);
+        this.cache.set(token.symbol, { at: Date.now(), result });
+        for (const [symbol, entry] of this.cache) {
+            if (Date.now() - entry.at >= CONFIG.ANOMALY_CACHE_MS) this.cache.delete(symbol);
+        }
+        return result;
+    }
+
+    static evaluate(token, candles, trades, context = {}) {
+        const signals = [
+            this.checkVerticalCandles(candles),
+            this.checkWickToBody(candles),
+            this.checkTradeConcentration(trades),
+            this.checkRepeatedSizes(trades),
+            this.checkTradeSizeMismatch(token, context.medianTradeSize),
+            this.checkThinVolumePump(token)
+        ].filter(Boolean);
+
+        const score = Math.min(100, signals.reduce((sum, signal) => sum + SIGNAL_POINTS[signal.type], 0));
+        let level = 'LOW';
+        if (score >= CONFIG.ANOMALY_FLAG_SCORE) level = 'HIGH';
+        else if (score >= CONFIG.ANOMALY_FLAG_SCORE / 2) level = 'MEDIUM';
+
+        return {
+            score,
+            level,
+            flagged: score >= CONFIG.ANOMALY_FLAG_SCORE,
+            penalty: round((CONFIG.ANOMALY_MAX_PENALTY * score) / 100),
+            signals,
+            dataAvailable: { candles: candles.length, trades: trades.length }
+        };
+    }
+
+    // Mayor vela alcista vertical; con retroceso si el mínimo de las 4 velas siguientes devuelve >= ANOMALY_RETRACE_RATIO del cuerpo
+    static checkVerticalCandles(candles) {
+        let worst = null;
+
+        candles.forEach((candle, i) => {
+            // Solo velas alcistas: con ANOMALY_VERTICAL_PERCENT <= 0 un cuerpo nulo dividiría el retroceso entre 0
+            if (!(candle.open > 0 && candle.close > candle.open)) return;
+            const bodyPercent = ((candle.close - candle.open) / candle.open) * 100;
+            if (bodyPercent < CONFIG.ANOMALY_VERTICAL_PERCENT) return;
+
+            const after = candles.slice(i + 1, i + 5);
+            const retrace = after.length > 0
+                ? (candle.close - Math.min(...after.map(c => c.low))) / (candle.close - candle.open)
+                : 0;
+            const retraced = retrace >= CONFIG.ANOMALY_RETRACE_RATIO;
+
+            if (!worst || retraced > worst.retraced || (retraced === worst.retraced && bodyPercent > worst.bodyPercent)) {
+                worst = { bodyPercent, retrace, retraced, timestamp: candle.timestamp };
+            }
+        });
+
+        if (!worst) return null;
+        return {
+            type: worst.retraced ? 'verticalRetrace' : 'verticalCandle',
+            value: round(worst.bodyPercent),
+            message: worst.retraced
+                ? `Vela vertical de +${round(worst.bodyPercent)}% con retroceso del ${Math.round(Math.min(worst.retrace, 1) * 100)}%`
+                : `Vela vertical de +${round(worst.bodyPercent)}% en ${CONFIG.ANOMALY_INTERVAL}`,
+            at: new Date(worst.timestamp).toISOString()
+        };
+    }
+
+    static checkWickToBody(candles) {
+        if (candles.length === 0) return null;
+
+        const widest = candles.reduce((max, candle) => (candle.high - candle.low > max.high - max.low ? candle : max));
+        const rangePercent = ((widest.high - widest.low) / widest.low) * 100;
+        if (rangePercent < CONFIG.ANOMALY_VERTICAL_PERCENT / 2) return null;
+
+        // Cuerpo mínimo de 0,1% del precio para que un doji no dispare ratios infinitos
+        const body = Math.max(Math.abs(widest.close - widest.open), widest.open * 0.001);
+        const upperWick = widest.high - Math.max(widest.open, widest.close);
+        const ratio = upperWick / body;
+        if (ratio < CONFIG.ANOMALY_WICK_BODY_RATIO) return null;
+
+        return {
+            type: 'wickToBody',
+            value: round(ratio),
+            message: `Mecha superior ${round(ratio)}x el cuerpo en una vela de ${round(rangePercent)}% de rango`,
+            at: new Date(widest.timestamp).toISOString()
+        };
+    }
+
+    static checkTradeConcentration(trades) {
+        if (trades.length < 20) return null;
+
+        const sizes = trades.map(trade => parseFloat(trade.quoteQty)).sort((a, b) => b - a);
+        const total = sizes.reduce((sum, size) => sum + size, 0);
+        const top = sizes.slice(0, Math.max(1, Math.ceil(sizes.length * 0.05)));
+        const share = total > 0 ? top.reduce((sum, size) => sum + size, 0) / total : 0;
+        if (share < CONFIG.ANOMALY_TOP_TRADES_SHARE) return null;
+
+        return {
+            type: 'tradeConcentration',
+            value: round(share, 4),
+            message: `El ${top.length === 1 ? 'mayor trade' : `top ${top.length} de ${trades.length} trades`} concentra el ${Math.round(share * 100)}% del volumen`
+        };
+    }
+
+    static checkRepeatedSizes(trades) {
+        if (trades.length < 50) return null;
+
+        const counts = new Map();
+        for (const trade of trades) counts.set(trade.qty, (counts.get(trade.qty) || 0) + 1);
+        const [qty, count] = [...counts.entries()].reduce((max, entry) => (entry[1] > max[1] ? entry : max));
+        const share = count / trades.length;
+        if (share < CONFIG.ANOMALY_REPEATED_SIZE_SHARE) return null;
+
+        return {
+            type: 'repeatedSizes',
+            value: round(share, 4),
+            message: `${count} de ${trades.length} trades con la misma cantidad (${parseFloat(qty)})`
+        };
+    }
+
+    static checkTradeSizeMismatch(token, medianTradeSize) {
+        const count = parseFloat(token.count);
+        if (!medianTradeSize || !count) return null;
+
+        const avgTradeSize = parseFloat(token.quoteVolume) / count;
+        const ratio = avgTradeSize / medianTradeSize;
+        if (ratio < CONFIG.ANOMALY_TRADE_SIZE_RATIO) return null;
+
+        return {
+            type: 'tradeSizeMismatch',
+            value: round(ratio),
+            message: `Volumen por trade ${round(ratio)}x la mediana del mercado (${Math.round(avgTradeSize)} USDT con ${count} trades)`
+        };
+    }
+
+    static checkThinVolumePump(token) {
+        const change = parseFloat(token.priceChangePercent);
+        const volume = parseFloat(token.quoteVolume);
+        if (change < CONFIG.ANOMALY_THIN_PUMP_GAIN || volume >= CONFIG.ANOMALY_THIN_PUMP_VOLUME) return null;
+
+        return {
+            type: 'thinVolumePump',
+            value: round(change),
+            message: `Subida de ${round(change)}% en 24h con solo ${Math.round(volume)} USDT de volumen`
+        };
+    }
+
+    // Mediana del tamaño medio por trade (quoteVolume / count) del universo de tickers
+    static universeStats(tickers) {
+        const sizes = tickers
+            .map(token => parseFloat(token.quoteVolume) / parseFloat(token.count))
+            .filter(size => Number.isFinite(size) && size > 0)
+            .sort((a, b) => a - b);
+        if (sizes.length === 0) return { medianTradeSize: null };
+
+        const middle = Math.floor(sizes.length / 2);
+        return { medianTradeSize: sizes.length % 2 ? sizes[middle] : (sizes[middle - 1] + sizes[middle]) / 2 };
+    }
+}
+
+module.exports = new AnomalyDetector();
+module.exports.AnomalyDetector = AnomalyDetector;
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const CONFIG = require('./config');
+const logger = require('./logger').child({ component: 'apiKeys' });
+const JsonStore = require('./jsonStore');
+
+const store = new JsonStore('auth/keys', { keys: [] });
+const KEY_PREFIX = 'biq_';
+const ISSUABLE_TIERS = Object.keys(CONFIG.API_TIERS).filter(tier => tier !== 'anonymous');
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+const today = () => new Date().toISOString().slice(0, 10);
+
+// 🔑 API KEYS
+// Solo se guarda el hash SHA-256 de cada key; el valor en claro se devuelve una única vez al emitirla.
+// Los contadores de uso se acumulan en memoria y se guardan cada API_USAGE_FLUSH_MS.
+class ApiKeyStore {
+    constructor() {
+        this.timer = null;
+        this.dirty = false;
+    }
+
+    start() {
+        this.timer = setInterval(() => this.flush(), CONFIG.API_USAGE_FLUSH_MS);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.flush();
+    }
+
+    flush() {
+        if (!this.dirty) return;
+        this.dirty = false;
+        try {
+            store.save();
+        } catch (error) {
+            logger.error('Error guardando uso de API keys', error);
+        }
+    }
+
+    static validateKey(input) {
+        const errors = [];
+        if (!input || typeof input !== 'object') return ['El cuerpo debe ser un objeto JSON'];
+
+        if (typeof input.name !== 'string' || input.name.trim() === '') errors.push('"name" es obligatorio');
+        if (input.tier !== undefined && !ISSUABLE_TIERS.includes(input.tier)) {
+            errors.push(`"tier" debe ser uno de: ${ISSUABLE_TIERS.join(', ')}`);
+        }
+        return errors;
+    }
+
+    // Devuelve el registro público más la key en claro (solo en la emisión)
+    issue(input) {
+        const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        const record = {
+            id: crypto.randomUUID(),
+            name: input.name.trim(),
+            tier: input.tier || 'free',
+            prefix: key.slice(0, KEY_PREFIX.length + 6),
+            hash: hashKey(key),
+            createdAt: new Date().toISOString(),
+            revokedAt: null,
+            lastUsedAt: null,
+            usage: { total: 0, daily: {} }
+        };
+
+        store.update(data => data.keys.push(record));
+        return { ...ApiKeyStore.describe(record), key };
+    }
+
+    revoke(id) {
+        return store.update(data => {
+            const record = data.keys.find(k => k.id === id);
+            if (!record) return null;
+            if (!record.revokedAt) record.revokedAt = new Date().toISOString();
+            return ApiKeyStore.describe(record);
+        });
+    }
+
+    list() {
+        return store.load().keys.map(ApiKeyStore.describe);
+    }
+
+    get(id) {
+        const record = store.load().keys.find(k => k.id === id);
+        return record ? ApiKeyStore.describe(record) : null;
+    }
+
+    // Busca una key activa por su valor en claro
+    find(key) {
+        if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+        const hash = hashKey(key);
+        return store.load().keys.find(record => record.hash === hash && !record.revokedAt) || null;
+    }
+
+    // Compara contra ADMIN_API_KEY sin filtrar información por tiempos
+    static isMasterKey(key) {
+        if (!CONFIG.ADMIN_API_KEY || typeof key !== 'string') return false;
+        return crypto.timingSafeEqual(Buffer.from(hashKey(key), 'hex'), Buffer.from(hashKey(CONFIG.ADMIN_API_KEY), 'hex'));
+    }
+
+    recordUsage(record) {
+        const day = today();
+        record.lastUsedAt = new Date().toISOString();
+        record.usage.total += 1;
+        record.usage.daily[day] = (record.usage.daily[day] || 0) + 1;
+
+        const days = Object.keys(record.usage.daily).sort();
+        for (const old of days.slice(0, Math.max(0, days.length - CONFIG.API_USAGE_DAYS))) {
+            delete record.usage.daily[old];
+        }
+        this.dirty = true;
+    }
+
+    static usedToday(record) {
+        return record.usage.daily[today()] || 0;
+    }
+
+    static describe(record) {
+        const { hash, ...rest } = record;
+        return { ...rest, limits: CONFIG.API_TIERS[record.tier] };
+    }
+}
+
+module.exports = new ApiKeyStore();
+module.exports.ApiKeyStore = ApiKeyStore;
+module.exports.ISSUABLE_TIERS = ISSUABLE_TIERS;
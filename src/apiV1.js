@@ -0,0 +1,1231 @@
+const express = require('express');
+const CONFIG = require('./config');
+const OpenApiRegistry = require('./openapi');
+const Providers = require('./providers');
+const { QUOTE_ASSETS } = require('./providers/base');
+const Exporter = require('./exporter');
+const I18n = require('./i18n');
+const AlertChannels = require('./alertChannels');
+const { RULE_TYPES, DIRECTIONS } = require('./alerts');
+const { RANKING_TYPES } = require('./history');
+
+// 🧭 SUPERFICIE VERSIONADA /api/v1
+// Reutiliza los handlers de /api/* y normaliza sus respuestas a un contrato estable:
+//   - siempre { data, meta? }; los errores mantienen { error, details? }
+//   - mismos nombres en todas las rutas: score, priceChangePercent, volume (en moneda de cotización)
+//   - precios, niveles y métricas técnicas como números (nunca strings de toFixed)
+//   - paginación y frescura de datos en meta, no solo en cabeceras
+//   - enums estables en las recomendaciones; los textos traducidos van aparte (display)
+const registry = new OpenApiRegistry({
+    title: 'BoostIQ Crypto API',
+    version: '1.0.0',
+    description: 'Detección de explosiones, rankings y análisis técnico de criptomonedas',
+    basePath: '/api/v1',
+    parameters: [{
+        name: 'lang',
+        in: 'query',
+        required: false,
+        schema: { enum: I18n.locales() },
+        description: `Idioma de los textos (display, mensajes); sin él se negocia con Accept-Language (por defecto ${CONFIG.DEFAULT_LOCALE})`
+    }]
+});
+
+// ---- Esquemas ----
+
+const nullable = type => ({ type: [type, 'null'] });
+const object = (properties, required = Object.keys(properties)) => ({ type: 'object', properties, required });
+const arrayOf = items => ({ type: 'array', items });
+const envelope = (data, meta = null) => object({ data, ...(meta && { meta }) });
+
+registry.schema('Error', {
+    type: 'object',
+    properties: {
+        error: { type: 'string' },
+        details: {},
+        requestId: { type: 'string' }
+    },
+    required: ['error']
+});
+
+const freshness = registry.schema('DataFreshness', {
+    type: 'object',
+    properties: {
+        source: { enum: ['stream', 'rest', 'stale', 'none'] },
+        fetchedAt: nullable('string'),
+        ageSeconds: nullable('number'),
+        degraded: { type: 'boolean' },
+        reason: { type: 'string' }
+    },
+    required: ['source', 'degraded']
+});
+
+const listMeta = registry.schema('ListMeta', {
+    type: 'object',
+    properties: {
+        total: { type: 'integer' },
+        count: { type: 'integer' },
+        offset: { type: 'integer' },
+        degraded: { type: 'boolean' },
+        dataFreshness: freshness,
+        illiquidExcluded: { type: 'integer' }
+    },
+    required: ['total', 'count', 'offset']
+});
+
+const riskLevel = registry.schema('RiskLevel', { enum: ['LOW', 'MEDIUM', 'HIGH', 'VERY_HIGH'] });
+
+const recommendation = registry.schema('Recommendation', {
+    type: 'object',
+    properties: {
+        action: { enum: ['STRONG_BUY', 'MODERATE_BUY', 'WATCH', 'AVOID'] },
+        confidence: { enum: ['VERY_HIGH', 'HIGH', 'MEDIUM', 'LOW'] },
+        buyPrice: nullable('number'),
+        sellTarget: nullable('number'),
+        stopLoss: nullable('number'),
+        risk: riskLevel,
+        riskScore: { type: 'number' },
+        riskFactors: arrayOf({ type: 'string' }),
+        timeframe: { enum: ['HOURS_1_6', 'HOURS_6_24', 'DAYS_1_3', 'NONE'] },
+        maxHoldHours: nullable('number'),
+        display: object({
+            action: { type: 'string' },
+            confidence: { type: 'string' },
+            risk: { type: 'string' },
+            timeframe: { type: 'string' },
+            manipulationRisk: { type: 'string' }
+        }, ['action', 'confidence', 'risk', 'timeframe']),
+        technicalSignals: arrayOf({ type: 'string' }),
+        manipulationRisk: riskLevel,
+        manipulationFlag: { type: 'boolean' },
+        volatilityAdjusted: object({
+            method: { enum: ['ATR', 'VOLATILITY'] },
+            interval: { type: 'string' },
+            stopLoss: { type: 'number' },
+            stopPercent: { type: 'number' },
+            sellTarget: { type: 'number' },
+            targetPercent: { type: 'number' },
+            rewardRisk: { type: 'number' }
+        })
+    },
+    required: ['action', 'confidence', 'buyPrice', 'sellTarget', 'stopLoss', 'risk', 'timeframe', 'maxHoldHours', 'display']
+});
+
+const technicals = registry.schema('Technicals', object({
+    exchange: { type: 'string' },
+    interval: { type: 'string' },
+    candles: { type: 'integer' },
+    rsi: { type: 'number' },
+    rsiSignal: { enum: ['OVERSOLD', 'OVERBOUGHT', 'NEUTRAL'] },
+    volatility: { type: 'number' },
+    volumeSpike: { type: 'number' },
+    isVolumeSpike: { type: 'boolean' },
+    trend: { enum: ['BULLISH', 'BEARISH', 'NEUTRAL'] },
+    support: { type: 'number' },
+    resistance: { type: 'number' },
+    indicators: object({
+        sma20: nullable('number'),
+        ema12: nullable('number'),
+        ema26: nullable('number'),
+        macd: object({ macd: nullable('number'), signal: nullable('number'), histogram: nullable('number') }),
+        bollinger: object({ upper: nullable('number'), middle: nullable('number'), lower: nullable('number') }),
+        atr: nullable('number'),
+        vwap: nullable('number'),
+        obv: nullable('number')
+    })
+}));
+
+const manipulation = registry.schema('ManipulationRisk', object({
+    score: { type: 'number' },
+    level: riskLevel,
+    flagged: { type: 'boolean' },
+    penalty: { type: 'number' },
+    signals: arrayOf({
+        type: 'object',
+        properties: {
+            type: { type: 'string' },
+            value: { type: 'number' },
+            message: { type: 'string' },
+            at: { type: 'string' }
+        },
+        required: ['type', 'value', 'message']
+    }),
+    dataAvailable: object({ candles: { type: 'integer' }, trades: { type: 'integer' } })
+}));
+
+const depthSides = object({ bid: { type: 'number' }, ask: { type: 'number' } });
+
+const liquiditySummary = registry.schema('LiquiditySummary', {
+    type: ['object', 'null'],
+    properties: {
+        spreadPercent: { type: 'number' },
+        depth2Percent: depthSides,
+        imbalance: nullable('number'),
+        slippagePercent: nullable('number'),
+        orderSize: { type: 'number' },
+        riskScore: { type: 'number' },
+        illiquid: { type: 'boolean' }
+    },
+    required: ['spreadPercent', 'depth2Percent', 'riskScore', 'illiquid']
+});
+
+const slippage = object({
+    filled: { type: 'boolean' },
+    filledAmount: { type: 'number' },
+    avgPrice: nullable('number'),
+    percent: nullable('number')
+});
+
+const liquidity = registry.schema('Liquidity', object({
+    symbol: { type: 'string' },
+    bestBid: { type: 'number' },
+    bestAsk: { type: 'number' },
+    midPrice: { type: 'number' },
+    spreadPercent: { type: 'number' },
+    depth: object({ '1%': depthSides, '2%': depthSides }),
+    depthTruncated: { type: 'boolean' },
+    imbalance: nullable('number'),
+    slippage: object({ orderSize: { type: 'number' }, buy: slippage, sell: slippage }),
+    activity: {
+        type: ['object', 'null'],
+        properties: {
+            trades: { type: 'integer' },
+            windowMinutes: nullable('number'),
+            tradesPerMinute: { type: 'number' },
+            avgTradeSize: nullable('number'),
+            buyRatio: nullable('number')
+        }
+    },
+    risk: object({
+        score: { type: 'number' },
+        level: riskLevel,
+        illiquid: { type: 'boolean' },
+        reasons: arrayOf({ type: 'string' })
+    }),
+    illiquid: { type: 'boolean' },
+    timestamp: { type: 'string' }
+}));
+
+const assetProperties = {
+    symbol: { type: 'string' },
+    price: { type: 'number' },
+    priceChangePercent: { type: 'number' },
+    volume: { type: 'number' },
+    score: { type: 'number' },
+    breakdown: { type: 'object', additionalProperties: { type: 'number' }, description: 'Puntos de cada factor del score' },
+    recommendation,
+    strategy: { type: 'string' },
+    technicals,
+    manipulation,
+    liquidity: liquiditySummary,
+    timestamp: { type: 'string' }
+};
+
+const asset = registry.schema('RankedAsset', {
+    type: 'object',
+    properties: assetProperties,
+    required: ['symbol', 'price', 'priceChangePercent', 'volume', 'score', 'recommendation', 'strategy', 'timestamp']
+});
+
+const listing = registry.schema('Listing', object({
+    symbol: { type: 'string' },
+    baseAsset: { type: 'string' },
+    status: { type: 'string' },
+    isPreTrading: { type: 'boolean' },
+    isOnBreak: { type: 'boolean' },
+    detectedByDiff: { type: 'boolean' },
+    firstSeenAt: { type: 'string' },
+    listedAt: nullable('string'),
+    listingAgeHours: nullable('number'),
+    firstPrice: nullable('number'),
+    price: nullable('number'),
+    priceChangePercent: nullable('number'),
+    sinceListingPercent: nullable('number'),
+    volume: nullable('number'),
+    trades: nullable('number'),
+    score: nullable('number'),
+    recommendation: { oneOf: [recommendation, { type: 'null' }] },
+    timestamp: { type: 'string' }
+}));
+
+const signalItem = (extra) => ({
+    type: 'object',
+    properties: {
+        symbol: { type: 'string' },
+        price: { type: 'number' },
+        priceChangePercent: { type: 'number' },
+        volume: { type: 'number' },
+        score: { type: 'number' },
+        recommendation,
+        ...extra
+    },
+    required: ['symbol', 'price', 'priceChangePercent', 'volume', 'score', 'recommendation', ...Object.keys(extra)]
+});
+
+const smartAnalysis = registry.schema('SmartAnalysis', object({
+    marketSentiment: { enum: ['BULLISH', 'BEARISH', 'NEUTRAL'] },
+    marketStats: object({
+        totalTokens: { type: 'integer' },
+        positiveTokens: { type: 'integer' },
+        bullishPercentage: nullable('number'),
+        avgChange: nullable('number')
+    }),
+    explosionAlerts: arrayOf(signalItem({ message: { type: 'string' } })),
+    safeInvestments: arrayOf(signalItem({ reason: { type: 'string' } })),
+    riskWarnings: arrayOf({ type: 'object' }),
+    strategy: { type: 'string' },
+    timestamp: { type: 'string' }
+}));
+
+const analysis = registry.schema('SymbolAnalysis', {
+    type: 'object',
+    properties: {
+        ...assetProperties,
+        exchange: { type: 'string' },
+        liquidity
+    },
+    required: ['symbol', 'exchange', 'price', 'priceChangePercent', 'volume', 'score', 'breakdown', 'recommendation', 'strategy', 'technicals', 'timestamp']
+});
+
+const scanResult = registry.schema('ScanResult', object({
+    query: { type: 'string' },
+    intervals: arrayOf({ type: 'string' }),
+    strategy: { type: 'string' },
+    universe: { type: 'integer' },
+    scanned: { type: 'integer' },
+    truncated: { type: 'boolean' },
+    results: arrayOf({
+        type: 'object',
+        properties: {
+            symbol: { type: 'string' },
+            price: { type: 'number' },
+            priceChangePercent: { type: 'number' },
+            volume: { type: 'number' },
+            score: { type: 'number' },
+            recommendation,
+            technicals: { type: 'object', additionalProperties: { oneOf: [technicals, { type: 'null' }] } }
+        },
+        required: ['symbol', 'price', 'priceChangePercent', 'volume', 'score', 'recommendation', 'technicals']
+    })
+}));
+
+const crossExchange = registry.schema('CrossExchange', object({
+    exchanges: arrayOf({ type: 'string' }),
+    strategy: { type: 'string' },
+    assets: arrayOf({
+        type: 'object',
+        properties: {
+            symbol: { type: 'string' },
+            baseAsset: { type: 'string' },
+            price: { type: 'number' },
+            priceChangePercent: { type: 'number' },
+            volume: { type: 'number' },
+            priceSpreadPercent: { type: 'number' },
+            exchanges: arrayOf(object({
+                exchange: { type: 'string' },
+                symbol: { type: 'string' },
+                price: { type: 'number' },
+                priceChangePercent: nullable('number'),
+                volume: { type: 'number' },
+                volumeShare: { type: 'number' }
+            })),
+            score: { type: 'number' },
+            recommendation,
+            strategy: { type: 'string' }
+        },
+        required: ['symbol', 'baseAsset', 'price', 'priceChangePercent', 'volume', 'exchanges', 'score', 'recommendation', 'strategy']
+    })
+}));
+
+const strategy = registry.schema('Strategy', {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        description: { type: 'string' },
+        factors: { type: 'object' },
+        tiers: object({ strongBuy: { type: 'number' }, moderateBuy: { type: 'number' }, watch: { type: 'number' } }),
+        builtIn: { type: 'boolean' },
+        isDefault: { type: 'boolean' }
+    },
+    required: ['name', 'factors', 'tiers', 'builtIn', 'isDefault']
+});
+
+const comparison = registry.schema('StrategyComparison', object({
+    exchange: { type: 'string' },
+    strategies: arrayOf({ type: 'string' }),
+    summary: {
+        type: 'object',
+        additionalProperties: object({
+            candidates: { type: 'integer' },
+            avgScore: nullable('number'),
+            buySignals: { type: 'integer' },
+            top: arrayOf({ type: 'string' })
+        })
+    },
+    symbols: arrayOf(object({
+        symbol: { type: 'string' },
+        price: { type: 'number' },
+        priceChangePercent: { type: 'number' },
+        volume: { type: 'number' },
+        scores: {
+            type: 'object',
+            additionalProperties: object({ score: { type: 'number' }, rank: { type: 'integer' }, action: { type: 'string' } })
+        },
+        scoreSpread: { type: 'number' }
+    })),
+    timestamp: { type: 'string' }
+}));
+
+const fearGreedProperties = {
+    value: nullable('integer'),
+    label: { enum: ['EXTREME_FEAR', 'FEAR', 'NEUTRAL', 'GREED', 'EXTREME_GREED', null] },
+    components: {
+        type: 'object',
+        additionalProperties: object({ value: nullable('number'), weight: { type: 'number' } })
+    }
+};
+const fearGreed = registry.schema('FearGreed', object(fearGreedProperties));
+
+const marketBreadth = registry.schema('MarketBreadth', object({
+    exchange: { type: 'string' },
+    quote: arrayOf({ type: 'string' }),
+    universe: { type: 'integer' },
+    advanceDecline: object({
+        advancing: { type: 'integer' },
+        declining: { type: 'integer' },
+        unchanged: { type: 'integer' },
+        net: { type: 'integer' },
+        ratio: nullable('number'),
+        percentAdvancing: nullable('number')
+    }),
+    change: object({
+        average: nullable('number'),
+        median: nullable('number'),
+        volumeWeighted: nullable('number'),
+        totalVolume: { type: 'number' }
+    }),
+    dominance: object({
+        btcVolumeShare: nullable('number'),
+        ethVolumeShare: nullable('number'),
+        btcChange: nullable('number'),
+        ethChange: nullable('number')
+    }),
+    volatility: object({ medianRangePercent: nullable('number'), averageRangePercent: nullable('number') }),
+    fearGreed,
+    timestamp: { type: 'string' }
+}));
+
+const correlation = registry.schema('MarketCorrelation', object({
+    exchange: { type: 'string' },
+    interval: { type: 'string' },
+    lookback: { type: 'integer' },
+    references: object({ btc: { type: 'string' }, eth: { type: 'string' } }),
+    average: object({ btc: nullable('number'), eth: nullable('number') }),
+    regime: { enum: ['BTC_DRIVEN', 'MIXED', 'DECOUPLED', null] },
+    gainers: arrayOf(object({
+        symbol: { type: 'string' },
+        priceChangePercent: { type: 'number' },
+        btc: nullable('number'),
+        eth: nullable('number')
+    })),
+    timestamp: { type: 'string' }
+}));
+
+const categoryMover = { oneOf: [object({ symbol: { type: 'string' }, priceChangePercent: { type: 'number' } }), { type: 'null' }] };
+const categoryProperties = {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    symbols: { type: 'integer' },
+    tracked: { type: 'integer' },
+    advancing: { type: 'integer' },
+    declining: { type: 'integer' },
+    averageChange: nullable('number'),
+    volumeWeightedChange: nullable('number'),
+    volume: { type: 'number' },
+    volumeShare: nullable('number'),
+    best: categoryMover,
+    worst: categoryMover
+};
+const category = registry.schema('CategoryPerformance', object(categoryProperties));
+
+const categoryList = registry.schema('CategoryList', object({
+    exchange: { type: 'string' },
+    quote: arrayOf({ type: 'string' }),
+    categories: arrayOf(category),
+    uncategorized: object({ symbols: { type: 'integer' }, volumeWeightedChange: nullable('number') }),
+    timestamp: { type: 'string' }
+}));
+
+const categoryDetail = registry.schema('CategoryDetail', object({
+    exchange: { type: 'string' },
+    quote: arrayOf({ type: 'string' }),
+    ...categoryProperties,
+    assets: arrayOf(object({
+        symbol: { type: 'string' },
+        baseAsset: { type: 'string' },
+        price: { type: 'number' },
+        priceChangePercent: { type: 'number' },
+        volume: { type: 'number' }
+    })),
+    timestamp: { type: 'string' }
+}));
+
+const positionSize = registry.schema('PositionSize', object({
+    symbol: { type: 'string' },
+    exchange: { type: 'string' },
+    entryPrice: { type: 'number' },
+    equity: { type: 'number' },
+    riskPercent: { type: 'number' },
+    levels: object({
+        method: { enum: ['ATR', 'VOLATILITY'] },
+        interval: { type: 'string' },
+        atr: nullable('number'),
+        atrPercent: nullable('number'),
+        multiplier: { type: 'number' },
+        rewardRisk: { type: 'number' },
+        stopLoss: { type: 'number' },
+        stopPercent: { type: 'number' },
+        sellTarget: { type: 'number' },
+        targetPercent: { type: 'number' },
+        clamped: { type: 'boolean' }
+    }),
+    position: object({
+        quantity: { type: 'number' },
+        value: { type: 'number' },
+        percentOfEquity: { type: 'number' },
+        riskAmount: { type: 'number' },
+        capped: { type: 'boolean' }
+    }),
+    expectedLoss: { type: 'number' },
+    expectedLossPercent: { type: 'number' },
+    expectedProfit: { type: 'number' },
+    timestamp: { type: 'string' }
+}));
+
+// ---- Esquemas de los routers de /api/* (alertas, histórico, cartera y administración) ----
+
+const timestamp = { type: 'string' };
+
+const alertRule = registry.schema('AlertRule', {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        owner: { ...nullable('string'), description: 'API key que creó la regla (null sin key)' },
+        name: { type: 'string' },
+        type: { enum: RULE_TYPES },
+        threshold: { type: 'number' },
+        direction: { enum: DIRECTIONS },
+        symbols: { type: ['array', 'null'], items: { type: 'string' } },
+        interval: { type: 'string' },
+        cooldownMinutes: { type: 'number' },
+        channels: arrayOf({
+            type: 'object',
+            properties: { type: { enum: AlertChannels.types() } },
+            required: ['type'],
+            description: `Configuración del canal; tokens y cabeceras se devuelven como "${AlertChannels.REDACTED}"`
+        }),
+        locale: { enum: I18n.locales() },
+        enabled: { type: 'boolean' },
+        createdAt: timestamp,
+        updatedAt: timestamp
+    },
+    required: ['id', 'name', 'type', 'threshold', 'direction', 'symbols', 'interval', 'cooldownMinutes', 'channels', 'locale', 'enabled', 'createdAt', 'updatedAt']
+});
+
+const alertDelivery = registry.schema('AlertDelivery', {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        owner: nullable('string'),
+        ruleId: { type: 'string' },
+        ruleName: { type: 'string' },
+        type: { enum: RULE_TYPES },
+        symbol: { type: 'string' },
+        price: { type: 'number' },
+        priceChangePercent: { type: 'number' },
+        value: { type: 'number' },
+        message: { type: 'string' },
+        firedAt: timestamp,
+        deliveries: arrayOf({
+            type: 'object',
+            properties: { type: { type: 'string' }, ok: { type: 'boolean' }, error: { type: 'string' } },
+            required: ['type', 'ok']
+        })
+    },
+    required: ['id', 'ruleId', 'ruleName', 'type', 'symbol', 'price', 'priceChangePercent', 'value', 'message', 'firedAt', 'deliveries']
+});
+
+const historyPoint = {
+    price: { type: 'number' },
+    priceChangePercent: { type: 'number' },
+    volume: { type: 'number' },
+    score: { type: 'number' }
+};
+
+const historyRanking = registry.schema('HistoryRanking', object({
+    timestamp,
+    strategy: { type: 'string' },
+    type: { enum: RANKING_TYPES },
+    items: arrayOf(object({ symbol: { type: 'string' }, ...historyPoint }))
+}));
+
+const marketStats = object({
+    totalTokens: { type: 'integer' },
+    positiveTokens: { type: 'integer' },
+    bullishPercentage: nullable('number'),
+    avgChange: nullable('number')
+});
+
+const historySentiment = registry.schema('HistorySentiment', object({
+    timestamp,
+    marketSentiment: { enum: ['BULLISH', 'BEARISH', 'NEUTRAL'] },
+    marketStats
+}));
+
+const historySymbol = registry.schema('HistorySymbol', object({
+    symbol: { type: 'string' },
+    points: arrayOf(object({ timestamp, strategy: { type: 'string' }, ...historyPoint }))
+}));
+
+const historyStatus = registry.schema('HistoryStatus', object({
+    enabled: { type: 'boolean' },
+    snapshotMs: { type: 'integer' },
+    retentionDays: { type: 'integer' },
+    maxRangeDays: { type: 'integer' },
+    days: { type: 'integer' },
+    oldestDay: nullable('string'),
+    newestDay: nullable('string')
+}));
+
+const portfolioSettings = registry.schema('PortfolioSettings', object({
+    autoTrade: { type: 'boolean' },
+    minScore: { type: 'number' },
+    positionSize: { type: 'number' },
+    maxOpenPositions: { type: 'integer' },
+    feePercent: { type: 'number' },
+    strategy: { type: 'string' }
+}));
+
+const portfolioSummary = registry.schema('PortfolioSummary', object({
+    initialBalance: { type: 'number' },
+    cash: { type: 'number' },
+    invested: { type: 'number' },
+    marketValue: { type: 'number' },
+    equity: { type: 'number' },
+    realizedPnl: { type: 'number' },
+    unrealizedPnl: { type: 'number' },
+    totalPnl: { type: 'number' },
+    returnPercent: { type: 'number' },
+    openPositions: { type: 'integer' },
+    closedTrades: { type: 'integer' },
+    winRate: nullable('number'),
+    settings: portfolioSettings,
+    timestamp
+}));
+
+const positionProperties = {
+    id: { type: 'string' },
+    symbol: { type: 'string' },
+    source: { enum: ['manual', 'auto'] },
+    strategy: { type: 'string' },
+    score: { type: 'number' },
+    action: { type: 'string' },
+    quantity: { type: 'number' },
+    cost: { type: 'number' },
+    entryPrice: { type: 'number' },
+    sellTarget: { type: 'number' },
+    stopLoss: { type: 'number' },
+    openedAt: timestamp,
+    expiresAt: nullable('string')
+};
+
+const position = registry.schema('Position', object({
+    ...positionProperties,
+    lastPrice: { type: 'number' },
+    markedAt: timestamp,
+    unrealizedPnl: { type: 'number' },
+    unrealizedPercent: { type: 'number' }
+}));
+
+const trade = registry.schema('Trade', object({
+    ...positionProperties,
+    exitPrice: { type: 'number' },
+    closedAt: timestamp,
+    reason: { enum: ['MANUAL', 'TARGET', 'STOP_LOSS', 'EXPIRED'] },
+    proceeds: { type: 'number' },
+    pnl: { type: 'number' },
+    returnPercent: { type: 'number' }
+}));
+
+const apiKeyProperties = {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    tier: { enum: Object.keys(CONFIG.API_TIERS) },
+    prefix: { type: 'string' },
+    createdAt: timestamp,
+    revokedAt: nullable('string'),
+    lastUsedAt: nullable('string'),
+    usage: object({ total: { type: 'integer' }, daily: { type: 'object', additionalProperties: { type: 'integer' } } }),
+    limits: object({ windowMs: { type: 'integer' }, max: { type: 'integer' }, dailyQuota: nullable('integer') })
+};
+const apiKey = registry.schema('ApiKey', object(apiKeyProperties));
+
+const backtestStats = registry.schema('BacktestStats', object({
+    trades: { type: 'integer' },
+    wins: { type: 'integer' },
+    losses: { type: 'integer' },
+    winRate: { type: 'number' },
+    avgReturn: { type: 'number' },
+    avgWin: { type: 'number' },
+    avgLoss: { type: 'number' },
+    expectancy: { type: 'number' },
+    totalReturn: { type: 'number' },
+    maxDrawdown: { type: 'number' },
+    exits: { type: 'object', additionalProperties: { type: 'integer' } }
+}));
+
+const backtestReport = registry.schema('BacktestReport', {
+    type: 'object',
+    properties: {
+        settings: object({
+            minScore: { type: 'number' },
+            minVolume: { type: 'number' },
+            feePercent: { type: 'number' },
+            strategy: { type: 'string' }
+        }),
+        period: object({ from: nullable('string'), to: nullable('string') }),
+        symbols: { type: 'integer' },
+        summary: backtestStats,
+        tiers: { type: 'object', additionalProperties: backtestStats },
+        trades: arrayOf(object({
+            symbol: { type: 'string' },
+            tier: { type: 'string' },
+            score: { type: 'number' },
+            entryTime: { type: 'number' },
+            entryPrice: { type: 'number' },
+            sellTarget: { type: 'number' },
+            stopLoss: { type: 'number' },
+            expiresAt: { type: 'number' },
+            exitTime: { type: 'number' },
+            exitPrice: { type: 'number' },
+            exitReason: { enum: ['TARGET', 'STOP_LOSS', 'EXPIRED', 'END_OF_DATA'] },
+            returnPercent: { type: 'number' }
+        }))
+    },
+    required: ['settings', 'period', 'symbols', 'summary', 'tiers']
+});
+
+const statusMeta = object({ degraded: { type: 'boolean' }, dataFreshness: freshness });
+
+registry.schema('RankedAssetList', envelope(arrayOf(asset), listMeta));
+registry.schema('ListingList', envelope(arrayOf(listing), listMeta));
+registry.schema('SmartAnalysisResponse', envelope(smartAnalysis, statusMeta));
+registry.schema('SymbolAnalysisResponse', envelope(analysis));
+registry.schema('LiquidityResponse', envelope(liquidity));
+registry.schema('ScanResponse', envelope(scanResult, listMeta));
+registry.schema('CrossExchangeResponse', envelope(crossExchange, object({
+    total: { type: 'integer' },
+    degraded: { type: 'boolean' },
+    dataFreshness: { type: 'object', additionalProperties: freshness }
+})));
+registry.schema('StrategyList', envelope(arrayOf(strategy)));
+registry.schema('StrategyComparisonResponse', envelope(comparison, object({
+    total: { type: 'integer' },
+    degraded: { type: 'boolean' },
+    dataFreshness: freshness
+})));
+registry.schema('MarketBreadthResponse', envelope(marketBreadth, statusMeta));
+registry.schema('FearGreedResponse', envelope(object({
+    exchange: { type: 'string' },
+    quote: arrayOf({ type: 'string' }),
+    ...fearGreedProperties,
+    timestamp: { type: 'string' }
+}), statusMeta));
+registry.schema('MarketCorrelationResponse', envelope(correlation, statusMeta));
+registry.schema('CategoryListResponse', envelope(categoryList, object({
+    total: { type: 'integer' },
+    degraded: { type: 'boolean' },
+    dataFreshness: freshness
+})));
+registry.schema('CategoryDetailResponse', envelope(categoryDetail, statusMeta));
+registry.schema('PositionSizeResponse', envelope(positionSize));
+registry.schema('BacktestResponse', envelope(backtestReport));
+registry.schema('AlertRuleResponse', envelope(alertRule));
+registry.schema('AlertRuleList', envelope(arrayOf(alertRule)));
+registry.schema('AlertHistoryResponse', envelope(arrayOf(alertDelivery)));
+registry.schema('HistoryRankingResponse', envelope({ oneOf: [arrayOf(historyRanking), historyRanking] }));
+registry.schema('HistorySentimentResponse', envelope(arrayOf(historySentiment)));
+registry.schema('HistorySymbolResponse', envelope(historySymbol));
+registry.schema('HistoryStatusResponse', envelope(historyStatus));
+registry.schema('PortfolioSummaryResponse', envelope(portfolioSummary));
+registry.schema('PortfolioSettingsResponse', envelope(portfolioSettings));
+registry.schema('PositionResponse', envelope(position));
+registry.schema('PositionList', envelope(arrayOf(position)));
+registry.schema('TradeResponse', envelope(trade));
+registry.schema('TradeList', envelope(arrayOf(trade)));
+registry.schema('ApiKeyResponse', envelope(apiKey));
+registry.schema('ApiKeyList', envelope(arrayOf(apiKey)));
+registry.schema('IssuedApiKeyResponse', envelope(object({ ...apiKeyProperties, key: { type: 'string', description: 'Solo se devuelve al emitirla' } })));
+registry.schema('Health', envelope(object({ status: { enum: ['OK', 'DEGRADED'] }, timestamp: { type: 'string' } })));
+
+// ---- Normalización de las respuestas de /api/* ----
+
+const num = value => (value === null || value === undefined || value === '' ? null : Number(value));
+
+function toRecommendation(rec) {
+    if (!rec) return null;
+    return { ...rec, buyPrice: num(rec.buyPrice), sellTarget: num(rec.sellTarget), stopLoss: num(rec.stopLoss) };
+}
+
+function toTechnicals(t) {
+    if (!t) return null;
+    const { indicators } = t;
+    return {
+        ...t,
+        rsi: num(t.rsi),
+        volatility: num(t.volatility),
+        volumeSpike: num(t.volumeSpike),
+        support: num(t.support),
+        resistance: num(t.resistance),
+        indicators: {
+            sma20: num(indicators.sma20),
+            ema12: num(indicators.ema12),
+            ema26: num(indicators.ema26),
+            macd: { macd: num(indicators.macd.macd), signal: num(indicators.macd.signal), histogram: num(indicators.macd.histogram) },
+            bollinger: { upper: num(indicators.bollinger.upper), middle: num(indicators.bollinger.middle), lower: num(indicators.bollinger.lower) },
+            atr: num(indicators.atr),
+            vwap: num(indicators.vwap),
+            obv: num(indicators.obv)
+        }
+    };
+}
+
+// explosionScore/score y analysis/breakdown según el endpoint de origen
+function toAsset(item) {
+    return {
+        symbol: item.symbol,
+        price: item.price,
+        priceChangePercent: item.priceChangePercent,
+        volume: item.volume,
+        score: item.explosionScore !== undefined ? item.explosionScore : item.score,
+        ...(item.analysis && { breakdown: item.analysis }),
+        recommendation: toRecommendation(item.recommendation),
+        strategy: item.strategy,
+        ...(item.technicals !== undefined && { technicals: toTechnicals(item.technicals) }),
+        ...(item.manipulation !== undefined && { manipulation: item.manipulation }),
+        ...(item.liquidity !== undefined && { liquidity: item.liquidity }),
+        timestamp: item.timestamp
+    };
+}
+
+// Paginación y frescura: las rutas de /api/* las publican en cabeceras
+function pageMeta(req, res, count) {
+    const header = name => res.get(name);
+    const meta = {
+        total: header('X-Total-Count') !== undefined ? Number(header('X-Total-Count')) : count,
+        count,
+        offset: Number(req.query.offset) || 0
+    };
+
+    if (header('X-Data-Source') !== undefined) {
+        meta.degraded = header('X-Degraded') === 'true';
+        meta.dataFreshness = {
+            source: header('X-Data-Source'),
+            ageSeconds: header('X-Data-Age') !== undefined ? Number(header('X-Data-Age')) : null,
+            degraded: meta.degraded
+        };
+    }
+    if (header('X-Illiquid-Excluded') !== undefined) meta.illiquidExcluded = Number(header('X-Illiquid-Excluded'));
+    return meta;
+}
+
+// Cuerpos con { degraded, dataFreshness } → { data, meta: { degraded, dataFreshness } }
+function withStatusMeta(body) {
+    const { degraded, dataFreshness, ...data } = body;
+    return { data, meta: { degraded, dataFreshness } };
+}
+
+const toSignal = item => ({
+    symbol: item.symbol,
+    price: item.price,
+    priceChangePercent: item.change,
+    volume: item.volume,
+    score: item.score,
+    recommendation: toRecommendation(item.recommendation)
+});
+
+// ---- Parámetros comunes ----
+
+const query = (name, schema, description) => ({ name, in: 'query', required: false, schema, ...(description && { description }) });
+
+const RANKING_PARAMS = [
+    query('limit', { type: 'integer', minimum: 1, maximum: 100 }, 'Elementos por página'),
+    query('offset', { type: 'integer', minimum: 0 }),
+    query('quote', { type: 'string' }, `Activos de cotización separados por comas (${QUOTE_ASSETS.join(', ')})`),
+    query('minPrice', { type: 'number' }),
+    query('maxPrice', { type: 'number' }),
+    query('minVolume', { type: 'number' }, 'Volumen 24h mínimo en moneda de cotización'),
+    query('maxVolume', { type: 'number' }),
+    query('minChange', { type: 'number' }, 'Cambio 24h mínimo (%)'),
+    query('maxChange', { type: 'number' }),
+    query('include', { type: 'string' }, 'Símbolos separados por comas'),
+    query('exclude', { type: 'string' }),
+    query('sort', { type: 'string' }),
+    query('order', { enum: ['asc', 'desc'] })
+];
+const EXCHANGE = query('exchange', { enum: Providers.names() });
+// Con otro formato que json se exporta el cuerpo de /api/* (sin el sobre { data, meta })
+const FORMAT = query('format', { enum: Exporter.FORMATS }, 'json (por defecto), csv, ndjson o excel; también con la cabecera Accept');
+const STRATEGY = query('strategy', { type: 'string' }, 'Perfil de scoring (ver /strategies)');
+const MODE = query('mode', { enum: ['technical'] }, 'Recalcula el score con análisis técnico');
+const LEVELS = query('levels', { enum: ['fixed', 'volatility'] }, 'volatility añade stop y objetivo por ATR a la recomendación (en rankings requiere mode=technical)');
+const LIQUIDITY = [
+    query('liquidity', { enum: ['true', 'false'] }, 'Añade liquidez, recalcula el riesgo y excluye pares ilíquidos (solo binance)'),
+    query('orderSize', { type: 'number', exclusiveMinimum: 0 }, `Tamaño de orden en USDT para el slippage (por defecto ${CONFIG.LIQUIDITY_ORDER_SIZE})`)
+];
+
+// ---- Rutas ----
+
+registry.route({
+    path: '/explosion-candidates',
+    summary: 'Candidatos a explosión ordenados por score',
+    tags: ['Rankings'],
+    parameters: [EXCHANGE, STRATEGY, MODE, LEVELS, FORMAT, ...LIQUIDITY, query('anomalies', { enum: ['true', 'false'] }, 'Detección de manipulación (por defecto activa en binance)'), ...RANKING_PARAMS],
+    response: 'RankedAssetList',
+    errors: [400, 503],
+    transform: (items, req, res) => ({ data: items.map(toAsset), meta: pageMeta(req, res, items.length) })
+});
+
+registry.route({
+    path: '/top-gainers',
+    summary: 'Mayores subidas 24h',
+    tags: ['Rankings'],
+    parameters: [EXCHANGE, STRATEGY, MODE, LEVELS, FORMAT, ...LIQUIDITY, ...RANKING_PARAMS],
+    response: 'RankedAssetList',
+    errors: [400, 503],
+    transform: (items, req, res) => ({ data: items.map(toAsset), meta: pageMeta(req, res, items.length) })
+});
+
+registry.route({
+    path: '/new-listings',
+    summary: 'Nuevos listados de Binance',
+    tags: ['Rankings'],
+    parameters: [STRATEGY, FORMAT, ...RANKING_PARAMS],
+    response: 'ListingList',
+    errors: [400],
+    transform: (items, req, res) => ({
+        data: items.map(item => ({ ...item, recommendation: toRecommendation(item.recommendation) })),
+        meta: pageMeta(req, res, items.length)
+    })
+});
+
+registry.route({
+    path: '/smart-analysis',
+    summary: 'Alertas de explosión, inversiones estables y sentimiento del mercado',
+    tags: ['Rankings'],
+    parameters: [EXCHANGE, STRATEGY, ...RANKING_PARAMS],
+    response: 'SmartAnalysisResponse',
+    errors: [400, 503],
+    transform: body => ({
+        data: {
+            marketSentiment: body.marketSentiment,
+            marketStats: {
+                totalTokens: body.marketStats.totalTokens,
+                positiveTokens: body.marketStats.positiveTokens,
+                bullishPercentage: num(body.marketStats.bullishPercentage),
+                avgChange: num(body.marketStats.avgChange)
+            },
+            explosionAlerts: body.explosionAlerts.map(item => ({ ...toSignal(item), message: item.alert })),
+            safeInvestments: body.safeInvestments.map(item => ({ ...toSignal(item), reason: item.reason })),
+            riskWarnings: body.riskWarnings,
+            strategy: body.strategy,
+            timestamp: body.timestamp
+        },
+        meta: { degraded: body.degraded, dataFreshness: body.dataFreshness }
+    })
+});
+
+registry.route({
+    path: '/analysis/:symbol',
+    summary: 'Análisis técnico y score de un símbolo',
+    tags: ['Análisis'],
+    parameters: [
+        EXCHANGE,
+        STRATEGY,
+        query('interval', { type: 'string' }, 'Intervalo de velas (por defecto 1h)'),
+        query('limit', { type: 'integer', minimum: 15, maximum: 1000 }, 'Velas analizadas'),
+        LEVELS,
+        ...LIQUIDITY
+    ],
+    response: 'SymbolAnalysisResponse',
+    errors: [400, 404, 503],
+    transform: body => ({
+        data: {
+            ...toAsset(body),
+            exchange: body.exchange,
+            ...(body.liquidity !== undefined && { liquidity: body.liquidity })
+        }
+    })
+});
+
+registry.route({
+    path: '/liquidity/:symbol',
+    summary: 'Spread, profundidad, desequilibrio, slippage y riesgo de liquidez',
+    tags: ['Análisis'],
+    parameters: [query('orderSize', { type: 'number', exclusiveMinimum: 0 })],
+    response: 'LiquidityResponse',
+    errors: [400, 404, 503],
+    transform: body => ({ data: body })
+});
+
+registry.route({
+    path: '/scan',
+    summary: 'Escáner técnico multi-intervalo',
+    description: 'Ejemplo: q=RSI(1h) < 30 and trend(4h) BULLISH and volumeSpike > 3',
+    tags: ['Análisis'],
+    parameters: [{ ...query('q', { type: 'string' }, 'Consulta del escáner'), required: true }, STRATEGY, FORMAT, ...RANKING_PARAMS],
+    response: 'ScanResponse',
+    errors: [400, 503],
+    transform: (body, req, res) => ({
+        data: {
+            query: body.query,
+            intervals: body.intervals,
+            strategy: body.strategy,
+            universe: body.universe,
+            scanned: body.scanned,
+            truncated: body.truncated,
+            results: body.results.map(item => ({
+                ...item,
+                price: num(item.price),
+                priceChangePercent: num(item.priceChangePercent),
+                volume: num(item.volume),
+                recommendation: toRecommendation(item.recommendation),
+                technicals: Object.fromEntries(Object.entries(item.technicals).map(([interval, t]) => [interval, toTechnicals(t)]))
+            }))
+        },
+        meta: { ...pageMeta(req, res, body.results.length), degraded: body.degraded, dataFreshness: body.dataFreshness }
+    })
+});
+
+registry.route({
+    path: '/cross-exchange',
+    summary: 'Vista agregada del mismo activo en varios exchanges',
+    tags: ['Rankings'],
+    parameters: [query('exchanges', { type: 'string' }, 'Exchanges separados por comas'), STRATEGY, FORMAT, ...RANKING_PARAMS],
+    response: 'CrossExchangeResponse',
+    errors: [400, 503],
+    transform: body => ({
+        data: {
+            exchanges: body.exchanges,
+            strategy: body.strategy,
+            assets: body.assets.map(item => ({ ...item, recommendation: toRecommendation(item.recommendation) }))
+        },
+        meta: { total: body.total, degraded: body.degraded, dataFreshness: body.dataFreshness }
+    })
+});
+
+registry.route({
+    path: '/strategies',
+    summary: 'Perfiles de scoring disponibles',
+    tags: ['Estrategias'],
+    response: 'StrategyList',
+    transform: body => ({ data: body })
+});
+
+registry.route({
+    path: '/strategies/compare',
+    summary: 'Compara el mismo universo puntuado con varias estrategias',
+    tags: ['Estrategias'],
+    parameters: [query('strategies', { type: 'string' }, 'Al menos 2 estrategias separadas por comas'), EXCHANGE, FORMAT, ...RANKING_PARAMS],
+    response: 'StrategyComparisonResponse',
+    errors: [400, 503],
+    transform: body => {
+        const { total, degraded, dataFreshness, ...data } = body;
+        return { data, meta: { total, degraded, dataFreshness } };
+    }
+});
+
+registry.route({
+    method: 'post',
+    path: '/position-size',
+    summary: 'Stop por ATR, objetivo por ratio beneficio/riesgo, tamaño de posición y pérdida esperada',
+    tags: ['Análisis'],
+    requestBody: object({
+        equity: { type: 'number', exclusiveMinimum: 0, description: 'Capital de la cuenta en la moneda de cotización' },
+        riskPercent: { type: 'number', exclusiveMinimum: 0, maximum: CONFIG.RISK_MAX_PERCENT, description: `% del capital arriesgado (por defecto ${CONFIG.RISK_DEFAULT_PERCENT})` },
+        symbol: { type: 'string' },
+        exchange: { enum: Providers.names() },
+        interval: { type: 'string', description: `Velas del ATR (por defecto ${CONFIG.RISK_ATR_INTERVAL})` },
+        entryPrice: { type: 'number', exclusiveMinimum: 0, description: 'Por defecto el último precio' },
+        atrMultiplier: { type: 'number', exclusiveMinimum: 0, description: `Por defecto ${CONFIG.RISK_ATR_MULTIPLIER}` },
+        rewardRisk: { type: 'number', exclusiveMinimum: 0, description: `Por defecto ${CONFIG.RISK_REWARD_RATIO}` }
+    }, ['equity', 'symbol']),
+    response: 'PositionSizeResponse',
+    errors: [400, 404, 503],
+    transform: body => ({ data: body })
+});
+
+registry.route({
+    method: 'post',
+    path: '/backtest',
+    summary: 'Backtest del scoring sobre un dataset histórico',
+    tags: ['Estrategias'],
+    requestBody: {
+        type: 'object',
+        properties: {
+            dataset: { type: 'object' },
+            file: { type: 'string' },
+            strategy: { type: 'string' },
+            minScore: { type: 'number' },
+            feePercent: { type: 'number' },
+            minVolume: { type: 'number' },
+            includeTrades: { type: 'boolean' }
+        }
+    },
+    response: 'BacktestResponse',
+    errors: [400, 404],
+    transform: body => ({ data: body })
+});
+
+const MARKET_PARAMS = RANKING_PARAMS.filter(param => !['limit', 'offset', 'sort', 'order'].includes(param.name));
+const CATEGORY_SORT = [query('sort', { enum: ['change', 'volume'] }, 'change = cambio ponderado por volumen'), query('order', { enum: ['asc', 'desc'] })];
+
+registry.route({
+    path: '/market/breadth',
+    summary: 'Amplitud del mercado: avances/retrocesos, cambio ponderado, dominancia de BTC y volatilidad',
+    description: `Universo: moneda de cotización por defecto, sin stablecoins y con volumen > ${CONFIG.MARKET_MIN_VOLUME}`,
+    tags: ['Mercado'],
+    parameters: [EXCHANGE, ...MARKET_PARAMS],
+    response: 'MarketBreadthResponse',
+    errors: [400, 503],
+    transform: withStatusMeta
+});
+
+registry.route({
+    path: '/market/fear-greed',
+    summary: 'Índice compuesto de miedo/codicia (0-100)',
+    tags: ['Mercado'],
+    parameters: [EXCHANGE, ...MARKET_PARAMS],
+    response: 'FearGreedResponse',
+    errors: [400, 503],
+    transform: withStatusMeta
+});
+
+registry.route({
+    path: '/market/correlation',
+    summary: 'Correlación de los mayores ganadores con BTC y ETH',
+    tags: ['Mercado'],
+    parameters: [
+        query('limit', { type: 'integer', minimum: 1, maximum: CONFIG.MARKET_CORRELATION_MAX }, `Ganadores analizados (por defecto ${CONFIG.MARKET_CORRELATION_TOP})`),
+        query('interval', { enum: CONFIG.SCAN_INTERVALS }, `Intervalo de velas (por defecto ${CONFIG.MARKET_CORRELATION_INTERVAL})`),
+        ...MARKET_PARAMS
+    ],
+    response: 'MarketCorrelationResponse',
+    errors: [400, 503],
+    transform: withStatusMeta
+});
+
+registry.route({
+    path: '/market/categories',
+    summary: 'Rendimiento por categoría (L1, DeFi, meme, IA...)',
+    tags: ['Mercado'],
+    parameters: [EXCHANGE, ...CATEGORY_SORT, ...MARKET_PARAMS],
+    response: 'CategoryListResponse',
+    errors: [400, 503],
+    transform: body => {
+        const { total, degraded, dataFreshness, ...data } = body;
+        return { data, meta: { total, degraded, dataFreshness } };
+    }
+});
+
+registry.route({
+    path: '/market/categories/:category',
+    summary: 'Rendimiento y pares de una categoría',
+    tags: ['Mercado'],
+    parameters: [EXCHANGE, ...CATEGORY_SORT, ...MARKET_PARAMS],
+    response: 'CategoryDetailResponse',
+    errors: [400, 404, 503],
+    transform: withStatusMeta
+});
+
+registry.route({
+    path: '/health',
+    summary: 'Estado del servicio, de los exchanges y de los procesos en segundo plano',
+    tags: ['Sistema'],
+    response: 'Health',
+    transform: body => ({ data: body })
+});
+
+// Routers de /api/* (alertas, histórico, cartera y administración): mismo sobre { data, meta? }
+// [método, ruta, resumen, etiqueta, esquema de respuesta, status]
+const RESOURCE_ROUTES = [
+    ['get', '/alerts/rules', 'Reglas de alerta', 'Alertas', 'AlertRuleList'],
+    ['post', '/alerts/rules', 'Crea una regla de alerta', 'Alertas', 'AlertRuleResponse', 201],
+    ['get', '/alerts/rules/:id', 'Regla de alerta', 'Alertas', 'AlertRuleResponse'],
+    ['put', '/alerts/rules/:id', 'Reemplaza una regla de alerta', 'Alertas', 'AlertRuleResponse'],
+    ['delete', '/alerts/rules/:id', 'Elimina una regla de alerta', 'Alertas', null, 204],
+    ['get', '/alerts/history', 'Historial de alertas entregadas', 'Alertas', 'AlertHistoryResponse'],
+    ['get', '/history/rankings', 'Rankings históricos (uno solo con ?at=)', 'Histórico', 'HistoryRankingResponse'],
+    ['get', '/history/sentiment', 'Sentimiento histórico del mercado', 'Histórico', 'HistorySentimentResponse'],
+    ['get', '/history/symbols/:symbol', 'Score y precio históricos de un símbolo', 'Histórico', 'HistorySymbolResponse'],
+    ['get', '/history/status', 'Estado del almacenamiento histórico', 'Histórico', 'HistoryStatusResponse'],
+    ['get', '/portfolio', 'Resumen de la cartera simulada', 'Paper trading', 'PortfolioSummaryResponse'],
+    ['get', '/portfolio/positions', 'Posiciones abiertas', 'Paper trading', 'PositionList'],
+    ['post', '/portfolio/positions', 'Abre una posición', 'Paper trading', 'PositionResponse', 201],
+    ['get', '/portfolio/positions/:id', 'Posición abierta', 'Paper trading', 'PositionResponse'],
+    ['post', '/portfolio/positions/:id/close', 'Cierra una posición', 'Paper trading', 'TradeResponse'],
+    ['get', '/portfolio/trades', 'Operaciones cerradas', 'Paper trading', 'TradeList'],
+    ['get', '/portfolio/settings', 'Ajustes de la cartera', 'Paper trading', 'PortfolioSettingsResponse'],
+    ['put', '/portfolio/settings', 'Actualiza los ajustes de la cartera', 'Paper trading', 'PortfolioSettingsResponse'],
+    ['post', '/portfolio/reset', 'Reinicia la cartera', 'Paper trading', 'PortfolioSummaryResponse'],
+    ['get', '/admin/keys', 'API keys emitidas', 'Administración', 'ApiKeyList'],
+    ['post', '/admin/keys', 'Emite una API key', 'Administración', 'IssuedApiKeyResponse', 201],
+    ['get', '/admin/keys/:id', 'API key', 'Administración', 'ApiKeyResponse'],
+    ['delete', '/admin/keys/:id', 'Revoca una API key', 'Administración', 'ApiKeyResponse']
+];
+
+const EXPORTABLE_ROUTES = ['/history/rankings', '/history/sentiment', '/history/symbols/:symbol'];
+
+// El histórico guarda las estadísticas de mercado como strings de toFixed (igual que /smart-analysis)
+const RESOURCE_TRANSFORMS = {
+    '/history/sentiment': body => body.map(point => ({
+        ...point,
+        marketStats: { ...point.marketStats, bullishPercentage: num(point.marketStats.bullishPercentage), avgChange: num(point.marketStats.avgChange) }
+    }))
+};
+
+for (const [method, path, summary, tag, response, status = 200] of RESOURCE_ROUTES) {
+    const transform = (method === 'get' && RESOURCE_TRANSFORMS[path]) || (body => body);
+    registry.route({
+        method,
+        path,
+        summary,
+        tags: [tag],
+        status,
+        ...(EXPORTABLE_ROUTES.includes(path) && { parameters: [FORMAT] }),
+        ...(['post', 'put'].includes(method) && path !== '/portfolio/reset' && !path.endsWith('/close') && { requestBody: { type: 'object' } }),
+        response,
+        errors: method === 'get' && !path.includes(':') ? [400] : [400, 404, 409],
+        transform: (body, req, res) => ({
+            data: transform(body),
+            ...(res.get('X-Total-Count') !== undefined && Array.isArray(body) && { meta: pageMeta(req, res, body.length) })
+        })
+    });
+}
+
+// Router de /api/v1: cada ruta declarada envuelve res.json y delega en el handler de /api/*
+function createRouter(legacyRouter) {
+    const router = express.Router();
+
+    router.get('/openapi.json', (req, res) => res.json(registry.document()));
+    for (const route of registry.routes) {
+        router[route.method](route.path, registry.responder(route));
+    }
+    router.use(legacyRouter);
+
+    return router;
+}
+
+module.exports = {
+    registry,
+    createRouter
+};
@@ -0,0 +1,176 @@
+const cors = require('cors');
+const { rateLimit, MemoryStore } = require('express-rate-limit');
+const CONFIG = require('./config');
+const apiKeys = require('./apiKeys');
+const { ApiKeyStore } = require('./apiKeys');
+
+// Rutas bajo /api que no requieren key (health checks)
+const PUBLIC_PATHS = ['/health', '/v1/health', '/v1/openapi.json'];
+const EXPOSED_HEADERS = ['X-Total-Count', 'Retry-After', 'RateLimit', 'RateLimit-Policy', 'X-Data-Source', 'X-Data-Age', 'X-Degraded', 'X-Illiquid-Excluded', 'X-Request-Id'];
+
+// 🛡️ AUTENTICACIÓN, CUOTAS Y CORS DE /api/* Y DEL WEBSOCKET /ws
+// La key se acepta en X-API-Key, en Authorization: Bearer o en ?apiKey= (EventSource y WebSocket
+// del navegador no admiten cabeceras). ADMIN_API_KEY actúa como key de tier admin sin contadores de uso.
+// Con AUTH_ENABLED=false la key es opcional: sin ella se aplica el tier "anonymous" por IP.
+function extractKey(headers, query) {
+    if (headers['x-api-key']) return String(headers['x-api-key']).trim();
+
+    const authorization = headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) return authorization.slice(7).trim();
+
+    return typeof query.apiKey === 'string' ? query.apiKey : null;
+}
+
+function secondsUntilNextUtcDay() {
+    const now = new Date();
+    const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((next - now.getTime()) / 1000);
+}
+
+// Errores como { status, body, retryAfter? }: HTTP los responde tal cual y /ws como trama o rechazo del upgrade
+function quotaError(record) {
+    const { dailyQuota } = CONFIG.API_TIERS[record.tier];
+    if (dailyQuota === null || ApiKeyStore.usedToday(record) < dailyQuota) return null;
+
+    const retryAfter = secondsUntilNextUtcDay();
+    return {
+        status: 429,
+        retryAfter,
+        body: { error: 'Cuota diaria agotada', tier: record.tier, dailyQuota, retryAfter }
+    };
+}
+
+// { apiKey } (undefined si es anónimo y AUTH_ENABLED=false) o { error }
+function identify(key) {
+    if (ApiKeyStore.isMasterKey(key)) return { apiKey: { id: 'master', name: 'ADMIN_API_KEY', tier: 'admin' } };
+
+    const record = key ? apiKeys.find(key) : null;
+    if (!record) {
+        if (!CONFIG.AUTH_ENABLED) return { apiKey: undefined };
+        return { error: { status: 401, body: { error: key ? 'API key inválida o revocada' : 'API key requerida (cabecera X-API-Key)' } } };
+    }
+
+    const error = quotaError(record);
+    return error ? { error } : { apiKey: record };
+}
+
+function sendError(res, { status, body, retryAfter }) {
+    if (retryAfter !== undefined) res.set('Retry-After', String(retryAfter));
+    return res.status(status).json(body);
+}
+
+function authenticate(req, res, next) {
+    if (PUBLIC_PATHS.includes(req.path)) return next();
+
+    const { apiKey, error } = identify(extractKey(req.headers, req.query));
+    if (error) return sendError(res, error);
+
+    req.apiKey = apiKey;
+    next();
+}
+
+const rateLimitKey = (apiKey, ip) => (apiKey ? `key:${apiKey.id}` : `ip:${ip}`);
+
+// Un limitador de express-rate-limit por tier; el contador es por key (o por IP si es anónimo).
+// Los stores se comparten con /ws para que HTTP y WebSocket gasten el mismo límite.
+const stores = Object.fromEntries(Object.keys(CONFIG.API_TIERS).map(tier => [tier, new MemoryStore()]));
+const limiters = Object.fromEntries(Object.entries(CONFIG.API_TIERS).map(([tier, limits]) => [tier, rateLimit({
+    windowMs: limits.windowMs,
+    limit: limits.max,
+    store: stores[tier],
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    keyGenerator: req => rateLimitKey(req.apiKey, req.ip),
+    skip: req => PUBLIC_PATHS.includes(req.path),
+    handler: (req, res) => {
+        res.status(429).json({
+            error: 'Límite de peticiones excedido',
+            tier,
+            limit: limits.max,
+            windowMs: limits.windowMs,
+            retryAfter: parseInt(res.get('Retry-After'), 10) || null
+        });
+    }
+})]));
+
+// Solo cuentan en el uso de la key las peticiones que pasan el límite
+function tieredRateLimit(req, res, next) {
+    const tier = req.apiKey ? req.apiKey.tier : 'anonymous';
+    return limiters[tier](req, res, () => {
+        if (req.apiKey && req.apiKey.usage) apiKeys.recordUsage(req.apiKey);
+        next();
+    });
+}
+
+// IP del cliente de un upgrade con el mismo criterio que `trust proxy` de Express (saltos de proxy)
+function clientIp(req) {
+    const forwarded = String(req.headers['x-forwarded-for'] || '').split(',').map(ip => ip.trim()).filter(Boolean);
+    const chain = [req.socket.remoteAddress, ...forwarded.reverse()];
+    return chain[Math.min(CONFIG.TRUST_PROXY, chain.length - 1)];
+}
+
+// Cuenta una petición de /ws (la conexión o un mensaje del cliente) en el límite del tier y la cuota diaria
+async function consume(apiKey, ip) {
+    const tier = apiKey ? apiKey.tier : 'anonymous';
+    const limits = CONFIG.API_TIERS[tier];
+
+    const { totalHits, resetTime } = await stores[tier].increment(rateLimitKey(apiKey, ip));
+    if (totalHits > limits.max) {
+        const retryAfter = resetTime ? Math.max(0, Math.ceil((resetTime.getTime() - Date.now()) / 1000)) : null;
+        return {
+            status: 429,
+            ...(retryAfter !== null && { retryAfter }),
+            body: { error: 'Límite de peticiones excedido', tier, limit: limits.max, windowMs: limits.windowMs, retryAfter }
+        };
+    }
+
+    if (apiKey && apiKey.usage) {
+        const error = quotaError(apiKey);
+        if (error) return error;
+        apiKeys.recordUsage(apiKey);
+    }
+    return null;
+}
+
+// Upgrade de /ws: { apiKey } o { error } con la misma key, límite y cuota que /api/*
+async function authenticateUpgrade(req) {
+    const query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+    const { apiKey, error } = identify(extractKey(req.headers, query));
+    if (error) return { error };
+
+    const limited = await consume(apiKey, clientIp(req));
+    return limited ? { error: limited } : { apiKey };
+}
+
+// Rutas que modifican recursos propios de la key (cartera simulada, canales del servidor)
+function requireKey(req, res, next) {
+    if (!req.apiKey) return res.status(401).json({ error: 'API key requerida (cabecera X-API-Key)' });
+    next();
+}
+
+function requireAdmin(req, res, next) {
+    if (!req.apiKey) return res.status(401).json({ error: 'API key requerida (cabecera X-API-Key)' });
+    if (req.apiKey.tier !== 'admin') return res.status(403).json({ error: 'Se requiere una API key de administrador' });
+    next();
+}
+
+// Sin CORS_ORIGINS se mantiene el comportamiento abierto; con lista, los demás orígenes no reciben cabeceras CORS
+function corsMiddleware() {
+    return cors({
+        origin: CONFIG.CORS_ORIGINS.length === 0
+            ? '*'
+            : (origin, callback) => callback(null, !origin || CONFIG.CORS_ORIGINS.includes(origin)),
+        exposedHeaders: EXPOSED_HEADERS
+    });
+}
+
+module.exports = {
+    authenticate,
+    rateLimit: tieredRateLimit,
+    requireKey,
+    requireAdmin,
+    authenticateUpgrade,
+    consume,
+    clientIp,
+    cors: corsMiddleware
+};
@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('./config');
+const ExplosionDetector = require('./explosionDetector');
+const Strategies = require('./strategies');
+const { getHistoricalData, INTERVAL_MS } = require('./binance');
+
+const BACKTEST_DIR = path.join(CONFIG.DATA_DIR, 'backtests');
+const DAY_MS = 86400000;
+
+const DEFAULT_OPTIONS = {
+    minScore: 40, // Score mínimo para abrir posición (todo lo que no sea AVOID)
+    minVolume: CONFIG.EXPLOSION_MIN_VOLUME, // Mismo filtro de volumen que getBinanceData
+    feePercent: 0.1, // Comisión por lado (spot Binance)
+    strategy: CONFIG.DEFAULT_STRATEGY, // Perfil de scoring (ver src/strategies)
+    includeTrades: false
+};
+
+// 🧪 MOTOR DE BACKTESTING
+// Reproduce ExplosionDetector sobre datos grabados (klines o snapshots de ticker) sin acceso a red.
+//
+// Formatos de dataset admitidos:
+//   { type: 'klines', interval: '1h', symbols: { BTCUSDT: [ { timestamp, open, high, low, close, volume, quoteVolume } ] } }
+//   { type: 'tickers', snapshots: [ { timestamp, tickers: [ ...respuesta de /api/v3/ticker/24hr ] } ] }
+class Backtester {
+    static run(dataset, options = {}) {
+        const settings = { ...DEFAULT_OPTIONS, ...options };
+        if (!Strategies.get(settings.strategy)) {
+            throw new Error(`Estrategia no soportada: ${settings.strategy}. Valores permitidos: ${Strategies.names().join(', ')}`);
+        }
+        const series = this.buildSeries(dataset);
+        const trades = [];
+
+        for (const [symbol, steps] of Object.entries(series)) {
+            trades.push(...this.simulateSymbol(symbol, steps, settings));
+        }
+
+        trades.sort((a, b) => a.exitTime - b.exitTime);
+        return this.buildReport(trades, series, settings);
+    }
+
+    // Convierte el dataset en pasos por símbolo: { timestamp, high, low, close, ticker }
+    static buildSeries(dataset) {
+        if (!dataset || typeof dataset !== 'object') {
+            throw new Error('Dataset inválido');
+        }
+        if (dataset.type === 'klines') return this.buildSeriesFromKlines(dataset);
+        if (dataset.type === 'tickers') return this.buildSeriesFromSnapshots(dataset);
+        throw new Error(`Tipo de dataset no soportado: ${dataset.type}`);
+    }
+
+    static buildSeriesFromKlines(dataset) {
+        const intervalMs = INTERVAL_MS[dataset.interval];
+        if (!intervalMs) throw new Error(`Intervalo inválido: ${dataset.interval}`);
+
+        // Ventana de velas equivalente a las 24h del ticker de Binance
+        const windowSize = Math.max(1, Math.round(DAY_MS / intervalMs));
+        const series = {};
+
+        for (const [symbol, candles] of Object.entries(dataset.symbols || {})) {
+            series[symbol] = candles.map((candle, i) => {
+                const step = {
+                    timestamp: candle.closeTime || candle.timestamp + intervalMs,
+                    high: candle.high,
+                    low: candle.low,
+                    close: candle.close,
+                    ticker: null
+                };
+
+                if (i >= windowSize - 1) {
+                    const window = candles.slice(i - windowSize + 1, i + 1);
+                    const openPrice = window[0].open;
+                    const quoteVolume = window.reduce((sum, c) => sum + (c.quoteVolume || c.close * c.volume), 0);
+
+                    step.ticker = {
+                        symbol,
+                        lastPrice: String(candle.close),
+                        highPrice: String(Math.max(...window.map(c => c.high))),
+                        lowPrice: String(Math.min(...window.map(c => c.low))),
+                        priceChangePercent: String(((candle.close - openPrice) / openPrice) * 100),
+                        quoteVolume: String(quoteVolume),
+                        count: window.reduce((sum, c) => sum + (c.trades || 0), 0)
+                    };
+                }
+
+                return step;
+            });
+        }
+
+        return series;
+    }
+
+    static buildSeriesFromSnapshots(dataset) {
+        const series = {};
+        const snapshots = [...(dataset.snapshots || [])].sort((a, b) => a.timestamp - b.timestamp);
+
+        for (const snapshot of snapshots) {
+            for (const ticker of snapshot.tickers) {
+                const price = parseFloat(ticker.lastPrice);
+                if (!series[ticker.symbol]) series[ticker.symbol] = [];
+                series[ticker.symbol].push({
+                    timestamp: snapshot.timestamp,
+                    high: price,
+                    low: price,
+                    close: price,
+                    ticker
+                });
+            }
+        }
+
+        return series;
+    }
+
+    // Una sola posición abierta por símbolo; si stop y objetivo caen en la misma vela se asume el stop
+    static simulateSymbol(symbol, steps, settings) {
+        const trades = [];
+        let position = null;
+
+        for (const step of steps) {
+            if (position) {
+                let exit = null;
+                if (step.low <= position.stopLoss) exit = { price: position.stopLoss, reason: 'STOP_LOSS' };
+                else if (step.high >= position.sellTarget) exit = { price: position.sellTarget, reason: 'TARGET' };
+                else if (step.timestamp >= position.expiresAt) exit = { price: step.close, reason: 'EXPIRED' };
+
+                if (exit) {
+                    trades.push(this.closePosition(position, exit, step.timestamp, settings));
+                    position = null;
+                }
+                continue;
+            }
+
+            if (!step.ticker || parseFloat(step.ticker.quoteVolume) < settings.minVolume) continue;
+
+            const analysis = ExplosionDetector.calculateExplosionScore(step.ticker, null, Strategies.get(settings.strategy));
+            const recommendation = analysis.recommendation;
+            if (recommendation.buyPrice === null || analysis.totalScore < settings.minScore) continue;
+
+            position = {
+                symbol,
+                tier: recommendation.action,
+                score: analysis.totalScore,
+                entryTime: step.timestamp,
+                entryPrice: recommendation.buyPrice,
+                sellTarget: parseFloat(recommendation.sellTarget),
+                stopLoss: parseFloat(recommendation.stopLoss),
+                expiresAt: step.timestamp + recommendation.maxHoldHours * 3600000
+            };
+        }
+
+        if (position && steps.length > 0) {
+            const last = steps[steps.length - 1];
+            trades.push(this.closePosition(position, { price: last.close, reason: 'END_OF_DATA' }, last.timestamp, settings));
+        }
+
+        return trades;
+    }
+
+    static closePosition(position, exit, exitTime, settings) {
+        const grossReturn = ((exit.price - position.entryPrice) / position.entryPrice) * 100;
+
+        return {
+            ...position,
+            exitTime,
+            exitPrice: exit.price,
+            exitReason: exit.reason,
+            returnPercent: grossReturn - settings.feePercent * 2
+        };
+    }
+
+    static calculateStats(trades) {
+        const round = value => Math.round(value * 100) / 100;
+        const returns = trades.map(trade => trade.returnPercent);
+        const wins = returns.filter(r => r > 0);
+        const losses = returns.filter(r => r <= 0);
+        const avg = values => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0);
+
+        const winRate = trades.length ? wins.length / trades.length : 0;
+        const avgWin = avg(wins);
+        const avgLoss = Math.abs(avg(losses));
+
+        // Drawdown máximo sobre la curva de capital compuesta, operando en orden de salida
+        let equity = 100;
+        let peak = 100;
+        let maxDrawdown = 0;
+        for (const r of returns) {
+            equity *= 1 + r / 100;
+            peak = Math.max(peak, equity);
+            maxDrawdown = Math.max(maxDrawdown, ((peak - equity) / peak) * 100);
+        }
+
+        const exits = trades.reduce((acc, trade) => {
+            acc[trade.exitReason] = (acc[trade.exitReason] || 0) + 1;
+            return acc;
+        }, {});
+
+        return {
+            trades: trades.length,
+            wins: wins.length,
+            losses: losses.length,
+            winRate: round(winRate * 100),
+            avgReturn: round(avg(returns)),
+            avgWin: round(avgWin),
+            avgLoss: round(avgLoss),
+            expectancy: round(winRate * avgWin - (1 - winRate) * avgLoss),
+            totalReturn: round(equity - 100),
+            maxDrawdown: round(maxDrawdown),
+            exits
+        };
+    }
+
+    static buildReport(trades, series, settings) {
+        const tiers = {};
+        for (const trade of trades) {
+            if (!tiers[trade.tier]) tiers[trade.tier] = [];
+            tiers[trade.tier].push(trade);
+        }
+
+        let from = Infinity;
+        let to = -Infinity;
+        for (const steps of Object.values(series)) {
+            if (steps.length === 0) continue;
+            from = Math.min(from, steps[0].timestamp);
+            to = Math.max(to, steps[steps.length - 1].timestamp);
+        }
+
+        return {
+            settings: {
+                minScore: settings.minScore,
+                minVolume: settings.minVolume,
+                feePercent: settings.feePercent,
+                strategy: settings.strategy
+            },
+            period: {
+                from: Number.isFinite(from) ? new Date(from).toISOString() : null,
+                to: Number.isFinite(to) ? new Date(to).toISOString() : null
+            },
+            symbols: Object.keys(series).length,
+            summary: this.calculateStats(trades),
+            tiers: Object.fromEntries(
+                Object.entries(tiers).map(([tier, tierTrades]) => [tier, this.calculateStats(tierTrades)])
+            ),
+            ...(settings.includeTrades && { trades })
+        };
+    }
+
+    // 📼 Graba klines de Binance para ejecutar backtests offline después
+    static async recordKlines(symbols, interval = '1h', candles = 1000) {
+        const intervalMs = INTERVAL_MS[interval];
+        if (!intervalMs) throw new Error(`Intervalo inválido: ${interval}`);
+
+        const dataset = { type: 'klines', interval, recordedAt: new Date().toISOString(), symbols: {} };
+
+        for (const symbol of symbols) {
+            let collected = [];
+            let endTime = Date.now();
+
+            // Binance devuelve máximo 1000 velas por petición: paginamos hacia atrás
+            while (collected.length < candles) {
+                const limit = Math.min(1000, candles - collected.length);
+                const batch = await getHistoricalData(symbol, interval, limit, { endTime });
+                if (batch.length === 0) break;
+
+                collected = batch.concat(collected);
+                endTime = batch[0].timestamp - 1;
+                if (batch.length < limit) break;
+            }
+
+            dataset.symbols[symbol] = collected;
+        }
+
+        return dataset;
+    }
+
+    static resolveDatasetPath(name) {
+        // Solo se permiten ficheros dentro del directorio de backtests
+        const fileName = path.basename(name);
+        return path.join(BACKTEST_DIR, fileName.endsWith('.json') ? fileName : `${fileName}.json`);
+    }
+
+    static loadDataset(name) {
+        const filePath = this.resolveDatasetPath(name);
+        if (!fs.existsSync(filePath)) return null;
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    static saveDataset(name, dataset) {
+        const filePath = this.resolveDatasetPath(name);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(dataset));
+        return filePath;
+    }
+}
+
+module.exports = Backtester;
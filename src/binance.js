@@ -0,0 +1,226 @@
+const CONFIG = require('./config');
+const logger = require('./logger').child({ component: 'binance' });
+const marketStream = require('./marketStream');
+const { ResilientClient } = require('./httpClient');
+
+// Universo base: pares de la cotización indicada con volumen y precio dentro de los límites configurados
+function filterUniverse(tickers, quoteAsset = 'USDT') {
+    return tickers.filter(token => 
+        (token.quoteAsset ? token.quoteAsset === quoteAsset : token.symbol.endsWith(quoteAsset)) && 
+        parseFloat(token.quoteVolume) > CONFIG.EXPLOSION_MIN_VOLUME &&
+        parseFloat(token.lastPrice) > CONFIG.MIN_PRICE &&
+        parseFloat(token.lastPrice) < CONFIG.MAX_PRICE
+    );
+}
+
+// 🛡️ Cliente compartido para toda la API REST de Binance (reintentos, circuito y peso por minuto)
+const binanceClient = new ResilientClient({
+    name: 'binance',
+    baseUrl: CONFIG.BINANCE_BASE_URL,
+    headers: {
+        'X-MBX-APIKEY': CONFIG.BINANCE_API_KEY,
+        'User-Agent': 'Mozilla/5.0 (compatible; BoostIQ/1.0)'
+    },
+    weightHeader: 'x-mbx-used-weight-1m',
+    weightLimit: CONFIG.BINANCE_WEIGHT_LIMIT
+});
+
+// Peso de cada endpoint de /api/v3 según la documentación de Binance
+const WEIGHTS = {
+    allTickers: 80,
+    ticker: 2,
+    klines: 2,
+    exchangeInfo: 20,
+    trades: 25
+};
+
+// El peso de /api/v3/depth depende de la profundidad pedida
+function depthWeight(limit) {
+    if (limit <= 100) return 5;
+    if (limit <= 500) return 25;
+    if (limit <= 1000) return 50;
+    return 250;
+}
+
+// Último dataset de tickers válido: se sigue sirviendo (marcado como degradado) si Binance falla
+const lastGood = { tickers: null, fetchedAt: null };
+let tickersState = { source: 'none', degraded: true, reason: null };
+let tickersRequest = null;
+
+// 🌐 OBTENER DATOS DE BINANCE CON API KEY
+async function getBinanceData() {
+    return filterUniverse(await getAllTickers());
+}
+
+// Ticker 24h de todos los símbolos, sin filtrar
+async function getAllTickers() {
+    // 📡 Si el stream en vivo está al día no hace falta llamar a REST
+    if (marketStream.isLive()) {
+        tickersState = { source: 'stream', degraded: false, reason: null };
+        return marketStream.getTickers();
+    }
+
+    // Una sola petición en vuelo aunque lleguen varias a la vez (pesa 80)
+    if (!tickersRequest) {
+        tickersRequest = fetchAllTickers().finally(() => {
+            tickersRequest = null;
+        });
+    }
+    return tickersRequest;
+}
+
+async function fetchAllTickers() {
+    try {
+        const tickers = await binanceClient.get('/api/v3/ticker/24hr', { weight: WEIGHTS.allTickers });
+
+        marketStream.seed(tickers);
+        lastGood.tickers = tickers;
+        lastGood.fetchedAt = Date.now();
+        tickersState = { source: 'rest', degraded: false, reason: null };
+        return tickers;
+    } catch (error) {
+        logger.error('Error obteniendo tickers de Binance', error);
+
+        if (lastGood.tickers && Date.now() - lastGood.fetchedAt <= CONFIG.TICKERS_MAX_STALE_MS) {
+            tickersState = { source: 'stale', degraded: true, reason: error.message };
+            return lastGood.tickers;
+        }
+        tickersState = { source: 'none', degraded: true, reason: error.message };
+        return [];
+    }
+}
+
+// 🩺 Frescura del último dataset de tickers devuelto por getAllTickers
+// source: stream | rest | stale (último dataset válido) | none (sin datos)
+function getTickersFreshness() {
+    const fetchedAt = tickersState.source === 'stream' ? marketStream.lastMessageAt : lastGood.fetchedAt;
+    return {
+        source: tickersState.source,
+        fetchedAt: fetchedAt ? new Date(fetchedAt).toISOString() : null,
+        ageSeconds: fetchedAt ? Math.round((Date.now() - fetchedAt) / 1000) : null,
+        degraded: tickersState.degraded,
+        ...(tickersState.reason && { reason: tickersState.reason })
+    };
+}
+
+// 📋 INFORMACIÓN DE SÍMBOLOS DEL EXCHANGE (status, assets)
+async function getExchangeInfo() {
+    try {
+        const data = await binanceClient.get('/api/v3/exchangeInfo', { weight: WEIGHTS.exchangeInfo });
+
+        return data.symbols.map(info => ({
+            symbol: info.symbol,
+            status: info.status,
+            baseAsset: info.baseAsset,
+            quoteAsset: info.quoteAsset
+        }));
+    } catch (error) {
+        logger.error('Error obteniendo exchangeInfo', error);
+        return null;
+    }
+}
+
+// 🕰️ PRIMERA VELA DE LA HISTORIA DEL SÍMBOLO (fecha y precio de listado)
+async function getFirstKline(symbol) {
+    const candles = await getHistoricalData(symbol, '1m', 1, { startTime: 0 });
+    return candles.length > 0 ? candles[0] : null;
+}
+
+// 🔥 OBTENER DATOS HISTÓRICOS CON API KEY
+// options: { startTime, endTime } en ms para paginar rangos históricos
+async function getHistoricalData(symbol, interval = '1h', limit = 24, options = {}) {
+    try {
+        const data = await binanceClient.get('/api/v3/klines', {
+            params: {
+                symbol,
+                interval,
+                limit,
+                ...options
+            },
+            timeout: 5000,
+            weight: WEIGHTS.klines
+        });
+
+        return data.map(candle => ({
+            timestamp: candle[0],
+            open: parseFloat(candle[1]),
+            high: parseFloat(candle[2]),
+            low: parseFloat(candle[3]),
+            close: parseFloat(candle[4]),
+            volume: parseFloat(candle[5]),
+            closeTime: candle[6],
+            quoteVolume: parseFloat(candle[7]),
+            trades: candle[8]
+        }));
+    } catch (error) {
+        logger.error('Error obteniendo datos históricos', { symbol, interval, error });
+        return [];
+    }
+}
+
+// 📊 OBTENER TICKER 24H DE UN SOLO SÍMBOLO
+async function getTickerData(symbol) {
+    try {
+        return await binanceClient.get('/api/v3/ticker/24hr', {
+            params: { symbol },
+            timeout: 5000,
+            weight: WEIGHTS.ticker
+        });
+    } catch (error) {
+        logger.error('Error obteniendo ticker', { symbol, error });
+        return null;
+    }
+}
+
+// 📚 LIBRO DE ÓRDENES: { lastUpdateId, bids: [[precio, cantidad]], asks: [...] } (strings de Binance)
+async function getOrderBook(symbol, limit = 100) {
+    try {
+        return await binanceClient.get('/api/v3/depth', {
+            params: { symbol, limit },
+            timeout: 5000,
+            weight: depthWeight(limit)
+        });
+    } catch (error) {
+        logger.error('Error obteniendo libro de órdenes', { symbol, error });
+        return null;
+    }
+}
+
+// 🧾 ÚLTIMAS OPERACIONES: [{ id, price, qty, quoteQty, time, isBuyerMaker }]
+async function getRecentTrades(symbol, limit = 500) {
+    try {
+        return await binanceClient.get('/api/v3/trades', {
+            params: { symbol, limit },
+            timeout: 5000,
+            weight: WEIGHTS.trades
+        });
+    } catch (error) {
+        logger.error('Error obteniendo operaciones recientes', { symbol, error });
+        return null;
+    }
+}
+
+const KLINE_INTERVALS = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '3d', '1w', '1M'];
+
+// Duración de cada intervalo en ms ('1M' aproximado a 30 días)
+const INTERVAL_MS = KLINE_INTERVALS.reduce((acc, interval) => {
+    const units = { m: 60000, h: 3600000, d: 86400000, w: 604800000, M: 2592000000 };
+    acc[interval] = parseInt(interval, 10) * units[interval.slice(-1)];
+    return acc;
+}, {});
+
+module.exports = {
+    binanceClient,
+    getBinanceData,
+    getAllTickers,
+    getTickersFreshness,
+    filterUniverse,
+    getExchangeInfo,
+    getOrderBook,
+    getRecentTrades,
+    getFirstKline,
+    getHistoricalData,
+    getTickerData,
+    KLINE_INTERVALS,
+    INTERVAL_MS
+};
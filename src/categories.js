@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('./config');
+const logger = require('./logger').child({ component: 'categories' });
+const builtIn = require('./categories.json');
+
+// 🗂️ CATEGORÍAS DE ACTIVOS (L1, DeFi, meme, IA...)
+// El mapeo mantenido está en categories.json: { <id>: { name, assets: [activo base, ...] } }.
+// DATA_DIR/categories.json puede añadir categorías o reemplazar las incluidas con el mismo id
+// sin desplegar. Un activo puede estar en varias categorías (p. ej. BNB es L1 y token de exchange).
+const CUSTOM_FILE = path.join(CONFIG.DATA_DIR, 'categories.json');
+const ID_PATTERN = /^[a-z0-9_-]{1,40}$/;
+
+const categories = {};
+const byAsset = new Map();
+
+const Categories = {
+    ids() {
+        return Object.keys(categories);
+    },
+
+    get(id) {
+        return categories[String(id).toLowerCase()] || null;
+    },
+
+    list() {
+        return Object.values(categories);
+    },
+
+    // Ids de las categorías de un activo base ([] si no está mapeado)
+    of(baseAsset) {
+        return byAsset.get(baseAsset) || [];
+    },
+
+    validate(id, category) {
+        const errors = [];
+        if (!ID_PATTERN.test(id)) errors.push(`"${id}": el id debe contener solo minúsculas, números, "-" o "_"`);
+        if (!category || typeof category.name !== 'string') errors.push(`"${id}": falta "name"`);
+        if (!category || !Array.isArray(category.assets) || !category.assets.every(asset => typeof asset === 'string')) {
+            errors.push(`"${id}": "assets" debe ser una lista de activos base`);
+        }
+        return errors;
+    },
+
+    register(mapping) {
+        for (const [id, category] of Object.entries(mapping)) {
+            const errors = this.validate(id, category);
+            if (errors.length > 0) {
+                logger.warn('Categoría inválida', { id, errors });
+                continue;
+            }
+            categories[id] = { id, name: category.name, assets: [...new Set(category.assets.map(asset => asset.toUpperCase()))] };
+        }
+
+        byAsset.clear();
+        for (const category of Object.values(categories)) {
+            for (const asset of category.assets) byAsset.set(asset, [...(byAsset.get(asset) || []), category.id]);
+        }
+    }
+};
+
+Categories.register(builtIn);
+
+if (fs.existsSync(CUSTOM_FILE)) {
+    try {
+        Categories.register(JSON.parse(fs.readFileSync(CUSTOM_FILE, 'utf8')));
+    } catch (error) {
+        logger.warn('No se pudo leer el mapeo de categorías', { file: CUSTOM_FILE, error });
+    }
+}
+
+module.exports = Categories;
@@ -0,0 +1,144 @@
+const path = require('path');
+
+// 🔥 CONFIGURACIÓN DEL SISTEMA
+const CONFIG = {
+    BINANCE_API_KEY: process.env.BINANCE_API_KEY || 'Sr3uBcWgM8ZZS2Uu3liN1nEodwiwN4RVfAbjmpKYnUs9VE6sl8eeHoh4ZNYNpvs2',
+    BINANCE_SECRET: process.env.BINANCE_SECRET || '', // No necesario para endpoints públicos
+    BINANCE_BASE_URL: 'https://api.binance.com',
+    EXPLOSION_MIN_VOLUME: 1000000, // Volumen mínimo en USDT
+    EXPLOSION_MIN_GAIN: 8, // Ganancia mínima 8%
+    MIN_PRICE: 0.000001, // Precio mínimo para evitar shitcoins
+    MAX_PRICE: 100, // Precio máximo para tokens accesibles
+    VOLUME_SPIKE_THRESHOLD: 3, // 3x el volumen normal
+    SMART_ALERT_MIN_CHANGE: 15, // /smart-analysis: alertas de explosión con subida > 15%
+    SMART_SAFE_MIN_CHANGE: 2, // /smart-analysis: inversiones "seguras" entre +2% y +8%...
+    SMART_SAFE_MAX_CHANGE: 8,
+    SMART_SAFE_MIN_VOLUME: 10000000, // ...y más de 10M USDT de volumen
+    RSI_OVERSOLD: 30,
+    RSI_OVERBOUGHT: 70,
+    KLINE_LOOKBACK: 100, // Velas por análisis (suficiente para MACD 12/26/9)
+    TECHNICAL_RESCORE_MAX: 50, // Máximo de símbolos con klines por petición en modo técnico
+    SCAN_INTERVALS: ['15m', '1h', '4h', '1d'], // Intervalos que admite el escáner (/api/scan)
+    SCAN_DEFAULT_INTERVAL: '1h', // Intervalo de las condiciones sin "(intervalo)"
+    SCAN_CONCURRENCY: 8, // Descargas de klines simultáneas del escáner
+    SCAN_MAX_SYMBOLS: 150, // Símbolos escaneados por consulta (los de más volumen)
+    SCAN_KLINE_REFRESH_MS: 60000, // Antigüedad máxima de la vela abierta antes de actualizarla
+    SCAN_KLINE_CACHE_MAX: 2000, // Series símbolo+intervalo guardadas en memoria (LRU)
+    LIQUIDITY_DEPTH_LIMIT: 100, // Niveles del libro por lado (peso 5 en Binance)
+    LIQUIDITY_TRADES_LIMIT: 500, // Operaciones recientes para medir actividad
+    LIQUIDITY_CACHE_MS: 30000, // Análisis de liquidez reutilizado durante 30s
+    LIQUIDITY_ORDER_SIZE: 1000, // Tamaño de orden (USDT) por defecto para estimar el slippage
+    LIQUIDITY_MAX_SPREAD_PERCENT: 1, // Por encima: par ilíquido
+    LIQUIDITY_MIN_DEPTH: 10000, // Profundidad mínima (USDT) a ±2% en el lado más débil
+    LIQUIDITY_MAX_SLIPPAGE_PERCENT: 1, // Slippage máximo aceptable para el tamaño de orden
+    LIQUIDITY_MIN_TRADES_PER_MINUTE: 1, // Actividad mínima en las operaciones recientes
+    LIQUIDITY_ENRICH_MAX: 20, // Símbolos analizados por petición con ?liquidity=true
+    ANOMALY_INTERVAL: '15m', // Velas usadas para detectar pumps (del caché del escáner)
+    ANOMALY_LOOKBACK: 24, // Últimas velas revisadas (6 horas en 15m)
+    ANOMALY_VERTICAL_PERCENT: 8, // Vela "vertical": cuerpo >= 8%
+    ANOMALY_RETRACE_RATIO: 0.5, // Retroceso inmediato de al menos la mitad del cuerpo
+    ANOMALY_WICK_BODY_RATIO: 3, // Mecha superior >= 3 veces el cuerpo
+    ANOMALY_TOP_TRADES_SHARE: 0.5, // El 5% de operaciones más grandes concentra >= 50% del volumen
+    ANOMALY_REPEATED_SIZE_SHARE: 0.25, // >= 25% de operaciones con la misma cantidad exacta
+    ANOMALY_TRADE_SIZE_RATIO: 10, // Tamaño medio de operación 10x la mediana del mercado
+    ANOMALY_THIN_PUMP_GAIN: 30, // Subida 24h >= 30% ...
+    ANOMALY_THIN_PUMP_VOLUME: 5000000, // ... con menos de 5M USDT de volumen
+    ANOMALY_TRADES_LIMIT: 500,
+    ANOMALY_CACHE_MS: 60000,
+    ANOMALY_FLAG_SCORE: 50, // Riesgo de manipulación a partir del cual se marca el candidato
+    ANOMALY_MAX_PENALTY: 30, // Puntos restados al score con riesgo 100 (proporcional)
+    ANOMALY_WINDOW_MAX: 20, // Candidatos revisados por petición en explosion-candidates
+    RISK_ATR_INTERVAL: '1h', // Velas del ATR en /api/position-size si no se indica "interval"
+    RISK_ATR_MULTIPLIER: 2, // Stop a 2 ATR del precio de entrada
+    RISK_REWARD_RATIO: 2, // Objetivo a 2 veces la distancia del stop
+    RISK_MIN_STOP_PERCENT: 0.5, // Límites de la distancia del stop (% del precio de entrada)
+    RISK_MAX_STOP_PERCENT: 25,
+    RISK_DEFAULT_PERCENT: 1, // Capital arriesgado por operación si no se indica "riskPercent"
+    RISK_MAX_PERCENT: 10,
+    RISK_MAX_POSITION_PERCENT: 100, // Exposición máxima por posición (% del capital, sin apalancamiento)
+    MARKET_MIN_VOLUME: 100000, // Volumen mínimo (moneda de cotización) para contar un par en la amplitud
+    MARKET_STABLECOINS: ['USDC', 'FDUSD', 'TUSD', 'BUSD', 'DAI', 'USDP', 'USDE', 'PYUSD', 'USD1', 'EUR', 'AEUR', 'EURI'], // Fuera del universo
+    MARKET_CORRELATION_TOP: 10, // Ganadores correlacionados con BTC/ETH por defecto
+    MARKET_CORRELATION_MAX: 30, // Máximo con ?limit= (cada símbolo es una descarga de klines)
+    MARKET_CORRELATION_INTERVAL: '1h',
+    MARKET_CORRELATION_LOOKBACK: 48, // Retornos por vela comparados
+    MARKET_CORRELATION_MIN_POINTS: 12, // Velas comunes mínimas para calcular la correlación
+    MARKET_FEAR_GREED_WEIGHTS: { breadth: 30, momentum: 25, btcTrend: 20, volatility: 15, dominance: 10 },
+    HTTP_MAX_RETRIES: 3, // Reintentos ante errores de red/5xx (no ante 4xx)
+    HTTP_BACKOFF_BASE_MS: 250, // Backoff exponencial con jitter: aleatorio en [0, base·2^intento]
+    HTTP_BACKOFF_MAX_MS: 5000,
+    BREAKER_FAILURE_THRESHOLD: 5, // Fallos seguidos que abren el circuito
+    BREAKER_COOLDOWN_MS: 30000, // Tiempo con el circuito abierto antes de probar de nuevo
+    BINANCE_WEIGHT_LIMIT: 6000, // Peso por minuto permitido por Binance (X-MBX-USED-WEIGHT-1M)
+    BINANCE_WEIGHT_RESERVE: 0.1, // Margen que no se gasta para no rozar el baneo
+    TICKERS_MAX_STALE_MS: 600000, // Antigüedad máxima del último dataset válido que se sigue sirviendo
+    DATA_DIR: process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+    DEFAULT_STRATEGY: process.env.DEFAULT_STRATEGY || 'default', // Perfil de scoring si no se pasa ?strategy=
+    DEFAULT_LOCALE: process.env.DEFAULT_LOCALE || 'es', // Idioma de los textos sin ?lang= ni Accept-Language (es, en, pt)
+    BINANCE_STREAM_URL: process.env.BINANCE_STREAM_URL || 'wss://stream.binance.com:9443/ws/!ticker@arr',
+    STREAM_ENABLED: process.env.STREAM_ENABLED !== 'false',
+    STREAM_STALE_MS: 10000, // Sin mensajes en 10s se vuelve a REST
+    STREAM_BROADCAST_MS: 2000, // Frecuencia máxima de envío a clientes SSE/WebSocket
+    ALERT_EVAL_MS: 30000, // Evaluación de reglas en cada refresco de datos
+    ALERT_COOLDOWN_MINUTES: 60, // Cooldown por defecto por regla y símbolo
+    ALERT_HISTORY_LIMIT: 1000, // Entregas guardadas en el historial
+    ALERT_TECHNICAL_UNIVERSE: 10, // Candidatos analizados para reglas de RSI/volumen sin símbolos explícitos
+    ALERT_MAX_RULES_PER_OWNER: 20, // Reglas por API key (las anónimas comparten el mismo cupo)
+    ALERT_MAX_SYMBOLS_PER_RULE: 50, // Símbolos explícitos por regla
+    ALERT_ALLOW_PRIVATE_WEBHOOKS: process.env.ALERT_ALLOW_PRIVATE_WEBHOOKS === 'true', // Webhooks a localhost/red interna (solo entornos de confianza)
+    NEW_LISTING_MAX_AGE_DAYS: 30, // Antigüedad máxima para considerar un listado "nuevo"
+    LISTING_REFRESH_MS: 300000, // Comparación de exchangeInfo cada 5 minutos
+    LISTING_LOOKUPS_PER_REFRESH: 20, // Fechas de listado resueltas por refresco (1 kline por símbolo)
+    HISTORY_ENABLED: process.env.HISTORY_ENABLED !== 'false',
+    HISTORY_SNAPSHOT_MS: parseInt(process.env.HISTORY_SNAPSHOT_MS, 10) || 300000, // Snapshot cada 5 minutos
+    HISTORY_RETENTION_DAYS: parseInt(process.env.HISTORY_RETENTION_DAYS, 10) || 30, // Días conservados
+    HISTORY_FULL_RESOLUTION_HOURS: parseInt(process.env.HISTORY_FULL_RESOLUTION_HOURS, 10) || 24, // Sin reducir las últimas 24h
+    HISTORY_DOWNSAMPLE_MINUTES: parseInt(process.env.HISTORY_DOWNSAMPLE_MINUTES, 10) || 60, // Después, un snapshot por hora
+    HISTORY_MAX_RANGE_DAYS: parseInt(process.env.HISTORY_MAX_RANGE_DAYS, 10) || 7, // Rango máximo from..to por consulta
+    EXPORT_EXCEL_SEPARATOR: process.env.EXPORT_EXCEL_SEPARATOR || ';', // ?format=excel: separador de columnas...
+    EXPORT_EXCEL_DECIMAL: process.env.EXPORT_EXCEL_DECIMAL || ',', // ... y de decimales (Excel en español)
+    REPORTS_ENABLED: process.env.REPORTS_ENABLED !== 'false',
+    REPORTS_DIR: process.env.REPORTS_DIR || path.join(process.env.DATA_DIR || path.join(__dirname, '..', 'data'), 'reports'),
+    REPORTS_TIME_UTC: process.env.REPORTS_TIME_UTC || '00:05', // Hora (UTC, HH:MM) del informe diario
+    REPORTS_FORMAT: process.env.REPORTS_FORMAT || 'csv', // Formato de las tablas del informe: csv | excel | ndjson
+    REPORTS_TOP: 20, // Elementos por ranking en el informe
+    REPORTS_MAX_RETRIES: 3, // Reintentos si falla la generación del informe
+    REPORTS_RETRY_BASE_MS: 60000, // Backoff exponencial entre reintentos: base·2^intento (1, 2 y 4 min)
+    PAPER_EVAL_MS: 30000, // Mark-to-market de la cartera simulada en cada refresco de tickers
+    PAPER_INITIAL_BALANCE: 10000, // Saldo inicial en USDT de la cartera simulada
+    PAPER_POSITION_SIZE: 100, // USDT por posición si no se indica "amount"
+    PAPER_AUTO_MIN_SCORE: 80, // Score mínimo para abrir posiciones automáticas
+    PAPER_MAX_OPEN_POSITIONS: 10,
+    PAPER_TRADE_HISTORY_LIMIT: 1000, // Operaciones cerradas guardadas
+    AUTH_ENABLED: process.env.AUTH_ENABLED === 'true', // Exige API key en /api/* (salvo /api/health)
+    ADMIN_API_KEY: process.env.ADMIN_API_KEY || '', // Clave maestra para /api/admin (alta y baja de keys)
+    CORS_ORIGINS: (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean), // Vacío = cualquier origen
+    // Saltos de proxy de confianza para obtener la IP real (límites y cuotas del tier anonymous).
+    // 0 = se usa la IP de la conexión e X-Forwarded-For se ignora; detrás de Railway u otro proxy,
+    // TRUST_PROXY=1. Confiar en más saltos de los que hay permite falsear la IP con la cabecera.
+    TRUST_PROXY: parseInt(process.env.TRUST_PROXY || '0', 10) || 0,
+    API_USAGE_FLUSH_MS: 10000, // Contadores de uso guardados en disco cada 10s
+    API_USAGE_DAYS: 30, // Días de contadores diarios conservados por key
+    // Límites por tier: peticiones por ventana y cuota diaria (null = sin cuota).
+    // "anonymous" se aplica por IP cuando la autenticación está desactivada.
+    API_TIERS: {
+        anonymous: { windowMs: 60000, max: 60, dailyQuota: null },
+        free: { windowMs: 60000, max: 30, dailyQuota: 5000 },
+        pro: { windowMs: 60000, max: 300, dailyQuota: 100000 },
+        admin: { windowMs: 60000, max: 1000, dailyQuota: null }
+    },
+    LOG_LEVEL: process.env.LOG_LEVEL || 'info', // debug | info | warn | error | fatal
+    METRICS_TOKEN: process.env.METRICS_TOKEN || '', // Si se define, /metrics exige Authorization: Bearer <token>
+    SHUTDOWN_TIMEOUT_MS: 10000, // Espera máxima al cerrar el servidor tras una excepción no capturada
+    API_RESPONSE_VALIDATION: process.env.API_RESPONSE_VALIDATION || 'warn', // /api/v1 frente al esquema OpenAPI: off | warn | strict
+    TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN || '',
+    SMTP: {
+        host: process.env.SMTP_HOST || '',
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        user: process.env.SMTP_USER || '',
+        pass: process.env.SMTP_PASS || '',
+        from: process.env.SMTP_FROM || 'BoostIQ <alerts@boostiq.top>'
+    }
+};
+
+module.exports = CONFIG;
@@ -0,0 +1,54 @@
+const logger = require('./logger');
+const { routeLabel } = require('./metrics');
+
+// 🚨 ERRORES HTTP
+// Todas las respuestas de error comparten el sobre { error, details?, requestId }: las rutas
+// responden sus 4xx con { error, details? } y envelope() añade el requestId; las excepciones
+// llegan a handle() con next(error), que las registra y responde 500 sin filtrar detalles internos.
+
+// Middleware: añade requestId a los cuerpos de error ({ error }) antes de enviarlos
+function envelope(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = body => {
+        if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && typeof body.error === 'string') {
+            return json({ ...body, requestId: req.id });
+        }
+        return json(body);
+    };
+    next();
+}
+
+function notFound(req, res) {
+    res.status(404).json({ error: 'Endpoint no encontrado', details: `${req.method} ${req.originalUrl.split('?')[0]}` });
+}
+
+// Manejador final (4 argumentos): debe registrarse después de todas las rutas
+function handle(error, req, res, next) {
+    if (res.headersSent) return next(error);
+
+    // Errores de body-parser: JSON mal formado o cuerpo demasiado grande
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'JSON inválido en el cuerpo de la petición', details: error.message });
+    }
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Cuerpo de la petición demasiado grande', details: `Máximo ${error.limit} bytes` });
+    }
+
+    const status = error.status || error.statusCode;
+    if (status >= 400 && status < 500) {
+        logger.warn('Petición rechazada', { route: routeLabel(req), status, error });
+        return res.status(status).json({ error: error.expose ? error.message : 'Petición inválida' });
+    }
+
+    logger.error('Error no controlado', { method: req.method, route: routeLabel(req), error });
+    res.status(500).json({
+        error: 'Error interno del servidor',
+        ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+}
+
+module.exports = {
+    envelope,
+    notFound,
+    handle
+};
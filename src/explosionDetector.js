@@ -0,0 +1,208 @@
+const CONFIG = require('./config');
+const Strategies = require('./strategies');
+const I18n = require('./i18n');
+
+// Clave de cada factor en el desglose (analysis) de la respuesta
+const BREAKDOWN_KEYS = {
+    priceChange: 'priceScore',
+    volume: 'volumeScore',
+    momentum: 'momentumScore',
+    priceAccessibility: 'priceAccessibility',
+    volatility: 'volatilityBonus'
+};
+
+const round = value => parseFloat(value.toFixed(2));
+
+// 🎯 SISTEMA DE SCORING INTELIGENTE
+// Los pesos, bandas y factores salen del perfil de estrategia (ver src/strategies).
+class ExplosionDetector {
+    // technicals: resultado opcional de TechnicalAnalysis.analyzeTechnicals (modo técnico)
+    // manipulation: resultado opcional de AnomalyDetector (resta su penalización y marca la recomendación)
+    static calculateExplosionScore(token, technicals = null, strategy = Strategies.get(), manipulation = null) {
+        let score = 0;
+        const analysis = {};
+        
+        for (const [factor, config] of Object.entries(strategy.factors)) {
+            if (factor === 'technicals') continue;
+            
+            const points = this.scoreFactor(config, this.measureFactor(factor, token));
+            score += points;
+            analysis[BREAKDOWN_KEYS[factor]] = points;
+        }
+        
+        // Ajuste técnico (RSI, spike de volumen y tendencia)
+        if (technicals && strategy.factors.technicals) {
+            const technicalScore = this.calculateTechnicalAdjustment(technicals, strategy.factors.technicals);
+            score += technicalScore;
+            analysis.technicalScore = technicalScore;
+        }
+        
+        // Penalización por riesgo de manipulación (pump-and-dump / wash trading)
+        if (manipulation && manipulation.penalty > 0) {
+            score -= manipulation.penalty;
+            analysis.manipulationPenalty = -manipulation.penalty;
+        }
+        
+        const totalScore = round(Math.min(100, Math.max(0, score)));
+        
+        return {
+            totalScore,
+            breakdown: analysis,
+            recommendation: this.getRecommendation(totalScore, token, technicals, strategy, manipulation),
+            strategy: strategy.name
+        };
+    }
+    
+    // Valor bruto de cada factor; null si el ticker no trae los datos necesarios
+    static measureFactor(factor, token) {
+        const price = parseFloat(token.lastPrice);
+        const high = parseFloat(token.highPrice);
+        const low = parseFloat(token.lowPrice);
+        const hasRange = high > low && low > 0;
+        
+        switch (factor) {
+            case 'priceChange':
+                return parseFloat(token.priceChangePercent);
+            case 'volume':
+                return parseFloat(token.quoteVolume);
+            case 'momentum':
+                // Cierre respecto al rango 24h: independiente del % de cambio, que ya puntúa priceChange
+                return hasRange ? (price - low) / (high - low) : null;
+            case 'priceAccessibility':
+                return price;
+            case 'volatility':
+                return hasRange ? ((high - low) / low) * 100 : null;
+            default:
+                return null;
+        }
+    }
+    
+    static scoreFactor(config, value) {
+        if (value === null || Number.isNaN(value)) return 0;
+        
+        if (!config.bands) {
+            return round(config.weight * Math.min(1, Math.max(0, value)));
+        }
+        
+        const band = config.bands.find(b =>
+            (b.min === undefined || value > b.min) && (b.max === undefined || value < b.max)
+        );
+        if (!band) return 0;
+        
+        const maxPoints = Math.max(...config.bands.map(b => b.points));
+        return maxPoints > 0 ? round((band.points / maxPoints) * config.weight) : 0;
+    }
+    
+    static calculateTechnicalAdjustment(technicals, points = Strategies.get().factors.technicals) {
+        let adjustment = 0;
+        const rsi = parseFloat(technicals.rsi);
+        const volumeSpike = parseFloat(technicals.volumeSpike);
+        
+        if (rsi >= CONFIG.RSI_OVERBOUGHT) adjustment += points.rsiOverbought || 0; // Sobrecompra: riesgo de corrección
+        else if (rsi <= CONFIG.RSI_OVERSOLD) adjustment += points.rsiOversold || 0; // Sobreventa: potencial rebote
+        
+        if (volumeSpike >= CONFIG.VOLUME_SPIKE_THRESHOLD) adjustment += points.volumeSpike || 0;
+        
+        if (technicals.trend === 'BULLISH') adjustment += points.trendBullish || 0;
+        else if (technicals.trend === 'BEARISH') adjustment += points.trendBearish || 0;
+        
+        return adjustment;
+    }
+    
+    static getTechnicalSignals(technicals) {
+        const signals = [];
+        const rsi = parseFloat(technicals.rsi);
+        const volumeSpike = parseFloat(technicals.volumeSpike);
+        
+        if (rsi >= CONFIG.RSI_OVERBOUGHT) signals.push(I18n.text('signal.rsiOverbought', { rsi: technicals.rsi }));
+        else if (rsi <= CONFIG.RSI_OVERSOLD) signals.push(I18n.text('signal.rsiOversold', { rsi: technicals.rsi }));
+        if (volumeSpike >= CONFIG.VOLUME_SPIKE_THRESHOLD) signals.push(I18n.text('signal.volumeSpike', { spike: technicals.volumeSpike }));
+        if (technicals.trend !== 'NEUTRAL') signals.push(I18n.text('signal.trend', { trend: I18n.text(`trend.${technicals.trend}`) }));
+        
+        return signals;
+    }
+    
+    static getRecommendation(score, token, technicals = null, strategy = Strategies.get(), manipulation = null) {
+        const { tiers } = strategy;
+        
+        // Con sobrecompra nunca se recomienda compra fuerte
+        if (technicals && parseFloat(technicals.rsi) >= CONFIG.RSI_OVERBOUGHT) {
+            score = Math.min(score, tiers.strongBuy - 1);
+        }
+        
+        const recommendation = this.getBaseRecommendation(score, token, tiers);
+        if (technicals) {
+            recommendation.technicalSignals = this.getTechnicalSignals(technicals);
+        }
+        if (manipulation) {
+            recommendation.manipulationRisk = manipulation.level;
+            recommendation.manipulationFlag = manipulation.flagged;
+            recommendation.display.manipulationRisk = I18n.text(`risk.${manipulation.level}`);
+        }
+        return recommendation;
+    }
+    
+    // action, confidence, risk y timeframe son enums; display lleva sus textos en el idioma de la respuesta
+    static getBaseRecommendation(score, token, tiers = Strategies.get().tiers) {
+        const recommendation = this.getTierRecommendation(score, token, tiers);
+        recommendation.display = {
+            action: I18n.text(`action.${recommendation.action}`),
+            confidence: I18n.text(`confidence.${recommendation.confidence}`),
+            risk: I18n.text(`risk.${recommendation.risk}`),
+            timeframe: I18n.text(`timeframe.${recommendation.timeframe}`)
+        };
+        return recommendation;
+    }
+    
+    static getTierRecommendation(score, token, tiers) {
+        const price = parseFloat(token.lastPrice);
+        
+        if (score >= tiers.strongBuy) {
+            return {
+                action: 'STRONG_BUY',
+                confidence: 'VERY_HIGH',
+                buyPrice: price,
+                sellTarget: (price * 1.25).toFixed(8),
+                stopLoss: (price * 0.85).toFixed(8),
+                risk: 'HIGH',
+                timeframe: 'HOURS_1_6',
+                maxHoldHours: 6
+            };
+        } else if (score >= tiers.moderateBuy) {
+            return {
+                action: 'MODERATE_BUY',
+                confidence: 'HIGH',
+                buyPrice: price,
+                sellTarget: (price * 1.15).toFixed(8),
+                stopLoss: (price * 0.90).toFixed(8),
+                risk: 'MEDIUM',
+                timeframe: 'HOURS_6_24',
+                maxHoldHours: 24
+            };
+        } else if (score >= tiers.watch) {
+            return {
+                action: 'WATCH',
+                confidence: 'MEDIUM',
+                buyPrice: price,
+                sellTarget: (price * 1.10).toFixed(8),
+                stopLoss: (price * 0.95).toFixed(8),
+                risk: 'MEDIUM',
+                timeframe: 'DAYS_1_3',
+                maxHoldHours: 72
+            };
+        } else {
+            return {
+                action: 'AVOID',
+                confidence: 'LOW',
+                buyPrice: null,
+                sellTarget: null,
+                stopLoss: null,
+                risk: 'HIGH',
+                timeframe: 'NONE',
+                maxHoldHours: null
+            };
+        }
+    }
+}
+
+module.exports = ExplosionDetector;
@@ -0,0 +1,164 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const CONFIG = require('./config');
+const RankingQuery = require('./rankingQuery');
+const I18n = require('./i18n');
+const logger = require('./logger').child({ component: 'export' });
+
+// 🧾 EXPORTACIÓN DE RANKINGS E HISTÓRICO
+// Negociación con ?format= o, si no se pasa, con la cabecera Accept:
+//   json   → application/json (por defecto, también con Accept: */*)
+//   csv    → text/csv: una fila por elemento, los objetos anidados se aplanan con puntos
+//            (analysis.volumeScore, recommendation.action...) y las listas de valores se unen con "|"
+//   ndjson → application/x-ndjson: un objeto JSON por línea, sin aplanar
+//   excel  → CSV para Excel: BOM UTF-8, fin de línea CRLF, separador EXPORT_EXCEL_SEPARATOR y
+//            decimales con EXPORT_EXCEL_DECIMAL (la configuración regional de Excel en español)
+// Las filas se escriben como stream con backpressure; los errores (status >= 400) siguen en JSON.
+// En /api/v1 se exporta la respuesta ya transformada al contrato v1, no la de /api/*.
+// Los textos para mostrar (recommendation.display...) salen en el idioma de la petición.
+const FORMATS = {
+    json: { contentType: 'application/json' },
+    csv: { contentType: 'text/csv', extension: 'csv', separator: ',', eol: '\n' },
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+    excel: {
+        contentType: 'application/vnd.ms-excel',
+        extension: 'csv',
+        separator: CONFIG.EXPORT_EXCEL_SEPARATOR,
+        decimal: CONFIG.EXPORT_EXCEL_DECIMAL,
+        eol: '\r\n',
+        bom: true
+    }
+};
+const ACCEPT_TYPES = {
+    'application/json': 'json',
+    'text/csv': 'csv',
+    'application/x-ndjson': 'ndjson',
+    'application/ndjson': 'ndjson',
+    'application/vnd.ms-excel': 'excel'
+};
+const LINES_PER_CHUNK = 200;
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const Exporter = {
+    FORMATS: Object.keys(FORMATS),
+
+    // Formato pedido: { format } o { errors } si ?format= no es válido
+    negotiate(req) {
+        if (req.query.format !== undefined) {
+            const format = String(req.query.format).toLowerCase();
+            if (!FORMATS[format]) {
+                return { errors: [{ param: 'format', message: `valores permitidos: ${this.FORMATS.join(', ')}` }] };
+            }
+            return { format };
+        }
+        const accepted = req.accepts(Object.keys(ACCEPT_TYPES));
+        return { format: accepted ? ACCEPT_TYPES[accepted] : 'json' };
+    },
+
+    // { a: { b: 1 }, c: [1, 2] } → { 'a.b': 1, c: '1|2' }; las listas de objetos se serializan en JSON
+    flatten(value, prefix = '', row = {}) {
+        for (const [key, field] of Object.entries(value)) {
+            const column = prefix ? `${prefix}.${key}` : key;
+            if (isPlainObject(field)) this.flatten(field, column, row);
+            else if (Array.isArray(field)) row[column] = field.some(isPlainObject) ? JSON.stringify(field) : field.join('|');
+            else row[column] = field;
+        }
+        return row;
+    },
+
+    // Columnas: unión de las claves en orden de aparición
+    columns(rows) {
+        const columns = new Set();
+        for (const row of rows) Object.keys(row).forEach(column => columns.add(column));
+        return [...columns];
+    },
+
+    csvCell(value, { separator, decimal }) {
+        if (value === null || value === undefined) return '';
+        // Los importes que llegan como texto ("1.87500000") también llevan el separador decimal
+        const numeric = typeof value === 'number' || (typeof value === 'string' && NUMERIC_PATTERN.test(value));
+        let text = numeric && decimal && decimal !== '.' ? String(value).replace('.', decimal) : String(value);
+        // Evita que una hoja de cálculo interprete el texto como fórmula
+        if (typeof value === 'string' && /^[=+\-@]/.test(text) && !Number.isFinite(Number(text))) text = `'${text}`;
+        return text.includes(separator) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    // Las filas se aplanan y traducen de una en una al escribirlas: la primera pasada solo reúne
+    // las columnas, así nunca están todas las filas en memoria a la vez
+    * lines(format, items, locale = CONFIG.DEFAULT_LOCALE) {
+        const options = FORMATS[format];
+        const rowOf = item => {
+            const localized = I18n.localize(item, locale);
+            return isPlainObject(localized) ? this.flatten(localized) : { value: localized };
+        };
+
+        if (format === 'ndjson') {
+            for (const item of items) yield `${JSON.stringify(I18n.localize(item, locale))}\n`;
+            return;
+        }
+
+        const columns = this.columns(function* () {
+            for (const item of items) yield rowOf(item);
+        }());
+        if (options.bom) yield '\uFEFF';
+        if (columns.length === 0) return;
+
+        yield columns.map(column => this.csvCell(column, options)).join(options.separator) + options.eol;
+        let chunk = '';
+        let count = 0;
+        for (const item of items) {
+            const row = rowOf(item);
+            chunk += columns.map(column => this.csvCell(row[column], options)).join(options.separator) + options.eol;
+            if (++count % LINES_PER_CHUNK === 0) {
+                yield chunk;
+                chunk = '';
+            }
+        }
+        if (chunk) yield chunk;
+    },
+
+    // Escribe las filas en cualquier stream (respuesta HTTP o fichero)
+    write(format, items, stream, locale = CONFIG.DEFAULT_LOCALE) {
+        return pipeline(Readable.from(this.lines(format, items, locale)), stream);
+    },
+
+    filename(name, format) {
+        return `${name}-${new Date().toISOString().slice(0, 10)}.${FORMATS[format].extension}`;
+    },
+
+    // Middleware por ruta: si se pide otro formato, intercepta res.json y exporta rowsOf(body).
+    // name da nombre al fichero descargado (top-gainers-2024-05-01.csv).
+    // En /api/v1 el responder del contrato (openapi.js) transforma y valida el cuerpo antes: se
+    // exporta esa respuesta y rowsOf se aplica a su `data`, que conserva la forma de la de /api/*.
+    middleware(name, rowsOf = body => body) {
+        return (req, res, next) => {
+            const { format, errors } = this.negotiate(req);
+            if (errors) return RankingQuery.sendErrors(res, errors);
+            res.vary('Accept');
+            if (format === 'json') return next();
+
+            const send = rows => {
+                // attachment() fija el tipo según la extensión: el de FORMATS va después
+                if (format !== 'ndjson') res.attachment(this.filename(name, format));
+                res.type(`${FORMATS[format].contentType}; charset=utf-8`);
+                this.write(format, rows, res, req.locale).catch(error => {
+                    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') logger.error('Error exportando respuesta', { route: name, format, error });
+                });
+                return res;
+            };
+
+            if (res.locals.contract) {
+                res.locals.export = payload => send(rowsOf(payload.data));
+                return next();
+            }
+
+            const json = res.json.bind(res);
+            res.json = body => (res.statusCode >= 400 ? json(body) : send(rowsOf(body)));
+            next();
+        };
+    }
+};
+
+module.exports = Exporter;
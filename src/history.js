@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const CONFIG = require('./config');
+const logger = require('./logger').child({ component: 'history' });
+const JsonStore = require('./jsonStore');
+const Rankings = require('./rankings');
+const Strategies = require('./strategies');
+const ExplosionDetector = require('./explosionDetector');
+const { getBinanceData } = require('./binance');
+
+const HISTORY_DIR = path.join(CONFIG.DATA_DIR, 'history');
+const DAY_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.ndjson$/;
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+const RANKING_TYPES = ['explosion-candidates', 'top-gainers'];
+
+const indexStore = new JsonStore('history/index', { compacted: {} });
+
+const dayKey = timestamp => new Date(timestamp).toISOString().slice(0, 10);
+const dayStart = day => Date.parse(`${day}T00:00:00.000Z`);
+
+// 🗄️ HISTÓRICO DE SNAPSHOTS
+// Cada HISTORY_SNAPSHOT_MS se guarda el universo filtrado (precio, cambio, volumen y score) junto con
+// el sentimiento del mercado en un fichero NDJSON por día UTC: DATA_DIR/history/YYYY-MM-DD.ndjson.
+// Los días que quedan fuera de HISTORY_FULL_RESOLUTION_HOURS se reducen a un snapshot cada
+// HISTORY_DOWNSAMPLE_MINUTES, y los que superan HISTORY_RETENTION_DAYS se borran.
+// Los rankings se reconstruyen al consultar, con los mismos criterios que los endpoints en vivo.
+class HistoryStore {
+    constructor() {
+        this.timer = null;
+        this.capturing = false;
+        this.lastCompaction = null;
+    }
+
+    start() {
+        this.refresh();
+        this.timer = setInterval(() => this.refresh(), CONFIG.HISTORY_SNAPSHOT_MS);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async refresh() {
+        if (this.capturing) return;
+        this.capturing = true;
+        try {
+            const binanceData = await getBinanceData();
+            if (binanceData.length > 0) this.record(binanceData);
+            await this.compact();
+        } catch (error) {
+            logger.error('Error guardando snapshot histórico', error);
+        } finally {
+            this.capturing = false;
+        }
+    }
+
+    record(binanceData, timestamp = Date.now()) {
+        const strategy = Strategies.get();
+        const { marketSentiment, marketStats } = Rankings.buildMarketSentiment(binanceData);
+        const snapshot = {
+            timestamp,
+            strategy: strategy.name,
+            marketSentiment,
+            marketStats,
+            tickers: binanceData.map(token => ({
+                symbol: token.symbol,
+                price: parseFloat(token.lastPrice),
+                priceChangePercent: parseFloat(token.priceChangePercent),
+                volume: parseFloat(token.quoteVolume),
+                score: ExplosionDetector.calculateExplosionScore(token, null, strategy).totalScore
+            }))
+        };
+
+        fs.mkdirSync(HISTORY_DIR, { recursive: true });
+        fs.appendFileSync(this.dayFile(dayKey(timestamp)), `${JSON.stringify(snapshot)}\n`);
+        return snapshot;
+    }
+
+    // ---- Almacenamiento ----
+
+    dayFile(day) {
+        return path.join(HISTORY_DIR, `${day}.ndjson`);
+    }
+
+    async days() {
+        let names;
+        try {
+            names = await fs.promises.readdir(HISTORY_DIR);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        return names
+            .map(name => DAY_FILE_PATTERN.exec(name))
+            .filter(Boolean)
+            .map(match => match[1])
+            .sort();
+    }
+
+    // Recorre el fichero de un día línea a línea, sin cargarlo entero en memoria
+    async * readDay(day) {
+        const input = fs.createReadStream(this.dayFile(day), { encoding: 'utf8' });
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        try {
+            for await (const line of lines) {
+                if (!line) continue;
+                // Una línea cortada (proceso terminado a mitad de escritura) se ignora
+                let snapshot;
+                try {
+                    snapshot = JSON.parse(line);
+                } catch (error) {
+                    continue;
+                }
+                yield snapshot;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') logger.error('Error leyendo histórico', { day, error });
+        } finally {
+            lines.close();
+            input.destroy();
+        }
+    }
+
+    // Snapshots con timestamp en [from, to]; cada día se escribe en orden, así que salen en orden cronológico
+    async * snapshots(from, to) {
+        for (const day of await this.days()) {
+            const start = dayStart(day);
+            if (start + DAY_MS <= from || start > to) continue;
+            for await (const snapshot of this.readDay(day)) {
+                if (snapshot.timestamp >= from && snapshot.timestamp <= to) yield snapshot;
+            }
+        }
+    }
+
+    // Retención y downsampling; como mucho una pasada por hora
+    async compact(now = Date.now()) {
+        const hour = Math.floor(now / HOUR_MS);
+        if (this.lastCompaction === hour) return;
+        this.lastCompaction = hour;
+
+        const index = indexStore.load();
+        for (const day of await this.days()) {
+            const end = dayStart(day) + DAY_MS;
+
+            if (now - end > CONFIG.HISTORY_RETENTION_DAYS * DAY_MS) {
+                await fs.promises.unlink(this.dayFile(day));
+                delete index.compacted[day];
+                continue;
+            }
+            if (now - end < CONFIG.HISTORY_FULL_RESOLUTION_HOURS * HOUR_MS) continue;
+            if (index.compacted[day] === CONFIG.HISTORY_DOWNSAMPLE_MINUTES) continue;
+
+            await this.downsampleDay(day, CONFIG.HISTORY_DOWNSAMPLE_MINUTES);
+            index.compacted[day] = CONFIG.HISTORY_DOWNSAMPLE_MINUTES;
+        }
+        indexStore.save();
+    }
+
+    // Conserva el primer snapshot de cada intervalo de N minutos
+    async downsampleDay(day, minutes) {
+        const bucketMs = minutes * 60000;
+        const seen = new Set();
+        const kept = [];
+        for await (const snapshot of this.readDay(day)) {
+            const bucket = Math.floor(snapshot.timestamp / bucketMs);
+            if (seen.has(bucket)) continue;
+            seen.add(bucket);
+            kept.push(`${JSON.stringify(snapshot)}\n`);
+        }
+
+        const filePath = this.dayFile(day);
+        const tmpPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, kept.join(''));
+        await fs.promises.rename(tmpPath, filePath);
+    }
+
+    // ---- Consultas ----
+
+    static rankSnapshot(snapshot, type) {
+        if (type === 'top-gainers') {
+            return snapshot.tickers
+                .filter(ticker => ticker.priceChangePercent > 0)
+                .sort((a, b) => b.priceChangePercent - a.priceChangePercent);
+        }
+        return snapshot.tickers
+            .filter(ticker => ticker.priceChangePercent > CONFIG.EXPLOSION_MIN_GAIN)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    static describeRanking(snapshot, type, limit) {
+        return {
+            timestamp: new Date(snapshot.timestamp).toISOString(),
+            strategy: snapshot.strategy,
+            type,
+            items: HistoryStore.rankSnapshot(snapshot, type).slice(0, limit)
+        };
+    }
+
+    async getRankings({ from, to, type = 'explosion-candidates', limit = 5 }) {
+        const rankings = [];
+        for await (const snapshot of this.snapshots(from, to)) rankings.push(HistoryStore.describeRanking(snapshot, type, limit));
+        return rankings;
+    }
+
+    // Ranking vigente en un instante: el último snapshot anterior (hasta un día atrás)
+    async getRankingAt(at, { type = 'explosion-candidates', limit = 5 } = {}) {
+        let latest = null;
+        for await (const snapshot of this.snapshots(at - DAY_MS, at)) latest = snapshot;
+        return latest ? HistoryStore.describeRanking(latest, type, limit) : null;
+    }
+
+    async getSentiment({ from, to }) {
+        const points = [];
+        for await (const snapshot of this.snapshots(from, to)) {
+            points.push({
+                timestamp: new Date(snapshot.timestamp).toISOString(),
+                marketSentiment: snapshot.marketSentiment,
+                marketStats: snapshot.marketStats
+            });
+        }
+        return points;
+    }
+
+    async getSymbolHistory(symbol, { from, to }) {
+        const points = [];
+        for await (const snapshot of this.snapshots(from, to)) {
+            const ticker = snapshot.tickers.find(t => t.symbol === symbol);
+            if (!ticker) continue;
+            points.push({
+                timestamp: new Date(snapshot.timestamp).toISOString(),
+                strategy: snapshot.strategy,
+                price: ticker.price,
+                priceChangePercent: ticker.priceChangePercent,
+                volume: ticker.volume,
+                score: ticker.score
+            });
+        }
+        return points;
+    }
+
+    async getStatus() {
+        const days = await this.days();
+        return {
+            enabled: CONFIG.HISTORY_ENABLED,
+            snapshotMs: CONFIG.HISTORY_SNAPSHOT_MS,
+            retentionDays: CONFIG.HISTORY_RETENTION_DAYS,
+            maxRangeDays: CONFIG.HISTORY_MAX_RANGE_DAYS,
+            days: days.length,
+            oldestDay: days[0] || null,
+            newestDay: days[days.length - 1] || null
+        };
+    }
+}
+
+module.exports = new HistoryStore();
+module.exports.HistoryStore = HistoryStore;
+module.exports.RANKING_TYPES = RANKING_TYPES;
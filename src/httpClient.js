@@ -0,0 +1,263 @@
+const axios = require('axios');
+const CONFIG = require('./config');
+const logger = require('./logger').child({ component: 'http' });
+const metrics = require('./metrics');
+
+const MINUTE_MS = 60000;
+
+// Error de un upstream con el motivo (code) para distinguir baneos, circuito abierto y fallos reales
+class UpstreamError extends Error {
+    constructor(message, { code = 'UPSTREAM_ERROR', status = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.code = code;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 🛡️ CLIENTE HTTP RESILIENTE
+// - Reintentos con backoff exponencial y "full jitter" ante errores de red, timeouts y 5xx.
+// - 429/418 (límite o baneo de IP en Binance): no se reintenta; se bloquea el upstream durante Retry-After.
+// - Circuit breaker: tras BREAKER_FAILURE_THRESHOLD fallos seguidos se abre durante BREAKER_COOLDOWN_MS;
+//   después deja pasar una sola petición de prueba (HALF_OPEN, sin reintentos) que lo cierra o lo vuelve
+//   a abrir. Mientras la prueba está en vuelo el resto falla al momento con CIRCUIT_OPEN.
+// - Contabilidad de peso: con weightHeader se lee el peso usado en el minuto (X-MBX-USED-WEIGHT-1M)
+//   y se rechazan peticiones que superarían el límite menos la reserva. Solo cuentan los intentos con
+//   respuesta: un timeout o un error de red no llegan a consumir peso en el upstream.
+// Los 4xx distintos de 429/418 son errores del cliente (p. ej. símbolo inválido) y no cuentan como fallos.
+class ResilientClient {
+    constructor({ name, baseUrl, headers = {}, timeout = 10000, weightHeader = null, weightLimit = null }) {
+        this.name = name;
+        this.baseUrl = baseUrl;
+        this.headers = headers;
+        this.timeout = timeout;
+        this.weightHeader = weightHeader;
+        this.weightLimit = weightLimit;
+
+        this.state = 'CLOSED';
+        this.probing = false;
+        this.consecutiveFailures = 0;
+        this.openUntil = 0;
+        this.bannedUntil = 0;
+        this.usedWeight = 0;
+        this.weightMinute = 0;
+        this.stats = { requests: 0, failures: 0, retries: 0, rejected: 0 };
+        this.lastSuccessAt = null;
+        this.lastErrorAt = null;
+        this.lastError = null;
+        metrics.registerUpstream(this);
+    }
+
+    // endpoint: etiqueta de la ruta en las métricas si `path` lleva identificadores (por defecto `path`)
+    async get(path, { params = {}, headers = {}, timeout = this.timeout, weight = 1, endpoint = path } = {}) {
+        try {
+            return await this.request(path, { params, headers, timeout, weight, endpoint });
+        } catch (error) {
+            metrics.upstreamErrors.inc({ upstream: this.name, code: error.code || 'UPSTREAM_ERROR' });
+            throw error;
+        }
+    }
+
+    async request(path, { params, headers, timeout, weight, endpoint }) {
+        const probe = this.assertAvailable(weight);
+        try {
+            return await this.send(path, { params, headers, timeout, weight, endpoint, probe });
+        } finally {
+            if (probe) this.probing = false;
+        }
+    }
+
+    async send(path, { params, headers, timeout, weight, endpoint, probe }) {
+        let attempt = 0;
+        for (;;) {
+            this.stats.requests += 1;
+            const end = metrics.upstreamDuration.startTimer({ upstream: this.name, endpoint });
+
+            try {
+                const response = await axios.get(`${this.baseUrl}${path}`, {
+                    params,
+                    headers: { ...this.headers, ...headers },
+                    timeout
+                });
+                end({ outcome: String(response.status) });
+                this.readWeight(response.headers, weight);
+                this.recordSuccess();
+                return response.data;
+            } catch (error) {
+                const status = error.response ? error.response.status : null;
+                end({ outcome: status !== null ? String(status) : ResilientClient.networkOutcome(error) });
+                if (error.response) this.readWeight(error.response.headers, weight);
+
+                if (status === 429 || status === 418) {
+                    throw this.recordBan(status, error.response.headers);
+                }
+                if (status !== null && status < 500) {
+                    // Error del cliente: el upstream está sano
+                    this.recordSuccess();
+                    throw new UpstreamError(`${this.name} respondió ${status}: ${error.message}`, { code: 'CLIENT_ERROR', status });
+                }
+                if (probe || attempt >= CONFIG.HTTP_MAX_RETRIES) {
+                    throw this.recordFailure(error, status);
+                }
+
+                attempt += 1;
+                this.stats.retries += 1;
+                await sleep(ResilientClient.backoffDelay(attempt));
+            }
+        }
+    }
+
+    // Intento sin respuesta HTTP: timeout o error de red
+    static networkOutcome(error) {
+        return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ? 'timeout' : 'network_error';
+    }
+
+    // Full jitter: aleatorio en [0, min(max, base·2^intento)]
+    static backoffDelay(attempt) {
+        const ceiling = Math.min(CONFIG.HTTP_BACKOFF_MAX_MS, CONFIG.HTTP_BACKOFF_BASE_MS * 2 ** attempt);
+        return Math.floor(Math.random() * ceiling);
+    }
+
+    isAvailable(weight = 1) {
+        const now = Date.now();
+        if (now < this.bannedUntil) return false;
+        if (this.state === 'OPEN' && now < this.openUntil) return false;
+        if (this.state === 'HALF_OPEN' && this.probing) return false;
+        return !this.weightExhausted(weight);
+    }
+
+    // Lanza si la petición no puede salir; devuelve true si es la prueba del circuito semiabierto
+    assertAvailable(weight) {
+        const now = Date.now();
+
+        if (now < this.bannedUntil) {
+            this.stats.rejected += 1;
+            throw new UpstreamError(`${this.name} limitado hasta ${new Date(this.bannedUntil).toISOString()}`, {
+                code: 'RATE_LIMITED',
+                retryAfterMs: this.bannedUntil - now
+            });
+        }
+        if (this.state === 'OPEN') {
+            if (now < this.openUntil) {
+                this.stats.rejected += 1;
+                throw new UpstreamError(`Circuito abierto para ${this.name}`, { code: 'CIRCUIT_OPEN', retryAfterMs: this.openUntil - now });
+            }
+            this.state = 'HALF_OPEN';
+        }
+        if (this.state === 'HALF_OPEN' && this.probing) {
+            this.stats.rejected += 1;
+            throw new UpstreamError(`Circuito semiabierto para ${this.name}: petición de prueba en curso`, { code: 'CIRCUIT_OPEN' });
+        }
+        if (this.weightExhausted(weight)) {
+            this.stats.rejected += 1;
+            throw new UpstreamError(`Presupuesto de peso agotado en ${this.name} (${this.usedWeight}/${this.weightLimit})`, {
+                code: 'WEIGHT_EXHAUSTED',
+                retryAfterMs: MINUTE_MS - (now % MINUTE_MS)
+            });
+        }
+
+        if (this.state !== 'HALF_OPEN') return false;
+        this.probing = true;
+        return true;
+    }
+
+    // ---- Peso por minuto ----
+
+    currentMinute() {
+        return Math.floor(Date.now() / MINUTE_MS);
+    }
+
+    weightExhausted(weight) {
+        if (!this.weightLimit) return false;
+        if (this.weightMinute !== this.currentMinute()) return false;
+        return this.usedWeight + weight > this.weightLimit * (1 - CONFIG.BINANCE_WEIGHT_RESERVE);
+    }
+
+    // Estimación local si la respuesta no trae la cabecera con el valor real
+    addWeight(weight) {
+        const minute = this.currentMinute();
+        if (this.weightMinute !== minute) {
+            this.weightMinute = minute;
+            this.usedWeight = 0;
+        }
+        this.usedWeight += weight;
+    }
+
+    // Solo con respuesta HTTP (2xx, 4xx o 5xx): el valor de la cabecera o, sin ella, `weight`
+    readWeight(headers = {}, weight = 0) {
+        if (!this.weightHeader) return;
+        const used = parseInt(headers[this.weightHeader], 10);
+        if (!Number.isFinite(used)) return this.addWeight(weight);
+
+        this.weightMinute = this.currentMinute();
+        this.usedWeight = used;
+    }
+
+    // ---- Estado del circuito ----
+
+    recordSuccess() {
+        this.state = 'CLOSED';
+        this.probing = false;
+        this.consecutiveFailures = 0;
+        this.lastSuccessAt = Date.now();
+    }
+
+    recordFailure(error, status) {
+        this.stats.failures += 1;
+        this.consecutiveFailures += 1;
+        this.lastErrorAt = Date.now();
+        this.lastError = error.message;
+
+        if (this.state === 'HALF_OPEN' || this.consecutiveFailures >= CONFIG.BREAKER_FAILURE_THRESHOLD) {
+            this.state = 'OPEN';
+            this.openUntil = Date.now() + CONFIG.BREAKER_COOLDOWN_MS;
+            logger.error('Circuito abierto', { upstream: this.name, cooldownMs: CONFIG.BREAKER_COOLDOWN_MS, reason: error.message });
+        }
+        return new UpstreamError(`${this.name}: ${error.message}`, { status });
+    }
+
+    recordBan(status, headers = {}) {
+        const retryAfterSeconds = parseInt(headers['retry-after'], 10);
+        const retryAfterMs = Number.isFinite(retryAfterSeconds) ? retryAfterSeconds * 1000 : MINUTE_MS;
+
+        this.stats.failures += 1;
+        this.bannedUntil = Date.now() + retryAfterMs;
+        this.lastErrorAt = Date.now();
+        this.lastError = `HTTP ${status}`;
+        logger.error('Upstream limitado', { upstream: this.name, status, retryAfterMs });
+
+        return new UpstreamError(`${this.name} respondió ${status} (${status === 418 ? 'IP baneada' : 'límite de peticiones'})`, {
+            code: 'RATE_LIMITED',
+            status,
+            retryAfterMs
+        });
+    }
+
+    getStatus() {
+        const now = Date.now();
+        const iso = value => (value ? new Date(value).toISOString() : null);
+        return {
+            name: this.name,
+            state: this.state === 'OPEN' && now >= this.openUntil ? 'HALF_OPEN' : this.state,
+            available: this.isAvailable(),
+            consecutiveFailures: this.consecutiveFailures,
+            openUntil: this.state === 'OPEN' ? iso(this.openUntil) : null,
+            bannedUntil: now < this.bannedUntil ? iso(this.bannedUntil) : null,
+            ...(this.weightLimit && {
+                weight: {
+                    used: this.weightMinute === this.currentMinute() ? this.usedWeight : 0,
+                    limit: this.weightLimit
+                }
+            }),
+            ...this.stats,
+            lastSuccessAt: iso(this.lastSuccessAt),
+            lastErrorAt: iso(this.lastErrorAt),
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = { ResilientClient, UpstreamError };
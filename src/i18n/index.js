@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config');
+const RankingQuery = require('../rankingQuery');
+const logger = require('../logger').child({ component: 'i18n' });
+
+// 🌍 INTERNACIONALIZACIÓN DE LOS TEXTOS DE RECOMENDACIONES Y ALERTAS
+// Las respuestas llevan enums estables (action: STRONG_BUY, confidence: VERY_HIGH, risk: HIGH...) y,
+// junto a ellos, textos para mostrar en el idioma pedido:
+//   ?lang=en            → tiene prioridad (400 si no hay paquete para ese idioma)
+//   Accept-Language     → negociación estándar (en-US, pt-BR;q=0.8...)
+//   DEFAULT_LOCALE      → si no se pide nada o no hay coincidencia
+// Los módulos crean los textos con I18n.text(clave, parámetros) y se resuelven al responder
+// (I18n.middleware), así la caché guarda una sola versión para todos los idiomas. Fuera de una
+// petición (informes, JSON.stringify) se escriben en DEFAULT_LOCALE.
+// Paquetes: un JSON plano por idioma junto a este fichero ({ "action.STRONG_BUY": "🔥 COMPRA FUERTE" })
+// con marcadores {parámetro}; las claves que falten se toman de DEFAULT_LOCALE.
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+const bundles = {};
+for (const file of fs.readdirSync(__dirname).filter(name => name.endsWith('.json')).sort()) {
+    bundles[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(__dirname, file), 'utf8'));
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' &&
+    [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+// Texto pendiente de traducir: se resuelve en el idioma de la respuesta
+class LocalizedText {
+    constructor(key, params = {}) {
+        this.key = key;
+        this.params = params;
+    }
+
+    toString(locale = CONFIG.DEFAULT_LOCALE) {
+        return I18n.t(locale, this.key, this.params);
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+}
+
+const I18n = {
+    LocalizedText,
+
+    // El idioma por defecto va primero (es el que devuelve la negociación sin Accept-Language)
+    locales() {
+        return Object.keys(bundles).sort((a, b) => (b === CONFIG.DEFAULT_LOCALE) - (a === CONFIG.DEFAULT_LOCALE));
+    },
+
+    // 'pt-BR' → 'pt'; null si no hay paquete
+    match(tag) {
+        const locale = String(tag).trim().toLowerCase().split(/[-_]/)[0];
+        return bundles[locale] ? locale : null;
+    },
+
+    text(key, params) {
+        return new LocalizedText(key, params);
+    },
+
+    // Traduce `key` con los parámetros (que también pueden ser LocalizedText); la clave si no existe
+    t(locale, key, params = {}) {
+        const bundle = bundles[locale] || bundles[CONFIG.DEFAULT_LOCALE] || {};
+        const template = bundle[key] !== undefined ? bundle[key] : (bundles[CONFIG.DEFAULT_LOCALE] || {})[key];
+        if (template === undefined) return key;
+
+        return template.replace(PLACEHOLDER, (marker, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return marker;
+            return value instanceof LocalizedText ? value.toString(locale) : String(value);
+        });
+    },
+
+    // Copia de `value` con los LocalizedText resueltos en `locale` (no modifica los objetos de la caché)
+    localize(value, locale = CONFIG.DEFAULT_LOCALE) {
+        if (value instanceof LocalizedText) return value.toString(locale);
+        if (Array.isArray(value)) return value.map(item => this.localize(item, locale));
+        if (!isPlainObject(value)) return value;
+
+        const copy = {};
+        for (const [key, field] of Object.entries(value)) copy[key] = this.localize(field, locale);
+        return copy;
+    },
+
+    // Idioma pedido: { locale } o { errors } si ?lang= no tiene paquete
+    negotiate(req) {
+        if (req.query.lang !== undefined) {
+            const locale = this.match(req.query.lang);
+            if (!locale) return { errors: [{ param: 'lang', message: `valores permitidos: ${this.locales().join(', ')}` }] };
+            return { locale };
+        }
+        return { locale: req.acceptsLanguages(...this.locales()) || CONFIG.DEFAULT_LOCALE };
+    },
+
+    // Fija req.locale y traduce los textos de las respuestas JSON
+    middleware() {
+        return (req, res, next) => {
+            const { locale, errors } = this.negotiate(req);
+            if (errors) return RankingQuery.sendErrors(res, errors);
+
+            req.locale = locale;
+            res.vary('Accept-Language');
+            res.set('Content-Language', locale);
+
+            const json = res.json.bind(res);
+            res.json = body => json(this.localize(body, locale));
+            next();
+        };
+    },
+
+    // Compara cada paquete con DEFAULT_LOCALE: claves que faltan o sobran y marcadores distintos.
+    // Al arrancar solo avisa; con strict (los tests) lanza un error con la lista de problemas.
+    check({ strict = false, bundles: candidates = bundles } = {}) {
+        const placeholders = template => [...template.matchAll(PLACEHOLDER)].map(match => match[1]).sort().join(',');
+        const reference = candidates[CONFIG.DEFAULT_LOCALE];
+        const problems = [];
+
+        if (!reference) {
+            problems.push({ locale: CONFIG.DEFAULT_LOCALE, message: 'DEFAULT_LOCALE sin paquete de textos' });
+        } else {
+            for (const [locale, bundle] of Object.entries(candidates)) {
+                const missing = Object.keys(reference).filter(key => bundle[key] === undefined);
+                const unknown = Object.keys(bundle).filter(key => reference[key] === undefined);
+                const mismatched = Object.keys(bundle).filter(key => reference[key] !== undefined &&
+                    placeholders(bundle[key]) !== placeholders(reference[key]));
+
+                if (missing.length > 0) problems.push({ locale, message: 'Textos sin traducir', keys: missing });
+                if (unknown.length > 0) problems.push({ locale, message: `Claves que no existen en ${CONFIG.DEFAULT_LOCALE}`, keys: unknown });
+                if (mismatched.length > 0) problems.push({ locale, message: 'Marcadores distintos', keys: mismatched });
+            }
+        }
+
+        if (strict && problems.length > 0) {
+            throw new Error(`Paquetes de textos incompletos: ${problems.map(({ locale, message, keys }) => `${locale}: ${message}${keys ? ` (${keys.join(', ')})` : ''}`).join('; ')}`);
+        }
+        for (const { locale, message, keys } of problems) logger.warn(message, { locale, keys });
+        return problems;
+    }
+};
+
+// En los tests un paquete incompleto rompe la carga del módulo en vez de quedarse en un aviso
+I18n.check({ strict: process.env.NODE_ENV === 'test' });
+
+module.exports = I18n;
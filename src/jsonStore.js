@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('./config');
+const logger = require('./logger').child({ component: 'store' });
+
+// 💾 PERSISTENCIA EN FICHEROS JSON DENTRO DE DATA_DIR
+// Escritura atómica (fichero temporal + rename) para no dejar JSON corrupto si el proceso muere.
+class JsonStore {
+    constructor(name, defaults) {
+        this.filePath = path.join(CONFIG.DATA_DIR, `${name}.json`);
+        this.defaults = defaults;
+        this.data = null;
+    }
+
+    load() {
+        if (this.data) return this.data;
+
+        try {
+            this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Error leyendo fichero JSON', { file: this.filePath, error });
+            }
+            this.data = JSON.parse(JSON.stringify(this.defaults));
+        }
+
+        return this.data;
+    }
+
+    save() {
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+
+    update(mutator) {
+        const result = mutator(this.load());
+        this.save();
+        return result;
+    }
+}
+
+module.exports = JsonStore;
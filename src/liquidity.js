@@ -0,0 +1,222 @@
+const CONFIG = require('./config');
+const I18n = require('./i18n');
+const { getOrderBook, getRecentTrades } = require('./binance');
+
+const DEPTH_BANDS = [1, 2]; // ±% alrededor del precio medio
+const RISK_LEVELS = [
+    { max: 25, level: 'LOW' },
+    { max: 50, level: 'MEDIUM' },
+    { max: 75, level: 'HIGH' },
+    { max: Infinity, level: 'VERY_HIGH' }
+];
+
+const round = (value, digits = 4) => (value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits)));
+
+// 💧 ANÁLISIS DE LIQUIDEZ (libro de órdenes + operaciones recientes de Binance)
+// Métricas: spread, profundidad en USDT a ±1% y ±2%, desequilibrio del libro (-1 todo ventas, +1 todo
+// compras), slippage estimado de una orden a mercado de `orderSize` USDT y actividad reciente.
+// Con ellas se calcula un riesgo de 0 a 100 (más alto = más arriesgado) que sustituye al riesgo fijo
+// por tramo de score de la recomendación. Un par es ilíquido si incumple algún umbral LIQUIDITY_*.
+// Con LIQUIDITY_DEPTH_LIMIT niveles el libro puede no llegar al ±2% en pares muy líquidos: la
+// profundidad es entonces una cota inferior (depthTruncated) y solo puede empeorar el riesgo.
+class LiquidityAnalyzer {
+    constructor() {
+        this.cache = new Map();
+        this.pending = new Map();
+    }
+
+    // → análisis completo, o null si Binance no devuelve libro para el símbolo
+    analyze(symbol, orderSize = CONFIG.LIQUIDITY_ORDER_SIZE) {
+        const key = `${symbol}:${orderSize}`;
+        const cached = this.cache.get(key);
+        if (cached && Date.now() - cached.at < CONFIG.LIQUIDITY_CACHE_MS) return Promise.resolve(cached.result);
+
+        if (!this.pending.has(key)) {
+            this.pending.set(key, this.fetchAndAnalyze(symbol, orderSize).finally(() => {
+                this.pending.delete(key);
+            }));
+        }
+        return this.pending.get(key);
+    }
+
+    async fetchAndAnalyze(symbol, orderSize) {
+        const [book, trades] = await Promise.all([
+            getOrderBook(symbol, CONFIG.LIQUIDITY_DEPTH_LIMIT),
+            getRecentTrades(symbol, CONFIG.LIQUIDITY_TRADES_LIMIT)
+        ]);
+        if (!book || book.bids.length === 0 || book.asks.length === 0) return null;
+
+        const result = {
+            symbol,
+            ...LiquidityAnalyzer.analyzeBook(book, orderSize),
+            activity: trades ? LiquidityAnalyzer.analyzeTrades(trades) : null
+        };
+        result.risk = LiquidityAnalyzer.rateRisk(result);
+        result.illiquid = result.risk.illiquid;
+        result.timestamp = new Date().toISOString();
+
+        this.cache.set(`${symbol}:${orderSize}`, { at: Date.now(), result });
+        this.evictExpired();
+        return result;
+    }
+
+    evictExpired() {
+        const now = Date.now();
+        for (const [key, entry] of this.cache) {
+            if (now - entry.at >= CONFIG.LIQUIDITY_CACHE_MS) this.cache.delete(key);
+        }
+    }
+
+    static analyzeBook(book, orderSize) {
+        const parse = levels => levels.map(([price, qty]) => ({ price: parseFloat(price), qty: parseFloat(qty) }));
+        const bids = parse(book.bids);
+        const asks = parse(book.asks);
+        const bestBid = bids[0].price;
+        const bestAsk = asks[0].price;
+        const mid = (bestBid + bestAsk) / 2;
+
+        const depth = {};
+        for (const band of DEPTH_BANDS) {
+            const sum = levels => levels.reduce((total, level) => total + level.price * level.qty, 0);
+            const bid = sum(bids.filter(level => level.price >= mid * (1 - band / 100)));
+            const ask = sum(asks.filter(level => level.price <= mid * (1 + band / 100)));
+            depth[`${band}%`] = { bid: round(bid, 2), ask: round(ask, 2) };
+        }
+
+        const outer = depth[`${DEPTH_BANDS[DEPTH_BANDS.length - 1]}%`];
+        const maxBand = DEPTH_BANDS[DEPTH_BANDS.length - 1] / 100;
+
+        return {
+            bestBid,
+            bestAsk,
+            midPrice: round(mid, 8),
+            spreadPercent: round(((bestAsk - bestBid) / mid) * 100),
+            depth,
+            depthTruncated: bids[bids.length - 1].price > mid * (1 - maxBand) || asks[asks.length - 1].price < mid * (1 + maxBand),
+            imbalance: outer.bid + outer.ask > 0 ? round((outer.bid - outer.ask) / (outer.bid + outer.ask)) : null,
+            slippage: {
+                orderSize,
+                buy: this.estimateSlippage(asks, orderSize, mid),
+                sell: this.estimateSlippage(bids, orderSize, mid)
+            }
+        };
+    }
+
+    // Recorre el libro consumiendo `orderSize` USDT; slippage del precio medio de ejecución frente al mid
+    static estimateSlippage(levels, orderSize, mid) {
+        let remaining = orderSize;
+        let quantity = 0;
+
+        for (const level of levels) {
+            if (remaining <= 0) break;
+            const spend = Math.min(remaining, level.price * level.qty);
+            quantity += spend / level.price;
+            remaining -= spend;
+        }
+
+        const filled = orderSize - remaining;
+        const avgPrice = quantity > 0 ? filled / quantity : null;
+        return {
+            filled: remaining <= 0,
+            filledAmount: round(filled, 2),
+            avgPrice: round(avgPrice, 8),
+            percent: avgPrice === null ? null : round((Math.abs(avgPrice - mid) / mid) * 100)
+        };
+    }
+
+    static analyzeTrades(trades) {
+        if (trades.length === 0) return { trades: 0, windowMinutes: null, tradesPerMinute: 0, avgTradeSize: null, buyRatio: null };
+
+        const first = trades[0].time;
+        const last = trades[trades.length - 1].time;
+        const windowMinutes = Math.max((last - first) / 60000, 1 / 60);
+        const quoteVolume = trades.reduce((sum, trade) => sum + parseFloat(trade.quoteQty), 0);
+        // isBuyerMaker=false: el agresor compró
+        const takerBuys = trades.filter(trade => !trade.isBuyerMaker).length;
+
+        return {
+            trades: trades.length,
+            windowMinutes: round(windowMinutes, 2),
+            tradesPerMinute: round(trades.length / windowMinutes, 2),
+            avgTradeSize: round(quoteVolume / trades.length, 2),
+            buyRatio: round(takerBuys / trades.length)
+        };
+    }
+
+    // Penalizaciones: spread 30, profundidad 30, slippage 25, actividad 15 (+10 si el libro está muy desequilibrado)
+    static rateRisk(metrics) {
+        const reasons = [];
+        const outer = metrics.depth[`${DEPTH_BANDS[DEPTH_BANDS.length - 1]}%`];
+        const weakestSide = Math.min(outer.bid, outer.ask);
+        const slippage = Math.max(metrics.slippage.buy.percent || 0, metrics.slippage.sell.percent || 0);
+        const unfilled = !metrics.slippage.buy.filled || !metrics.slippage.sell.filled;
+        let score = 0;
+
+        score += Math.min(30, (metrics.spreadPercent / CONFIG.LIQUIDITY_MAX_SPREAD_PERCENT) * 15);
+        if (metrics.spreadPercent > CONFIG.LIQUIDITY_MAX_SPREAD_PERCENT) reasons.push(`Spread amplio (${metrics.spreadPercent}%)`);
+
+        if (weakestSide < CONFIG.LIQUIDITY_MIN_DEPTH) {
+            score += 30 * (1 - weakestSide / CONFIG.LIQUIDITY_MIN_DEPTH);
+            reasons.push(`Profundidad escasa a ±2% (${Math.round(weakestSide)} USDT)`);
+        }
+
+        if (unfilled) {
+            score += 25;
+            reasons.push(`El libro no cubre una orden de ${metrics.slippage.orderSize} USDT`);
+        } else {
+            score += Math.min(25, (slippage / CONFIG.LIQUIDITY_MAX_SLIPPAGE_PERCENT) * 12.5);
+            if (slippage > CONFIG.LIQUIDITY_MAX_SLIPPAGE_PERCENT) reasons.push(`Slippage estimado alto (${slippage}%)`);
+        }
+
+        const activity = metrics.activity;
+        if (!activity || activity.tradesPerMinute < CONFIG.LIQUIDITY_MIN_TRADES_PER_MINUTE) {
+            score += 15;
+            reasons.push('Poca actividad reciente');
+        }
+
+        if (metrics.imbalance !== null && Math.abs(metrics.imbalance) >= 0.5) {
+            score += 10;
+            reasons.push(`Libro desequilibrado hacia ${metrics.imbalance > 0 ? 'compras' : 'ventas'} (${metrics.imbalance})`);
+        }
+
+        const illiquid = metrics.spreadPercent > CONFIG.LIQUIDITY_MAX_SPREAD_PERCENT ||
+            weakestSide < CONFIG.LIQUIDITY_MIN_DEPTH ||
+            unfilled ||
+            slippage > CONFIG.LIQUIDITY_MAX_SLIPPAGE_PERCENT;
+
+        const total = Math.round(Math.min(100, score));
+        return {
+            score: total,
+            level: RISK_LEVELS.find(entry => total < entry.max).level,
+            illiquid,
+            reasons
+        };
+    }
+
+    // Sustituye el riesgo fijo por tramo de la recomendación por el calculado con la liquidez
+    static applyToRecommendation(recommendation, liquidity) {
+        if (!liquidity) return recommendation;
+        recommendation.risk = liquidity.risk.level;
+        if (recommendation.display) recommendation.display.risk = I18n.text(`risk.${liquidity.risk.level}`);
+        recommendation.riskScore = liquidity.risk.score;
+        recommendation.riskFactors = liquidity.risk.reasons;
+        return recommendation;
+    }
+
+    // Resumen compacto para los rankings
+    static summarize(liquidity) {
+        if (!liquidity) return null;
+        return {
+            spreadPercent: liquidity.spreadPercent,
+            depth2Percent: liquidity.depth['2%'],
+            imbalance: liquidity.imbalance,
+            slippagePercent: liquidity.slippage.buy.percent,
+            orderSize: liquidity.slippage.orderSize,
+            riskScore: liquidity.risk.score,
+            illiquid: liquidity.illiquid
+        };
+    }
+}
+
+module.exports = new LiquidityAnalyzer();
+module.exports.LiquidityAnalyzer = LiquidityAnalyzer;
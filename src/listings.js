@@ -0,0 +1,190 @@
+const CONFIG = require('./config');
+const logger = require('./logger').child({ component: 'listings' });
+const JsonStore = require('./jsonStore');
+const ExplosionDetector = require('./explosionDetector');
+const Strategies = require('./strategies');
+const { getAllTickers, getExchangeInfo, getFirstKline } = require('./binance');
+
+const store = new JsonStore('listings/symbols', { initializedAt: null, symbols: {} });
+const FLAGGED_STATUSES = ['PRE_TRADING', 'BREAK'];
+// Un par anunciado (PRE_TRADING) o en pausa (BREAK) ya puede tener velas: también se consulta
+const LOOKUP_STATUSES = ['TRADING', ...FLAGGED_STATUSES];
+const HOUR_MS = 3600000;
+
+// 🆕 DETECCIÓN DE NUEVOS LISTADOS
+// Compara el conjunto de símbolos de /api/v3/exchangeInfo entre refrescos y guarda cuándo se vio
+// cada uno por primera vez. Los símbolos presentes en el primer refresco quedan como "baseline".
+// La fecha real de listado y el precio inicial salen de la primera vela 1m de cada símbolo.
+class ListingTracker {
+    constructor() {
+        this.timer = null;
+        this.refreshing = null;
+    }
+
+    start() {
+        this.refresh();
+        this.timer = setInterval(() => this.refresh(), CONFIG.LISTING_REFRESH_MS);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Evita refrescos concurrentes (timer + peticiones)
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = this.doRefresh().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    async doRefresh() {
+        const exchangeSymbols = await getExchangeInfo();
+        if (!exchangeSymbols) return store.load();
+
+        const data = store.load();
+        const now = new Date().toISOString();
+        const isBaseline = data.initializedAt === null;
+        if (isBaseline) data.initializedAt = now;
+
+        const current = new Set();
+        for (const info of exchangeSymbols) {
+            if (info.quoteAsset !== 'USDT') continue;
+            current.add(info.symbol);
+
+            const entry = data.symbols[info.symbol];
+            if (!entry) {
+                data.symbols[info.symbol] = {
+                    ...info,
+                    firstSeenAt: now,
+                    baseline: isBaseline,
+                    listedAt: null,
+                    firstPrice: null,
+                    checkedAt: null,
+                    delistedAt: null
+                };
+                if (!isBaseline) logger.info('Nuevo símbolo detectado', { symbol: info.symbol, status: info.status });
+            } else {
+                entry.status = info.status;
+                entry.delistedAt = null;
+            }
+        }
+
+        // Símbolos que desaparecen de exchangeInfo
+        for (const [symbol, entry] of Object.entries(data.symbols)) {
+            if (!current.has(symbol) && !entry.delistedAt) entry.delistedAt = now;
+        }
+
+        await this.resolveListingDates(data, await getAllTickers(), now);
+        store.save();
+        return data;
+    }
+
+    // Resuelve la fecha de listado de unos pocos símbolos por refresco para no gastar peso de API.
+    // Prioridad: detectados por diff, luego PRE_TRADING/BREAK, luego los de menos trades acumulados
+    // (lastId del ticker 24h), que suelen ser los listados más recientes. Los que ya se consultaron
+    // sin velas (p. ej. PRE_TRADING antes de abrir) van detrás, del más antiguo al más reciente.
+    async resolveListingDates(data, tickers, now = new Date().toISOString()) {
+        const lastIds = new Map(tickers.map(ticker => [ticker.symbol, ticker.lastId]));
+        const priority = entry => {
+            if (!entry.baseline) return 0;
+            if (FLAGGED_STATUSES.includes(entry.status)) return 1;
+            return 2;
+        };
+
+        const pending = Object.values(data.symbols)
+            .filter(entry => entry.listedAt === null && LOOKUP_STATUSES.includes(entry.status) && !entry.delistedAt)
+            .sort((a, b) => (a.checkedAt || '').localeCompare(b.checkedAt || '') ||
+                priority(a) - priority(b) ||
+                (lastIds.get(a.symbol) ?? Infinity) - (lastIds.get(b.symbol) ?? Infinity))
+            .slice(0, CONFIG.LISTING_LOOKUPS_PER_REFRESH);
+
+        for (const entry of pending) {
+            const firstCandle = await getFirstKline(entry.symbol);
+            if (!firstCandle) {
+                entry.checkedAt = now;
+                continue;
+            }
+            entry.listedAt = new Date(firstCandle.timestamp).toISOString();
+            entry.firstPrice = firstCandle.open;
+        }
+    }
+
+    getNewListings(tickers, strategy = Strategies.get()) {
+        const data = store.load();
+        const now = Date.now();
+        const maxAgeMs = CONFIG.NEW_LISTING_MAX_AGE_DAYS * 24 * HOUR_MS;
+        const tickersBySymbol = new Map(tickers.map(ticker => [ticker.symbol, ticker]));
+
+        return Object.values(data.symbols)
+            .filter(entry => !entry.delistedAt)
+            .filter(entry => {
+                if (FLAGGED_STATUSES.includes(entry.status)) return true;
+                if (entry.listedAt) return now - Date.parse(entry.listedAt) <= maxAgeMs;
+                // Sin fecha resuelta todavía: solo los detectados por diff
+                return !entry.baseline;
+            })
+            .map(entry => this.describeListing(entry, tickersBySymbol.get(entry.symbol), now, strategy))
+            .sort((a, b) => (a.listingAgeHours ?? 0) - (b.listingAgeHours ?? 0));
+    }
+
+    describeListing(entry, ticker, now, strategy = Strategies.get()) {
+        const listing = {
+            symbol: entry.symbol,
+            baseAsset: entry.baseAsset,
+            status: entry.status,
+            isPreTrading: entry.status === 'PRE_TRADING',
+            isOnBreak: entry.status === 'BREAK',
+            detectedByDiff: !entry.baseline,
+            firstSeenAt: entry.firstSeenAt,
+            listedAt: entry.listedAt,
+            listingAgeHours: entry.listedAt ? parseFloat(((now - Date.parse(entry.listedAt)) / HOUR_MS).toFixed(1)) : null,
+            firstPrice: entry.firstPrice,
+            price: null,
+            priceChangePercent: null,
+            sinceListingPercent: null,
+            volume: null,
+            trades: null,
+            score: null,
+            recommendation: null,
+            isNew: true,
+            timestamp: new Date().toISOString()
+        };
+
+        if (ticker) {
+            const price = parseFloat(ticker.lastPrice);
+            const analysis = ExplosionDetector.calculateExplosionScore(ticker, null, strategy);
+            Object.assign(listing, {
+                price,
+                priceChangePercent: parseFloat(ticker.priceChangePercent),
+                sinceListingPercent: entry.firstPrice ? parseFloat((((price - entry.firstPrice) / entry.firstPrice) * 100).toFixed(2)) : null,
+                volume: parseFloat(ticker.quoteVolume),
+                trades: parseFloat(ticker.count),
+                score: analysis.totalScore,
+                recommendation: analysis.recommendation
+            });
+        }
+
+        return listing;
+    }
+
+    isInitialized() {
+        return store.load().initializedAt !== null;
+    }
+
+    getStatus() {
+        const data = store.load();
+        return {
+            initializedAt: data.initializedAt,
+            trackedSymbols: Object.keys(data.symbols).length,
+            resolvedListingDates: Object.values(data.symbols).filter(entry => entry.listedAt).length
+        };
+    }
+}
+
+module.exports = new ListingTracker();
+module.exports.ListingTracker = ListingTracker;
@@ -0,0 +1,249 @@
+const http = require('http');
+const WebSocket = require('ws');
+const CONFIG = require('./config');
+const logger = require('./logger').child({ component: 'liveFeed' });
+const Rankings = require('./rankings');
+const I18n = require('./i18n');
+const RankingQuery = require('./rankingQuery');
+const Auth = require('./auth');
+const marketStream = require('./marketStream');
+const { getBinanceData, filterUniverse } = require('./binance');
+
+const REST_POLL_MS = 30000; // Mismo ritmo que el TTL del cache cuando no hay stream
+
+// Canales disponibles y cómo se calcula cada uno a partir del universo filtrado
+const CHANNELS = {
+    'explosion-candidates': data => Rankings.buildExplosionCandidates(data),
+    'top-gainers': data => Rankings.buildTopGainers(data),
+    'market-sentiment': data => ({ ...Rankings.buildMarketSentiment(data), timestamp: new Date().toISOString() })
+};
+
+// 📣 FEED EN VIVO PARA CLIENTES SSE Y WEBSOCKET
+// Recalcula los rankings cuando llega un update del stream (como mucho cada STREAM_BROADCAST_MS)
+// y solo envía a cada suscriptor los canales cuyo contenido cambió.
+class LiveFeed {
+    constructor(stream) {
+        this.stream = stream;
+        this.subscribers = new Set();
+        this.latest = {};
+        this.latestJson = {};
+        this.dirty = false;
+        this.lastRestPoll = 0;
+        this.timer = null;
+        this.publishing = false;
+    }
+
+    start() {
+        this.stream.on('update', () => {
+            this.dirty = true;
+        });
+        this.timer = setInterval(() => this.tick(), CONFIG.STREAM_BROADCAST_MS);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async tick() {
+        if (this.subscribers.size === 0 || this.publishing) return;
+
+        this.publishing = true;
+        try {
+            if (this.stream.isLive()) {
+                if (!this.dirty) return;
+                this.dirty = false;
+                this.publish(filterUniverse(this.stream.getTickers()));
+            } else if (Date.now() - this.lastRestPoll >= REST_POLL_MS) {
+                // Fallback REST mientras el stream está caído
+                this.lastRestPoll = Date.now();
+                this.publish(await getBinanceData());
+            }
+        } catch (error) {
+            logger.error('Error publicando feed en vivo', error);
+        } finally {
+            this.publishing = false;
+        }
+    }
+
+    publish(binanceData) {
+        if (binanceData.length === 0) return;
+
+        for (const [channel, build] of Object.entries(CHANNELS)) {
+            const payload = build(binanceData);
+            // El timestamp cambia siempre: se compara sin él
+            const json = JSON.stringify(payload, (key, value) => (key === 'timestamp' ? undefined : value));
+            if (json === this.latestJson[channel]) continue;
+
+            this.latest[channel] = payload;
+            this.latestJson[channel] = json;
+
+            for (const subscriber of this.subscribers) {
+                if (subscriber.channels.has(channel)) subscriber.send(channel, payload);
+            }
+        }
+    }
+
+    // Sin canales pedidos → todos; los nombres desconocidos se ignoran y, si no queda ninguno
+    // válido, devuelve [] para que el llamador responda con un error en vez de suscribir a todo
+    static parseChannels(channels) {
+        const requested = (Array.isArray(channels) ? channels : String(channels ?? '').split(','))
+            .map(c => String(c).trim())
+            .filter(Boolean);
+        if (requested.length === 0) return Object.keys(CHANNELS);
+        return requested.filter(c => CHANNELS[c]);
+    }
+
+    static channelsError() {
+        return { param: 'channels', message: `valores permitidos: ${Object.keys(CHANNELS).join(', ')}` };
+    }
+
+    subscribe(channels, send) {
+        const subscriber = { channels: new Set(channels), send };
+        this.subscribers.add(subscriber);
+
+        // Estado actual inmediato para no esperar al siguiente update
+        for (const channel of subscriber.channels) {
+            if (this.latest[channel]) send(channel, this.latest[channel]);
+        }
+        if (Object.keys(this.latest).length === 0) this.tick();
+
+        return subscriber;
+    }
+
+    unsubscribe(subscriber) {
+        this.subscribers.delete(subscriber);
+    }
+
+    // GET /api/stream?channels=explosion-candidates,top-gainers,market-sentiment (textos en req.locale)
+    handleSSE(req, res) {
+        const channels = LiveFeed.parseChannels(req.query.channels);
+        if (channels.length === 0) return RankingQuery.sendErrors(res, [LiveFeed.channelsError()]);
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(': conectado\n\n');
+
+        const subscriber = this.subscribe(channels, (channel, payload) => {
+            res.write(`event: ${channel}\ndata: ${JSON.stringify(I18n.localize(payload, req.locale))}\n\n`);
+        });
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            this.unsubscribe(subscriber);
+        });
+    }
+
+    // WebSocket en /ws (idioma de los textos con /ws?lang=en). Mensajes del cliente:
+    // { "action": "subscribe" | "unsubscribe", "channels": [...] }
+    // El upgrade se autentica como /api/* (key en cabecera o ?apiKey=) y tanto la conexión como cada
+    // mensaje del cliente cuentan en el límite del tier y en la cuota diaria; los envíos del feed no.
+    attachWebSocket(server) {
+        const wss = new WebSocket.Server({ noServer: true });
+
+        server.on('upgrade', async (req, socket, head) => {
+            if (new URL(req.url, 'http://localhost').pathname !== '/ws') {
+                return LiveFeed.rejectUpgrade(socket, { status: 404, body: { error: 'Ruta no encontrada' } });
+            }
+
+            socket.on('error', () => socket.destroy());
+            const { apiKey, error } = await Auth.authenticateUpgrade(req);
+            if (error) return LiveFeed.rejectUpgrade(socket, error);
+
+            req.apiKey = apiKey;
+            wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
+        });
+
+        wss.on('connection', (socket, req) => {
+            const ip = Auth.clientIp(req);
+            const lang = new URL(req.url, 'http://localhost').searchParams.get('lang');
+            const locale = (lang && I18n.match(lang)) || CONFIG.DEFAULT_LOCALE;
+            const send = (channel, payload) => {
+                if (socket.readyState === WebSocket.OPEN) {
+                    socket.send(JSON.stringify({ channel, data: I18n.localize(payload, locale) }));
+                }
+            };
+            const subscriber = this.subscribe(Object.keys(CHANNELS), send);
+
+            socket.isAlive = true;
+            socket.on('pong', () => {
+                socket.isAlive = true;
+            });
+
+            socket.on('message', async raw => {
+                const limited = await Auth.consume(req.apiKey, ip);
+                if (limited) return socket.send(JSON.stringify(limited.body));
+
+                let message;
+                try {
+                    message = JSON.parse(raw);
+                } catch (error) {
+                    return socket.send(JSON.stringify({ error: 'Mensaje inválido' }));
+                }
+
+                const channels = LiveFeed.parseChannels(message.channels);
+                if (channels.length === 0) {
+                    return socket.send(JSON.stringify({ error: 'Canales inválidos', details: [LiveFeed.channelsError()] }));
+                }
+                if (message.action === 'subscribe') {
+                    for (const channel of channels) {
+                        subscriber.channels.add(channel);
+                        if (this.latest[channel]) send(channel, this.latest[channel]);
+                    }
+                } else if (message.action === 'unsubscribe') {
+                    channels.forEach(channel => subscriber.channels.delete(channel));
+                }
+                socket.send(JSON.stringify({ subscribed: Array.from(subscriber.channels) }));
+            });
+
+            socket.on('close', () => this.unsubscribe(subscriber));
+        });
+
+        // Cierra conexiones muertas que no responden al ping
+        const heartbeat = setInterval(() => {
+            for (const socket of wss.clients) {
+                if (!socket.isAlive) {
+                    socket.terminate();
+                    continue;
+                }
+                socket.isAlive = false;
+                socket.ping();
+            }
+        }, 30000);
+        heartbeat.unref();
+        wss.on('close', () => clearInterval(heartbeat));
+
+        return wss;
+    }
+
+    // Responde al upgrade con un error HTTP en JSON y cierra el socket
+    static rejectUpgrade(socket, { status, body, retryAfter }) {
+        const json = JSON.stringify(body);
+        socket.end([
+            `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}`,
+            'Content-Type: application/json; charset=utf-8',
+            `Content-Length: ${Buffer.byteLength(json)}`,
+            ...(retryAfter !== undefined ? [`Retry-After: ${retryAfter}`] : []),
+            'Connection: close',
+            '',
+            json
+        ].join('\r\n'));
+    }
+
+    getStatus() {
+        return {
+            subscribers: this.subscribers.size,
+            channels: Object.keys(CHANNELS)
+        };
+    }
+}
+
+module.exports = new LiveFeed(marketStream);
+module.exports.LiveFeed = LiveFeed;
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const CONFIG = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, fatal: 50 };
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+// Contexto de la petición en curso (requestId) disponible para cualquier log que se emita durante ella
+const context = new AsyncLocalStorage();
+
+// Los Error no se serializan con JSON.stringify: se extraen nombre, mensaje, código y stack
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined && { code: error.code }),
+        ...(error.status !== undefined && error.status !== null && { status: error.status }),
+        stack: error.stack
+    };
+}
+
+// 📝 LOGS ESTRUCTURADOS
+// Una línea JSON por evento: { time, level, msg, requestId?, ...campos }. info y debug van a
+// stdout y warn, error y fatal a stderr. LOG_LEVEL fija el nivel mínimo.
+// logger.error('Mensaje', error) o logger.error('Mensaje', { error, symbol }) serializan el Error.
+class Logger {
+    constructor(bindings = {}) {
+        this.bindings = bindings;
+    }
+
+    // Logger con campos fijos (p. ej. { component: 'alerts' })
+    child(bindings) {
+        return new Logger({ ...this.bindings, ...bindings });
+    }
+
+    log(level, message, fields = {}) {
+        if (LEVELS[level] < (LEVELS[CONFIG.LOG_LEVEL] || LEVELS.info)) return;
+        if (fields instanceof Error) fields = { error: fields };
+
+        const store = context.getStore();
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg: message,
+            ...(store && { requestId: store.requestId }),
+            ...this.bindings
+        };
+        for (const [key, value] of Object.entries(fields)) {
+            entry[key] = value instanceof Error ? serializeError(value) : value;
+        }
+
+        const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    debug(message, fields) { this.log('debug', message, fields); }
+    info(message, fields) { this.log('info', message, fields); }
+    warn(message, fields) { this.log('warn', message, fields); }
+    error(message, fields) { this.log('error', message, fields); }
+    fatal(message, fields) { this.log('fatal', message, fields); }
+
+    // Middleware: asigna el requestId (X-Request-Id entrante si es válido), lo devuelve en la
+    // cabecera y registra cada petición al terminar
+    requests() {
+        return (req, res, next) => {
+            const incoming = req.get('X-Request-Id');
+            req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+            res.set('X-Request-Id', req.id);
+
+            const startedAt = process.hrtime.bigint();
+            res.on('finish', () => {
+                const fields = {
+                    method: req.method,
+                    path: req.originalUrl.split('?')[0],
+                    status: res.statusCode,
+                    durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+                    ...(req.apiKey && { apiKey: req.apiKey.id })
+                };
+                const level = res.statusCode >= 500 ? 'error' : 'info';
+                context.run({ requestId: req.id }, () => this.log(level, 'request', fields));
+            });
+
+            context.run({ requestId: req.id }, next);
+        };
+    }
+}
+
+module.exports = new Logger();
+module.exports.Logger = Logger;
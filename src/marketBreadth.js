@@ -0,0 +1,298 @@
+const CONFIG = require('./config');
+const RankingQuery = require('./rankingQuery');
+const Categories = require('./categories');
+const scanner = require('./scanner');
+
+const round = (value, digits = 2) => (value === null || !Number.isFinite(value) ? null : parseFloat(value.toFixed(digits)));
+const clamp = value => Math.min(100, Math.max(0, value));
+// Escala lineal a 0-100: `from` → 0 y `to` → 100 (con from > to la escala se invierte)
+const scale = (value, from, to) => (value === null ? null : clamp(((value - from) / (to - from)) * 100));
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const FEAR_GREED_LEVELS = [
+    { max: 25, label: 'EXTREME_FEAR' },
+    { max: 45, label: 'FEAR' },
+    { max: 55, label: 'NEUTRAL' },
+    { max: 75, label: 'GREED' },
+    { max: Infinity, label: 'EXTREME_GREED' }
+];
+
+// 🌡️ AMPLITUD DE MERCADO Y RENDIMIENTO POR CATEGORÍA
+// Todo sale de los tickers 24h del universo (cotización por defecto, sin stablecoins y con volumen
+// mínimo MARKET_MIN_VOLUME) salvo la correlación, que usa velas de Binance desde la caché del escáner.
+//   advanceDecline → pares que suben, bajan o no cambian
+//   change         → cambio medio, mediano y ponderado por volumen
+//   dominance      → proxy de dominancia de BTC: su cuota del volumen del universo (no hay market cap)
+//   volatility     → amplitud 24h ((high - low) / low) mediana y media
+//   fearGreed      → índice compuesto 0-100 con los pesos de MARKET_FEAR_GREED_WEIGHTS
+class MarketBreadth {
+    // Accesores de RankingQuery.sort para ?sort=change|volume
+    static CATEGORY_SORT_ACCESSORS = {
+        change: category => category.volumeWeightedChange,
+        volume: category => category.volume
+    };
+
+    static ASSET_SORT_ACCESSORS = {
+        change: asset => asset.priceChangePercent,
+        volume: asset => asset.volume
+    };
+
+    // Defaults de RankingQuery: sin límites de precio, a diferencia de los rankings
+    static universeDefaults(quoteAsset = 'USDT') {
+        return {
+            quote: [quoteAsset],
+            minVolume: CONFIG.MARKET_MIN_VOLUME
+        };
+    }
+
+    // Universo filtrado con los parámetros de RankingQuery
+    static universe(tickers, params) {
+        return tickers.filter(token =>
+            RankingQuery.matchesTicker(token, params) &&
+            token.priceChangePercent !== null &&
+            !CONFIG.MARKET_STABLECOINS.includes(token.baseAsset)
+        );
+    }
+
+    static summarize(tickers) {
+        const advanceDecline = this.advanceDecline(tickers);
+        const change = this.changeStats(tickers);
+        const dominance = this.dominance(tickers);
+        const volatility = this.volatility(tickers);
+
+        return {
+            universe: tickers.length,
+            advanceDecline,
+            change,
+            dominance,
+            volatility,
+            fearGreed: this.fearGreed({ advanceDecline, change, dominance, volatility })
+        };
+    }
+
+    static advanceDecline(tickers) {
+        const advancing = tickers.filter(token => token.priceChangePercent > 0).length;
+        const declining = tickers.filter(token => token.priceChangePercent < 0).length;
+
+        return {
+            advancing,
+            declining,
+            unchanged: tickers.length - advancing - declining,
+            net: advancing - declining,
+            ratio: declining > 0 ? round(advancing / declining) : null,
+            percentAdvancing: tickers.length > 0 ? round((advancing / tickers.length) * 100) : null
+        };
+    }
+
+    static changeStats(tickers) {
+        const changes = tickers.map(token => token.priceChangePercent);
+        const totalVolume = sum(tickers.map(token => token.quoteVolume));
+
+        return {
+            average: changes.length > 0 ? round(sum(changes) / changes.length) : null,
+            median: round(median(changes)),
+            volumeWeighted: totalVolume > 0 ? round(sum(tickers.map(token => token.priceChangePercent * token.quoteVolume)) / totalVolume) : null,
+            totalVolume: round(totalVolume)
+        };
+    }
+
+    static dominance(tickers) {
+        const totalVolume = sum(tickers.map(token => token.quoteVolume));
+        const asset = base => tickers.find(token => token.baseAsset === base) || null;
+        const share = token => (token && totalVolume > 0 ? round((token.quoteVolume / totalVolume) * 100) : null);
+        const btc = asset('BTC');
+        const eth = asset('ETH');
+
+        return {
+            btcVolumeShare: share(btc),
+            ethVolumeShare: share(eth),
+            btcChange: btc ? btc.priceChangePercent : null,
+            ethChange: eth ? eth.priceChangePercent : null
+        };
+    }
+
+    static volatility(tickers) {
+        const ranges = tickers
+            .filter(token => token.highPrice && token.lowPrice > 0)
+            .map(token => ((token.highPrice - token.lowPrice) / token.lowPrice) * 100);
+
+        return {
+            medianRangePercent: round(median(ranges)),
+            averageRangePercent: ranges.length > 0 ? round(sum(ranges) / ranges.length) : null
+        };
+    }
+
+    // Cada componente se lleva a 0 (miedo) - 100 (codicia); los que no se pueden medir se omiten
+    // y los pesos restantes se reparten proporcionalmente
+    static fearGreed({ advanceDecline, change, dominance, volatility }) {
+        const values = {
+            breadth: advanceDecline.percentAdvancing,
+            momentum: scale(change.volumeWeighted, -10, 10),
+            btcTrend: scale(dominance.btcChange, -5, 5),
+            volatility: scale(volatility.medianRangePercent, 15, 3), // rangos amplios = miedo
+            dominance: scale(dominance.btcVolumeShare, 50, 10) // refugio en BTC = miedo
+        };
+
+        const components = {};
+        let weighted = 0;
+        let totalWeight = 0;
+        for (const [name, weight] of Object.entries(CONFIG.MARKET_FEAR_GREED_WEIGHTS)) {
+            components[name] = { value: round(values[name], 1), weight };
+            if (values[name] === null) continue;
+            weighted += values[name] * weight;
+            totalWeight += weight;
+        }
+
+        const value = totalWeight > 0 ? Math.round(weighted / totalWeight) : null;
+        return {
+            value,
+            label: value === null ? null : FEAR_GREED_LEVELS.find(level => value < level.max).label,
+            components
+        };
+    }
+
+    // Rendimiento de cada categoría con al menos un par en el universo, por cambio ponderado descendente
+    static categoryPerformance(tickers) {
+        const totalVolume = sum(tickers.map(token => token.quoteVolume));
+        const groups = new Map();
+        for (const token of tickers) {
+            for (const id of Categories.of(token.baseAsset)) groups.set(id, [...(groups.get(id) || []), token]);
+        }
+
+        const categories = [...groups.entries()]
+            .map(([id, members]) => this.describeCategory(Categories.get(id), members, totalVolume))
+            .sort((a, b) => b.volumeWeightedChange - a.volumeWeightedChange);
+
+        const uncategorized = tickers.filter(token => Categories.of(token.baseAsset).length === 0);
+        return {
+            categories,
+            uncategorized: {
+                symbols: uncategorized.length,
+                volumeWeightedChange: this.changeStats(uncategorized).volumeWeighted
+            }
+        };
+    }
+
+    // Detalle de una categoría: resumen más sus pares del universo
+    static categoryDetail(tickers, category) {
+        const totalVolume = sum(tickers.map(token => token.quoteVolume));
+        const members = tickers.filter(token => Categories.of(token.baseAsset).includes(category.id));
+
+        return {
+            ...this.describeCategory(category, members, totalVolume),
+            assets: members.map(token => ({
+                symbol: token.symbol,
+                baseAsset: token.baseAsset,
+                price: token.lastPrice,
+                priceChangePercent: token.priceChangePercent,
+                volume: token.quoteVolume
+            }))
+        };
+    }
+
+    static describeCategory(category, members, totalVolume) {
+        const byChange = [...members].sort((a, b) => b.priceChangePercent - a.priceChangePercent);
+        const change = this.changeStats(members);
+        const pick = token => ({ symbol: token.symbol, priceChangePercent: token.priceChangePercent });
+
+        return {
+            id: category.id,
+            name: category.name,
+            symbols: members.length,
+            tracked: category.assets.length,
+            advancing: members.filter(token => token.priceChangePercent > 0).length,
+            declining: members.filter(token => token.priceChangePercent < 0).length,
+            averageChange: change.average,
+            volumeWeightedChange: change.volumeWeighted,
+            volume: change.totalVolume,
+            volumeShare: totalVolume > 0 ? round((change.totalVolume / totalVolume) * 100) : null,
+            best: byChange.length > 0 ? pick(byChange[0]) : null,
+            worst: byChange.length > 0 ? pick(byChange[byChange.length - 1]) : null
+        };
+    }
+
+    // Correlación de los retornos por vela de los mayores ganadores con BTC y ETH (solo Binance)
+    async correlation(tickers, { limit = CONFIG.MARKET_CORRELATION_TOP, interval = CONFIG.MARKET_CORRELATION_INTERVAL, quoteAsset = 'USDT' } = {}) {
+        const references = { btc: `BTC${quoteAsset}`, eth: `ETH${quoteAsset}` };
+        const gainers = tickers
+            .filter(token => !Object.values(references).includes(token.symbol))
+            .sort((a, b) => b.priceChangePercent - a.priceChangePercent)
+            .slice(0, limit);
+
+        const symbols = [...Object.values(references), ...gainers.map(token => token.symbol)];
+        const series = await scanner.runPool(symbols, CONFIG.SCAN_CONCURRENCY, async symbol =>
+            MarketBreadth.returns((await scanner.getCandles(symbol, interval)).slice(-(CONFIG.MARKET_CORRELATION_LOOKBACK + 1)))
+        );
+        const [btcReturns, ethReturns] = series;
+
+        const results = gainers.map((token, i) => ({
+            symbol: token.symbol,
+            priceChangePercent: token.priceChangePercent,
+            btc: round(MarketBreadth.correlate(series[i + 2], btcReturns)),
+            eth: round(MarketBreadth.correlate(series[i + 2], ethReturns))
+        }));
+
+        const average = key => {
+            const values = results.map(result => result[key]).filter(value => value !== null);
+            return values.length > 0 ? round(sum(values) / values.length) : null;
+        };
+        const btc = average('btc');
+
+        let regime = null;
+        if (btc !== null) regime = btc >= 0.6 ? 'BTC_DRIVEN' : btc < 0.3 ? 'DECOUPLED' : 'MIXED';
+
+        return {
+            interval,
+            lookback: CONFIG.MARKET_CORRELATION_LOOKBACK,
+            references,
+            average: { btc, eth: average('eth') },
+            regime,
+            gainers: results
+        };
+    }
+
+    // Retornos simples por vela indexados por timestamp de apertura
+    static returns(candles) {
+        const returns = new Map();
+        for (let i = 1; i < candles.length; i++) {
+            if (candles[i - 1].close > 0) returns.set(candles[i].timestamp, candles[i].close / candles[i - 1].close - 1);
+        }
+        return returns;
+    }
+
+    // Pearson sobre las velas comunes; null con menos de MARKET_CORRELATION_MIN_POINTS o varianza nula
+    static correlate(a, b) {
+        const x = [];
+        const y = [];
+        for (const [timestamp, value] of a) {
+            if (b.has(timestamp)) {
+                x.push(value);
+                y.push(b.get(timestamp));
+            }
+        }
+        if (x.length < CONFIG.MARKET_CORRELATION_MIN_POINTS) return null;
+
+        const meanX = sum(x) / x.length;
+        const meanY = sum(y) / y.length;
+        let covariance = 0;
+        let varianceX = 0;
+        let varianceY = 0;
+        for (let i = 0; i < x.length; i++) {
+            covariance += (x[i] - meanX) * (y[i] - meanY);
+            varianceX += (x[i] - meanX) ** 2;
+            varianceY += (y[i] - meanY) ** 2;
+        }
+        if (varianceX === 0 || varianceY === 0) return null;
+        return covariance / Math.sqrt(varianceX * varianceY);
+    }
+}
+
+module.exports = new MarketBreadth();
+module.exports.MarketBreadth = MarketBreadth;
@@ -0,0 +1,140 @@
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const CONFIG = require('./config');
+const logger = require('./logger').child({ component: 'marketStream' });
+
+// 📡 TABLA DE TICKERS EN VIVO ALIMENTADA POR EL STREAM !ticker@arr DE BINANCE
+// Los tickers se guardan con los mismos nombres de campo que /api/v3/ticker/24hr
+// para que el resto del sistema no distinga entre stream y REST.
+class MarketStream extends EventEmitter {
+    constructor(url = CONFIG.BINANCE_STREAM_URL) {
+        super();
+        this.url = url;
+        this.tickers = new Map();
+        this.socket = null;
+        this.connected = false;
+        this.lastMessageAt = 0;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.stopped = true;
+    }
+
+    start() {
+        this.stopped = false;
+        this.connect();
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) this.socket.terminate();
+        this.socket = null;
+        this.connected = false;
+    }
+
+    connect() {
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+
+        socket.on('open', () => {
+            this.connected = true;
+            this.reconnectAttempts = 0;
+            logger.info('Stream de mercado conectado', { url: this.url });
+        });
+
+        socket.on('message', data => {
+            try {
+                this.handleMessage(JSON.parse(data));
+            } catch (error) {
+                logger.warn('Mensaje de stream inválido', error);
+            }
+        });
+
+        socket.on('close', () => {
+            this.connected = false;
+            this.scheduleReconnect();
+        });
+
+        socket.on('error', error => {
+            logger.error('Error en stream de mercado', error);
+        });
+    }
+
+    // Backoff exponencial con tope de 60s
+    scheduleReconnect() {
+        if (this.stopped) return;
+        const delay = Math.min(60000, 1000 * Math.pow(2, this.reconnectAttempts++));
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    handleMessage(message) {
+        // Streams combinados envuelven el payload en { stream, data }
+        const payload = message && message.data ? message.data : message;
+        if (!Array.isArray(payload)) return;
+
+        for (const event of payload) {
+            if (event.e !== '24hrTicker') continue;
+            this.tickers.set(event.s, MarketStream.toRestTicker(event));
+        }
+
+        this.lastMessageAt = Date.now();
+        this.emit('update', payload.length);
+    }
+
+    // Carga inicial/relleno desde la respuesta REST de /api/v3/ticker/24hr
+    seed(tickers) {
+        for (const ticker of tickers) {
+            const current = this.tickers.get(ticker.symbol);
+            if (!current || current.closeTime <= ticker.closeTime) {
+                this.tickers.set(ticker.symbol, ticker);
+            }
+        }
+    }
+
+    isLive() {
+        return this.connected && this.tickers.size > 0 && Date.now() - this.lastMessageAt < CONFIG.STREAM_STALE_MS;
+    }
+
+    getTickers() {
+        return Array.from(this.tickers.values());
+    }
+
+    getStatus() {
+        return {
+            enabled: !this.stopped,
+            connected: this.connected,
+            live: this.isLive(),
+            symbols: this.tickers.size,
+            lastMessageAt: this.lastMessageAt ? new Date(this.lastMessageAt).toISOString() : null
+        };
+    }
+
+    static toRestTicker(event) {
+        return {
+            symbol: event.s,
+            priceChange: event.p,
+            priceChangePercent: event.P,
+            weightedAvgPrice: event.w,
+            prevClosePrice: event.x,
+            lastPrice: event.c,
+            lastQty: event.Q,
+            bidPrice: event.b,
+            bidQty: event.B,
+            askPrice: event.a,
+            askQty: event.A,
+            openPrice: event.o,
+            highPrice: event.h,
+            lowPrice: event.l,
+            volume: event.v,
+            quoteVolume: event.q,
+            openTime: event.O,
+            closeTime: event.C,
+            firstId: event.F,
+            lastId: event.L,
+            count: event.n
+        };
+    }
+}
+
+module.exports = new MarketStream();
+module.exports.MarketStream = MarketStream;
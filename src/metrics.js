@@ -0,0 +1,188 @@
+const client = require('prom-client');
+const CONFIG = require('./config');
+
+const CIRCUIT_STATES = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+
+// Ruta Express que atendió la petición ('/api/v1/analysis/:symbol'); sin ruta, el prefijo montado
+// o 'unmatched' para no crear una serie por cada URL desconocida
+function routeLabel(req) {
+    if (req.route) return `${req.baseUrl}${req.route.path}`;
+    return req.baseUrl || 'unmatched';
+}
+
+// 📊 MÉTRICAS PROMETHEUS (/metrics)
+// Latencia HTTP por ruta, aciertos de caché, latencia, errores y peso de los upstreams, duración de
+// los cálculos de scoring y las métricas por defecto del proceso (memoria, CPU, event loop).
+// Las cachés y los clientes upstream se registran y se leen en el momento del scrape.
+class Metrics {
+    constructor() {
+        this.registry = new client.Registry();
+        this.caches = new Map();
+        this.upstreams = new Set();
+        client.collectDefaultMetrics({ register: this.registry, prefix: 'boostiq_' });
+
+        const registers = [this.registry];
+        const self = this;
+
+        this.httpDuration = new client.Histogram({
+            name: 'boostiq_http_request_duration_seconds',
+            help: 'Duración de las peticiones HTTP por ruta',
+            labelNames: ['method', 'route', 'status'],
+            buckets: [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+            registers
+        });
+
+        this.upstreamDuration = new client.Histogram({
+            name: 'boostiq_upstream_request_duration_seconds',
+            help: 'Duración de las peticiones a los exchanges (cada intento)',
+            labelNames: ['upstream', 'endpoint', 'outcome'],
+            buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+            registers
+        });
+
+        this.upstreamErrors = new client.Counter({
+            name: 'boostiq_upstream_errors_total',
+            help: 'Peticiones a los exchanges fallidas o rechazadas localmente, por código de UpstreamError',
+            labelNames: ['upstream', 'code'],
+            registers
+        });
+
+        this.scoringDuration = new client.Histogram({
+            name: 'boostiq_scoring_duration_seconds',
+            help: 'Duración de los cálculos de scoring, escaneo y backtest',
+            labelNames: ['operation'],
+            buckets: [0.001, 0.01, 0.05, 0.1, 0.5, 1, 2.5, 5, 10, 30],
+            registers
+        });
+
+        new client.Gauge({
+            name: 'boostiq_cache_requests',
+            help: 'Consultas acumuladas a cada caché, por resultado',
+            labelNames: ['cache', 'result'],
+            registers,
+            collect() {
+                for (const [name, read] of self.caches) {
+                    const { hits, misses } = read();
+                    this.set({ cache: name, result: 'hit' }, hits);
+                    this.set({ cache: name, result: 'miss' }, misses);
+                }
+            }
+        });
+
+        new client.Gauge({
+            name: 'boostiq_cache_hit_ratio',
+            help: 'Proporción de aciertos de cada caché desde el arranque',
+            labelNames: ['cache'],
+            registers,
+            collect() {
+                for (const [name, read] of self.caches) {
+                    const { hits, misses } = read();
+                    this.set({ cache: name }, hits + misses > 0 ? hits / (hits + misses) : 0);
+                }
+            }
+        });
+
+        new client.Gauge({
+            name: 'boostiq_cache_keys',
+            help: 'Entradas guardadas en cada caché',
+            labelNames: ['cache'],
+            registers,
+            collect() {
+                for (const [name, read] of self.caches) this.set({ cache: name }, read().keys);
+            }
+        });
+
+        new client.Gauge({
+            name: 'boostiq_upstream_weight_used',
+            help: 'Peso consumido en el minuto actual (Binance: X-MBX-USED-WEIGHT-1M)',
+            labelNames: ['upstream'],
+            registers,
+            collect() {
+                for (const upstream of self.upstreams) {
+                    const { weight } = upstream.getStatus();
+                    if (weight) this.set({ upstream: upstream.name }, weight.used);
+                }
+            }
+        });
+
+        new client.Gauge({
+            name: 'boostiq_upstream_weight_limit',
+            help: 'Límite de peso por minuto',
+            labelNames: ['upstream'],
+            registers,
+            collect() {
+                for (const upstream of self.upstreams) {
+                    const { weight } = upstream.getStatus();
+                    if (weight) this.set({ upstream: upstream.name }, weight.limit);
+                }
+            }
+        });
+
+        new client.Gauge({
+            name: 'boostiq_upstream_circuit_state',
+            help: 'Estado del circuit breaker: 0 cerrado, 1 semiabierto, 2 abierto',
+            labelNames: ['upstream'],
+            registers,
+            collect() {
+                for (const upstream of self.upstreams) {
+                    this.set({ upstream: upstream.name }, CIRCUIT_STATES[upstream.getStatus().state]);
+                }
+            }
+        });
+    }
+
+    // read: () => { hits, misses, keys }
+    registerCache(name, read) {
+        this.caches.set(name, read);
+    }
+
+    // Cualquier objeto con name y getStatus() de ResilientClient
+    registerUpstream(upstream) {
+        this.upstreams.add(upstream);
+    }
+
+    // Cronometra fn (síncrona o async) como operación de scoring
+    time(operation, fn) {
+        const end = this.scoringDuration.startTimer({ operation });
+        let result;
+        try {
+            result = fn();
+        } catch (error) {
+            end();
+            throw error;
+        }
+        if (result && typeof result.then === 'function') return result.finally(end);
+        end();
+        return result;
+    }
+
+    // Middleware: latencia de cada petición etiquetada con la ruta que la atendió
+    requests() {
+        return (req, res, next) => {
+            const end = this.httpDuration.startTimer();
+            res.on('finish', () => {
+                end({ method: req.method, route: routeLabel(req), status: res.statusCode });
+            });
+            next();
+        };
+    }
+
+    // Handler de /metrics en formato de exposición de Prometheus; con METRICS_TOKEN exige Bearer
+    handler() {
+        return async (req, res, next) => {
+            if (CONFIG.METRICS_TOKEN && req.get('Authorization') !== `Bearer ${CONFIG.METRICS_TOKEN}`) {
+                return res.status(401).json({ error: 'Token de métricas requerido (Authorization: Bearer)', requestId: req.id });
+            }
+            try {
+                res.set('Content-Type', this.registry.contentType);
+                res.end(await this.registry.metrics());
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+}
+
+module.exports = new Metrics();
+module.exports.Metrics = Metrics;
+module.exports.routeLabel = routeLabel;
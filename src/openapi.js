@@ -0,0 +1,160 @@
+const Ajv = require('ajv');
+const CONFIG = require('./config');
+const logger = require('./logger').child({ component: 'openapi' });
+
+const SPEC_ID = 'openapi.json';
+
+// 📘 REGISTRO OPENAPI
+// Cada ruta se declara una sola vez con su método, ruta Express, parámetros y esquema de respuesta;
+// de ahí salen el documento OpenAPI 3.1, la lista de endpoints de /health y la validación en
+// tiempo de ejecución. Los esquemas son JSON Schema (components.schemas) y se validan con Ajv.
+// API_RESPONSE_VALIDATION: off | warn (solo log) | strict (responde 500 si la respuesta no cumple).
+class OpenApiRegistry {
+    // parameters: comunes a todas las rutas (se documentan antes de los de cada ruta)
+    constructor({ title, version, description, basePath, parameters = [] }) {
+        this.info = { title, version, description };
+        this.basePath = basePath;
+        this.parameters = parameters;
+        this.routes = [];
+        this.schemas = {};
+        this.validators = new Map();
+        this.ajv = null;
+    }
+
+    // Registra un esquema en components y devuelve su $ref
+    schema(name, schema) {
+        this.schemas[name] = schema;
+        return this.ref(name);
+    }
+
+    ref(name) {
+        return { $ref: `#/components/schemas/${name}` };
+    }
+
+    // def: { method, path, summary, tags, parameters, requestBody, status, response, errors, transform }
+    route(def) {
+        this.routes.push({ method: 'get', status: 200, parameters: [], errors: [], ...def });
+    }
+
+    // '/analysis/:symbol' → '/analysis/{symbol}'
+    static toOpenApiPath(path) {
+        return path.replace(/:(\w+)/g, '{$1}');
+    }
+
+    endpoints() {
+        return this.routes.map(route => `${route.method === 'get' ? '' : `${route.method.toUpperCase()} `}${this.basePath}${route.path}`);
+    }
+
+    document() {
+        const paths = {};
+
+        for (const route of this.routes) {
+            const path = OpenApiRegistry.toOpenApiPath(route.path);
+            const pathParams = (route.path.match(/:(\w+)/g) || []).map(param => ({
+                name: param.slice(1),
+                in: 'path',
+                required: true,
+                schema: { type: 'string' }
+            }));
+
+            const responses = {
+                [route.status]: route.status === 204
+                    ? { description: 'Sin contenido' }
+                    : {
+                        description: route.status === 201 ? 'Creado' : 'OK',
+                        content: { 'application/json': { schema: this.ref(route.response) } }
+                    }
+            };
+            for (const status of [...route.errors, ...COMMON_ERRORS]) {
+                responses[status] = {
+                    description: ERROR_DESCRIPTIONS[status] || 'Error',
+                    content: { 'application/json': { schema: this.ref('Error') } }
+                };
+            }
+
+            paths[path] = paths[path] || {};
+            paths[path][route.method] = {
+                summary: route.summary,
+                ...(route.description && { description: route.description }),
+                tags: route.tags,
+                parameters: [...pathParams, ...this.parameters, ...route.parameters],
+                ...(route.requestBody && {
+                    requestBody: { required: true, content: { 'application/json': { schema: route.requestBody } } }
+                }),
+                responses
+            };
+        }
+
+        return {
+            openapi: '3.1.0',
+            info: this.info,
+            servers: [{ url: this.basePath }],
+            components: {
+                schemas: this.schemas,
+                securitySchemes: {
+                    apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+                }
+            },
+            security: [{ apiKey: [] }, {}],
+            paths
+        };
+    }
+
+    // → lista de errores de Ajv o null si `value` cumple el esquema `name`
+    validate(name, value) {
+        if (!this.ajv) {
+            this.ajv = new Ajv({ allErrors: true, strict: false });
+            this.ajv.addSchema({ components: { schemas: this.schemas } }, SPEC_ID);
+        }
+        if (!this.validators.has(name)) {
+            this.validators.set(name, this.ajv.getSchema(`${SPEC_ID}#/components/schemas/${name}`));
+        }
+
+        const validator = this.validators.get(name);
+        if (validator(value)) return null;
+        return validator.errors.map(error => ({ path: error.instancePath || '/', message: error.message }));
+    }
+
+    // Middleware por ruta: transforma el cuerpo de las respuestas 2xx con route.transform y lo valida.
+    // res.locals.contract avisa a los middlewares posteriores (Exporter) de que la respuesta pasa por
+    // aquí: si dejan res.locals.export, el cuerpo transformado y válido se entrega a esa función en
+    // lugar de enviarse como JSON.
+    responder(route) {
+        return (req, res, next) => {
+            const json = res.json.bind(res);
+            const send = payload => (res.locals.export ? res.locals.export(payload) : json(payload));
+            res.locals.contract = route;
+
+            res.json = body => {
+                if (res.statusCode >= 400) return json(body);
+
+                const payload = route.transform ? route.transform(body, req, res) : body;
+                if (CONFIG.API_RESPONSE_VALIDATION === 'off' || !route.response) return send(payload);
+
+                const errors = this.validate(route.response, payload);
+                if (!errors) return send(payload);
+
+                logger.warn('Respuesta fuera de contrato', { method: req.method, path: req.originalUrl, schema: route.response, errors: errors.slice(0, 5) });
+                if (CONFIG.API_RESPONSE_VALIDATION !== 'strict') return send(payload);
+                return res.status(500).json({ error: 'Respuesta fuera de contrato', details: errors });
+            };
+
+            next();
+        };
+    }
+}
+
+// Posibles en cualquier ruta (autenticación, rate limiting y errores internos)
+const COMMON_ERRORS = [401, 429, 500];
+
+const ERROR_DESCRIPTIONS = {
+    400: 'Parámetros inválidos',
+    401: 'API key requerida o inválida',
+    404: 'No encontrado',
+    409: 'Conflicto con el estado actual',
+    429: 'Límite de peticiones o cuota diaria agotada',
+    500: 'Error interno del servidor',
+    503: 'Datos de mercado no disponibles'
+};
+
+module.exports = OpenApiRegistry;
@@ -0,0 +1,395 @@
+const crypto = require('crypto');
+const CONFIG = require('./config');
+const logger = require('./logger').child({ component: 'portfolio' });
+const JsonStore = require('./jsonStore');
+const Strategies = require('./strategies');
+const ExplosionDetector = require('./explosionDetector');
+const Rankings = require('./rankings');
+const { getAllTickers, filterUniverse } = require('./binance');
+
+const HOUR_MS = 3600000;
+
+const DEFAULT_SETTINGS = {
+    autoTrade: false,
+    minScore: CONFIG.PAPER_AUTO_MIN_SCORE,
+    positionSize: CONFIG.PAPER_POSITION_SIZE,
+    maxOpenPositions: CONFIG.PAPER_MAX_OPEN_POSITIONS,
+    feePercent: 0.1, // Comisión por lado, igual que el backtester
+    strategy: CONFIG.DEFAULT_STRATEGY
+};
+
+// Una cartera por API key; las peticiones sin key comparten la anónima (de solo lectura por HTTP)
+const ANONYMOUS = 'anonymous';
+const store = new JsonStore('portfolio/state', { portfolios: {} });
+
+const round = (value, decimals = 8) => parseFloat(value.toFixed(decimals));
+
+// 📒 CARTERA SIMULADA (PAPER TRADING)
+// Las posiciones se abren a mano o, con autoTrade, desde las recomendaciones con score >= minScore.
+// En cada refresco se valoran a mercado y se cierran al llegar al objetivo, al stop o al caducar el
+// timeframe (maxHoldHours). Objetivo y stop se ejecutan al precio observado: si el precio saltó el
+// nivel entre dos refrescos, el cierre recoge el hueco.
+// El P&L realizado y los contadores de operaciones se acumulan al cerrar; la lista de trades es solo
+// historial (se recorta a PAPER_TRADE_HISTORY_LIMIT) y no interviene en el saldo.
+// Cada API key tiene su propia cartera ("owner": id de la key; null para la anónima). Los métodos
+// reciben el owner del llamante y solo ven y modifican esa cartera; evaluate() recorre todas.
+class PaperPortfolio {
+    constructor() {
+        this.timer = null;
+        this.evaluating = false;
+    }
+
+    start() {
+        this.timer = setInterval(() => this.refresh(), CONFIG.PAPER_EVAL_MS);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async refresh() {
+        if (this.evaluating) return;
+        this.evaluating = true;
+        try {
+            await this.evaluate(await getAllTickers());
+        } catch (error) {
+            logger.error('Error actualizando cartera simulada', error);
+        } finally {
+            this.evaluating = false;
+        }
+    }
+
+    // ---- Carteras ----
+
+    static emptyAccount() {
+        return {
+            initialBalance: CONFIG.PAPER_INITIAL_BALANCE,
+            settings: { ...DEFAULT_SETTINGS },
+            positions: [],
+            trades: [],
+            realizedPnl: 0,
+            closedTrades: 0,
+            winningTrades: 0
+        };
+    }
+
+    // Estado guardado antes de las carteras por key: la cartera global pasa a ser la anónima
+    static load() {
+        const data = store.load();
+        if (!data.portfolios) {
+            const legacy = { ...data };
+            for (const key of Object.keys(data)) delete data[key];
+            data.portfolios = { [ANONYMOUS]: legacy };
+        }
+        return data;
+    }
+
+    // Cartera del owner; las consultas de una key sin cartera ven una vacía sin guardarla
+    account(owner = null, { create = false } = {}) {
+        const { portfolios } = PaperPortfolio.load();
+        const key = owner === null ? ANONYMOUS : owner;
+        if (portfolios[key]) return portfolios[key];
+
+        const account = PaperPortfolio.emptyAccount();
+        if (create) portfolios[key] = account;
+        return account;
+    }
+
+    // ---- Consultas ----
+
+    getSettings(owner = null) {
+        return this.account(owner).settings;
+    }
+
+    listPositions(owner = null) {
+        return this.account(owner).positions;
+    }
+
+    getPosition(id, owner = null) {
+        return this.listPositions(owner).find(position => position.id === id) || null;
+    }
+
+    listTrades({ limit = 100, symbol, owner = null } = {}) {
+        return this.account(owner).trades
+            .filter(trade => !symbol || trade.symbol === symbol)
+            .slice(-limit)
+            .reverse();
+    }
+
+    getSummary(owner = null) {
+        const data = PaperPortfolio.withTotals(this.account(owner));
+        const invested = data.positions.reduce((sum, p) => sum + p.cost, 0);
+        const marketValue = data.positions.reduce((sum, p) => sum + p.quantity * p.lastPrice, 0);
+        const { realizedPnl, closedTrades, winningTrades } = data;
+        const unrealizedPnl = data.positions.reduce((sum, p) => sum + p.unrealizedPnl, 0);
+        const cash = data.initialBalance + realizedPnl - invested;
+
+        return {
+            initialBalance: data.initialBalance,
+            cash: round(cash, 2),
+            invested: round(invested, 2),
+            marketValue: round(marketValue, 2),
+            equity: round(cash + marketValue, 2),
+            realizedPnl: round(realizedPnl, 2),
+            unrealizedPnl: round(unrealizedPnl, 2),
+            totalPnl: round(realizedPnl + unrealizedPnl, 2),
+            returnPercent: round(((realizedPnl + unrealizedPnl) / data.initialBalance) * 100, 2),
+            openPositions: data.positions.length,
+            closedTrades,
+            winRate: closedTrades > 0 ? round((winningTrades / closedTrades) * 100, 2) : null,
+            settings: data.settings,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    // Estados guardados antes de acumular el P&L realizado: se reconstruye una vez desde el historial
+    static withTotals(data) {
+        if (data.realizedPnl === undefined) {
+            data.realizedPnl = data.trades.reduce((sum, t) => sum + t.pnl, 0);
+            data.closedTrades = data.trades.length;
+            data.winningTrades = data.trades.filter(t => t.pnl > 0).length;
+        }
+        return data;
+    }
+
+    // ---- Validación ----
+
+    static validateSettings(input) {
+        const errors = [];
+        if (!input || typeof input !== 'object') return ['El cuerpo debe ser un objeto JSON'];
+
+        if (input.autoTrade !== undefined && typeof input.autoTrade !== 'boolean') errors.push('"autoTrade" debe ser booleano');
+        for (const key of ['minScore', 'positionSize', 'feePercent']) {
+            if (input[key] !== undefined && (typeof input[key] !== 'number' || !Number.isFinite(input[key]) || input[key] < 0)) {
+                errors.push(`"${key}" debe ser un número positivo`);
+            }
+        }
+        if (input.maxOpenPositions !== undefined && (!Number.isInteger(input.maxOpenPositions) || input.maxOpenPositions < 1)) {
+            errors.push('"maxOpenPositions" debe ser un entero >= 1');
+        }
+        if (input.strategy !== undefined && !Strategies.get(input.strategy)) {
+            errors.push(`"strategy" no soportada. Valores permitidos: ${Strategies.names().join(', ')}`);
+        }
+        return errors;
+    }
+
+    static validateOrder(input) {
+        const errors = [];
+        if (!input || typeof input !== 'object') return ['El cuerpo debe ser un objeto JSON'];
+
+        if (typeof input.symbol !== 'string' || input.symbol.trim() === '') errors.push('"symbol" es obligatorio');
+        for (const key of ['amount', 'sellTarget', 'stopLoss', 'maxHoldHours']) {
+            if (input[key] !== undefined && (typeof input[key] !== 'number' || !Number.isFinite(input[key]) || input[key] <= 0)) {
+                errors.push(`"${key}" debe ser un número mayor que 0`);
+            }
+        }
+        return errors;
+    }
+
+    updateSettings(input, owner = null) {
+        return store.update(() => {
+            const data = this.account(owner, { create: true });
+            data.settings = { ...data.settings, ...PaperPortfolio.pickSettings(input) };
+            return data.settings;
+        });
+    }
+
+    static pickSettings(input) {
+        return Object.fromEntries(Object.keys(DEFAULT_SETTINGS)
+            .filter(key => input[key] !== undefined)
+            .map(key => [key, input[key]]));
+    }
+
+    // ---- Operaciones ----
+
+    // Abre una posición al último precio; objetivo, stop y caducidad salen de la recomendación salvo
+    // que se indiquen en la orden. Devuelve { position } o { error, status }.
+    async openPosition(input, source = 'manual', owner = null) {
+        const symbol = input.symbol.trim().toUpperCase();
+        const ticker = (await getAllTickers()).find(t => t.symbol === symbol);
+        if (!ticker) return { status: 404, error: `No hay datos para ${symbol}` };
+
+        return this.openFromTicker(ticker, input, source, owner);
+    }
+
+    openFromTicker(ticker, input = {}, source = 'manual', owner = null) {
+        const data = this.account(owner);
+        const { settings } = data;
+        const price = parseFloat(ticker.lastPrice);
+        const analysis = ExplosionDetector.calculateExplosionScore(ticker, null, Strategies.get(settings.strategy) || Strategies.get());
+        const { recommendation } = analysis;
+
+        const sellTarget = input.sellTarget !== undefined ? input.sellTarget : parseFloat(recommendation.sellTarget);
+        const stopLoss = input.stopLoss !== undefined ? input.stopLoss : parseFloat(recommendation.stopLoss);
+        const maxHoldHours = input.maxHoldHours !== undefined ? input.maxHoldHours : recommendation.maxHoldHours;
+        const amount = input.amount !== undefined ? input.amount : settings.positionSize;
+
+        if (!Number.isFinite(sellTarget) || !Number.isFinite(stopLoss)) {
+            return { status: 400, error: `La recomendación para ${ticker.symbol} es ${recommendation.action}: indica "sellTarget" y "stopLoss"` };
+        }
+        if (!(sellTarget > price && stopLoss < price)) {
+            return { status: 400, error: `Se requiere stopLoss < ${price} < sellTarget` };
+        }
+        if (data.positions.some(p => p.symbol === ticker.symbol)) {
+            return { status: 409, error: `Ya hay una posición abierta en ${ticker.symbol}` };
+        }
+        if (data.positions.length >= settings.maxOpenPositions) {
+            return { status: 409, error: `Máximo de posiciones abiertas alcanzado (${settings.maxOpenPositions})` };
+        }
+        if (amount > this.getSummary(owner).cash) {
+            return { status: 409, error: 'Saldo insuficiente' };
+        }
+
+        const now = Date.now();
+        const fee = amount * (settings.feePercent / 100);
+        const position = {
+            id: crypto.randomUUID(),
+            symbol: ticker.symbol,
+            source,
+            strategy: analysis.strategy,
+            score: analysis.totalScore,
+            action: recommendation.action,
+            quantity: round((amount - fee) / price),
+            cost: amount,
+            entryPrice: price,
+            sellTarget,
+            stopLoss,
+            openedAt: new Date(now).toISOString(),
+            expiresAt: maxHoldHours ? new Date(now + maxHoldHours * HOUR_MS).toISOString() : null,
+            lastPrice: price,
+            markedAt: new Date(now).toISOString(),
+            unrealizedPnl: 0,
+            unrealizedPercent: 0
+        };
+        PaperPortfolio.markPosition(position, price, settings.feePercent);
+
+        store.update(() => this.account(owner, { create: true }).positions.push(position));
+        logger.info('Posición simulada abierta', { source, symbol: position.symbol, price });
+        return { position };
+    }
+
+    closePosition(id, reason = 'MANUAL', exitPrice = null, owner = null) {
+        return store.update(() => {
+            const data = this.account(owner);
+            const index = data.positions.findIndex(p => p.id === id);
+            if (index === -1) return null;
+
+            const [position] = data.positions.splice(index, 1);
+            const trade = PaperPortfolio.buildTrade(position, exitPrice !== null ? exitPrice : position.lastPrice, reason, data.settings.feePercent);
+            PaperPortfolio.withTotals(data);
+            data.realizedPnl = round(data.realizedPnl + trade.pnl, 4);
+            data.closedTrades += 1;
+            if (trade.pnl > 0) data.winningTrades += 1;
+            data.trades.push(trade);
+            if (data.trades.length > CONFIG.PAPER_TRADE_HISTORY_LIMIT) {
+                data.trades = data.trades.slice(-CONFIG.PAPER_TRADE_HISTORY_LIMIT);
+            }
+            return trade;
+        });
+    }
+
+    reset(owner = null) {
+        return store.update(() => {
+            const data = this.account(owner, { create: true });
+            data.positions = [];
+            data.trades = [];
+            data.realizedPnl = 0;
+            data.closedTrades = 0;
+            data.winningTrades = 0;
+            data.initialBalance = CONFIG.PAPER_INITIAL_BALANCE;
+            return this.getSummary(owner);
+        });
+    }
+
+    // ---- Valoración y cierres ----
+
+    async evaluate(tickers) {
+        if (tickers.length === 0) return { closed: [], opened: [] };
+
+        const tickersBySymbol = new Map(tickers.map(ticker => [ticker.symbol, ticker]));
+        const now = Date.now();
+        const closed = [];
+        const opened = [];
+
+        for (const [key, data] of Object.entries(PaperPortfolio.load().portfolios)) {
+            const owner = key === ANONYMOUS ? null : key;
+            const closedHere = [];
+
+            for (const position of [...data.positions]) {
+                const ticker = tickersBySymbol.get(position.symbol);
+                if (!ticker) continue;
+
+                const price = parseFloat(ticker.lastPrice);
+                PaperPortfolio.markPosition(position, price, data.settings.feePercent);
+
+                const exit = PaperPortfolio.checkExit(position, price, now);
+                if (exit) closedHere.push(this.closePosition(position.id, exit.reason, exit.price, owner));
+            }
+            closed.push(...closedHere);
+
+            // Sin reentrada inmediata en los símbolos que se acaban de cerrar
+            if (data.settings.autoTrade) opened.push(...this.autoOpen(tickers, closedHere.map(trade => trade.symbol), owner));
+        }
+        store.save();
+        return { closed, opened };
+    }
+
+    // Se ejecuta al precio observado, que con un hueco queda por debajo del stop o por encima del objetivo
+    static checkExit(position, price, now) {
+        if (price <= position.stopLoss) return { reason: 'STOP_LOSS', price };
+        if (price >= position.sellTarget) return { reason: 'TARGET', price };
+        if (position.expiresAt && now >= Date.parse(position.expiresAt)) return { reason: 'EXPIRED', price };
+        return null;
+    }
+
+    // Abre posiciones en los mejores candidatos que superan minScore y no están ya en cartera
+    autoOpen(tickers, skipSymbols = [], owner = null) {
+        const data = this.account(owner);
+        const { settings, positions } = data;
+        const strategy = Strategies.get(settings.strategy) || Strategies.get();
+        const held = new Set([...positions.map(p => p.symbol), ...skipSymbols]);
+        const opened = [];
+
+        const candidates = Rankings.scoreExplosionCandidates(filterUniverse(tickers), strategy)
+            .filter(({ token, analysis }) =>
+                !held.has(token.symbol) &&
+                analysis.totalScore >= settings.minScore &&
+                analysis.recommendation.buyPrice !== null
+            );
+
+        for (const { token } of candidates) {
+            if (data.positions.length >= settings.maxOpenPositions) break;
+            const result = this.openFromTicker(token, {}, 'auto', owner);
+            if (result.error) break;
+            opened.push(result.position);
+        }
+        return opened;
+    }
+
+    static markPosition(position, price, feePercent) {
+        const exitValue = position.quantity * price * (1 - feePercent / 100);
+        position.lastPrice = price;
+        position.markedAt = new Date().toISOString();
+        position.unrealizedPnl = round(exitValue - position.cost, 4);
+        position.unrealizedPercent = round(((exitValue - position.cost) / position.cost) * 100, 2);
+    }
+
+    static buildTrade(position, exitPrice, reason, feePercent) {
+        const proceeds = position.quantity * exitPrice * (1 - feePercent / 100);
+        const { lastPrice, markedAt, unrealizedPnl, unrealizedPercent, ...rest } = position;
+        return {
+            ...rest,
+            exitPrice,
+            closedAt: new Date().toISOString(),
+            reason,
+            proceeds: round(proceeds, 4),
+            pnl: round(proceeds - position.cost, 4),
+            returnPercent: round(((proceeds - position.cost) / position.cost) * 100, 2)
+        };
+    }
+}
+
+module.exports = new PaperPortfolio();
+module.exports.PaperPortfolio = PaperPortfolio;
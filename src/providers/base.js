@@ -0,0 +1,172 @@
+const CONFIG = require('../config');
+const logger = require('../logger').child({ component: 'providers' });
+const { ResilientClient } = require('../httpClient');
+
+// Activos de cotización conocidos, de más largo a más corto para separar "BTCFDUSD" antes que "BTCUSD"
+const QUOTE_ASSETS = ['FDUSD', 'USDT', 'USDC', 'BUSD', 'TUSD', 'USD', 'EUR', 'TRY', 'BRL', 'BTC', 'ETH', 'BNB'];
+
+function splitSymbol(symbol) {
+    const clean = symbol.replace(/[-_/]/g, '').toUpperCase();
+    const quoteAsset = QUOTE_ASSETS.find(quote => clean.endsWith(quote) && clean.length > quote.length);
+    if (!quoteAsset) return { baseAsset: clean, quoteAsset: null };
+    return { baseAsset: clean.slice(0, -quoteAsset.length), quoteAsset };
+}
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function round(value, digits) {
+    return value === null ? null : parseFloat(value.toFixed(digits));
+}
+
+// 🏦 PROVEEDOR DE DATOS DE UN EXCHANGE
+// Cada adaptador traduce la API del exchange a dos modelos normalizados:
+//   ticker: { exchange, symbol, baseAsset, quoteAsset, lastPrice, openPrice, highPrice, lowPrice,
+//             priceChangePercent, volume, quoteVolume, count }
+//   vela:   { timestamp, open, high, low, close, volume, quoteVolume }
+// `symbol` siempre es BASE+QUOTE sin separador (estilo Binance) para que el scoring no cambie.
+// `intervals` traduce los intervalos estilo Binance ('1h', '4h', ...) al formato nativo.
+// getTicker(symbol) usa el endpoint de un solo instrumento (fetchTicker) en lugar de la lista completa.
+// Si el exchange falla se siguen sirviendo los últimos tickers válidos (hasta TICKERS_MAX_STALE_MS)
+// y getFreshness() lo refleja como degradado.
+class ExchangeProvider {
+    constructor({ name, baseUrl, defaultQuote = 'USDT', intervals, maxCandles }) {
+        this.name = name;
+        this.baseUrl = baseUrl;
+        this.defaultQuote = defaultQuote;
+        this.intervals = intervals;
+        this.maxCandles = maxCandles;
+        this.client = new ResilientClient({ name, baseUrl });
+        this.lastGood = null;
+        this.lastError = null;
+    }
+
+    supportsInterval(interval) {
+        return Object.prototype.hasOwnProperty.call(this.intervals, interval);
+    }
+
+    // endpoint: ruta genérica para las métricas cuando `path` incluye el símbolo
+    request(path, params = {}, endpoint = path) {
+        return this.client.get(path, { params, endpoint });
+    }
+
+    async getTickers() {
+        try {
+            const tickers = this.normalizeTickers(await this.fetchTickers());
+            this.lastGood = { tickers, fetchedAt: Date.now() };
+            this.lastError = null;
+            return tickers;
+        } catch (error) {
+            logger.error('Error obteniendo tickers', { exchange: this.name, error });
+            this.lastError = error.message;
+            return this.hasUsableData() ? this.lastGood.tickers : [];
+        }
+    }
+
+    hasUsableData() {
+        return this.lastGood !== null && Date.now() - this.lastGood.fetchedAt <= CONFIG.TICKERS_MAX_STALE_MS;
+    }
+
+    // 🩺 Frescura de los últimos tickers devueltos (mismo formato que getTickersFreshness de Binance)
+    getFreshness() {
+        const fetchedAt = this.lastGood ? this.lastGood.fetchedAt : null;
+        let source = 'rest';
+        if (this.lastError) source = this.hasUsableData() ? 'stale' : 'none';
+        else if (!fetchedAt) source = 'none';
+
+        return {
+            source,
+            fetchedAt: fetchedAt ? new Date(fetchedAt).toISOString() : null,
+            ageSeconds: fetchedAt ? Math.round((Date.now() - fetchedAt) / 1000) : null,
+            degraded: source === 'stale' || source === 'none',
+            ...(this.lastError && { reason: this.lastError })
+        };
+    }
+
+    getUpstreamStatus() {
+        return this.client.getStatus();
+    }
+
+    // null si el exchange no lista el símbolo; ante otros fallos se usa el último dataset válido
+    async getTicker(symbol) {
+        try {
+            const raw = await this.fetchTicker(symbol);
+            return raw ? this.normalizeTickers([raw])[0] : null;
+        } catch (error) {
+            if (error.status === 404) return null;
+            logger.error('Error obteniendo ticker', { exchange: this.name, symbol, error });
+            if (!this.hasUsableData()) return null;
+            return this.lastGood.tickers.find(ticker => ticker.symbol === symbol) || null;
+        }
+    }
+
+    async getCandles(symbol, interval = '1h', limit = 24) {
+        if (!this.supportsInterval(interval)) {
+            throw new Error(`Intervalo ${interval} no soportado por ${this.name}`);
+        }
+
+        try {
+            const raw = await this.fetchCandles(symbol, interval, Math.min(limit, this.maxCandles));
+            return this.normalizeCandles(raw).sort((a, b) => a.timestamp - b.timestamp);
+        } catch (error) {
+            logger.error('Error obteniendo velas', { exchange: this.name, symbol, interval, error });
+            return [];
+        }
+    }
+
+    // Plantilla común para construir un ticker normalizado
+    buildTicker({ symbol, lastPrice, openPrice, highPrice = null, lowPrice = null, priceChangePercent, volume, quoteVolume, count = null }) {
+        const { baseAsset, quoteAsset } = splitSymbol(symbol);
+        const last = toNumber(lastPrice);
+        const open = toNumber(openPrice);
+
+        let change = toNumber(priceChangePercent);
+        if (change === null && last !== null && open) change = ((last - open) / open) * 100;
+
+        return {
+            exchange: this.name,
+            symbol: baseAsset + (quoteAsset || ''),
+            baseAsset,
+            quoteAsset,
+            lastPrice: last,
+            openPrice: open,
+            highPrice: toNumber(highPrice),
+            lowPrice: toNumber(lowPrice),
+            priceChangePercent: round(change, 3),
+            volume: toNumber(volume),
+            quoteVolume: toNumber(quoteVolume),
+            count: toNumber(count)
+        };
+    }
+
+    // A implementar por cada adaptador
+    async fetchTickers() {
+        throw new Error('fetchTickers no implementado');
+    }
+
+    // Respuesta cruda de un instrumento en el mismo formato que cada elemento de fetchTickers (o null)
+    async fetchTicker() {
+        throw new Error('fetchTicker no implementado');
+    }
+
+    async fetchCandles() {
+        throw new Error('fetchCandles no implementado');
+    }
+
+    normalizeTickers() {
+        throw new Error('normalizeTickers no implementado');
+    }
+
+    normalizeCandles() {
+        throw new Error('normalizeCandles no implementado');
+    }
+}
+
+module.exports = {
+    ExchangeProvider,
+    splitSymbol,
+    toNumber,
+    QUOTE_ASSETS
+};
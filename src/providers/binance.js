@@ -0,0 +1,66 @@
+const CONFIG = require('../config');
+const { ExchangeProvider } = require('./base');
+const { binanceClient, getAllTickers, getTickersFreshness, getHistoricalData, getTickerData, KLINE_INTERVALS } = require('../binance');
+
+// 🟡 BINANCE: reutiliza el cliente existente (stream en vivo + REST)
+class BinanceProvider extends ExchangeProvider {
+    constructor() {
+        super({
+            name: 'binance',
+            baseUrl: CONFIG.BINANCE_BASE_URL,
+            intervals: Object.fromEntries(KLINE_INTERVALS.map(interval => [interval, interval])),
+            maxCandles: 1000
+        });
+    }
+
+    fetchTickers() {
+        return getAllTickers();
+    }
+
+    // getAllTickers ya sirve el último dataset válido si Binance falla
+    getFreshness() {
+        return getTickersFreshness();
+    }
+
+    getUpstreamStatus() {
+        return binanceClient.getStatus();
+    }
+
+    async getTicker(symbol) {
+        const ticker = await getTickerData(symbol);
+        return ticker ? this.normalizeTickers([ticker])[0] : null;
+    }
+
+    // getHistoricalData ya captura errores y devuelve velas parseadas
+    fetchCandles(symbol, interval, limit) {
+        return getHistoricalData(symbol, interval, limit);
+    }
+
+    normalizeTickers(raw) {
+        return raw.map(ticker => this.buildTicker({
+            symbol: ticker.symbol,
+            lastPrice: ticker.lastPrice,
+            openPrice: ticker.openPrice,
+            highPrice: ticker.highPrice,
+            lowPrice: ticker.lowPrice,
+            priceChangePercent: ticker.priceChangePercent,
+            volume: ticker.volume,
+            quoteVolume: ticker.quoteVolume,
+            count: ticker.count
+        }));
+    }
+
+    normalizeCandles(raw) {
+        return raw.map(candle => ({
+            timestamp: candle.timestamp,
+            open: candle.open,
+            high: candle.high,
+            low: candle.low,
+            close: candle.close,
+            volume: candle.volume,
+            quoteVolume: candle.quoteVolume
+        }));
+    }
+}
+
+module.exports = BinanceProvider;
@@ -0,0 +1,66 @@
+const { ExchangeProvider } = require('./base');
+
+// 🟠 BYBIT: API v5, categoría spot
+class BybitProvider extends ExchangeProvider {
+    constructor() {
+        super({
+            name: 'bybit',
+            baseUrl: 'https://api.bybit.com',
+            intervals: {
+                '1m': '1', '3m': '3', '5m': '5', '15m': '15', '30m': '30',
+                '1h': '60', '2h': '120', '4h': '240', '6h': '360', '12h': '720',
+                '1d': 'D', '1w': 'W', '1M': 'M'
+            },
+            maxCandles: 1000
+        });
+    }
+
+    async fetchTickers() {
+        const data = await this.request('/v5/market/tickers', { category: 'spot' });
+        return data.result.list;
+    }
+
+    async fetchTicker(symbol) {
+        const data = await this.request('/v5/market/tickers', { category: 'spot', symbol });
+        return ((data.result && data.result.list) || [])[0] || null;
+    }
+
+    async fetchCandles(symbol, interval, limit) {
+        const data = await this.request('/v5/market/kline', {
+            category: 'spot',
+            symbol,
+            interval: this.intervals[interval],
+            limit
+        });
+        return data.result.list;
+    }
+
+    // price24hPcnt viene como fracción (0.0213 = 2.13%)
+    normalizeTickers(raw) {
+        return raw.map(ticker => this.buildTicker({
+            symbol: ticker.symbol,
+            lastPrice: ticker.lastPrice,
+            openPrice: ticker.prevPrice24h,
+            highPrice: ticker.highPrice24h,
+            lowPrice: ticker.lowPrice24h,
+            priceChangePercent: parseFloat(ticker.price24hPcnt) * 100,
+            volume: ticker.volume24h,
+            quoteVolume: ticker.turnover24h
+        }));
+    }
+
+    // [startTime, open, high, low, close, volume, turnover], más reciente primero
+    normalizeCandles(raw) {
+        return raw.map(candle => ({
+            timestamp: parseInt(candle[0], 10),
+            open: parseFloat(candle[1]),
+            high: parseFloat(candle[2]),
+            low: parseFloat(candle[3]),
+            close: parseFloat(candle[4]),
+            volume: parseFloat(candle[5]),
+            quoteVolume: parseFloat(candle[6])
+        }));
+    }
+}
+
+module.exports = BybitProvider;
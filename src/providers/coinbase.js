@@ -0,0 +1,85 @@
+const { ExchangeProvider, splitSymbol } = require('./base');
+
+// 🔵 COINBASE: endpoints públicos de Advanced Trade (la mayoría de pares cotizan en USD)
+class CoinbaseProvider extends ExchangeProvider {
+    constructor() {
+        super({
+            name: 'coinbase',
+            baseUrl: 'https://api.coinbase.com',
+            defaultQuote: 'USD',
+            intervals: {
+                '1m': { granularity: 'ONE_MINUTE', seconds: 60 },
+                '5m': { granularity: 'FIVE_MINUTE', seconds: 300 },
+                '15m': { granularity: 'FIFTEEN_MINUTE', seconds: 900 },
+                '30m': { granularity: 'THIRTY_MINUTE', seconds: 1800 },
+                '1h': { granularity: 'ONE_HOUR', seconds: 3600 },
+                '2h': { granularity: 'TWO_HOUR', seconds: 7200 },
+                '6h': { granularity: 'SIX_HOUR', seconds: 21600 },
+                '1d': { granularity: 'ONE_DAY', seconds: 86400 }
+            },
+            maxCandles: 350
+        });
+    }
+
+    static toProductId(symbol) {
+        const { baseAsset, quoteAsset } = splitSymbol(symbol);
+        return `${baseAsset}-${quoteAsset}`;
+    }
+
+    static isTradable(product) {
+        return product.status === 'online' && !product.trading_disabled;
+    }
+
+    async fetchTickers() {
+        const data = await this.request('/api/v3/brokerage/market/products', { product_type: 'SPOT' });
+        return data.products.filter(CoinbaseProvider.isTradable);
+    }
+
+    async fetchTicker(symbol) {
+        const product = await this.request(`/api/v3/brokerage/market/products/${CoinbaseProvider.toProductId(symbol)}`, {},
+            '/api/v3/brokerage/market/products/:productId');
+        return CoinbaseProvider.isTradable(product) ? product : null;
+    }
+
+    // La API exige rango start/end en segundos
+    async fetchCandles(symbol, interval, limit) {
+        const { granularity, seconds } = this.intervals[interval];
+        const end = Math.floor(Date.now() / 1000);
+        const data = await this.request(`/api/v3/brokerage/market/products/${CoinbaseProvider.toProductId(symbol)}/candles`, {
+            start: end - limit * seconds,
+            end,
+            granularity
+        }, '/api/v3/brokerage/market/products/:productId/candles');
+        return data.candles;
+    }
+
+    // volume_24h está en el activo base: el volumen en cotización se aproxima con el último precio
+    normalizeTickers(raw) {
+        return raw.map(product => this.buildTicker({
+            symbol: product.product_id,
+            lastPrice: product.price,
+            priceChangePercent: product.price_percentage_change_24h,
+            volume: product.volume_24h,
+            quoteVolume: parseFloat(product.volume_24h) * parseFloat(product.price)
+        }));
+    }
+
+    // { start (segundos), low, high, open, close, volume }, más reciente primero
+    normalizeCandles(raw) {
+        return raw.map(candle => {
+            const close = parseFloat(candle.close);
+            const volume = parseFloat(candle.volume);
+            return {
+                timestamp: parseInt(candle.start, 10) * 1000,
+                open: parseFloat(candle.open),
+                high: parseFloat(candle.high),
+                low: parseFloat(candle.low),
+                close,
+                volume,
+                quoteVolume: close * volume
+            };
+        });
+    }
+}
+
+module.exports = CoinbaseProvider;
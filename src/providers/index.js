@@ -0,0 +1,99 @@
+const BinanceProvider = require('./binance');
+const BybitProvider = require('./bybit');
+const OkxProvider = require('./okx');
+const CoinbaseProvider = require('./coinbase');
+const KucoinProvider = require('./kucoin');
+const ExplosionDetector = require('../explosionDetector');
+const Strategies = require('../strategies');
+
+// 🏦 REGISTRO DE PROVEEDORES DE EXCHANGE
+const providers = {};
+for (const Provider of [BinanceProvider, BybitProvider, OkxProvider, CoinbaseProvider, KucoinProvider]) {
+    const provider = new Provider();
+    providers[provider.name] = provider;
+}
+
+const DEFAULT_EXCHANGE = 'binance';
+
+// Cotizaciones en dólares consideradas equivalentes para la vista agregada
+const USD_QUOTES = ['USDT', 'USD', 'USDC'];
+
+const Providers = {
+    names() {
+        return Object.keys(providers);
+    },
+
+    get(name = DEFAULT_EXCHANGE) {
+        return providers[String(name).toLowerCase()] || null;
+    },
+
+    // 🌍 Vista agregada: activos cotizados en dólares presentes en 2 o más exchanges
+    async getAggregatedMarket(names = this.names(), strategy = Strategies.get()) {
+        const results = await Promise.all(names.map(name => this.get(name).getTickers()));
+        const groups = new Map();
+
+        for (const tickers of results) {
+            for (const ticker of tickers) {
+                if (!USD_QUOTES.includes(ticker.quoteAsset) || !ticker.lastPrice || !ticker.quoteVolume) continue;
+
+                const group = groups.get(ticker.baseAsset) || new Map();
+                const current = group.get(ticker.exchange);
+                // Si un exchange tiene varios pares en dólares se queda el de mayor volumen
+                if (!current || current.quoteVolume < ticker.quoteVolume) group.set(ticker.exchange, ticker);
+                groups.set(ticker.baseAsset, group);
+            }
+        }
+
+        const aggregated = [];
+        for (const [baseAsset, group] of groups) {
+            if (group.size < 2) continue;
+            aggregated.push(this.aggregateGroup(baseAsset, Array.from(group.values()), strategy));
+        }
+
+        return aggregated;
+    },
+
+    aggregateGroup(baseAsset, tickers, strategy = Strategies.get()) {
+        const totalVolume = tickers.reduce((sum, t) => sum + t.quoteVolume, 0);
+        const weighted = field => tickers.reduce((sum, t) => sum + (t[field] || 0) * t.quoteVolume, 0) / totalVolume;
+        const prices = tickers.map(t => t.lastPrice);
+        const minPrice = Math.min(...prices);
+        const maxPrice = Math.max(...prices);
+
+        // Ticker sintético en formato normalizado para reutilizar el scoring
+        const hasRange = tickers.every(t => t.highPrice && t.lowPrice);
+        const ticker = {
+            symbol: `${baseAsset}USDT`,
+            lastPrice: weighted('lastPrice'),
+            highPrice: hasRange ? weighted('highPrice') : null,
+            lowPrice: hasRange ? weighted('lowPrice') : null,
+            priceChangePercent: parseFloat(weighted('priceChangePercent').toFixed(3)),
+            quoteVolume: totalVolume
+        };
+        const analysis = ExplosionDetector.calculateExplosionScore(ticker, null, strategy);
+
+        return {
+            symbol: ticker.symbol,
+            baseAsset,
+            price: ticker.lastPrice,
+            priceChangePercent: ticker.priceChangePercent,
+            volume: totalVolume,
+            priceSpreadPercent: parseFloat((((maxPrice - minPrice) / minPrice) * 100).toFixed(3)),
+            exchanges: tickers
+                .map(t => ({
+                    exchange: t.exchange,
+                    symbol: `${t.baseAsset}${t.quoteAsset}`,
+                    price: t.lastPrice,
+                    priceChangePercent: t.priceChangePercent,
+                    volume: t.quoteVolume,
+                    volumeShare: parseFloat(((t.quoteVolume / totalVolume) * 100).toFixed(2))
+                }))
+                .sort((a, b) => b.volume - a.volume),
+            score: analysis.totalScore,
+            recommendation: analysis.recommendation,
+            strategy: analysis.strategy
+        };
+    }
+};
+
+module.exports = Providers;
@@ -0,0 +1,83 @@
+const { ExchangeProvider, splitSymbol } = require('./base');
+
+// 🟢 KUCOIN: API v1 pública con símbolos BASE-QUOTE
+class KucoinProvider extends ExchangeProvider {
+    constructor() {
+        super({
+            name: 'kucoin',
+            baseUrl: 'https://api.kucoin.com',
+            intervals: {
+                '1m': { type: '1min', seconds: 60 },
+                '3m': { type: '3min', seconds: 180 },
+                '5m': { type: '5min', seconds: 300 },
+                '15m': { type: '15min', seconds: 900 },
+                '30m': { type: '30min', seconds: 1800 },
+                '1h': { type: '1hour', seconds: 3600 },
+                '2h': { type: '2hour', seconds: 7200 },
+                '4h': { type: '4hour', seconds: 14400 },
+                '6h': { type: '6hour', seconds: 21600 },
+                '8h': { type: '8hour', seconds: 28800 },
+                '12h': { type: '12hour', seconds: 43200 },
+                '1d': { type: '1day', seconds: 86400 },
+                '1w': { type: '1week', seconds: 604800 }
+            },
+            maxCandles: 1500
+        });
+    }
+
+    static toNativeSymbol(symbol) {
+        const { baseAsset, quoteAsset } = splitSymbol(symbol);
+        return `${baseAsset}-${quoteAsset}`;
+    }
+
+    async fetchTickers() {
+        const data = await this.request('/api/v1/market/allTickers');
+        return data.data.ticker;
+    }
+
+    // /market/stats devuelve los mismos campos que cada elemento de allTickers (sin precio si no existe)
+    async fetchTicker(symbol) {
+        const data = await this.request('/api/v1/market/stats', { symbol: KucoinProvider.toNativeSymbol(symbol) });
+        return data.data && data.data.last ? data.data : null;
+    }
+
+    async fetchCandles(symbol, interval, limit) {
+        const { type, seconds } = this.intervals[interval];
+        const endAt = Math.floor(Date.now() / 1000);
+        const data = await this.request('/api/v1/market/candles', {
+            symbol: KucoinProvider.toNativeSymbol(symbol),
+            type,
+            startAt: endAt - limit * seconds,
+            endAt
+        });
+        return data.data;
+    }
+
+    // changeRate viene como fracción; vol en base y volValue en cotización
+    normalizeTickers(raw) {
+        return raw.map(ticker => this.buildTicker({
+            symbol: ticker.symbol,
+            lastPrice: ticker.last,
+            highPrice: ticker.high,
+            lowPrice: ticker.low,
+            priceChangePercent: parseFloat(ticker.changeRate) * 100,
+            volume: ticker.vol,
+            quoteVolume: ticker.volValue
+        }));
+    }
+
+    // [time (segundos), open, close, high, low, volume, turnover], más reciente primero
+    normalizeCandles(raw) {
+        return raw.map(candle => ({
+            timestamp: parseInt(candle[0], 10) * 1000,
+            open: parseFloat(candle[1]),
+            high: parseFloat(candle[3]),
+            low: parseFloat(candle[4]),
+            close: parseFloat(candle[2]),
+            volume: parseFloat(candle[5]),
+            quoteVolume: parseFloat(candle[6])
+        }));
+    }
+}
+
+module.exports = KucoinProvider;
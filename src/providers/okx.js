@@ -0,0 +1,69 @@
+const { ExchangeProvider, splitSymbol } = require('./base');
+
+// ⚫ OKX: API v5, instrumentos SPOT con formato BASE-QUOTE
+class OkxProvider extends ExchangeProvider {
+    constructor() {
+        super({
+            name: 'okx',
+            baseUrl: 'https://www.okx.com',
+            intervals: {
+                '1m': '1m', '3m': '3m', '5m': '5m', '15m': '15m', '30m': '30m',
+                '1h': '1H', '2h': '2H', '4h': '4H', '6h': '6H', '12h': '12H',
+                '1d': '1D', '1w': '1W', '1M': '1M'
+            },
+            maxCandles: 300
+        });
+    }
+
+    static toInstId(symbol) {
+        const { baseAsset, quoteAsset } = splitSymbol(symbol);
+        return `${baseAsset}-${quoteAsset}`;
+    }
+
+    async fetchTickers() {
+        const data = await this.request('/api/v5/market/tickers', { instType: 'SPOT' });
+        return data.data;
+    }
+
+    async fetchTicker(symbol) {
+        const data = await this.request('/api/v5/market/ticker', { instId: OkxProvider.toInstId(symbol) });
+        return (data.data || [])[0] || null;
+    }
+
+    async fetchCandles(symbol, interval, limit) {
+        const data = await this.request('/api/v5/market/candles', {
+            instId: OkxProvider.toInstId(symbol),
+            bar: this.intervals[interval],
+            limit
+        });
+        return data.data;
+    }
+
+    // En SPOT, vol24h está en el activo base y volCcy24h en el de cotización
+    normalizeTickers(raw) {
+        return raw.map(ticker => this.buildTicker({
+            symbol: ticker.instId,
+            lastPrice: ticker.last,
+            openPrice: ticker.open24h,
+            highPrice: ticker.high24h,
+            lowPrice: ticker.low24h,
+            volume: ticker.vol24h,
+            quoteVolume: ticker.volCcy24h
+        }));
+    }
+
+    // [ts, o, h, l, c, vol, volCcy, volCcyQuote, confirm], más reciente primero
+    normalizeCandles(raw) {
+        return raw.map(candle => ({
+            timestamp: parseInt(candle[0], 10),
+            open: parseFloat(candle[1]),
+            high: parseFloat(candle[2]),
+            low: parseFloat(candle[3]),
+            close: parseFloat(candle[4]),
+            volume: parseFloat(candle[5]),
+            quoteVolume: parseFloat(candle[7])
+        }));
+    }
+}
+
+module.exports = OkxProvider;
@@ -0,0 +1,120 @@
+const CONFIG = require('./config');
+const metrics = require('./metrics');
+const Rankings = require('./rankings');
+const RankingQuery = require('./rankingQuery');
+const ExplosionDetector = require('./explosionDetector');
+const TechnicalAnalysis = require('./technicalAnalysis');
+const RiskManager = require('./riskManager');
+const scanner = require('./scanner');
+const liquidity = require('./liquidity');
+const { LiquidityAnalyzer } = liquidity;
+const anomalyDetector = require('./anomalyDetector');
+const { AnomalyDetector } = anomalyDetector;
+
+// 📄 RANKINGS PAGINADOS CON REESCORES COSTOSOS
+// El ranking base sale de los tickers; los pasos que piden klines, trades u order book solo se
+// aplican a una ventana de los primeros candidatos (el doble de offset + limit, con un máximo por
+// paso) que después se vuelve a mezclar con el resto del ranking y se reordena entero. Así las
+// páginas profundas siguen completas aunque queden fuera de la ventana.
+//   technical → score con análisis técnico (hasta TECHNICAL_RESCORE_MAX)
+//   anomalies → penalización por manipulación (hasta ANOMALY_WINDOW_MAX)
+//   liquidity → riesgo por liquidez y descarte de ilíquidos (hasta LIQUIDITY_ENRICH_MAX)
+//   levels    → stop y objetivo por volatilidad (modo técnico), sobre la página final
+const RankingPipeline = {
+    windowSize(params, max) {
+        return Math.min(max, (params.offset + params.limit) * 2);
+    },
+
+    // Sustituye los `size` primeros por lo que devuelve `rescore` y reordena el ranking completo
+    async rescoreWindow(ranked, size, params, rescore) {
+        const window = ranked.slice(0, size);
+        const rescored = await rescore(window);
+        return {
+            removed: window.length - rescored.length,
+            items: RankingQuery.sort([...rescored, ...ranked.slice(size)], params, Rankings.SORT_ACCESSORS)
+        };
+    },
+
+    // 🧮 Recalcula el score de los tokens usando análisis técnico (modo técnico)
+    async rescoreWithTechnicals(items, provider, strategy) {
+        return Promise.all(items.map(async ({ token }) => {
+            const technicals = await TechnicalAnalysis.analyzeTechnicals(token.symbol, '1h', CONFIG.KLINE_LOOKBACK, provider.name);
+            return {
+                token,
+                technicals,
+                analysis: ExplosionDetector.calculateExplosionScore(token, technicals, strategy)
+            };
+        }));
+    },
+
+    // 🚨 Riesgo de manipulación: penaliza el score de los candidatos
+    async rescoreWithAnomalies(items, tickers, strategy) {
+        const context = AnomalyDetector.universeStats(tickers);
+        const results = await scanner.runPool(items, CONFIG.SCAN_CONCURRENCY, item => anomalyDetector.analyze(item.token, context));
+
+        return items.map((item, i) => ({
+            ...item,
+            manipulation: results[i],
+            analysis: ExplosionDetector.calculateExplosionScore(item.token, item.technicals || null, strategy, results[i])
+        }));
+    },
+
+    // 💧 Añade la liquidez, recalcula el riesgo de la recomendación y descarta los pares ilíquidos
+    async enrichWithLiquidity(items, options) {
+        const analyses = await scanner.runPool(items, CONFIG.SCAN_CONCURRENCY, item => liquidity.analyze(item.token.symbol, options.orderSize));
+
+        return items
+            .map((item, i) => {
+                LiquidityAnalyzer.applyToRecommendation(item.analysis.recommendation, analyses[i]);
+                return { ...item, liquidity: LiquidityAnalyzer.summarize(analyses[i]) };
+            })
+            .filter(item => !item.liquidity || !item.liquidity.illiquid);
+    },
+
+    // options: { technical, levels, anomalies, liquidity: { orderSize } | null }
+    // → { total, excluded, items }; `excluded` cuenta los pares ilíquidos descartados
+    async rankPage(provider, query, strategy, options = {}) {
+        const { params } = query;
+        const tickers = await provider.getTickers();
+        let ranked = metrics.time('ranking', () => Rankings.rankTickers(tickers, params, strategy));
+        let total = ranked.length;
+        let excluded = 0;
+
+        if (options.technical) {
+            ({ items: ranked } = await metrics.time('technicalRescore', () => this.rescoreWindow(
+                ranked, this.windowSize(params, CONFIG.TECHNICAL_RESCORE_MAX), params,
+                window => this.rescoreWithTechnicals(window, provider, strategy)
+            )));
+        }
+
+        if (options.anomalies) {
+            ({ items: ranked } = await metrics.time('anomalyRescore', () => this.rescoreWindow(
+                ranked, this.windowSize(params, CONFIG.ANOMALY_WINDOW_MAX), params,
+                window => this.rescoreWithAnomalies(window, tickers, strategy)
+            )));
+        }
+
+        if (options.liquidity) {
+            const result = await metrics.time('liquidityEnrichment', () => this.rescoreWindow(
+                ranked, this.windowSize(params, CONFIG.LIQUIDITY_ENRICH_MAX), params,
+                window => this.enrichWithLiquidity(window, options.liquidity)
+            ));
+            ranked = result.items;
+            excluded = result.removed;
+            total -= excluded;
+        }
+
+        // Al final: el reescore por anomalías crea recomendaciones nuevas y perdería los niveles
+        const items = ranked.slice(params.offset, params.offset + params.limit);
+        if (options.levels) {
+            for (const item of items) {
+                if (!item.technicals) continue;
+                RiskManager.applyToRecommendation(item.analysis.recommendation, RiskManager.levels(parseFloat(item.token.lastPrice), item.technicals));
+            }
+        }
+
+        return { total, excluded, items };
+    }
+};
+
+module.exports = RankingPipeline;
@@ -0,0 +1,144 @@
+const { QUOTE_ASSETS } = require('./providers/base');
+
+const SYMBOL_PATTERN = /^[A-Z0-9]{2,20}$/;
+const MAX_LIMIT = 100;
+
+// 🔎 PARÁMETROS DE CONSULTA DE LOS RANKINGS
+// ?limit=&offset=&quote=USDT,FDUSD&minPrice=&maxPrice=&minVolume=&maxVolume=&minChange=&maxChange=
+//  &sort=score|change|volume&order=asc|desc&include=BTCUSDT,ETHUSDT&exclude=...
+// Los límites min/max son exclusivos, igual que los filtros fijos de CONFIG.
+// Cada endpoint pasa sus valores por defecto (los umbrales que antes estaban fijos en código);
+// un default null significa "sin filtro".
+const RankingQuery = {
+    parse(query, defaults = {}) {
+        const errors = [];
+        const sortFields = defaults.sortFields || ['score', 'change', 'volume'];
+
+        const number = (param, { min = -Infinity, integer = false } = {}) => {
+            const raw = query[param];
+            if (raw === undefined || raw === '') return defaults[param] !== undefined ? defaults[param] : null;
+
+            const value = Number(raw);
+            if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min) {
+                errors.push({ param, message: `debe ser un ${integer ? 'entero' : 'número'}${min > -Infinity ? ` >= ${min}` : ''}` });
+                return null;
+            }
+            return value;
+        };
+
+        const list = (param, validate, message) => {
+            const raw = query[param];
+            if (raw === undefined || raw === '') return defaults[param] || null;
+
+            const values = String(raw).split(',').map(v => v.trim().toUpperCase()).filter(Boolean);
+            const invalid = values.filter(v => !validate(v));
+            if (invalid.length > 0) errors.push({ param, message: `${message}: ${invalid.join(', ')}` });
+            return values;
+        };
+
+        const params = {
+            limit: number('limit', { min: 1, integer: true }),
+            offset: number('offset', { min: 0, integer: true }),
+            quote: list('quote', v => QUOTE_ASSETS.includes(v), `valores no soportados (permitidos: ${QUOTE_ASSETS.join(', ')})`),
+            minPrice: number('minPrice', { min: 0 }),
+            maxPrice: number('maxPrice', { min: 0 }),
+            minVolume: number('minVolume', { min: 0 }),
+            maxVolume: number('maxVolume', { min: 0 }),
+            minChange: number('minChange'),
+            maxChange: number('maxChange'),
+            include: list('include', v => SYMBOL_PATTERN.test(v), 'símbolos inválidos'),
+            exclude: list('exclude', v => SYMBOL_PATTERN.test(v), 'símbolos inválidos'),
+            sort: query.sort !== undefined ? String(query.sort) : defaults.sort || sortFields[0],
+            order: query.order !== undefined ? String(query.order) : defaults.order || 'desc'
+        };
+
+        if (params.limit === null) params.limit = 5;
+        if (params.offset === null) params.offset = 0;
+        if (params.limit > MAX_LIMIT) errors.push({ param: 'limit', message: `máximo ${MAX_LIMIT}` });
+        if (!sortFields.includes(params.sort)) {
+            errors.push({ param: 'sort', message: `valores permitidos: ${sortFields.join(', ')}` });
+        }
+        if (!['asc', 'desc'].includes(params.order)) {
+            errors.push({ param: 'order', message: 'valores permitidos: asc, desc' });
+        }
+
+        for (const [min, max] of [['minPrice', 'maxPrice'], ['minVolume', 'maxVolume'], ['minChange', 'maxChange']]) {
+            if (params[min] !== null && params[max] !== null && params[min] >= params[max]) {
+                errors.push({ param: min, message: `debe ser menor que ${max}` });
+            }
+        }
+
+        return { errors, params, key: this.cacheKey(params) };
+    },
+
+    // Clave estable: mismo resultado para el mismo conjunto de parámetros normalizados
+    cacheKey(params) {
+        return Object.keys(params)
+            .sort()
+            .map(key => `${key}=${Array.isArray(params[key]) ? [...params[key]].sort().join(',') : params[key]}`)
+            .join('&');
+    },
+
+    sendErrors(res, errors) {
+        return res.status(400).json({ error: 'Parámetros inválidos', details: errors });
+    },
+
+    // item: { symbol, quoteAsset?, price, volume, change }
+    matches(item, params) {
+        const above = (value, min) => min === null || (value !== null && value > min);
+        const below = (value, max) => max === null || (value !== null && value < max);
+
+        if (params.include && !params.include.includes(item.symbol)) return false;
+        if (params.exclude && params.exclude.includes(item.symbol)) return false;
+        if (params.quote) {
+            const matchesQuote = item.quoteAsset
+                ? params.quote.includes(item.quoteAsset)
+                : params.quote.some(quote => item.symbol.endsWith(quote));
+            if (!matchesQuote) return false;
+        }
+
+        return above(item.price, params.minPrice) && below(item.price, params.maxPrice) &&
+            above(item.volume, params.minVolume) && below(item.volume, params.maxVolume) &&
+            above(item.change, params.minChange) && below(item.change, params.maxChange);
+    },
+
+    // Adaptador para tickers (normalizados o crudos de Binance)
+    matchesTicker(ticker, params) {
+        return this.matches({
+            symbol: ticker.symbol,
+            quoteAsset: ticker.quoteAsset,
+            price: parseFloat(ticker.lastPrice),
+            volume: parseFloat(ticker.quoteVolume),
+            change: parseFloat(ticker.priceChangePercent)
+        }, params);
+    },
+
+    // accessors: { score: item => ..., change: item => ..., ... }
+    sort(items, params, accessors) {
+        const get = accessors[params.sort];
+        const direction = params.order === 'asc' ? 1 : -1;
+
+        // Los valores nulos (p. ej. listados sin precio) van siempre al final
+        return [...items].sort((a, b) => {
+            const va = get(a);
+            const vb = get(b);
+            if (va === null || va === undefined) return vb === null || vb === undefined ? 0 : 1;
+            if (vb === null || vb === undefined) return -1;
+            return direction * (va - vb);
+        });
+    },
+
+    paginate(items, params) {
+        return {
+            total: items.length,
+            items: items.slice(params.offset, params.offset + params.limit)
+        };
+    },
+
+    sendPage(res, page) {
+        res.set('X-Total-Count', String(page.total));
+        return res.json(page.items);
+    }
+};
+
+module.exports = RankingQuery;
@@ -0,0 +1,239 @@
+const CONFIG = require('./config');
+const ExplosionDetector = require('./explosionDetector');
+const RankingQuery = require('./rankingQuery');
+const Strategies = require('./strategies');
+const I18n = require('./i18n');
+
+// 🏆 CONSTRUCCIÓN DE RANKINGS
+// Compartido por los endpoints REST y el feed en vivo (SSE/WebSocket).
+
+// Campos de ordenación sobre elementos { token, analysis }
+const SORT_ACCESSORS = {
+    score: item => item.analysis.totalScore,
+    change: item => parseFloat(item.token.priceChangePercent),
+    volume: item => parseFloat(item.token.quoteVolume)
+};
+
+// Universo por defecto de los rankings (los umbrales de CONFIG), sobrescribible por query
+function universeDefaults(quoteAsset = 'USDT') {
+    return {
+        quote: [quoteAsset],
+        minPrice: CONFIG.MIN_PRICE,
+        maxPrice: CONFIG.MAX_PRICE,
+        minVolume: CONFIG.EXPLOSION_MIN_VOLUME
+    };
+}
+
+// Parámetros por defecto de cada ranking: los mismos que aplican los endpoints sin query
+function explosionDefaults(quoteAsset) {
+    return { ...universeDefaults(quoteAsset), minChange: CONFIG.EXPLOSION_MIN_GAIN, sort: 'score' };
+}
+
+function gainerDefaults(quoteAsset) {
+    return { ...universeDefaults(quoteAsset), minChange: 0, sort: 'change' };
+}
+
+// /smart-analysis: límite por sección y orden por score salvo que la query diga otra cosa
+function smartDefaults(quoteAsset) {
+    return { ...universeDefaults(quoteAsset), limit: 3, sort: 'score' };
+}
+
+// Umbrales fijos de una sección sobre los filtros de la petición: gana el más restrictivo
+function narrowParams(params, bounds) {
+    const narrowed = { ...params };
+    for (const [key, value] of Object.entries(bounds)) {
+        if (params[key] === null || params[key] === undefined) narrowed[key] = value;
+        else narrowed[key] = key.startsWith('min') ? Math.max(params[key], value) : Math.min(params[key], value);
+    }
+    return narrowed;
+}
+
+// Filtra, puntúa y ordena tickers según los parámetros de RankingQuery
+function rankTickers(tickers, params, strategy = Strategies.get()) {
+    const scored = tickers
+        .filter(token => RankingQuery.matchesTicker(token, params))
+        .map(token => ({ token, analysis: ExplosionDetector.calculateExplosionScore(token, null, strategy) }));
+    return RankingQuery.sort(scored, params, SORT_ACCESSORS);
+}
+
+// ⚖️ Puntúa el mismo universo con varias estrategias; el orden y la paginación siguen a la primera
+function compareStrategies(tickers, params, strategies) {
+    const rankings = strategies.map(strategy => rankTickers(tickers, params, strategy));
+    const positions = rankings.map(ranked => new Map(ranked.map((item, i) => [item.token.symbol, { ...item, rank: i + 1 }])));
+
+    const summary = {};
+    strategies.forEach((strategy, i) => {
+        const scores = rankings[i].map(item => item.analysis.totalScore);
+        summary[strategy.name] = {
+            candidates: scores.length,
+            avgScore: scores.length > 0 ? parseFloat((scores.reduce((sum, v) => sum + v, 0) / scores.length).toFixed(2)) : null,
+            buySignals: rankings[i].filter(item => item.analysis.recommendation.buyPrice !== null).length,
+            top: rankings[i].slice(0, 5).map(item => item.token.symbol)
+        };
+    });
+
+    const symbols = rankings[0].slice(params.offset, params.offset + params.limit).map(({ token }) => {
+        const scores = {};
+        strategies.forEach((strategy, i) => {
+            const { analysis, rank } = positions[i].get(token.symbol);
+            scores[strategy.name] = { score: analysis.totalScore, rank, action: analysis.recommendation.action };
+        });
+        const values = Object.values(scores).map(entry => entry.score);
+
+        return {
+            symbol: token.symbol,
+            price: parseFloat(token.lastPrice),
+            priceChangePercent: parseFloat(token.priceChangePercent),
+            volume: parseFloat(token.quoteVolume),
+            scores,
+            scoreSpread: parseFloat((Math.max(...values) - Math.min(...values)).toFixed(2))
+        };
+    });
+
+    return {
+        strategies: strategies.map(strategy => strategy.name),
+        total: rankings[0].length,
+        summary,
+        symbols,
+        timestamp: new Date().toISOString()
+    };
+}
+
+function scoreExplosionCandidates(binanceData, strategy = Strategies.get()) {
+    return binanceData
+        .filter(token => parseFloat(token.priceChangePercent) > CONFIG.EXPLOSION_MIN_GAIN)
+        .map(token => ({ token, analysis: ExplosionDetector.calculateExplosionScore(token, null, strategy) }))
+        .sort((a, b) => b.analysis.totalScore - a.analysis.totalScore);
+}
+
+function formatExplosionCandidate({ token, analysis, technicals, manipulation, liquidity }) {
+    return {
+        symbol: token.symbol,
+        price: parseFloat(token.lastPrice),
+        priceChangePercent: parseFloat(token.priceChangePercent),
+        volume: parseFloat(token.quoteVolume),
+        explosionScore: analysis.totalScore,
+        analysis: analysis.breakdown,
+        recommendation: analysis.recommendation,
+        strategy: analysis.strategy,
+        ...(technicals !== undefined && { technicals }),
+        ...(manipulation !== undefined && { manipulation }),
+        ...(liquidity !== undefined && { liquidity }),
+        timestamp: new Date().toISOString()
+    };
+}
+
+function formatGainer({ token, analysis, technicals, liquidity }) {
+    return {
+        symbol: token.symbol,
+        price: parseFloat(token.lastPrice),
+        priceChangePercent: parseFloat(token.priceChangePercent),
+        volume: parseFloat(token.quoteVolume),
+        score: analysis.totalScore,
+        recommendation: analysis.recommendation,
+        strategy: analysis.strategy,
+        ...(technicals !== undefined && { technicals }),
+        ...(liquidity !== undefined && { liquidity }),
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Sin params, el mismo resultado que GET /explosion-candidates sin query (límite por defecto de RankingQuery)
+function buildExplosionCandidates(binanceData, params = RankingQuery.parse({}, explosionDefaults()).params) {
+    return RankingQuery.paginate(rankTickers(binanceData, params), params).items.map(formatExplosionCandidate);
+}
+
+function buildTopGainers(binanceData, params = RankingQuery.parse({}, gainerDefaults()).params) {
+    return RankingQuery.paginate(rankTickers(binanceData, params), params).items.map(formatGainer);
+}
+
+// Con el universo vacío (p. ej. filtros que no deja pasar nada) las estadísticas son null y el sentimiento NEUTRAL
+function buildMarketSentiment(binanceData) {
+    const positiveTokens = binanceData.filter(t => parseFloat(t.priceChangePercent) > 0).length;
+    const totalTokens = binanceData.length;
+    if (totalTokens === 0) {
+        return { marketSentiment: 'NEUTRAL', marketStats: { totalTokens, positiveTokens, bullishPercentage: null, avgChange: null } };
+    }
+    const bullishPercentage = (positiveTokens / totalTokens) * 100;
+
+    let marketSentiment = 'NEUTRAL';
+    if (bullishPercentage > 60) marketSentiment = 'BULLISH';
+    else if (bullishPercentage < 40) marketSentiment = 'BEARISH';
+
+    return {
+        marketSentiment,
+        marketStats: {
+            totalTokens,
+            positiveTokens,
+            bullishPercentage: bullishPercentage.toFixed(1),
+            avgChange: (binanceData.reduce((sum, token) => sum + parseFloat(token.priceChangePercent), 0) / totalTokens).toFixed(2)
+        }
+    };
+}
+
+// Cada sección aplica sus umbrales (CONFIG.SMART_*) encima de los filtros de la query y pagina y
+// ordena con los params de RankingQuery
+function buildSmartAnalysis(binanceData, params = RankingQuery.parse({}, smartDefaults()).params, strategy = Strategies.get()) {
+    const smartAnalysis = {
+        explosionAlerts: [],
+        safeInvestments: [],
+        riskWarnings: [],
+        marketSentiment: 'NEUTRAL',
+        strategy: strategy.name,
+        timestamp: new Date().toISOString()
+    };
+
+    const section = bounds => RankingQuery.paginate(rankTickers(binanceData, narrowParams(params, bounds), strategy), params).items;
+
+    // Análisis de explosiones
+    const explosions = section({ minChange: CONFIG.SMART_ALERT_MIN_CHANGE });
+    smartAnalysis.explosionAlerts = explosions.map(({ token, analysis }) => ({
+        symbol: token.symbol,
+        price: parseFloat(token.lastPrice),
+        change: parseFloat(token.priceChangePercent),
+        volume: parseFloat(token.quoteVolume),
+        score: analysis.totalScore,
+        recommendation: analysis.recommendation,
+        alert: I18n.text('smartAnalysis.explosionAlert', { symbol: token.symbol, change: token.priceChangePercent, score: analysis.totalScore })
+    }));
+
+    // Inversiones seguras
+    const safeTokens = section({
+        minChange: CONFIG.SMART_SAFE_MIN_CHANGE,
+        maxChange: CONFIG.SMART_SAFE_MAX_CHANGE,
+        minVolume: CONFIG.SMART_SAFE_MIN_VOLUME
+    });
+    smartAnalysis.safeInvestments = safeTokens.map(({ token, analysis }) => ({
+        symbol: token.symbol,
+        price: parseFloat(token.lastPrice),
+        change: parseFloat(token.priceChangePercent),
+        volume: parseFloat(token.quoteVolume),
+        score: analysis.totalScore,
+        recommendation: analysis.recommendation,
+        reason: I18n.text('smartAnalysis.safeInvestment', { change: token.priceChangePercent })
+    }));
+
+    // Análisis de sentimiento del mercado
+    const { marketSentiment, marketStats } = buildMarketSentiment(binanceData);
+    smartAnalysis.marketSentiment = marketSentiment;
+    smartAnalysis.marketStats = marketStats;
+
+    return smartAnalysis;
+}
+
+module.exports = {
+    SORT_ACCESSORS,
+    universeDefaults,
+    explosionDefaults,
+    gainerDefaults,
+    smartDefaults,
+    rankTickers,
+    compareStrategies,
+    scoreExplosionCandidates,
+    formatExplosionCandidate,
+    formatGainer,
+    buildExplosionCandidates,
+    buildTopGainers,
+    buildMarketSentiment,
+    buildSmartAnalysis
+};
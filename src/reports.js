@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('./config');
+const logger = require('./logger').child({ component: 'reports' });
+const Providers = require('./providers');
+const Rankings = require('./rankings');
+const RankingQuery = require('./rankingQuery');
+const Strategies = require('./strategies');
+const Exporter = require('./exporter');
+const { MarketBreadth } = require('./marketBreadth');
+const historyStore = require('./history');
+
+const DAY_MS = 24 * 3600000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const dayKey = timestamp => new Date(timestamp).toISOString().slice(0, 10);
+
+// 📑 INFORMES DIARIOS
+// Cada día a las REPORTS_TIME_UTC se escribe en REPORTS_DIR/YYYY-MM-DD/:
+//   summary.json                    → sentimiento, amplitud, miedo/codicia, categorías, tops y
+//                                     resumen del histórico de las últimas 24h
+//   explosion-candidates-<día>.csv  → tablas completas en REPORTS_FORMAT (mismo formato que ?format=)
+//   top-gainers-<día>.csv
+//   categories-<día>.csv
+// Si al arrancar ya pasó la hora y falta el informe del día, se genera en ese momento.
+// Si la generación falla se reintenta hasta REPORTS_MAX_RETRIES veces con backoff exponencial;
+// agotados los reintentos el informe de ese día se queda sin generar y se espera al siguiente.
+class ReportScheduler {
+    constructor() {
+        this.timer = null;
+        this.retryTimer = null;
+        this.retry = null;
+        this.running = false;
+        this.nextRun = null;
+        this.lastReport = null;
+        this.lastError = null;
+    }
+
+    start() {
+        if (!TIME_PATTERN.test(CONFIG.REPORTS_TIME_UTC)) {
+            logger.error('REPORTS_TIME_UTC inválido (formato HH:MM)', { value: CONFIG.REPORTS_TIME_UTC });
+            return;
+        }
+
+        const now = Date.now();
+        if (now >= this.scheduledAt(now) && !fs.existsSync(this.summaryFile(dayKey(now)))) this.run(now);
+        this.schedule();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        clearTimeout(this.retryTimer);
+        this.timer = null;
+        this.retryTimer = null;
+        this.retry = null;
+        this.nextRun = null;
+    }
+
+    schedule() {
+        const now = Date.now();
+        const today = this.scheduledAt(now);
+        this.nextRun = now < today ? today : today + DAY_MS;
+
+        this.timer = setTimeout(() => {
+            this.run();
+            this.schedule();
+        }, this.nextRun - now);
+        this.timer.unref();
+    }
+
+    // Genera el informe del día de `now` y programa un reintento si falla (attempt: reintentos ya hechos)
+    async run(now = Date.now(), attempt = 0) {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.retry = null;
+        if (this.running) return null;
+
+        const summary = await this.generate(now);
+        if (summary) return summary;
+
+        if (attempt >= CONFIG.REPORTS_MAX_RETRIES) {
+            logger.error('Informe diario sin generar tras agotar los reintentos', { day: dayKey(now), retries: attempt });
+            return null;
+        }
+
+        const delayMs = CONFIG.REPORTS_RETRY_BASE_MS * Math.pow(2, attempt);
+        this.retry = { day: dayKey(now), attempt: attempt + 1, at: new Date(Date.now() + delayMs).toISOString() };
+        logger.warn('Reintento del informe diario programado', this.retry);
+        this.retryTimer = setTimeout(() => this.run(now, attempt + 1), delayMs);
+        this.retryTimer.unref();
+        return null;
+    }
+
+    // Instante de REPORTS_TIME_UTC en el día (UTC) de `now`
+    scheduledAt(now) {
+        const [, hours, minutes] = TIME_PATTERN.exec(CONFIG.REPORTS_TIME_UTC);
+        const date = new Date(now);
+        date.setUTCHours(Number(hours), Number(minutes), 0, 0);
+        return date.getTime();
+    }
+
+    summaryFile(day) {
+        return path.join(CONFIG.REPORTS_DIR, day, 'summary.json');
+    }
+
+    static format() {
+        return CONFIG.REPORTS_FORMAT !== 'json' && Exporter.FORMATS.includes(CONFIG.REPORTS_FORMAT) ? CONFIG.REPORTS_FORMAT : 'csv';
+    }
+
+    // Tablas del informe con los mismos criterios que los endpoints en vivo
+    static tables(tickers, strategy, quoteAsset) {
+        const params = defaults => RankingQuery.parse({}, { ...defaults, limit: CONFIG.REPORTS_TOP }).params;
+        const universe = MarketBreadth.universe(tickers, params(MarketBreadth.universeDefaults(quoteAsset)));
+
+        const explosion = params(Rankings.explosionDefaults(quoteAsset));
+        const gainers = params(Rankings.gainerDefaults(quoteAsset));
+
+        return {
+            'explosion-candidates': Rankings.rankTickers(tickers, explosion, strategy)
+                .slice(0, CONFIG.REPORTS_TOP)
+                .map(Rankings.formatExplosionCandidate),
+            'top-gainers': Rankings.rankTickers(tickers, gainers, strategy)
+                .slice(0, CONFIG.REPORTS_TOP)
+                .map(Rankings.formatGainer),
+            categories: MarketBreadth.categoryPerformance(universe).categories,
+            universe
+        };
+    }
+
+    // Resumen de los snapshots históricos de las últimas 24h (vacío si HISTORY_ENABLED=false)
+    static async historySummary(now) {
+        const snapshots = await historyStore.getSentiment({ from: now - DAY_MS, to: now });
+        const bullish = snapshots.map(snapshot => parseFloat(snapshot.marketStats.bullishPercentage)).filter(Number.isFinite);
+        const sentiment = {};
+        for (const snapshot of snapshots) sentiment[snapshot.marketSentiment] = (sentiment[snapshot.marketSentiment] || 0) + 1;
+
+        return {
+            snapshots: snapshots.length,
+            sentiment,
+            bullishPercentage: bullish.length > 0
+                ? {
+                    min: Math.min(...bullish),
+                    max: Math.max(...bullish),
+                    average: parseFloat((bullish.reduce((total, value) => total + value, 0) / bullish.length).toFixed(1))
+                }
+                : null
+        };
+    }
+
+    async generate(now = Date.now()) {
+        if (this.running) return null;
+        this.running = true;
+
+        try {
+            const provider = Providers.get('binance');
+            const tickers = await provider.getTickers();
+            const dataFreshness = provider.getFreshness();
+            if (dataFreshness.source === 'none') throw new Error('Datos de mercado no disponibles');
+
+            const day = dayKey(now);
+            const dir = path.join(CONFIG.REPORTS_DIR, day);
+            const format = ReportScheduler.format();
+            const strategy = Strategies.get();
+            const { universe, ...tables } = ReportScheduler.tables(tickers, strategy, provider.defaultQuote);
+            fs.mkdirSync(dir, { recursive: true });
+
+            const files = [];
+            for (const [name, rows] of Object.entries(tables)) {
+                const file = Exporter.filename(name, format);
+                await Exporter.write(format, rows, fs.createWriteStream(path.join(dir, file)));
+                files.push(file);
+            }
+
+            const top = items => items.slice(0, 5).map(item => ({
+                symbol: item.symbol,
+                priceChangePercent: item.priceChangePercent,
+                score: item.explosionScore !== undefined ? item.explosionScore : item.score,
+                action: item.recommendation.action
+            }));
+            const summary = {
+                day,
+                generatedAt: new Date().toISOString(),
+                exchange: provider.name,
+                strategy: strategy.name,
+                ...Rankings.buildMarketSentiment(universe),
+                breadth: MarketBreadth.summarize(universe),
+                categories: tables.categories.map(({ id, volumeWeightedChange, volumeShare }) => ({ id, volumeWeightedChange, volumeShare })),
+                explosionCandidates: top(tables['explosion-candidates']),
+                topGainers: top(tables['top-gainers']),
+                history: await ReportScheduler.historySummary(now),
+                dataFreshness,
+                files
+            };
+
+            const summaryFile = this.summaryFile(day);
+            fs.writeFileSync(`${summaryFile}.tmp`, JSON.stringify(summary, null, 2));
+            fs.renameSync(`${summaryFile}.tmp`, summaryFile);
+
+            this.lastReport = { day, dir, generatedAt: summary.generatedAt, files: ['summary.json', ...files] };
+            this.lastError = null;
+            logger.info('Informe diario generado', { dir, files: this.lastReport.files });
+            return summary;
+        } catch (error) {
+            this.lastError = { message: error.message, at: new Date().toISOString() };
+            logger.error('Error generando el informe diario', error);
+            return null;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    getStatus() {
+        return {
+            enabled: CONFIG.REPORTS_ENABLED,
+            dir: CONFIG.REPORTS_DIR,
+            timeUtc: CONFIG.REPORTS_TIME_UTC,
+            format: ReportScheduler.format(),
+            nextRun: this.nextRun ? new Date(this.nextRun).toISOString() : null,
+            lastReport: this.lastReport,
+            lastError: this.lastError,
+            retry: this.retry
+        };
+    }
+}
+
+module.exports = new ReportScheduler();
+module.exports.ReportScheduler = ReportScheduler;
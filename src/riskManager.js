@@ -0,0 +1,109 @@
+const CONFIG = require('./config');
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+// 🛡️ GESTIÓN DE RIESGO: STOPS POR VOLATILIDAD Y TAMAÑO DE POSICIÓN
+// Las recomendaciones usan objetivos fijos por tramo (+25/−15, +15/−10, +10/−5). Aquí el stop se
+// coloca a RISK_ATR_MULTIPLIER × ATR del precio de entrada (con la volatilidad de los retornos si no
+// hay velas suficientes para el ATR), acotado a [RISK_MIN_STOP_PERCENT, RISK_MAX_STOP_PERCENT], y el
+// objetivo a RISK_REWARD_RATIO veces esa distancia. El tamaño arriesga riskPercent del capital si
+// salta el stop, sin superar RISK_MAX_POSITION_PERCENT del capital en una sola posición.
+class RiskManager {
+    // Devuelve la lista de errores del cuerpo de POST /api/position-size (vacía si es válido)
+    static validateRequest(input) {
+        if (!input || typeof input !== 'object') return ['El cuerpo debe ser un objeto JSON'];
+
+        const errors = [];
+        if (typeof input.symbol !== 'string' || input.symbol.trim() === '') errors.push('"symbol" es obligatorio');
+        if (!isPositive(input.equity)) errors.push('"equity" debe ser un número mayor que 0');
+        if (input.riskPercent !== undefined && (!isPositive(input.riskPercent) || input.riskPercent > CONFIG.RISK_MAX_PERCENT)) {
+            errors.push(`"riskPercent" debe ser un número mayor que 0 y como máximo ${CONFIG.RISK_MAX_PERCENT}`);
+        }
+        for (const key of ['entryPrice', 'atrMultiplier', 'rewardRisk']) {
+            if (input[key] !== undefined && !isPositive(input[key])) errors.push(`"${key}" debe ser un número mayor que 0`);
+        }
+        if (input.interval !== undefined && typeof input.interval !== 'string') errors.push('"interval" debe ser un texto');
+        return errors;
+    }
+
+    // Stop y objetivo a partir del análisis técnico (TechnicalAnalysis.analyzeTechnicals); null sin datos
+    static levels(price, technicals, { atrMultiplier = CONFIG.RISK_ATR_MULTIPLIER, rewardRisk = CONFIG.RISK_REWARD_RATIO } = {}) {
+        if (!technicals || !isPositive(price)) return null;
+
+        const atr = parseFloat(technicals.indicators.atr);
+        const volatility = parseFloat(technicals.volatility);
+        let method;
+        let distance;
+        if (isPositive(atr)) {
+            method = 'ATR';
+            distance = atr * atrMultiplier;
+        } else if (isPositive(volatility)) {
+            method = 'VOLATILITY';
+            distance = price * (volatility / 100) * atrMultiplier;
+        } else {
+            return null;
+        }
+
+        const rawPercent = (distance / price) * 100;
+        const stopPercent = Math.min(CONFIG.RISK_MAX_STOP_PERCENT, Math.max(CONFIG.RISK_MIN_STOP_PERCENT, rawPercent));
+        distance = price * (stopPercent / 100);
+
+        return {
+            method,
+            interval: technicals.interval,
+            atr: method === 'ATR' ? atr : null,
+            atrPercent: method === 'ATR' ? round((atr / price) * 100) : null,
+            multiplier: atrMultiplier,
+            rewardRisk,
+            stopLoss: round(price - distance, 8),
+            stopPercent: round(stopPercent),
+            sellTarget: round(price + distance * rewardRisk, 8),
+            targetPercent: round(stopPercent * rewardRisk),
+            clamped: stopPercent !== rawPercent
+        };
+    }
+
+    // Cantidad que pierde riskPercent del capital si salta el stop (recortada al máximo por posición);
+    // null si el stop no queda entre 0 y el precio de entrada
+    static size({ equity, riskPercent, entryPrice, stopLoss, sellTarget }) {
+        if (!(stopLoss > 0 && stopLoss < entryPrice)) return null;
+
+        const riskAmount = equity * (riskPercent / 100);
+        const riskPerUnit = entryPrice - stopLoss;
+        const maxValue = equity * (CONFIG.RISK_MAX_POSITION_PERCENT / 100);
+
+        let quantity = riskAmount / riskPerUnit;
+        const capped = quantity * entryPrice > maxValue;
+        if (capped) quantity = maxValue / entryPrice;
+
+        const expectedLoss = quantity * riskPerUnit;
+        return {
+            quantity: round(quantity, 8),
+            value: round(quantity * entryPrice),
+            percentOfEquity: round(((quantity * entryPrice) / equity) * 100),
+            riskAmount: round(riskAmount),
+            capped,
+            expectedLoss: round(expectedLoss),
+            expectedLossPercent: round((expectedLoss / equity) * 100),
+            expectedProfit: round(quantity * (sellTarget - entryPrice))
+        };
+    }
+
+    // Niveles ajustados por volatilidad junto a los fijos de la recomendación (?levels=volatility)
+    static applyToRecommendation(recommendation, levels) {
+        if (!levels || recommendation.buyPrice === null) return recommendation;
+        recommendation.volatilityAdjusted = {
+            method: levels.method,
+            interval: levels.interval,
+            stopLoss: levels.stopLoss,
+            stopPercent: levels.stopPercent,
+            sellTarget: levels.sellTarget,
+            targetPercent: levels.targetPercent,
+            rewardRisk: levels.rewardRisk
+        };
+        return recommendation;
+    }
+}
+
+module.exports = RiskManager;
@@ -0,0 +1,43 @@
+const express = require('express');
+const apiKeys = require('../apiKeys');
+const { ApiKeyStore } = require('../apiKeys');
+const Auth = require('../auth');
+
+// 🔑 RUTAS DE ADMINISTRACIÓN: emisión, revocación y uso de API keys (solo tier admin)
+const router = express.Router();
+
+router.use(Auth.requireAdmin);
+
+router.get('/keys', (req, res) => {
+    res.json(apiKeys.list());
+});
+
+router.post('/keys', (req, res, next) => {
+    try {
+        const errors = ApiKeyStore.validateKey(req.body);
+        if (errors.length > 0) return res.status(400).json({ error: 'Key inválida', details: errors });
+
+        // La key en claro solo se devuelve aquí
+        res.status(201).json(apiKeys.issue(req.body));
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.get('/keys/:id', (req, res) => {
+    const key = apiKeys.get(req.params.id);
+    if (!key) return res.status(404).json({ error: 'Key no encontrada' });
+    res.json(key);
+});
+
+router.delete('/keys/:id', (req, res, next) => {
+    try {
+        const key = apiKeys.revoke(req.params.id);
+        if (!key) return res.status(404).json({ error: 'Key no encontrada' });
+        res.json(key);
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const alertEngine = require('../alerts');
+const { AlertEngine } = require('../alerts');
+const CONFIG = require('../config');
+
+// 🔔 RUTAS DE ALERTAS: CRUD de reglas e historial de entregas
+// Cada key ve y modifica solo sus reglas (las peticiones sin key comparten las anónimas); el tier
+// admin las ve todas. Los canales se devuelven sin secretos. Sin key no se pueden usar los canales
+// que envían con credenciales del servidor (email y telegram sin botToken propio).
+const router = express.Router();
+
+const ownerOf = req => (req.apiKey ? req.apiKey.id : null);
+const scopeOf = req => (req.apiKey && req.apiKey.tier === 'admin' ? undefined : ownerOf(req));
+
+const SERVER_CHANNELS_ERROR = 'API key requerida para canales con credenciales del servidor (email, telegram sin botToken)';
+
+// 400 si la regla no es válida, 401 si usa canales del servidor sin key; true si ya respondió
+function rejectRule(req, res) {
+    const errors = AlertEngine.validateRule(req.body);
+    if (errors.length > 0) {
+        res.status(400).json({ error: 'Regla inválida', details: errors });
+        return true;
+    }
+    if (!req.apiKey && AlertEngine.usesServerCredentials(req.body)) {
+        res.status(401).json({ error: SERVER_CHANNELS_ERROR });
+        return true;
+    }
+    return false;
+}
+
+router.get('/rules', (req, res) => {
+    res.json(alertEngine.listRules(scopeOf(req)).map(AlertEngine.redact));
+});
+
+router.get('/rules/:id', (req, res) => {
+    const rule = alertEngine.getRule(req.params.id, scopeOf(req));
+    if (!rule) return res.status(404).json({ error: 'Regla no encontrada' });
+    res.json(AlertEngine.redact(rule));
+});
+
+router.post('/rules', (req, res, next) => {
+    try {
+        if (rejectRule(req, res)) return;
+        if (!alertEngine.hasRoomFor(ownerOf(req))) {
+            return res.status(409).json({ error: `Máximo de reglas alcanzado (${CONFIG.ALERT_MAX_RULES_PER_OWNER})` });
+        }
+
+        res.status(201).json(AlertEngine.redact(alertEngine.createRule({ locale: req.locale, ...req.body }, ownerOf(req))));
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.put('/rules/:id', (req, res, next) => {
+    try {
+        if (rejectRule(req, res)) return;
+
+        const rule = alertEngine.updateRule(req.params.id, { locale: req.locale, ...req.body }, scopeOf(req));
+        if (!rule) return res.status(404).json({ error: 'Regla no encontrada' });
+        res.json(AlertEngine.redact(rule));
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.delete('/rules/:id', (req, res, next) => {
+    try {
+        if (!alertEngine.deleteRule(req.params.id, scopeOf(req))) return res.status(404).json({ error: 'Regla no encontrada' });
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.get('/history', (req, res) => {
+    const limit = Math.min(1000, parseInt(req.query.limit, 10) || 100);
+    res.json(alertEngine.listHistory({
+        limit,
+        ruleId: req.query.ruleId,
+        symbol: req.query.symbol ? req.query.symbol.toUpperCase() : undefined,
+        owner: scopeOf(req)
+    }));
+});
+
+module.exports = router;
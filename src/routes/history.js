@@ -0,0 +1,104 @@
+const express = require('express');
+const historyStore = require('../history');
+const { RANKING_TYPES } = require('../history');
+const RankingQuery = require('../rankingQuery');
+const Exporter = require('../exporter');
+const CONFIG = require('../config');
+
+// 🗄️ RUTAS DEL HISTÓRICO
+// Rango con ?from=&to= (ISO 8601 o epoch en ms); por defecto las últimas 24 horas y como mucho
+// HISTORY_MAX_RANGE_DAYS. Los ficheros se leen en streaming para no bloquear el event loop.
+// Exportables con ?format=csv|ndjson|excel: una fila por elemento de cada snapshot.
+const router = express.Router();
+const DAY_MS = 24 * 3600000;
+const DEFAULT_RANGE_MS = DAY_MS;
+const MAX_LIMIT = 100;
+
+// Snapshots de ranking (lista o uno solo con ?at=) → una fila por posición
+const rankingRows = body => (Array.isArray(body) ? body : [body])
+    .flatMap(({ timestamp, strategy, type, items }) => items.map((item, i) => ({ timestamp, strategy, type, rank: i + 1, ...item })));
+
+function parseTime(value) {
+    if (value === undefined || value === '') return null;
+    return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+function parseRange(query, errors) {
+    const range = {};
+    for (const param of ['from', 'to', 'at']) {
+        const value = parseTime(query[param]);
+        if (Number.isNaN(value)) errors.push({ param, message: 'debe ser una fecha ISO 8601 o epoch en ms' });
+        range[param] = value;
+    }
+
+    if (range.to === null) range.to = Date.now();
+    if (range.from === null) range.from = range.to - DEFAULT_RANGE_MS;
+    if (errors.length === 0 && range.from >= range.to) errors.push({ param: 'from', message: 'debe ser anterior a to' });
+    if (errors.length === 0 && range.to - range.from > CONFIG.HISTORY_MAX_RANGE_DAYS * DAY_MS) {
+        errors.push({ param: 'from', message: `el rango from..to no puede superar ${CONFIG.HISTORY_MAX_RANGE_DAYS} días` });
+    }
+    return range;
+}
+
+router.get('/rankings', Exporter.middleware('history-rankings', rankingRows), async (req, res, next) => {
+    try {
+        const errors = [];
+        const range = parseRange(req.query, errors);
+        const type = req.query.type || 'explosion-candidates';
+        const limit = req.query.limit !== undefined ? Number(req.query.limit) : 5;
+
+        if (!RANKING_TYPES.includes(type)) errors.push({ param: 'type', message: `valores permitidos: ${RANKING_TYPES.join(', ')}` });
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            errors.push({ param: 'limit', message: `debe ser un entero entre 1 y ${MAX_LIMIT}` });
+        }
+        if (errors.length > 0) return RankingQuery.sendErrors(res, errors);
+
+        if (range.at !== null) {
+            const ranking = await historyStore.getRankingAt(range.at, { type, limit });
+            if (!ranking) return res.status(404).json({ error: `No hay snapshots anteriores a ${new Date(range.at).toISOString()}` });
+            return res.json(ranking);
+        }
+
+        res.json(await historyStore.getRankings({ ...range, type, limit }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.get('/sentiment', Exporter.middleware('history-sentiment'), async (req, res, next) => {
+    try {
+        const errors = [];
+        const range = parseRange(req.query, errors);
+        if (errors.length > 0) return RankingQuery.sendErrors(res, errors);
+
+        res.json(await historyStore.getSentiment(range));
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.get('/symbols/:symbol', Exporter.middleware('history-symbol', body => body.points.map(point => ({ symbol: body.symbol, ...point }))), async (req, res, next) => {
+    try {
+        const errors = [];
+        const range = parseRange(req.query, errors);
+        if (errors.length > 0) return RankingQuery.sendErrors(res, errors);
+
+        const symbol = req.params.symbol.toUpperCase();
+        const points = await historyStore.getSymbolHistory(symbol, range);
+        if (points.length === 0) return res.status(404).json({ error: `No hay histórico para ${symbol}` });
+
+        res.json({ symbol, points });
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.get('/status', async (req, res, next) => {
+    try {
+        res.json(await historyStore.getStatus());
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const portfolio = require('../portfolio');
+const { PaperPortfolio } = require('../portfolio');
+const Auth = require('../auth');
+
+// 📒 RUTAS DE LA CARTERA SIMULADA: resumen de P&L, posiciones, operaciones cerradas y ajustes
+// Cada key opera sobre su propia cartera. Sin key solo se puede consultar la cartera anónima:
+// abrir, cerrar, cambiar ajustes o reiniciar requiere una API key.
+const router = express.Router();
+
+const ownerOf = req => (req.apiKey ? req.apiKey.id : null);
+
+router.get('/', (req, res) => {
+    res.json(portfolio.getSummary(ownerOf(req)));
+});
+
+router.get('/positions', (req, res) => {
+    res.json(portfolio.listPositions(ownerOf(req)));
+});
+
+router.get('/positions/:id', (req, res) => {
+    const position = portfolio.getPosition(req.params.id, ownerOf(req));
+    if (!position) return res.status(404).json({ error: 'Posición no encontrada' });
+    res.json(position);
+});
+
+router.post('/positions', Auth.requireKey, async (req, res, next) => {
+    try {
+        const errors = PaperPortfolio.validateOrder(req.body);
+        if (errors.length > 0) return res.status(400).json({ error: 'Orden inválida', details: errors });
+
+        const result = await portfolio.openPosition(req.body, 'manual', ownerOf(req));
+        if (result.error) return res.status(result.status).json({ error: result.error });
+        res.status(201).json(result.position);
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.post('/positions/:id/close', Auth.requireKey, (req, res, next) => {
+    try {
+        const trade = portfolio.closePosition(req.params.id, 'MANUAL', null, ownerOf(req));
+        if (!trade) return res.status(404).json({ error: 'Posición no encontrada' });
+        res.json(trade);
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.get('/trades', (req, res) => {
+    const limit = Math.min(1000, parseInt(req.query.limit, 10) || 100);
+    res.json(portfolio.listTrades({
+        limit,
+        symbol: req.query.symbol ? req.query.symbol.toUpperCase() : undefined,
+        owner: ownerOf(req)
+    }));
+});
+
+router.get('/settings', (req, res) => {
+    res.json(portfolio.getSettings(ownerOf(req)));
+});
+
+router.put('/settings', Auth.requireKey, (req, res, next) => {
+    try {
+        const errors = PaperPortfolio.validateSettings(req.body);
+        if (errors.length > 0) return res.status(400).json({ error: 'Ajustes inválidos', details: errors });
+
+        res.json(portfolio.updateSettings(req.body, ownerOf(req)));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Borra posiciones y operaciones y vuelve al saldo inicial (los ajustes se conservan)
+router.post('/reset', Auth.requireKey, (req, res, next) => {
+    try {
+        res.json(portfolio.reset(ownerOf(req)));
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
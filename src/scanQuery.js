@@ -0,0 +1,265 @@
+const CONFIG = require('./config');
+
+// 🧾 LENGUAJE DE CONSULTA DEL ESCÁNER (/api/scan?q=...)
+// Ejemplo: RSI(1h) < 30 and trend(4h) BULLISH and volumeSpike > 3
+//   condición  → campo[(intervalo)] operador valor
+//   operadores → < <= > >= = != (en campos de texto basta con el valor: "trend(4h) BULLISH")
+//   lógicos    → and, or, not y paréntesis (and tiene prioridad sobre or)
+// Los campos técnicos sin intervalo usan SCAN_DEFAULT_INTERVAL; los del ticker no admiten intervalo.
+// Nombres de campo, operadores lógicos y valores de texto no distinguen mayúsculas.
+const FIELDS = {
+    rsi: { name: 'rsi', technical: true, get: t => parseFloat(t.rsi) },
+    volumespike: { name: 'volumeSpike', technical: true, get: t => parseFloat(t.volumeSpike) },
+    volatility: { name: 'volatility', technical: true, get: t => parseFloat(t.volatility) },
+    macd: { name: 'macd', technical: true, get: t => parseFloat(t.indicators.macd.histogram) },
+    trend: { name: 'trend', technical: true, values: ['BULLISH', 'BEARISH', 'NEUTRAL'], get: t => t.trend },
+    rsisignal: { name: 'rsiSignal', technical: true, values: ['OVERSOLD', 'OVERBOUGHT', 'NEUTRAL'], get: t => t.rsiSignal },
+    price: { name: 'price', get: row => row.price },
+    change: { name: 'change', get: row => row.change },
+    volume: { name: 'volume', get: row => row.volume },
+    score: { name: 'score', get: row => row.score }
+};
+
+const COMPARATORS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '=': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+const MAX_QUERY_LENGTH = 500;
+const TOKEN_PATTERN = /\s*(?:(\d+[mhdw])(?![\w.])|(-?\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|==|!=|<|>|=)|([()]))/y;
+
+class ScanQuerySyntaxError extends Error {}
+
+function tokenize(text) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < text.length) {
+        if (/^\s*$/.test(text.slice(TOKEN_PATTERN.lastIndex))) break;
+
+        const position = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(text);
+        if (!match) {
+            throw new ScanQuerySyntaxError(`carácter inesperado en la posición ${position + 1}: "${text.slice(position).trim()[0]}"`);
+        }
+
+        const [, interval, number, word, operator, paren] = match;
+        if (interval) tokens.push({ type: 'interval', value: interval });
+        else if (number) tokens.push({ type: 'number', value: parseFloat(number) });
+        else if (word) tokens.push({ type: 'word', value: word });
+        else if (operator) tokens.push({ type: 'operator', value: operator === '==' ? '=' : operator });
+        else tokens.push({ type: paren });
+    }
+
+    return tokens;
+}
+
+// Parser descendente: or → and → not/paréntesis/condición
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    isKeyword(token, keyword) {
+        return token && token.type === 'word' && token.value.toLowerCase() === keyword;
+    }
+
+    expect(type, description) {
+        const token = this.next();
+        if (!token || token.type !== type) throw new ScanQuerySyntaxError(`se esperaba ${description}`);
+        return token;
+    }
+
+    parse() {
+        if (this.tokens.length === 0) throw new ScanQuerySyntaxError('la consulta está vacía');
+        const node = this.parseOr();
+        if (this.index < this.tokens.length) {
+            throw new ScanQuerySyntaxError(`sobra "${describeToken(this.peek())}" (¿falta un "and"/"or"?)`);
+        }
+        return node;
+    }
+
+    parseOr() {
+        let node = this.parseAnd();
+        while (this.isKeyword(this.peek(), 'or')) {
+            this.next();
+            node = { type: 'or', left: node, right: this.parseAnd() };
+        }
+        return node;
+    }
+
+    parseAnd() {
+        let node = this.parseUnary();
+        while (this.isKeyword(this.peek(), 'and')) {
+            this.next();
+            node = { type: 'and', left: node, right: this.parseUnary() };
+        }
+        return node;
+    }
+
+    parseUnary() {
+        const token = this.peek();
+        if (this.isKeyword(token, 'not')) {
+            this.next();
+            return { type: 'not', operand: this.parseUnary() };
+        }
+        if (token && token.type === '(') {
+            this.next();
+            const node = this.parseOr();
+            this.expect(')', '")"');
+            return node;
+        }
+        return this.parseCondition();
+    }
+
+    parseCondition() {
+        const token = this.next();
+        if (!token || token.type !== 'word') {
+            throw new ScanQuerySyntaxError(token ? `se esperaba un campo y llegó "${describeToken(token)}"` : 'la consulta termina de forma incompleta');
+        }
+
+        const field = FIELDS[token.value.toLowerCase()];
+        if (!field) {
+            throw new ScanQuerySyntaxError(`campo desconocido "${token.value}". Campos: ${Object.values(FIELDS).map(f => f.name).join(', ')}`);
+        }
+
+        let interval = null;
+        if (this.peek() && this.peek().type === '(') {
+            this.next();
+            interval = this.expect('interval', `un intervalo (${CONFIG.SCAN_INTERVALS.join(', ')})`).value;
+            this.expect(')', '")"');
+            if (!field.technical) throw new ScanQuerySyntaxError(`el campo ${field.name} no admite intervalo`);
+            if (!CONFIG.SCAN_INTERVALS.includes(interval)) {
+                throw new ScanQuerySyntaxError(`intervalo ${interval} no soportado. Valores permitidos: ${CONFIG.SCAN_INTERVALS.join(', ')}`);
+            }
+        }
+        if (field.technical && !interval) interval = CONFIG.SCAN_DEFAULT_INTERVAL;
+
+        return field.values ? this.parseTextComparison(field, interval) : this.parseNumericComparison(field, interval);
+    }
+
+    parseNumericComparison(field, interval) {
+        const operator = this.next();
+        if (!operator || operator.type !== 'operator') throw new ScanQuerySyntaxError(`falta el operador tras ${field.name}`);
+        const value = this.next();
+        if (!value || value.type !== 'number') throw new ScanQuerySyntaxError(`${field.name} se compara con un número`);
+        return { type: 'condition', field: field.name, interval, operator: operator.value, value: value.value };
+    }
+
+    // "trend(4h) BULLISH" equivale a "trend(4h) = BULLISH"
+    parseTextComparison(field, interval) {
+        let operator = '=';
+        if (this.peek() && this.peek().type === 'operator') {
+            operator = this.next().value;
+            if (operator !== '=' && operator !== '!=') throw new ScanQuerySyntaxError(`${field.name} solo admite = o !=`);
+        }
+        const value = this.next();
+        const normalized = value && value.type === 'word' ? value.value.toUpperCase() : null;
+        if (!field.values.includes(normalized)) {
+            throw new ScanQuerySyntaxError(`valor inválido para ${field.name}. Valores permitidos: ${field.values.join(', ')}`);
+        }
+        return { type: 'condition', field: field.name, interval, operator, value: normalized };
+    }
+}
+
+function describeToken(token) {
+    return token.value !== undefined ? String(token.value) : token.type;
+}
+
+function fieldByName(name) {
+    return FIELDS[name.toLowerCase()];
+}
+
+const ScanQuery = {
+    // → { errors, ast, intervals, normalized }; errors con el formato de RankingQuery
+    parse(text) {
+        const result = { errors: [], ast: null, intervals: [], normalized: null };
+        if (typeof text !== 'string' || text.trim() === '') {
+            result.errors.push({ param: 'q', message: 'es obligatorio (ej: RSI(1h) < 30 and trend(4h) BULLISH)' });
+            return result;
+        }
+        if (text.length > MAX_QUERY_LENGTH) {
+            result.errors.push({ param: 'q', message: `máximo ${MAX_QUERY_LENGTH} caracteres` });
+            return result;
+        }
+
+        try {
+            result.ast = new Parser(tokenize(text)).parse();
+        } catch (error) {
+            if (!(error instanceof ScanQuerySyntaxError)) throw error;
+            result.errors.push({ param: 'q', message: error.message });
+            return result;
+        }
+
+        result.intervals = CONFIG.SCAN_INTERVALS.filter(interval => this.collectIntervals(result.ast).has(interval));
+        result.normalized = this.stringify(result.ast);
+        return result;
+    },
+
+    collectIntervals(node, intervals = new Set()) {
+        if (node.type === 'condition') {
+            if (node.interval) intervals.add(node.interval);
+        } else if (node.type === 'not') {
+            this.collectIntervals(node.operand, intervals);
+        } else {
+            this.collectIntervals(node.left, intervals);
+            this.collectIntervals(node.right, intervals);
+        }
+        return intervals;
+    },
+
+    // Forma canónica: sirve de clave de caché y se devuelve en la respuesta
+    stringify(node) {
+        switch (node.type) {
+            case 'condition':
+                return `${node.field}${node.interval ? `(${node.interval})` : ''} ${node.operator} ${node.value}`;
+            case 'not':
+                return `not ${this.wrap(node.operand, 'not')}`;
+            default:
+                return `${this.wrap(node.left, node.type)} ${node.type} ${this.wrap(node.right, node.type)}`;
+        }
+    },
+
+    wrap(node, parentType) {
+        const text = this.stringify(node);
+        const needsParens = node.type === 'or' ? parentType !== 'or' : node.type === 'and' && parentType === 'not';
+        return needsParens ? `(${text})` : text;
+    },
+
+    // row: { price, change, volume, score, technicals: { '1h': resumen técnico | null, ... } }
+    // Una condición sin datos (intervalo sin velas) nunca se cumple
+    evaluate(node, row) {
+        switch (node.type) {
+            case 'and':
+                return this.evaluate(node.left, row) && this.evaluate(node.right, row);
+            case 'or':
+                return this.evaluate(node.left, row) || this.evaluate(node.right, row);
+            case 'not':
+                return !this.evaluate(node.operand, row);
+            default: {
+                const field = fieldByName(node.field);
+                const source = field.technical ? row.technicals[node.interval] : row;
+                if (!source) return false;
+
+                const value = field.get(source);
+                if (value === null || value === undefined || Number.isNaN(value)) return false;
+                return COMPARATORS[node.operator](value, node.value);
+            }
+        }
+    }
+};
+
+module.exports = ScanQuery;
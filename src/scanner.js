@@ -0,0 +1,139 @@
+const CONFIG = require('./config');
+const TechnicalAnalysis = require('./technicalAnalysis');
+const metrics = require('./metrics');
+const { getHistoricalData, INTERVAL_MS } = require('./binance');
+
+// Ejecuta worker(item) sobre todos los elementos con como mucho `concurrency` en vuelo
+async function runPool(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const lanes = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(lanes);
+    return results;
+}
+
+// 🛰️ ESCÁNER TÉCNICO MULTI-INTERVALO
+// Mantiene en memoria las últimas KLINE_LOOKBACK velas de cada símbolo+intervalo (LRU de
+// SCAN_KLINE_CACHE_MAX series). Cada serie se actualiza de forma incremental: solo se piden
+// las velas desde la última guardada (que puede seguir abierta) y se fusionan con las anteriores.
+// Una serie consultada hace menos de SCAN_KLINE_REFRESH_MS se sirve sin llamar a Binance.
+// Las descargas pasan por un pool de SCAN_CONCURRENCY workers para no saturar el peso por minuto.
+class MarketScanner {
+    constructor() {
+        this.series = new Map();
+        this.pending = new Map();
+        this.stats = { hits: 0, incremental: 0, full: 0, failures: 0 };
+        this.lastScan = null;
+        metrics.registerCache('klines', () => ({
+            hits: this.stats.hits,
+            misses: this.stats.incremental + this.stats.full + this.stats.failures,
+            keys: this.series.size
+        }));
+    }
+
+    // Velas de un símbolo+intervalo, desde caché o actualizadas; [] si no hay datos
+    getCandles(symbol, interval) {
+        const key = `${symbol}:${interval}`;
+        const cached = this.series.get(key);
+
+        if (cached && Date.now() - cached.fetchedAt < Math.min(CONFIG.SCAN_KLINE_REFRESH_MS, INTERVAL_MS[interval])) {
+            this.stats.hits++;
+            this.touch(key, cached);
+            return Promise.resolve(cached.candles);
+        }
+
+        // Un mismo símbolo+intervalo no se descarga dos veces a la vez
+        if (!this.pending.has(key)) {
+            this.pending.set(key, this.refreshSeries(key, symbol, interval, cached).finally(() => {
+                this.pending.delete(key);
+            }));
+        }
+        return this.pending.get(key);
+    }
+
+    async refreshSeries(key, symbol, interval, cached) {
+        const limit = CONFIG.KLINE_LOOKBACK;
+        const last = cached && cached.candles[cached.candles.length - 1];
+        const missing = last ? Math.floor((Date.now() - last.timestamp) / INTERVAL_MS[interval]) + 1 : Infinity;
+
+        let candles;
+        if (missing < limit) {
+            // Incremental: desde la última vela guardada, que se reemplaza por su versión actual
+            const fresh = await getHistoricalData(symbol, interval, missing, { startTime: last.timestamp });
+            if (fresh.length === 0) return this.keepStale(cached);
+            this.stats.incremental++;
+            candles = cached.candles
+                .filter(candle => candle.timestamp < fresh[0].timestamp)
+                .concat(fresh)
+                .slice(-limit);
+        } else {
+            const fresh = await getHistoricalData(symbol, interval, limit);
+            if (fresh.length === 0) return this.keepStale(cached);
+            this.stats.full++;
+            candles = fresh;
+        }
+
+        this.touch(key, { candles, fetchedAt: Date.now() });
+        return candles;
+    }
+
+    // Si Binance falla se usa la serie anterior (si la hay) y se reintenta en la próxima consulta
+    keepStale(cached) {
+        this.stats.failures++;
+        return cached ? cached.candles : [];
+    }
+
+    // Reinserta la serie al final del Map (más reciente) y expulsa las más antiguas
+    touch(key, entry) {
+        this.series.delete(key);
+        this.series.set(key, entry);
+        while (this.series.size > CONFIG.SCAN_KLINE_CACHE_MAX) {
+            this.series.delete(this.series.keys().next().value);
+        }
+    }
+
+    // tickers: tickers normalizados ya filtrados → [{ ticker, technicals: { [intervalo]: resumen | null } }]
+    async scan(tickers, intervals) {
+        const startedAt = Date.now();
+        const jobs = tickers.flatMap(ticker => intervals.map(interval => ({ ticker, interval })));
+
+        const summaries = await runPool(jobs, CONFIG.SCAN_CONCURRENCY, async ({ ticker, interval }) => {
+            const candles = await this.getCandles(ticker.symbol, interval);
+            return candles.length > 0 ? TechnicalAnalysis.summarizeCandles(candles, interval) : null;
+        });
+
+        const rows = tickers.map((ticker, i) => ({
+            ticker,
+            technicals: Object.fromEntries(intervals.map((interval, j) => [interval, summaries[i * intervals.length + j]]))
+        }));
+
+        this.lastScan = {
+            at: new Date().toISOString(),
+            symbols: tickers.length,
+            intervals,
+            series: jobs.length,
+            missing: summaries.filter(summary => summary === null).length,
+            durationMs: Date.now() - startedAt
+        };
+        return rows;
+    }
+
+    getStatus() {
+        return {
+            cachedSeries: this.series.size,
+            ...this.stats,
+            lastScan: this.lastScan
+        };
+    }
+}
+
+module.exports = new MarketScanner();
+module.exports.MarketScanner = MarketScanner;
+module.exports.runPool = runPool;
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../config');
+const logger = require('../logger').child({ component: 'strategies' });
+
+// 🎚️ REGISTRO DE ESTRATEGIAS DE SCORING
+// Cada estrategia es un perfil JSON con los factores que puntúa y sus pesos/bandas:
+//   { name, description, factors: { <factor>: { weight, bands? } , technicals?: { ...puntos } }, tiers }
+//
+// Factores disponibles (valor medido sobre el ticker 24h):
+//   priceChange         → % de cambio 24h
+//   volume              → volumen en la moneda de cotización
+//   momentum            → posición del último precio en el rango 24h (0 = mínimo, 1 = máximo)
+//   priceAccessibility  → último precio
+//   volatility          → amplitud del rango 24h en % ((high - low) / low)
+//   technicals          → ajuste en modo técnico (puntos por RSI, spike de volumen y tendencia)
+//
+// Con bandas ([{ min?, max?, points }], límites exclusivos) puntúa la primera que encaje, reescalada
+// para que la banda más alta valga "weight". Sin bandas el factor es lineal: weight × valor (0..1).
+// Los perfiles incluidos están junto a este fichero; los propios se cargan desde DATA_DIR/strategies.
+const STRATEGIES_DIR = path.join(CONFIG.DATA_DIR, 'strategies');
+const BAND_FACTORS = ['priceChange', 'volume', 'priceAccessibility', 'volatility'];
+const LINEAR_FACTORS = ['momentum'];
+const TECHNICAL_POINTS = ['rsiOverbought', 'rsiOversold', 'volumeSpike', 'trendBullish', 'trendBearish'];
+const TIERS = ['strongBuy', 'moderateBuy', 'watch'];
+const NAME_PATTERN = /^[a-z0-9_-]{1,40}$/;
+
+const strategies = {};
+const builtIn = new Set();
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+const Strategies = {
+    // La estrategia por defecto va primero (es la referencia en las comparaciones)
+    names() {
+        return Object.keys(strategies).sort((a, b) => (b === CONFIG.DEFAULT_STRATEGY) - (a === CONFIG.DEFAULT_STRATEGY));
+    },
+
+    get(name = CONFIG.DEFAULT_STRATEGY) {
+        return strategies[String(name).toLowerCase()] || null;
+    },
+
+    // Resumen para GET /api/strategies
+    list() {
+        return this.names().map(name => strategies[name]).map(strategy => ({
+            ...strategy,
+            builtIn: builtIn.has(strategy.name),
+            isDefault: strategy.name === CONFIG.DEFAULT_STRATEGY
+        }));
+    },
+
+    // Devuelve la lista de errores de validación (vacía si el perfil es válido)
+    validate(profile) {
+        const errors = [];
+        if (!profile || typeof profile !== 'object') return ['El perfil debe ser un objeto JSON'];
+
+        if (typeof profile.name !== 'string' || !NAME_PATTERN.test(profile.name)) {
+            errors.push('"name" debe contener solo minúsculas, números, "-" o "_"');
+        }
+        if (!profile.factors || typeof profile.factors !== 'object' || Object.keys(profile.factors).length === 0) {
+            return [...errors, '"factors" debe contener al menos un factor'];
+        }
+
+        for (const [factor, config] of Object.entries(profile.factors)) {
+            if (factor === 'technicals') {
+                for (const [key, points] of Object.entries(config || {})) {
+                    if (!TECHNICAL_POINTS.includes(key)) errors.push(`technicals.${key}: valores permitidos: ${TECHNICAL_POINTS.join(', ')}`);
+                    else if (!isNumber(points)) errors.push(`technicals.${key} debe ser un número`);
+                }
+                continue;
+            }
+            if (!BAND_FACTORS.includes(factor) && !LINEAR_FACTORS.includes(factor)) {
+                errors.push(`Factor desconocido: ${factor}. Valores permitidos: ${[...BAND_FACTORS, ...LINEAR_FACTORS, 'technicals'].join(', ')}`);
+                continue;
+            }
+            if (!config || !isNumber(config.weight) || config.weight < 0) {
+                errors.push(`${factor}.weight debe ser un número positivo`);
+            }
+            if (BAND_FACTORS.includes(factor)) {
+                if (!config || !Array.isArray(config.bands) || config.bands.length === 0) {
+                    errors.push(`${factor}.bands debe contener al menos una banda`);
+                    continue;
+                }
+                config.bands.forEach((band, i) => {
+                    if (!band || !isNumber(band.points) || band.points < 0) errors.push(`${factor}.bands[${i}].points debe ser un número positivo`);
+                    else if (band.min !== undefined && !isNumber(band.min)) errors.push(`${factor}.bands[${i}].min debe ser un número`);
+                    else if (band.max !== undefined && !isNumber(band.max)) errors.push(`${factor}.bands[${i}].max debe ser un número`);
+                });
+            }
+        }
+
+        const tiers = profile.tiers || {};
+        if (!TIERS.every(tier => isNumber(tiers[tier]))) {
+            errors.push(`"tiers" debe definir ${TIERS.join(', ')}`);
+        } else if (!(tiers.strongBuy > tiers.moderateBuy && tiers.moderateBuy > tiers.watch)) {
+            errors.push('"tiers" debe cumplir strongBuy > moderateBuy > watch');
+        }
+
+        return errors;
+    },
+
+    register(profile, { isBuiltIn = false } = {}) {
+        const errors = this.validate(profile);
+        if (errors.length > 0) return errors;
+
+        strategies[profile.name] = {
+            name: profile.name,
+            description: profile.description || '',
+            factors: profile.factors,
+            tiers: profile.tiers
+        };
+        if (isBuiltIn) builtIn.add(profile.name);
+        return [];
+    },
+
+    // Carga todos los *.json de un directorio; los perfiles inválidos se registran en log y se ignoran
+    loadDirectory(dir, { isBuiltIn = false } = {}) {
+        if (!fs.existsSync(dir)) return;
+
+        for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+            try {
+                const profile = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+                if (!isBuiltIn && builtIn.has(profile.name)) {
+                    logger.warn('Estrategia ignorada: usa el nombre de un perfil incluido', { file, name: profile.name });
+                    continue;
+                }
+                const errors = this.register(profile, { isBuiltIn });
+                if (errors.length > 0) logger.warn('Estrategia inválida', { file, errors });
+            } catch (error) {
+                logger.warn('No se pudo leer la estrategia', { file, error });
+            }
+        }
+    }
+};
+
+Strategies.loadDirectory(__dirname, { isBuiltIn: true });
+Strategies.loadDirectory(STRATEGIES_DIR);
+
+if (!Strategies.get()) {
+    throw new Error(`DEFAULT_STRATEGY no existe: ${CONFIG.DEFAULT_STRATEGY}`);
+}
+
+module.exports = Strategies;
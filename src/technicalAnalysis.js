@@ -0,0 +1,285 @@
+const CONFIG = require('./config');
+const logger = require('./logger').child({ component: 'technicalAnalysis' });
+const Providers = require('./providers');
+
+// 🧮 CALCULADORA DE INDICADORES TÉCNICOS MEJORADA
+class TechnicalAnalysis {
+    // RSI de Wilder: media simple de las primeras `period` variaciones y luego suavizado exponencial
+    static calculateRSI(prices, period = 14) {
+        const series = this.calculateRSISeries(prices, period);
+        const last = series[series.length - 1];
+        return last === null || last === undefined ? 50 : last;
+    }
+    
+    static calculateRSISeries(prices, period = 14) {
+        const result = new Array(prices.length).fill(null);
+        if (prices.length < period + 1) return result;
+        
+        let avgGain = 0;
+        let avgLoss = 0;
+        
+        for (let i = 1; i <= period; i++) {
+            const change = prices[i] - prices[i - 1];
+            if (change > 0) avgGain += change;
+            else avgLoss -= change;
+        }
+        avgGain /= period;
+        avgLoss /= period;
+        result[period] = this.rsiFromAverages(avgGain, avgLoss);
+        
+        for (let i = period + 1; i < prices.length; i++) {
+            const change = prices[i] - prices[i - 1];
+            avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+            avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+            result[i] = this.rsiFromAverages(avgGain, avgLoss);
+        }
+        
+        return result;
+    }
+    
+    static rsiFromAverages(avgGain, avgLoss) {
+        if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
+        const rs = avgGain / avgLoss;
+        return 100 - (100 / (1 + rs));
+    }
+    
+    // 📐 INDICADORES: todas las series devuelven un array alineado con la entrada (null en el calentamiento)
+    static calculateSMA(values, period) {
+        const result = new Array(values.length).fill(null);
+        let sum = 0;
+        
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i];
+            if (i >= period) sum -= values[i - period];
+            if (i >= period - 1) result[i] = sum / period;
+        }
+        
+        return result;
+    }
+    
+    // EMA sembrada con la SMA de los primeros `period` valores; ignora los null iniciales
+    static calculateEMA(values, period) {
+        const result = new Array(values.length).fill(null);
+        const start = values.findIndex(value => value !== null && value !== undefined);
+        if (start === -1 || values.length - start < period) return result;
+        
+        const k = 2 / (period + 1);
+        let ema = values.slice(start, start + period).reduce((a, b) => a + b, 0) / period;
+        result[start + period - 1] = ema;
+        
+        for (let i = start + period; i < values.length; i++) {
+            ema = values[i] * k + ema * (1 - k);
+            result[i] = ema;
+        }
+        
+        return result;
+    }
+    
+    static calculateMACD(values, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+        const fast = this.calculateEMA(values, fastPeriod);
+        const slow = this.calculateEMA(values, slowPeriod);
+        const macd = values.map((_, i) => (fast[i] === null || slow[i] === null ? null : fast[i] - slow[i]));
+        const signal = this.calculateEMA(macd, signalPeriod);
+        const histogram = macd.map((value, i) => (value === null || signal[i] === null ? null : value - signal[i]));
+        
+        return { macd, signal, histogram };
+    }
+    
+    static calculateBollingerBands(values, period = 20, multiplier = 2) {
+        const middle = this.calculateSMA(values, period);
+        const upper = new Array(values.length).fill(null);
+        const lower = new Array(values.length).fill(null);
+        
+        for (let i = period - 1; i < values.length; i++) {
+            const window = values.slice(i - period + 1, i + 1);
+            const variance = window.reduce((a, b) => a + Math.pow(b - middle[i], 2), 0) / period;
+            const deviation = Math.sqrt(variance);
+            upper[i] = middle[i] + multiplier * deviation;
+            lower[i] = middle[i] - multiplier * deviation;
+        }
+        
+        return { upper, middle, lower };
+    }
+    
+    // ATR de Wilder sobre el true range de las velas OHLC
+    static calculateATR(candles, period = 14) {
+        const result = new Array(candles.length).fill(null);
+        if (candles.length < period) return result;
+        
+        const trueRanges = candles.map((candle, i) => {
+            if (i === 0) return candle.high - candle.low;
+            const prevClose = candles[i - 1].close;
+            return Math.max(
+                candle.high - candle.low,
+                Math.abs(candle.high - prevClose),
+                Math.abs(candle.low - prevClose)
+            );
+        });
+        
+        let atr = trueRanges.slice(0, period).reduce((a, b) => a + b, 0) / period;
+        result[period - 1] = atr;
+        
+        for (let i = period; i < candles.length; i++) {
+            atr = (atr * (period - 1) + trueRanges[i]) / period;
+            result[i] = atr;
+        }
+        
+        return result;
+    }
+    
+    // VWAP acumulado sobre la ventana usando el precio típico (H+L+C)/3
+    static calculateVWAP(candles) {
+        let cumulativePV = 0;
+        let cumulativeVolume = 0;
+        
+        return candles.map(candle => {
+            const typicalPrice = (candle.high + candle.low + candle.close) / 3;
+            cumulativePV += typicalPrice * candle.volume;
+            cumulativeVolume += candle.volume;
+            return cumulativeVolume === 0 ? null : cumulativePV / cumulativeVolume;
+        });
+    }
+    
+    static calculateOBV(candles) {
+        let obv = 0;
+        
+        return candles.map((candle, i) => {
+            if (i > 0) {
+                const prevClose = candles[i - 1].close;
+                if (candle.close > prevClose) obv += candle.volume;
+                else if (candle.close < prevClose) obv -= candle.volume;
+            }
+            return obv;
+        });
+    }
+    
+    static calculateIndicators(candles) {
+        const closes = candles.map(candle => candle.close);
+        const last = series => series[series.length - 1];
+        const macd = this.calculateMACD(closes);
+        const bollinger = this.calculateBollingerBands(closes);
+        
+        return {
+            sma20: last(this.calculateSMA(closes, 20)),
+            ema12: last(this.calculateEMA(closes, 12)),
+            ema26: last(this.calculateEMA(closes, 26)),
+            macd: {
+                macd: last(macd.macd),
+                signal: last(macd.signal),
+                histogram: last(macd.histogram)
+            },
+            bollinger: {
+                upper: last(bollinger.upper),
+                middle: last(bollinger.middle),
+                lower: last(bollinger.lower)
+            },
+            atr: last(this.calculateATR(candles)),
+            vwap: last(this.calculateVWAP(candles)),
+            obv: last(this.calculateOBV(candles))
+        };
+    }
+    
+    static calculateVolatility(prices) {
+        if (prices.length < 2) return 0;
+        
+        const returns = [];
+        for (let i = 1; i < prices.length; i++) {
+            returns.push((prices[i] - prices[i - 1]) / prices[i - 1]);
+        }
+        
+        const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+        const variance = returns.reduce((a, b) => a + Math.pow(b - mean, 2), 0) / returns.length;
+        
+        return Math.sqrt(variance) * 100;
+    }
+    
+    static detectVolumeSpike(currentVolume, avgVolume) {
+        if (!avgVolume || avgVolume === 0) return 1;
+        return currentVolume / avgVolume;
+    }
+
+    // 🔥 NUEVO: Análisis técnico con datos históricos
+    static async analyzeTechnicals(symbol, interval = '1h', limit = CONFIG.KLINE_LOOKBACK, exchange = 'binance') {
+        try {
+            const historicalData = await Providers.get(exchange).getCandles(symbol, interval, limit);
+            if (historicalData.length === 0) return null;
+
+            return this.summarizeCandles(historicalData, interval, exchange);
+        } catch (error) {
+            logger.error('Error en análisis técnico', { symbol, error });
+            return null;
+        }
+    }
+
+    // Resumen técnico de una serie de velas ya descargada (compartido con el escáner multi-intervalo)
+    static summarizeCandles(historicalData, interval, exchange = 'binance') {
+        const prices = historicalData.map(candle => candle.close);
+        const volumes = historicalData.map(candle => candle.volume);
+        
+        const rsi = this.calculateRSI(prices);
+        const volatility = this.calculateVolatility(prices);
+        const avgVolume = volumes.reduce((a, b) => a + b, 0) / volumes.length;
+        const currentVolume = volumes[volumes.length - 1];
+        const volumeSpike = this.detectVolumeSpike(currentVolume, avgVolume);
+        const indicators = this.calculateIndicators(historicalData);
+
+        return {
+            exchange,
+            interval,
+            candles: historicalData.length,
+            rsi: rsi.toFixed(2),
+            rsiSignal: this.getRSISignal(rsi),
+            volatility: volatility.toFixed(2),
+            volumeSpike: volumeSpike.toFixed(2),
+            isVolumeSpike: volumeSpike >= CONFIG.VOLUME_SPIKE_THRESHOLD,
+            trend: this.getTrend(prices),
+            support: Math.min(...prices.slice(-5)).toFixed(8),
+            resistance: Math.max(...prices.slice(-5)).toFixed(8),
+            indicators: this.formatIndicators(indicators)
+        };
+    }
+
+    static formatIndicators(indicators) {
+        const fixed = (value, digits = 8) => (value === null || value === undefined ? null : value.toFixed(digits));
+        
+        return {
+            sma20: fixed(indicators.sma20),
+            ema12: fixed(indicators.ema12),
+            ema26: fixed(indicators.ema26),
+            macd: {
+                macd: fixed(indicators.macd.macd),
+                signal: fixed(indicators.macd.signal),
+                histogram: fixed(indicators.macd.histogram)
+            },
+            bollinger: {
+                upper: fixed(indicators.bollinger.upper),
+                middle: fixed(indicators.bollinger.middle),
+                lower: fixed(indicators.bollinger.lower)
+            },
+            atr: fixed(indicators.atr),
+            vwap: fixed(indicators.vwap),
+            obv: fixed(indicators.obv, 2)
+        };
+    }
+
+    static getRSISignal(rsi) {
+        if (rsi <= CONFIG.RSI_OVERSOLD) return 'OVERSOLD';
+        if (rsi >= CONFIG.RSI_OVERBOUGHT) return 'OVERBOUGHT';
+        return 'NEUTRAL';
+    }
+
+    static getTrend(prices) {
+        const recent = prices.slice(-5);
+        const older = prices.slice(-10, -5);
+        if (older.length === 0) return 'NEUTRAL';
+        
+        const recentAvg = recent.reduce((a, b) => a + b, 0) / recent.length;
+        const olderAvg = older.reduce((a, b) => a + b, 0) / older.length;
+        
+        if (recentAvg > olderAvg * 1.02) return 'BULLISH';
+        if (recentAvg < olderAvg * 0.98) return 'BEARISH';
+        return 'NEUTRAL';
+    }
+}
+
+module.exports = TechnicalAnalysis;
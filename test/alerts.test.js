@@ -0,0 +1,252 @@
+require('./helpers/env');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const express = require('express');
+const CONFIG = require('../src/config');
+const alertEngine = require('../src/alerts');
+const { AlertEngine } = require('../src/alerts');
+const AlertChannels = require('../src/alertChannels');
+const alertRoutes = require('../src/routes/alerts');
+
+const KEYS = {
+    alice: { id: 'key-alice', tier: 'free' },
+    bob: { id: 'key-bob', tier: 'free' },
+    admin: { id: 'master', tier: 'admin' }
+};
+
+const rule = (overrides = {}) => ({
+    name: 'BTC sube',
+    type: 'price_change',
+    threshold: 5,
+    symbols: ['BTCUSDT'],
+    channels: [
+        { type: 'telegram', chatId: '42', botToken: '123:secret' },
+        { type: 'webhook', url: 'https://example.com/hook', headers: { Authorization: 'Bearer secret' } }
+    ],
+    ...overrides
+});
+
+const ticker = (symbol, priceChangePercent) => ({ symbol, priceChangePercent: String(priceChangePercent), lastPrice: '1' });
+
+describe('AlertChannels webhook', () => {
+    it('rechaza hosts internos en la url', () => {
+        for (const url of ['http://127.0.0.1/hook', 'http://localhost:8080/', 'http://[::1]/', 'http://169.254.169.254/latest',
+            'http://10.0.0.5/', 'http://192.168.1.1/', 'http://172.16.0.1/', 'http://2130706433/', 'http://[::ffff:127.0.0.1]/',
+            'http://[fe80::1]/', 'http://[fd00::1]/']) {
+            assert.match(AlertChannels.validate({ type: 'webhook', url }), /dirección interna/, url);
+        }
+        assert.equal(AlertChannels.validate({ type: 'webhook', url: 'https://example.com/hook' }), null);
+    });
+
+    it('no envía si el nombre resuelve a una dirección interna', async t => {
+        t.mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+
+        const result = await AlertChannels.send({ type: 'webhook', url: 'http://rebind.example.com/hook' }, {});
+        assert.equal(result.ok, false);
+        assert.match(result.error, /dirección interna/);
+    });
+});
+
+describe('rutas de alertas', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const app = express();
+        app.use(express.json());
+        app.use((req, res, next) => {
+            req.apiKey = KEYS[req.get('X-Test-Key')];
+            next();
+        });
+        app.use('/alerts', alertRoutes);
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/alerts`;
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        for (const { id } of alertEngine.listRules()) alertEngine.deleteRule(id);
+    });
+
+    const request = async (key, method, path, body) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...(key ? { 'X-Test-Key': key } : {}) },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: response.status === 204 ? null : await response.json() };
+    };
+
+    it('no devuelve tokens ni cabeceras de los canales', async () => {
+        const created = await request('alice', 'POST', '/rules', rule());
+        assert.equal(created.status, 201);
+
+        for (const { body } of [created, await request('alice', 'GET', `/rules/${created.body.id}`)]) {
+            assert.equal(body.channels[0].botToken, AlertChannels.REDACTED);
+            assert.deepEqual(body.channels[1].headers, { Authorization: AlertChannels.REDACTED });
+        }
+        const [listed] = (await request('alice', 'GET', '/rules')).body;
+        assert.equal(listed.channels[0].botToken, AlertChannels.REDACTED);
+    });
+
+    it('conserva los secretos al reenviar en un PUT la regla tal como la devolvió el GET', async () => {
+        const { body: created } = await request('alice', 'POST', '/rules', rule());
+        const { id, owner, createdAt, updatedAt, ...input } = created;
+
+        const updated = await request('alice', 'PUT', `/rules/${id}`, { ...input, threshold: 8 });
+        assert.equal(updated.status, 200);
+
+        const stored = alertEngine.getRule(id);
+        assert.equal(stored.threshold, 8);
+        assert.equal(stored.channels[0].botToken, '123:secret');
+        assert.equal(stored.channels[1].headers.Authorization, 'Bearer secret');
+    });
+
+    it('cada key solo ve y modifica sus reglas; admin las ve todas', async () => {
+        const { body: created } = await request('alice', 'POST', '/rules', rule());
+        assert.equal(created.owner, 'key-alice');
+
+        assert.deepEqual((await request('bob', 'GET', '/rules')).body, []);
+        assert.deepEqual((await request(null, 'GET', '/rules')).body, []);
+        assert.equal((await request('bob', 'GET', `/rules/${created.id}`)).status, 404);
+        assert.equal((await request('bob', 'PUT', `/rules/${created.id}`, rule())).status, 404);
+        assert.equal((await request('bob', 'DELETE', `/rules/${created.id}`)).status, 404);
+        assert.equal(alertEngine.getRule(created.id).name, 'BTC sube');
+
+        assert.equal((await request('admin', 'GET', '/rules')).body.length, 1);
+        assert.equal((await request('alice', 'DELETE', `/rules/${created.id}`)).status, 204);
+    });
+
+    it('sin key no acepta canales que envían con las credenciales del servidor', async t => {
+        const { SMTP, TELEGRAM_BOT_TOKEN } = CONFIG;
+        Object.assign(CONFIG, { SMTP: { ...SMTP, host: 'smtp.example.com' }, TELEGRAM_BOT_TOKEN: '999:server' });
+        t.after(() => Object.assign(CONFIG, { SMTP, TELEGRAM_BOT_TOKEN }));
+        const serverTelegram = rule({ channels: [{ type: 'telegram', chatId: '42' }] });
+        const email = rule({ channels: [{ type: 'email', to: 'ops@example.com' }] });
+
+        for (const body of [serverTelegram, email]) {
+            const anonymous = await request(null, 'POST', '/rules', body);
+            assert.equal(anonymous.status, 401);
+            assert.match(anonymous.body.error, /API key requerida/);
+            assert.equal((await request('alice', 'POST', '/rules', body)).status, 201);
+        }
+
+        // Con bot propio o webhook no se usa nada del servidor
+        const { body: created } = await request(null, 'POST', '/rules', rule());
+        assert.equal(created.owner, null);
+        assert.equal((await request(null, 'PUT', `/rules/${created.id}`, email)).status, 401);
+        assert.equal(alertEngine.getRule(created.id).channels[0].type, 'telegram');
+    });
+
+    it('limita las reglas por key y los símbolos por regla', async t => {
+        const maxRules = CONFIG.ALERT_MAX_RULES_PER_OWNER;
+        CONFIG.ALERT_MAX_RULES_PER_OWNER = 2;
+        t.after(() => {
+            CONFIG.ALERT_MAX_RULES_PER_OWNER = maxRules;
+        });
+
+        assert.equal((await request('alice', 'POST', '/rules', rule())).status, 201);
+        assert.equal((await request('alice', 'POST', '/rules', rule())).status, 201);
+        const full = await request('alice', 'POST', '/rules', rule());
+        assert.equal(full.status, 409);
+        assert.match(full.body.error, /Máximo de reglas/);
+        assert.equal((await request('bob', 'POST', '/rules', rule())).status, 201);
+
+        const symbols = Array.from({ length: CONFIG.ALERT_MAX_SYMBOLS_PER_RULE + 1 }, (_, i) => `T${i}USDT`);
+        const tooMany = await request('bob', 'POST', '/rules', rule({ symbols }));
+        assert.equal(tooMany.status, 400);
+        assert.match(tooMany.body.details[0], /"symbols" admite como mucho/);
+    });
+
+    it('filtra el historial por la key de la regla', async t => {
+        t.mock.method(AlertChannels, 'send', async config => ({ type: config.type, ok: true }));
+        const { body: created } = await request('alice', 'POST', '/rules', rule({ type: 'score', threshold: 0 }));
+        await alertEngine.evaluate([ticker('BTCUSDT', 10)]);
+
+        const history = (await request('alice', 'GET', `/history?ruleId=${created.id}`)).body;
+        assert.equal(history.length, 1);
+        assert.equal(history[0].owner, 'key-alice');
+        assert.deepEqual((await request('bob', 'GET', `/history?ruleId=${created.id}`)).body, []);
+    });
+});
+
+describe('AlertEngine.evaluate', () => {
+    beforeEach(() => {
+        for (const { id } of alertEngine.listRules()) alertEngine.deleteRule(id);
+    });
+
+    it('olvida los valores previos de reglas borradas y símbolos que ya no cotizan', async () => {
+        const created = alertEngine.createRule(rule({ symbols: null }), 'key-alice');
+
+        await alertEngine.evaluate([ticker('BTCUSDT', 1), ticker('ETHUSDT', 1)]);
+        assert.deepEqual([...alertEngine.previousValues.keys()].sort(), [`${created.id}:BTCUSDT`, `${created.id}:ETHUSDT`]);
+
+        await alertEngine.evaluate([ticker('BTCUSDT', 1)]);
+        assert.deepEqual([...alertEngine.previousValues.keys()], [`${created.id}:BTCUSDT`]);
+
+        alertEngine.deleteRule(created.id);
+        await alertEngine.evaluate([ticker('BTCUSDT', 1)]);
+        assert.equal(alertEngine.previousValues.size, 0);
+    });
+});
+
+describe('AlertEngine cruces y cooldown', () => {
+    beforeEach(() => {
+        for (const { id } of alertEngine.listRules()) alertEngine.deleteRule(id);
+    });
+
+    it('matches: price_change y rsi disparan al cruzar; score y volume_spike por nivel', () => {
+        const above = { type: 'price_change', threshold: 5, direction: 'above' };
+        assert.equal(AlertEngine.matches(above, 6, undefined), false);
+        assert.equal(AlertEngine.matches(above, 6, 4), true);
+        assert.equal(AlertEngine.matches(above, 5, 4.9), true);
+        assert.equal(AlertEngine.matches(above, 7, 6), false);
+        assert.equal(AlertEngine.matches(above, 4, 6), false);
+
+        const below = { type: 'rsi', threshold: 30, direction: 'below' };
+        assert.equal(AlertEngine.matches(below, 25, 35), true);
+        assert.equal(AlertEngine.matches(below, 35, 25), false);
+        assert.equal(AlertEngine.matches(below, 20, 25), false);
+
+        for (const type of ['score', 'volume_spike']) {
+            assert.equal(AlertEngine.matches({ type, threshold: 2 }, 2, undefined), true, type);
+            assert.equal(AlertEngine.matches({ type, threshold: 2 }, 1.9, 3), false, type);
+        }
+    });
+
+    it('evaluate dispara price_change solo en la evaluación que cruza el umbral', async t => {
+        const send = t.mock.method(AlertChannels, 'send', async config => ({ type: config.type, ok: true }));
+        alertEngine.createRule(rule({ cooldownMinutes: 0 }), 'key-alice');
+
+        const changes = [6, 4, 6, 7, 3, 8];
+        const fired = [];
+        for (const change of changes) fired.push((await alertEngine.evaluate([ticker('BTCUSDT', change)])).length);
+
+        // La primera observación no tiene previa: no cuenta como cruce
+        assert.deepEqual(fired, [0, 0, 1, 0, 0, 1]);
+        assert.equal(send.mock.callCount(), 4);
+    });
+
+    it('el cooldown por regla y símbolo sobrevive a un reinicio', async t => {
+        t.mock.method(AlertChannels, 'send', async config => ({ type: config.type, ok: true }));
+        const created = alertEngine.createRule(rule({ type: 'score', threshold: 0, cooldownMinutes: 60 }), 'key-alice');
+        const tickers = [ticker('BTCUSDT', 10)];
+
+        assert.equal((await alertEngine.evaluate(tickers)).length, 1);
+        assert.equal((await alertEngine.evaluate(tickers)).length, 0);
+
+        // Un motor nuevo reconstruye el último disparo desde el historial persistido
+        const restarted = new AlertEngine();
+        assert.equal((await restarted.evaluate(tickers)).length, 0);
+
+        restarted.lastFired.set(`${created.id}:BTCUSDT`, Date.now() - 61 * 60000);
+        assert.equal((await restarted.evaluate(tickers)).length, 1);
+
+        alertEngine.updateRule(created.id, { ...rule({ type: 'score', threshold: 0 }), cooldownMinutes: 0 });
+        assert.equal((await alertEngine.evaluate(tickers)).length, 1);
+        assert.equal((await alertEngine.evaluate(tickers)).length, 1);
+    });
+});
@@ -0,0 +1,184 @@
+require('./helpers/env');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CONFIG = require('../src/config');
+const ExplosionDetector = require('../src/explosionDetector');
+const { AnomalyDetector } = require('../src/anomalyDetector');
+
+const T0 = Date.parse('2024-06-01T00:00:00Z');
+const QUARTER_MS = 15 * 60000;
+
+// Velas 15m consecutivas: [open, close, high?, low?]
+const candles = rows => rows.map(([open, close, high = Math.max(open, close), low = Math.min(open, close)], i) => ({
+    timestamp: T0 + i * QUARTER_MS, open, high, low, close
+}));
+const flat = count => Array.from({ length: count }, () => [1, 1]);
+const trades = (count, make) => Array.from({ length: count }, (_, i) => make(i));
+const token = overrides => ({ symbol: 'PUMPUSDT', priceChangePercent: '5', quoteVolume: '20000000', count: 10000, ...overrides });
+
+// Cambia claves de CONFIG durante un test
+function withConfig(t, values) {
+    const previous = Object.fromEntries(Object.keys(values).map(key => [key, CONFIG[key]]));
+    Object.assign(CONFIG, values);
+    t.after(() => Object.assign(CONFIG, previous));
+}
+
+describe('AnomalyDetector.checkVerticalCandles', () => {
+    it('marca la mayor vela alcista de cuerpo >= ANOMALY_VERTICAL_PERCENT', () => {
+        const signal = AnomalyDetector.checkVerticalCandles(candles([...flat(3), [1, 1.1], [1.1, 1.09, 1.1, 1.08], [1.09, 1.1]]));
+        assert.deepEqual(signal, {
+            type: 'verticalCandle',
+            value: 10,
+            message: `Vela vertical de +10% en ${CONFIG.ANOMALY_INTERVAL}`,
+            at: new Date(T0 + 3 * QUARTER_MS).toISOString()
+        });
+
+        // Velas bajistas o por debajo del umbral no cuentan
+        assert.equal(AnomalyDetector.checkVerticalCandles(candles([[1, 1.05], [1.2, 1]])), null);
+        assert.equal(AnomalyDetector.checkVerticalCandles([]), null);
+    });
+
+    it('con retroceso en las 4 velas siguientes es verticalRetrace y tiene prioridad', () => {
+        // La vela de +30% es mayor pero no retrocede (no hay velas después)
+        const signal = AnomalyDetector.checkVerticalCandles(candles([
+            [1, 1.1], [1.1, 1.05, 1.1, 1.03], [1.05, 1.05], [1.05, 1.05], [1.05, 1.05],
+            [1.05, 1.365]
+        ]));
+        assert.equal(signal.type, 'verticalRetrace');
+        assert.equal(signal.value, 10);
+        assert.equal(signal.message, 'Vela vertical de +10% con retroceso del 70%');
+        assert.equal(signal.at, new Date(T0).toISOString());
+
+        // Un retroceso mayor que el cuerpo se muestra como 100%
+        assert.match(AnomalyDetector.checkVerticalCandles(candles([[1, 1.1], [1.1, 0.8]])).message, /retroceso del 100%/);
+    });
+
+    it('con ANOMALY_VERTICAL_PERCENT <= 0 ignora las velas sin cuerpo alcista en vez de dividir entre 0', t => {
+        withConfig(t, { ANOMALY_VERTICAL_PERCENT: 0 });
+
+        assert.equal(AnomalyDetector.checkVerticalCandles(candles([...flat(4), [1, 0.9]])), null);
+
+        const signal = AnomalyDetector.checkVerticalCandles(candles([[1, 1], [1, 1.01], [1.01, 1.01, 1.01, 1]]));
+        assert.equal(signal.type, 'verticalRetrace');
+        assert.ok(Number.isFinite(signal.value));
+        assert.match(signal.message, /retroceso del 100%/);
+    });
+});
+
+describe('AnomalyDetector: mechas, trades y ticker', () => {
+    it('checkWickToBody mide la mecha superior de la vela de mayor rango', () => {
+        const signal = AnomalyDetector.checkWickToBody(candles([...flat(2), [1, 1.01, 1.1, 0.99]]));
+        assert.equal(signal.type, 'wickToBody');
+        assert.equal(signal.value, 9);
+        assert.equal(signal.message, 'Mecha superior 9x el cuerpo en una vela de 11.11% de rango');
+
+        // Un doji usa un cuerpo mínimo del 0,1% del precio
+        assert.equal(AnomalyDetector.checkWickToBody(candles([[1, 1, 1.06, 1]])).value, 60);
+        // Rango por debajo de la mitad del umbral vertical o mecha corta
+        assert.equal(AnomalyDetector.checkWickToBody(candles([[1, 1.01, 1.03, 0.99]])), null);
+        assert.equal(AnomalyDetector.checkWickToBody(candles([[1, 1.08, 1.1, 1]])), null);
+        assert.equal(AnomalyDetector.checkWickToBody([]), null);
+    });
+
+    it('checkTradeConcentration: el 5% de trades más grandes frente al volumen total', () => {
+        const concentrated = trades(40, i => ({ qty: '1', quoteQty: i < 2 ? '1000' : '10' }));
+        assert.deepEqual(AnomalyDetector.checkTradeConcentration(concentrated), {
+            type: 'tradeConcentration',
+            value: 0.8403,
+            message: 'El top 2 de 40 trades concentra el 84% del volumen'
+        });
+        assert.equal(AnomalyDetector.checkTradeConcentration(trades(40, () => ({ qty: '1', quoteQty: '10' }))), null);
+        assert.equal(AnomalyDetector.checkTradeConcentration(concentrated.slice(0, 19)), null);
+    });
+
+    it('checkRepeatedSizes: cantidades idénticas en muchas operaciones', () => {
+        const wash = trades(60, i => ({ qty: i % 3 === 0 ? '0.50000000' : String(1 + i), quoteQty: '10' }));
+        assert.deepEqual(AnomalyDetector.checkRepeatedSizes(wash), {
+            type: 'repeatedSizes',
+            value: 0.3333,
+            message: '20 de 60 trades con la misma cantidad (0.5)'
+        });
+        assert.equal(AnomalyDetector.checkRepeatedSizes(trades(60, i => ({ qty: String(i), quoteQty: '10' }))), null);
+        assert.equal(AnomalyDetector.checkRepeatedSizes(wash.slice(0, 49)), null);
+    });
+
+    it('checkTradeSizeMismatch compara volumen/count con la mediana del universo', () => {
+        const signal = AnomalyDetector.checkTradeSizeMismatch(token({ quoteVolume: '1000000', count: 10 }), 1000);
+        assert.equal(signal.type, 'tradeSizeMismatch');
+        assert.equal(signal.value, 100);
+        assert.equal(signal.message, 'Volumen por trade 100x la mediana del mercado (100000 USDT con 10 trades)');
+
+        assert.equal(AnomalyDetector.checkTradeSizeMismatch(token({ quoteVolume: '1000000', count: 10 }), null), null);
+        assert.equal(AnomalyDetector.checkTradeSizeMismatch(token({ count: 0 }), 1000), null);
+        assert.equal(AnomalyDetector.checkTradeSizeMismatch(token({ quoteVolume: '50000', count: 10 }), 1000), null);
+    });
+
+    it('checkThinVolumePump: gran subida con poco volumen', () => {
+        assert.deepEqual(AnomalyDetector.checkThinVolumePump(token({ priceChangePercent: '42.5', quoteVolume: '1200000' })), {
+            type: 'thinVolumePump',
+            value: 42.5,
+            message: 'Subida de 42.5% en 24h con solo 1200000 USDT de volumen'
+        });
+        assert.equal(AnomalyDetector.checkThinVolumePump(token({ priceChangePercent: '42.5' })), null);
+        assert.equal(AnomalyDetector.checkThinVolumePump(token({ priceChangePercent: '12', quoteVolume: '1200000' })), null);
+    });
+
+    it('universeStats calcula la mediana del tamaño por trade ignorando tickers sin datos', () => {
+        const tickers = [[1000, 10], [4000, 10], [9000, 10], [1, 0], [0, 5]].map(([quoteVolume, count]) => ({ quoteVolume: String(quoteVolume), count }));
+        assert.deepEqual(AnomalyDetector.universeStats(tickers), { medianTradeSize: 400 });
+        assert.deepEqual(AnomalyDetector.universeStats(tickers.slice(0, 2)), { medianTradeSize: 250 });
+        assert.deepEqual(AnomalyDetector.universeStats([]), { medianTradeSize: null });
+    });
+});
+
+describe('AnomalyDetector.evaluate', () => {
+    const pumpAndDump = [...flat(4), [1, 1.2], [1.2, 1.05, 1.2, 1.02]];
+    const thinPump = token({ priceChangePercent: '45', quoteVolume: '800000' });
+
+    it('suma los puntos de las señales y los convierte en nivel y penalización', () => {
+        const result = AnomalyDetector.evaluate(thinPump, candles(pumpAndDump), []);
+        assert.deepEqual(result.signals.map(signal => signal.type), ['verticalRetrace', 'thinVolumePump']);
+        assert.equal(result.score, 55);
+        assert.equal(result.level, 'HIGH');
+        assert.equal(result.flagged, true);
+        assert.equal(result.penalty, 16.5);
+        assert.deepEqual(result.dataAvailable, { candles: 6, trades: 0 });
+    });
+
+    it('niveles LOW/MEDIUM/HIGH según ANOMALY_FLAG_SCORE y penalización proporcional', () => {
+        const cases = [
+            [token(), flat(6), 0, 'LOW', 0],
+            [thinPump, flat(6), 20, 'LOW', 6],
+            [thinPump, [...flat(2), [1, 1.1], [1.1, 1.1]], 35, 'MEDIUM', 10.5],
+            [thinPump, pumpAndDump, 55, 'HIGH', 16.5]
+        ];
+        for (const [ticker, series, score, level, penalty] of cases) {
+            const result = AnomalyDetector.evaluate(ticker, candles(series), []);
+            assert.deepEqual([result.score, result.level, result.flagged, result.penalty], [score, level, score >= CONFIG.ANOMALY_FLAG_SCORE, penalty]);
+        }
+    });
+
+    it('limita el riesgo a 100 y la penalización a ANOMALY_MAX_PENALTY', () => {
+        const wash = trades(60, i => ({ qty: '0.5', quoteQty: i === 0 ? '100000' : '10' }));
+        const wick = candles([...pumpAndDump, [1, 1.01, 1.5, 1]]);
+        const result = AnomalyDetector.evaluate({ ...thinPump, count: 2 }, wick, wash, { medianTradeSize: 100 });
+
+        assert.deepEqual(result.signals.map(signal => signal.type).sort(), [
+            'repeatedSizes', 'thinVolumePump', 'tradeConcentration', 'tradeSizeMismatch', 'verticalRetrace', 'wickToBody'
+        ]);
+        assert.equal(result.score, 100);
+        assert.equal(result.penalty, CONFIG.ANOMALY_MAX_PENALTY);
+    });
+
+    it('ExplosionDetector resta la penalización del score y marca la recomendación', () => {
+        const ticker = { symbol: 'PUMPUSDT', lastPrice: '1.05', highPrice: '1.2', lowPrice: '0.7', priceChangePercent: '45', quoteVolume: '800000' };
+        const manipulation = AnomalyDetector.evaluate(ticker, candles(pumpAndDump), []);
+
+        const clean = ExplosionDetector.calculateExplosionScore(ticker);
+        const penalized = ExplosionDetector.calculateExplosionScore(ticker, null, undefined, manipulation);
+        assert.equal(penalized.totalScore, Math.max(0, Math.round((clean.totalScore - manipulation.penalty) * 100) / 100));
+        assert.equal(penalized.breakdown.manipulationPenalty, -16.5);
+        assert.equal(penalized.recommendation.manipulationRisk, 'HIGH');
+        assert.equal(penalized.recommendation.manipulationFlag, true);
+    });
+});
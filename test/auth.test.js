@@ -0,0 +1,252 @@
+require('./helpers/env');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { once } = require('events');
+const http = require('http');
+const express = require('express');
+const WebSocket = require('ws');
+const CONFIG = require('../src/config');
+const Auth = require('../src/auth');
+const apiKeys = require('../src/apiKeys');
+const adminRoutes = require('../src/routes/admin');
+const { LiveFeed } = require('../src/liveFeed');
+
+// Stream parado y sin tickers: el feed no publica nada y no llama a REST
+const idleStream = Object.assign(new EventEmitter(), { isLive: () => true, getTickers: () => [] });
+
+// Abre /ws y devuelve { socket } o, si el upgrade se rechaza, { status, headers, body }
+function upgrade(url, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const socket = new WebSocket(url, { headers });
+        socket.messages = [];
+        socket.on('message', raw => socket.messages.push(JSON.parse(raw)));
+        socket.once('open', () => resolve({ socket }));
+        socket.once('unexpected-response', (req, res) => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(body) }));
+        });
+        socket.once('error', reject);
+    });
+}
+
+async function nextMessage(socket) {
+    const count = socket.messages.length;
+    while (socket.messages.length === count) await new Promise(resolve => setTimeout(resolve, 10));
+    return socket.messages[socket.messages.length - 1];
+}
+
+describe('autenticación y límites del WebSocket /ws', () => {
+    let server;
+    let baseUrl;
+    const authEnabled = CONFIG.AUTH_ENABLED;
+
+    before(async () => {
+        CONFIG.AUTH_ENABLED = true;
+
+        const app = express();
+        app.get('/api/ping', Auth.authenticate, Auth.rateLimit, (req, res) => res.json({ ok: true }));
+        server = http.createServer(app);
+        new LiveFeed(idleStream).attachWebSocket(server);
+        server.listen(0);
+        await once(server, 'listening');
+        baseUrl = `127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        CONFIG.AUTH_ENABLED = authEnabled;
+        server.closeAllConnections();
+        server.close();
+    });
+
+    it('rechaza el upgrade sin key o con una key inválida', async () => {
+        const missing = await upgrade(`ws://${baseUrl}/ws`);
+        assert.equal(missing.status, 401);
+        assert.match(missing.body.error, /API key requerida/);
+
+        const invalid = await upgrade(`ws://${baseUrl}/ws?apiKey=biq_nope`);
+        assert.equal(invalid.status, 401);
+        assert.match(invalid.body.error, /inválida/);
+    });
+
+    it('acepta la key en ?apiKey= o en cabecera y cuenta la conexión y cada mensaje', async () => {
+        const { key, id } = apiKeys.issue({ name: 'ws', tier: 'pro' });
+        const record = () => apiKeys.find(key);
+
+        const { socket } = await upgrade(`ws://${baseUrl}/ws?apiKey=${key}`);
+        assert.equal(record().usage.total, 1);
+
+        socket.send(JSON.stringify({ action: 'unsubscribe', channels: ['top-gainers'] }));
+        assert.deepEqual((await nextMessage(socket)).subscribed, ['explosion-candidates', 'market-sentiment']);
+        assert.equal(record().usage.total, 2);
+        socket.close();
+
+        const byHeader = await upgrade(`ws://${baseUrl}/ws`, { 'X-API-Key': key });
+        assert.ok(byHeader.socket);
+        assert.equal(record().usage.total, 3);
+        byHeader.socket.close();
+
+        apiKeys.revoke(id);
+        assert.equal((await upgrade(`ws://${baseUrl}/ws`, { Authorization: `Bearer ${key}` })).status, 401);
+    });
+
+    it('HTTP y WebSocket comparten el límite por minuto del tier', async () => {
+        const { key } = apiKeys.issue({ name: 'límite', tier: 'free' });
+        const { max } = CONFIG.API_TIERS.free;
+
+        for (let i = 0; i < max - 1; i++) {
+            const response = await fetch(`http://${baseUrl}/api/ping`, { headers: { 'X-API-Key': key } });
+            assert.equal(response.status, 200);
+        }
+
+        // La conexión es la petición número `max`; el primer mensaje ya supera el límite
+        const { socket } = await upgrade(`ws://${baseUrl}/ws?apiKey=${key}`);
+        socket.send(JSON.stringify({ action: 'subscribe' }));
+        const frame = await nextMessage(socket);
+        assert.equal(frame.error, 'Límite de peticiones excedido');
+        assert.equal(frame.tier, 'free');
+        assert.ok(frame.retryAfter > 0);
+        socket.close();
+
+        const rejected = await upgrade(`ws://${baseUrl}/ws?apiKey=${key}`);
+        assert.equal(rejected.status, 429);
+        assert.ok(Number(rejected.headers['retry-after']) > 0);
+        assert.equal((await fetch(`http://${baseUrl}/api/ping`, { headers: { 'X-API-Key': key } })).status, 429);
+    });
+
+    it('rechaza el upgrade con la cuota diaria agotada', async () => {
+        const { key } = apiKeys.issue({ name: 'cuota', tier: 'pro' });
+        const record = apiKeys.find(key);
+        record.usage.daily[new Date().toISOString().slice(0, 10)] = CONFIG.API_TIERS.pro.dailyQuota;
+
+        const rejected = await upgrade(`ws://${baseUrl}/ws?apiKey=${key}`);
+        assert.equal(rejected.status, 429);
+        assert.equal(rejected.body.error, 'Cuota diaria agotada');
+        assert.ok(Number(rejected.headers['retry-after']) > 0);
+    });
+
+    it('responde 404 a upgrades fuera de /ws', async () => {
+        assert.equal((await upgrade(`ws://${baseUrl}/otro`)).status, 404);
+    });
+});
+
+describe('IP del cliente y TRUST_PROXY', () => {
+    const trustProxy = CONFIG.TRUST_PROXY;
+    const upgradeRequest = forwardedFor => ({ socket: { remoteAddress: '10.0.0.1' }, headers: { 'x-forwarded-for': forwardedFor } });
+
+    after(() => {
+        CONFIG.TRUST_PROXY = trustProxy;
+    });
+
+    it('por defecto no confía en ningún proxy', () => {
+        assert.equal(trustProxy, 0);
+        assert.equal(Auth.clientIp(upgradeRequest('1.2.3.4')), '10.0.0.1');
+    });
+
+    it('con TRUST_PROXY=1 toma la IP que añadió el proxy, no la que envía el cliente', () => {
+        CONFIG.TRUST_PROXY = 1;
+        assert.equal(Auth.clientIp(upgradeRequest('6.6.6.6, 1.2.3.4')), '1.2.3.4');
+        assert.equal(Auth.clientIp(upgradeRequest('')), '10.0.0.1');
+    });
+
+    it('X-Forwarded-For no esquiva el límite anónimo por IP', async () => {
+        const app = express();
+        app.set('trust proxy', trustProxy);
+        app.get('/api/ping', Auth.authenticate, Auth.rateLimit, (req, res) => res.json({ ip: req.ip }));
+        const server = app.listen(0);
+        await once(server, 'listening');
+
+        try {
+            const { max } = CONFIG.API_TIERS.anonymous;
+            const statuses = [];
+            for (let i = 0; i <= max; i++) {
+                const response = await fetch(`http://127.0.0.1:${server.address().port}/api/ping`, { headers: { 'X-Forwarded-For': `203.0.113.${i}` } });
+                statuses.push(response.status);
+                await response.arrayBuffer();
+            }
+            assert.equal(statuses.filter(status => status === 200).length, max);
+            assert.equal(statuses[max], 429);
+        } finally {
+            server.close();
+        }
+    });
+});
+
+describe('rutas de administración de keys', () => {
+    const ADMIN_KEY = 'test-admin-key';
+    const adminKey = CONFIG.ADMIN_API_KEY;
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        CONFIG.ADMIN_API_KEY = ADMIN_KEY;
+        const app = express();
+        app.use(express.json());
+        app.use('/api', Auth.authenticate);
+        app.use('/api/admin', adminRoutes);
+        app.get('/api/ping', (req, res) => res.json({ tier: req.apiKey ? req.apiKey.tier : 'anonymous' }));
+        server = app.listen(0);
+        await once(server, 'listening');
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    after(() => {
+        CONFIG.ADMIN_API_KEY = adminKey;
+        server.close();
+    });
+
+    const call = async (path, { key = ADMIN_KEY, method = 'GET', body } = {}) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { ...(key && { 'X-API-Key': key }), ...(body && { 'Content-Type': 'application/json' }) },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    it('exige la key de administrador', async () => {
+        assert.equal((await call('/admin/keys', { key: null })).status, 401);
+
+        const { key } = apiKeys.issue({ name: 'cliente', tier: 'pro' });
+        const forbidden = await call('/admin/keys', { key });
+        assert.equal(forbidden.status, 403);
+        assert.match(forbidden.body.error, /administrador/);
+    });
+
+    it('valida el alta', async () => {
+        const missing = await call('/admin/keys', { method: 'POST', body: { tier: 'pro' } });
+        assert.equal(missing.status, 400);
+        assert.deepEqual(missing.body.details, ['"name" es obligatorio']);
+
+        const anonymous = await call('/admin/keys', { method: 'POST', body: { name: 'x', tier: 'anonymous' } });
+        assert.equal(anonymous.status, 400);
+        assert.match(anonymous.body.details[0], /"tier"/);
+    });
+
+    it('emite, lista, consulta y revoca keys sin exponer el hash', async () => {
+        const created = await call('/admin/keys', { method: 'POST', body: { name: ' integración ', tier: 'free' } });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.name, 'integración');
+        assert.ok(created.body.key.startsWith(created.body.prefix));
+        assert.deepEqual(created.body.limits, CONFIG.API_TIERS.free);
+        assert.equal(created.body.hash, undefined);
+        assert.equal((await call('/ping', { key: created.body.key })).body.tier, 'free');
+
+        const listed = (await call('/admin/keys')).body.find(key => key.id === created.body.id);
+        assert.equal(listed.key, undefined);
+        assert.equal(listed.hash, undefined);
+
+        const fetched = await call(`/admin/keys/${created.body.id}`);
+        assert.equal(fetched.body.prefix, created.body.prefix);
+        assert.equal((await call('/admin/keys/no-existe')).status, 404);
+
+        const revoked = await call(`/admin/keys/${created.body.id}`, { method: 'DELETE' });
+        assert.ok(revoked.body.revokedAt);
+        assert.equal((await call(`/admin/keys/${created.body.id}`, { method: 'DELETE' })).body.revokedAt, revoked.body.revokedAt);
+        assert.equal((await call('/admin/keys/no-existe', { method: 'DELETE' })).status, 404);
+
+        // Con AUTH_ENABLED=false una key revocada deja de identificar al cliente
+        assert.equal((await call('/ping', { key: created.body.key })).body.tier, 'anonymous');
+    });
+});
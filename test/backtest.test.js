@@ -0,0 +1,195 @@
+require('./helpers/env');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../src/config');
+const Backtester = require('../src/backtest');
+const dataset = require('./fixtures/backtest.json');
+
+const HOUR_MS = 3600000;
+const T0 = dataset.snapshots[0].timestamp;
+
+// Curva de capital compuesta desde 100 sobre los retornos en orden de salida
+function equityCurve(returns) {
+    let equity = 100;
+    return returns.map(r => (equity *= 1 + r / 100));
+}
+
+describe('Backtester sobre snapshots de ticker', () => {
+    const report = Backtester.run(dataset, { includeTrades: true });
+    const bySymbol = Object.fromEntries(report.trades.map(trade => [trade.symbol, trade]));
+
+    it('entra al precio del ticker y sale por objetivo, stop, caducidad o fin de datos', () => {
+        assert.deepEqual(report.trades.map(trade => [trade.symbol, trade.exitReason]), [
+            ['LOSSUSDT', 'STOP_LOSS'],
+            ['WINUSDT', 'TARGET'],
+            ['ENDUSDT', 'END_OF_DATA'],
+            ['EXPUSDT', 'EXPIRED']
+        ]);
+
+        // STRONG_BUY: objetivo +25%, stop -15% y 6 horas de vida
+        const win = bySymbol.WINUSDT;
+        assert.equal(win.tier, 'STRONG_BUY');
+        assert.deepEqual([win.entryTime, win.entryPrice, win.sellTarget, win.stopLoss], [T0, 1, 1.25, 0.85]);
+        assert.equal(win.expiresAt, T0 + 6 * HOUR_MS);
+
+        // El objetivo y el stop se ejecutan a su precio aunque la vela lo sobrepase
+        assert.deepEqual([win.exitTime, win.exitPrice], [T0 + 2 * HOUR_MS, 1.25]);
+        assert.deepEqual([bySymbol.LOSSUSDT.exitTime, bySymbol.LOSSUSDT.exitPrice], [T0 + HOUR_MS, 1.7]);
+        assert.deepEqual([bySymbol.EXPUSDT.exitTime, bySymbol.EXPUSDT.exitPrice], [T0 + 30 * HOUR_MS, 3.3]);
+        assert.deepEqual([bySymbol.ENDUSDT.entryTime, bySymbol.ENDUSDT.exitPrice], [T0 + HOUR_MS, 5.2]);
+
+        // THINUSDT no llega a minVolume y tras cerrar no se reabre con tickers sin volumen
+        assert.equal(bySymbol.THINUSDT, undefined);
+        assert.equal(report.trades.length, 4);
+    });
+
+    it('descuenta la comisión de entrada y de salida del retorno', () => {
+        const expected = { WINUSDT: 24.8, LOSSUSDT: -15.2, EXPUSDT: 9.8, ENDUSDT: 3.8 };
+        for (const [symbol, returnPercent] of Object.entries(expected)) {
+            assert.ok(Math.abs(bySymbol[symbol].returnPercent - returnPercent) < 1e-9, symbol);
+        }
+
+        const noFees = Backtester.run(dataset, { feePercent: 0, includeTrades: true });
+        assert.deepEqual(noFees.trades.map(trade => Math.round(trade.returnPercent * 100) / 100), [-15, 25, 4, 10]);
+    });
+
+    it('resume P&L, drawdown de la curva compuesta y salidas por tier', () => {
+        const curve = equityCurve(report.trades.map(trade => trade.returnPercent));
+        assert.deepEqual(curve.map(equity => Math.round(equity * 100) / 100), [84.8, 105.83, 109.85, 120.62]);
+
+        assert.deepEqual(report.summary, {
+            trades: 4,
+            wins: 3,
+            losses: 1,
+            winRate: 75,
+            avgReturn: 5.8,
+            avgWin: 12.8,
+            avgLoss: 15.2,
+            expectancy: 5.8,
+            totalReturn: 20.62,
+            maxDrawdown: 15.2,
+            exits: { STOP_LOSS: 1, TARGET: 1, END_OF_DATA: 1, EXPIRED: 1 }
+        });
+        assert.deepEqual(Object.keys(report.tiers), ['STRONG_BUY']);
+        assert.deepEqual(report.period, { from: new Date(T0).toISOString(), to: new Date(T0 + 30 * HOUR_MS).toISOString() });
+        assert.equal(report.symbols, 5);
+        assert.deepEqual(report.settings, { minScore: 40, minVolume: CONFIG.EXPLOSION_MIN_VOLUME, feePercent: 0.1, strategy: CONFIG.DEFAULT_STRATEGY });
+    });
+
+    it('minScore y minVolume filtran las entradas; sin trades el resumen queda a cero', () => {
+        const strict = Backtester.run(dataset, { minScore: 101 });
+        assert.equal(strict.trades, undefined);
+        assert.deepEqual(strict.summary, {
+            trades: 0, wins: 0, losses: 0, winRate: 0, avgReturn: 0, avgWin: 0, avgLoss: 0, expectancy: 0, totalReturn: 0, maxDrawdown: 0, exits: {}
+        });
+
+        const thin = Backtester.run(dataset, { minVolume: 0, includeTrades: true });
+        assert.ok(thin.trades.some(trade => trade.symbol === 'THINUSDT'));
+    });
+});
+
+describe('Backtester sobre klines', () => {
+    const FOUR_HOURS = 4 * HOUR_MS;
+    const candle = (i, close, { high = close, low = close, open = close } = {}) => ({
+        timestamp: T0 + i * FOUR_HOURS, open, high, low, close, volume: 1, quoteVolume: 10000000, trades: 100
+    });
+    const klines = {
+        type: 'klines',
+        interval: '4h',
+        symbols: {
+            SOLUSDT: [
+                ...Array.from({ length: 5 }, (_, i) => candle(i, 1)),
+                candle(5, 1.12, { high: 1.15 }),
+                // Stop y objetivo en la misma vela: se asume el stop
+                candle(6, 1.1, { high: 2, low: 0.5 })
+            ]
+        }
+    };
+
+    it('agrega una ventana de 24h de velas en el ticker de cada paso', () => {
+        const steps = Backtester.buildSeries(klines).SOLUSDT;
+        assert.equal(steps.length, 7);
+        assert.ok(steps.slice(0, 5).every(step => step.ticker === null));
+        assert.equal(steps[5].timestamp, T0 + 6 * FOUR_HOURS);
+        assert.deepEqual(steps[5].ticker, {
+            symbol: 'SOLUSDT',
+            lastPrice: '1.12',
+            highPrice: '1.15',
+            lowPrice: '1',
+            priceChangePercent: String(((1.12 - 1) / 1) * 100),
+            quoteVolume: '60000000',
+            count: 600
+        });
+    });
+
+    it('si stop y objetivo caen en la misma vela sale por el stop', () => {
+        const [trade] = Backtester.run(klines, { includeTrades: true }).trades;
+        assert.equal(trade.entryPrice, 1.12);
+        assert.equal(trade.exitReason, 'STOP_LOSS');
+        assert.equal(trade.exitPrice, trade.stopLoss);
+    });
+
+    it('rechaza datasets, intervalos y estrategias desconocidos', () => {
+        assert.throws(() => Backtester.run(null), /Dataset inválido/);
+        assert.throws(() => Backtester.run({ type: 'trades' }), /Tipo de dataset no soportado: trades/);
+        assert.throws(() => Backtester.run({ ...klines, interval: '7m' }), /Intervalo inválido: 7m/);
+        assert.throws(() => Backtester.run(klines, { strategy: 'yolo' }), /Estrategia no soportada: yolo/);
+    });
+});
+
+describe('POST /api/backtest', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const app = require('../index');
+        Backtester.saveDataset('recorded', dataset);
+
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/backtest`;
+    });
+
+    after(() => server.close());
+
+    const post = async body => {
+        const response = await fetch(baseUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+        return { status: response.status, body: await response.json() };
+    };
+
+    it('ejecuta un dataset en línea o uno grabado en DATA_DIR/backtests', async () => {
+        const inline = await post({ dataset, feePercent: 0.1 });
+        assert.equal(inline.status, 200);
+        assert.equal(inline.body.summary.totalReturn, 20.62);
+        assert.equal(inline.body.trades, undefined);
+
+        const recorded = await post({ file: 'recorded', includeTrades: true });
+        assert.equal(recorded.status, 200);
+        assert.equal(recorded.body.trades.length, 4);
+        assert.ok(fs.existsSync(path.join(CONFIG.DATA_DIR, 'backtests', 'recorded.json')));
+
+        // Solo se leen ficheros del directorio de backtests
+        assert.equal((await post({ file: '../backtests/recorded.json' })).status, 200);
+        assert.equal((await post({ file: '../../etc/passwd' })).status, 404);
+    });
+
+    it('valida los parámetros', async () => {
+        const error = async body => {
+            const response = await post(body);
+            return [response.status, response.body.error];
+        };
+        assert.deepEqual(await error({}), [400, 'Se requiere "dataset" o "file"']);
+        assert.deepEqual(await error({ file: 'missing' }), [404, 'Dataset no encontrado: missing']);
+
+        for (const [key, value] of [['minScore', -1], ['feePercent', '0.1'], ['minVolume', null]]) {
+            assert.deepEqual(await error({ dataset, [key]: value }), [400, `El parámetro ${key} debe ser un número positivo`], key);
+        }
+
+        const [status, message] = await error({ dataset, strategy: 'yolo' });
+        assert.equal(status, 400);
+        assert.match(message, /Estrategia no soportada: yolo/);
+        assert.deepEqual(await error({ dataset: { type: 'trades' } }), [400, 'Tipo de dataset no soportado: trades']);
+    });
+});
@@ -0,0 +1,145 @@
+require('./helpers/env');
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const CONFIG = require('../src/config');
+const { FakeUpstream } = require('./helpers/upstream');
+const app = require('../index');
+const { registry } = require('../src/apiV1');
+const alertEngine = require('../src/alerts');
+const AlertChannels = require('../src/alertChannels');
+const historyStore = require('../src/history');
+const listingTracker = require('../src/listings');
+const { getBinanceData } = require('../src/binance');
+
+// 📜 CONTRATO DE /api/v1
+// Cada ruta declarada en el registro OpenAPI se llama contra exchanges simulados con
+// API_RESPONSE_VALIDATION=strict (una respuesta fuera de esquema sería un 500) y, además, el cuerpo
+// se valida aquí contra el esquema para que el fallo muestre los errores de Ajv.
+const ADMIN_KEY = 'test-admin-key';
+const upstream = new FakeUpstream();
+const state = {};
+
+const rule = {
+    name: 'SOL en racha',
+    type: 'score',
+    threshold: 0,
+    symbols: ['SOLUSDT'],
+    channels: [{ type: 'webhook', url: 'https://example.com/hook', headers: { Authorization: 'Bearer secret' } }]
+};
+
+// Una petición por ruta declarada ("método ruta" del registro); path y body pueden depender de las anteriores
+const CASES = [
+    ['get /explosion-candidates', { query: 'limit=5&mode=technical&levels=volatility&liquidity=true' }],
+    ['get /top-gainers', { query: 'limit=3&offset=1' }],
+    ['get /new-listings'],
+    ['get /smart-analysis'],
+    ['get /analysis/:symbol', { path: '/analysis/SOLUSDT', query: 'levels=volatility&liquidity=true' }],
+    ['get /liquidity/:symbol', { path: '/liquidity/DOGEUSDT' }],
+    ['get /scan', { query: `q=${encodeURIComponent('RSI(1h) > 0 and volumeSpike > 0')}` }],
+    ['get /cross-exchange'],
+    ['get /strategies'],
+    ['get /strategies/compare', { query: 'strategies=default,aggressive' }],
+    ['post /position-size', { body: { equity: 10000, symbol: 'SOLUSDT' } }],
+    ['post /backtest', { body: () => ({ dataset: state.dataset, includeTrades: true }) }],
+    ['get /market/breadth'],
+    ['get /market/fear-greed'],
+    ['get /market/correlation', { query: 'limit=3' }],
+    ['get /market/categories'],
+    ['get /market/categories/:category', { path: '/market/categories/l1' }],
+    ['get /health'],
+    ['post /alerts/rules', { body: rule, save: body => { state.ruleId = body.data.id; } }],
+    ['get /alerts/rules'],
+    ['get /alerts/rules/:id', { path: () => `/alerts/rules/${state.ruleId}` }],
+    ['put /alerts/rules/:id', { path: () => `/alerts/rules/${state.ruleId}`, body: { ...rule, threshold: 1 } }],
+    ['get /alerts/history', { before: () => alertEngine.evaluate(state.universe) }],
+    ['delete /alerts/rules/:id', { path: () => `/alerts/rules/${state.ruleId}` }],
+    ['get /history/rankings', { query: 'limit=3' }],
+    ['get /history/sentiment'],
+    ['get /history/symbols/:symbol', { path: '/history/symbols/SOLUSDT' }],
+    ['get /history/status'],
+    ['get /portfolio'],
+    ['post /portfolio/positions', { body: { symbol: 'SOLUSDT', amount: 100 }, save: body => { state.positionId = body.data.id; } }],
+    ['get /portfolio/positions'],
+    ['get /portfolio/positions/:id', { path: () => `/portfolio/positions/${state.positionId}` }],
+    ['post /portfolio/positions/:id/close', { path: () => `/portfolio/positions/${state.positionId}/close` }],
+    ['get /portfolio/trades'],
+    ['get /portfolio/settings'],
+    ['put /portfolio/settings', { body: { positionSize: 150 } }],
+    ['post /portfolio/reset'],
+    ['post /admin/keys', { body: { name: 'contrato', tier: 'pro' }, save: body => { state.keyId = body.data.id; } }],
+    ['get /admin/keys'],
+    ['get /admin/keys/:id', { path: () => `/admin/keys/${state.keyId}` }],
+    ['delete /admin/keys/:id', { path: () => `/admin/keys/${state.keyId}` }]
+];
+
+const resolve = value => (typeof value === 'function' ? value() : value);
+
+describe('contrato de /api/v1', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        CONFIG.ADMIN_API_KEY = ADMIN_KEY;
+        upstream.install(mock);
+        mock.method(AlertChannels, 'send', async config => ({ type: config.type, ok: true }));
+
+        // Baseline de símbolos y un listado posterior para /new-listings
+        await listingTracker.refresh();
+        upstream.list(['NEW', 0.5, 40, 5e6]);
+        await listingTracker.refresh();
+
+        // Dos snapshots para el histórico y un dataset de tickers para el backtest
+        state.universe = await getBinanceData();
+        const now = Date.now();
+        historyStore.record(state.universe, now - 3600000);
+        historyStore.record(state.universe, now - 60000);
+        state.dataset = {
+            type: 'tickers',
+            snapshots: [0, 1, 2].map(i => ({
+                timestamp: now - (3 - i) * 3600000,
+                tickers: state.universe.map(t => ({ ...t, lastPrice: String(parseFloat(t.lastPrice) * (1 + i * 0.1)) }))
+            }))
+        };
+
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+    });
+
+    after(() => {
+        server.close();
+        mock.restoreAll();
+    });
+
+    it('valida las respuestas en modo estricto', () => {
+        assert.equal(CONFIG.API_RESPONSE_VALIDATION, 'strict');
+    });
+
+    it('cubre todas las rutas declaradas', () => {
+        const declared = registry.routes.map(route => `${route.method} ${route.path}`).sort();
+        assert.deepEqual(CASES.map(([route]) => route).sort(), declared);
+    });
+
+    for (const [name, options = {}] of CASES) {
+        it(name, async () => {
+            const route = registry.routes.find(r => `${r.method} ${r.path}` === name);
+            if (options.before) await options.before();
+
+            const body = resolve(options.body);
+            const url = `${baseUrl}${resolve(options.path) || route.path}${options.query ? `?${options.query}` : ''}`;
+            const response = await fetch(url, {
+                method: route.method.toUpperCase(),
+                headers: { 'X-API-Key': ADMIN_KEY, ...(body && { 'Content-Type': 'application/json' }) },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const payload = response.status === 204 ? null : await response.json();
+
+            assert.equal(response.status, route.status, JSON.stringify(payload));
+            if (route.status === 204) return;
+
+            assert.equal(registry.validate(route.response, payload), null);
+            assert.ok(!Array.isArray(payload.data) || payload.data.length > 0, 'la respuesta no debería estar vacía');
+            if (options.save) options.save(payload);
+        });
+    }
+});
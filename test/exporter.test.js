@@ -0,0 +1,104 @@
+require('./helpers/env');
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const Exporter = require('../src/exporter');
+const I18n = require('../src/i18n');
+const { FakeUpstream } = require('./helpers/upstream');
+const historyStore = require('../src/history');
+const { getBinanceData } = require('../src/binance');
+
+// Guarda cada chunk que llega al stream de destino
+function collector() {
+    const chunks = [];
+    const stream = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk.toString());
+            callback();
+        }
+    });
+    return { chunks, stream };
+}
+
+describe('Exporter', () => {
+    it('CSV: columnas en orden de aparición, objetos aplanados y textos traducidos', async () => {
+        const items = [
+            { symbol: 'BTCUSDT', recommendation: { action: 'STRONG_BUY', display: I18n.text('action.STRONG_BUY') } },
+            { symbol: 'ETHUSDT', tags: ['l1', 'pos'], extra: '=1+1' }
+        ];
+        const { chunks, stream } = collector();
+        await Exporter.write('csv', items, stream, 'en');
+
+        assert.equal(chunks.join(''), [
+            'symbol,recommendation.action,recommendation.display,tags,extra',
+            `BTCUSDT,STRONG_BUY,${I18n.t('en', 'action.STRONG_BUY')},,`,
+            "ETHUSDT,,,l1|pos,'=1+1",
+            ''
+        ].join('\n'));
+    });
+
+    it('escribe las filas por bloques a medida que se generan', async () => {
+        const items = Array.from({ length: 450 }, (_, i) => ({ symbol: `T${i}USDT`, price: i }));
+        const { chunks, stream } = collector();
+        await Exporter.write('csv', items, stream);
+
+        // Cabecera + bloques de 200, 200 y 50 filas
+        assert.deepEqual(chunks.map(chunk => chunk.split('\n').length - 1), [1, 200, 200, 50]);
+        assert.equal(chunks[3].split('\n')[49], 'T449USDT,449');
+    });
+
+    it('excel usa BOM, CRLF y el separador decimal configurado', async () => {
+        const { chunks, stream } = collector();
+        await Exporter.write('excel', [{ symbol: 'BTCUSDT', price: '1.5' }], stream);
+
+        const text = chunks.join('');
+        assert.ok(text.startsWith('﻿'));
+        assert.match(text, /\r\nBTCUSDT.1,5\r\n$/);
+    });
+});
+
+describe('exportación en /api/v1', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        new FakeUpstream().install(mock);
+        const app = require('../index');
+        historyStore.record(await getBinanceData(), Date.now() - 60000);
+
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+        mock.restoreAll();
+    });
+
+    const ndjson = async path => {
+        const response = await fetch(`${baseUrl}${path}`);
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /application\/x-ndjson/);
+        return (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+    };
+
+    it('exporta la respuesta transformada de v1, no la de /api/*', async () => {
+        // El histórico guarda las estadísticas como texto de toFixed; v1 las publica como números
+        const [legacy] = await ndjson('/api/history/sentiment?format=ndjson');
+        const [v1] = await ndjson('/api/v1/history/sentiment?format=ndjson');
+        assert.equal(typeof legacy.marketStats.bullishPercentage, 'string');
+        assert.equal(v1.marketStats.bullishPercentage, Number(legacy.marketStats.bullishPercentage));
+
+        const body = await (await fetch(`${baseUrl}/api/v1/top-gainers?limit=2`)).json();
+        assert.deepEqual(await ndjson('/api/v1/top-gainers?format=ndjson&limit=2'), body.data);
+    });
+
+    it('las filas salen del data de v1 con el mismo criterio que en /api/*', async () => {
+        const response = await fetch(`${baseUrl}/api/v1/scan?format=csv&q=${encodeURIComponent('change > 0')}`);
+        assert.match(response.headers.get('content-disposition'), /scan-\d{4}-\d{2}-\d{2}\.csv/);
+        const [header] = (await response.text()).split('\n');
+        assert.match(header, /^symbol,/);
+        assert.match(header, /recommendation\.action/);
+    });
+});
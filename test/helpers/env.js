@@ -0,0 +1,21 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 🧪 Entorno de los tests: datos en un directorio temporal, sin tareas de fondo, logs solo fatales
+// y contrato de /api/v1 en modo estricto. Se requiere antes que cualquier módulo de src/.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'boostiq-test-'));
+
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    DATA_DIR: dataDir,
+    LOG_LEVEL: 'fatal',
+    STREAM_ENABLED: 'false',
+    HISTORY_ENABLED: 'false',
+    REPORTS_ENABLED: 'false',
+    API_RESPONSE_VALIDATION: 'strict'
+});
+
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+module.exports = { dataDir };
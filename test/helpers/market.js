@@ -0,0 +1,52 @@
+// Tickers normalizados sintéticos (formato de ExchangeProvider): T00USDT es el de mayor subida y
+// todos entran en el universo por defecto de los rankings
+function makeTickers(count) {
+    return Array.from({ length: count }, (_, i) => {
+        const lastPrice = 1 + i * 0.1;
+        const priceChangePercent = 10 + (count - i);
+        const openPrice = lastPrice / (1 + priceChangePercent / 100);
+        return {
+            exchange: 'binance',
+            symbol: `T${String(i).padStart(2, '0')}USDT`,
+            baseAsset: `T${String(i).padStart(2, '0')}`,
+            quoteAsset: 'USDT',
+            lastPrice,
+            openPrice,
+            highPrice: lastPrice * 1.02,
+            lowPrice: openPrice * 0.98,
+            priceChangePercent,
+            volume: 1000000,
+            quoteVolume: 2000000 + i * 100000,
+            count: 1000
+        };
+    });
+}
+
+// Proveedor en memoria con la interfaz que usan los handlers y RankingPipeline
+function fakeProvider(tickers, name = 'binance') {
+    return {
+        name,
+        defaultQuote: 'USDT',
+        getTickers: async () => tickers,
+        getFreshness: () => ({ source: 'rest', fetchedAt: new Date().toISOString(), ageMs: 0, degraded: false })
+    };
+}
+
+// Análisis técnico mínimo que aceptan ExplosionDetector y RiskManager
+function technicals(overrides = {}) {
+    return {
+        exchange: 'binance',
+        interval: '1h',
+        candles: 100,
+        rsi: '55.00',
+        rsiSignal: 'NEUTRAL',
+        volatility: '2.00',
+        volumeSpike: '1.00',
+        isVolumeSpike: false,
+        trend: 'NEUTRAL',
+        indicators: { atr: '0.05' },
+        ...overrides
+    };
+}
+
+module.exports = { makeTickers, fakeProvider, technicals };
@@ -0,0 +1,183 @@
+const { ResilientClient } = require('../../src/httpClient');
+const { INTERVAL_MS } = require('../../src/binance');
+
+// 🧪 Exchanges simulados: sustituye ResilientClient.get por respuestas generadas (Binance) o grabadas
+// (test/fixtures/providers) para ejecutar los endpoints completos sin red.
+
+// [base, último precio, cambio 24h %, volumen en USDT]
+const MARKET = [
+    ['BTC', 67250, 3.5, 900e6],
+    ['ETH', 3200, 2.1, 450e6],
+    ['SOL', 45, 12.4, 120e6],
+    ['DOGE', 0.16, 18.2, 80e6],
+    ['PEPE', 0.000012, 25.5, 60e6],
+    ['UNI', 9.5, -4.2, 15e6],
+    ['LINK', 15.2, 9.1, 30e6],
+    ['AVAX', 28, -1.5, 25e6],
+    ['FET', 1.4, 14.8, 18e6],
+    ['ARB', 0.9, 0, 12e6],
+    ['XRP', 0.55, 6.3, 70e6],
+    ['INJ', 22, 31, 9e6]
+];
+
+const str = value => String(parseFloat(value.toPrecision(10)));
+const seedOf = symbol => [...symbol].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+
+function binanceTicker([base, lastPrice, change, quoteVolume]) {
+    const openPrice = lastPrice / (1 + change / 100);
+    const now = Date.now();
+    return {
+        symbol: `${base}USDT`,
+        priceChange: str(lastPrice - openPrice),
+        priceChangePercent: str(change),
+        weightedAvgPrice: str((lastPrice + openPrice) / 2),
+        prevClosePrice: str(openPrice),
+        lastPrice: str(lastPrice),
+        lastQty: '1',
+        bidPrice: str(lastPrice * 0.9995),
+        askPrice: str(lastPrice * 1.0005),
+        openPrice: str(openPrice),
+        highPrice: str(Math.max(lastPrice, openPrice) * 1.02),
+        lowPrice: str(Math.min(lastPrice, openPrice) * 0.98),
+        volume: str(quoteVolume / lastPrice),
+        quoteVolume: str(quoteVolume),
+        openTime: now - 86400000,
+        closeTime: now,
+        firstId: 1,
+        lastId: 10000,
+        count: 10000
+    };
+}
+
+// Velas deterministas que terminan en el último precio del ticker; con startTime empiezan como
+// pronto en la fecha de listado (así getFirstKline devuelve la primera vela real del par)
+function binanceKlines(ticker, { interval = '1h', limit = 500, startTime }, listedAt = 0) {
+    const intervalMs = INTERVAL_MS[interval];
+    const count = Math.min(Number(limit), 1000);
+    const first = startTime !== undefined
+        ? Math.ceil(Math.max(Number(startTime), listedAt) / intervalMs) * intervalMs
+        : Math.floor(Date.now() / intervalMs) * intervalMs - (count - 1) * intervalMs;
+    const last = parseFloat(ticker.lastPrice);
+    const seed = seedOf(ticker.symbol);
+    const price = i => last * (1 + 0.03 * Math.sin((i + seed) / 3) + 0.002 * (i - count + 1));
+
+    return Array.from({ length: count }, (_, i) => {
+        const open = price(i - 1);
+        const close = i === count - 1 ? last : price(i);
+        const volume = 1000 + ((i + seed) % 7) * 150;
+        return [
+            first + i * intervalMs,
+            str(open), str(Math.max(open, close) * 1.004), str(Math.min(open, close) * 0.996), str(close),
+            str(volume), first + (i + 1) * intervalMs - 1, str(volume * close), 100 + (i % 5), '0', '0', '0'
+        ];
+    });
+}
+
+function binanceDepth(ticker, { limit = 100 }) {
+    const mid = parseFloat(ticker.lastPrice);
+    const level = (side, k) => [str(mid * (1 + side * 0.0004 * (k + 1))), str(20000 / mid)];
+    return {
+        lastUpdateId: 1,
+        bids: Array.from({ length: Number(limit) }, (_, k) => level(-1, k)),
+        asks: Array.from({ length: Number(limit) }, (_, k) => level(1, k))
+    };
+}
+
+function binanceTrades(ticker, { limit = 500 }) {
+    const price = parseFloat(ticker.lastPrice);
+    const now = Date.now();
+    return Array.from({ length: Math.min(Number(limit), 200) }, (_, k) => {
+        const qty = (50 + (k % 9) * 10) / price;
+        return {
+            id: k + 1,
+            price: str(price * (1 + ((k % 5) - 2) * 0.0002)),
+            qty: str(qty),
+            quoteQty: str(qty * price),
+            time: now - (200 - k) * 9000,
+            isBuyerMaker: k % 3 === 0,
+            isBestMatch: true
+        };
+    });
+}
+
+const fixtures = name => require(`../fixtures/providers/${name}.json`);
+
+// Rutas grabadas de los demás exchanges: { exchange: { ruta: respuesta } }
+const RECORDED = {
+    okx: {
+        '/api/v5/market/tickers': fixtures('okx').tickers,
+        '/api/v5/market/ticker': fixtures('okx').ticker,
+        '/api/v5/market/candles': fixtures('okx').candles
+    },
+    bybit: {
+        '/v5/market/tickers': fixtures('bybit').tickers,
+        '/v5/market/kline': fixtures('bybit').candles
+    },
+    coinbase: {
+        '/api/v3/brokerage/market/products': fixtures('coinbase').tickers,
+        '/api/v3/brokerage/market/products/BTC-USD': fixtures('coinbase').ticker,
+        '/api/v3/brokerage/market/products/BTC-USD/candles': fixtures('coinbase').candles
+    },
+    kucoin: {
+        '/api/v1/market/allTickers': fixtures('kucoin').tickers,
+        '/api/v1/market/stats': fixtures('kucoin').ticker,
+        '/api/v1/market/candles': fixtures('kucoin').candles
+    }
+};
+
+class FakeUpstream {
+    constructor() {
+        this.market = MARKET.map(binanceTicker);
+        this.listedAt = {};
+    }
+
+    // Añade un par nuevo a exchangeInfo y a los tickers (para /new-listings), listado hace una hora
+    list(entry) {
+        const ticker = binanceTicker(entry);
+        this.market.push(ticker);
+        this.listedAt[ticker.symbol] = Date.now() - 3600000;
+        return ticker;
+    }
+
+    ticker(symbol) {
+        const ticker = this.market.find(t => t.symbol === symbol);
+        if (!ticker) throw Object.assign(new Error(`binance respondió 400: símbolo ${symbol} inválido`), { code: 'CLIENT_ERROR', status: 400 });
+        return ticker;
+    }
+
+    respond(name, path, params) {
+        if (name !== 'binance') {
+            const response = (RECORDED[name] || {})[path];
+            if (!response) throw new Error(`Ruta no grabada: ${name} ${path}`);
+            return response;
+        }
+
+        switch (path) {
+            case '/api/v3/ticker/24hr':
+                return params.symbol ? this.ticker(params.symbol) : this.market;
+            case '/api/v3/klines':
+                return binanceKlines(this.ticker(params.symbol), params, this.listedAt[params.symbol]);
+            case '/api/v3/depth':
+                return binanceDepth(this.ticker(params.symbol), params);
+            case '/api/v3/trades':
+                return binanceTrades(this.ticker(params.symbol), params);
+            case '/api/v3/exchangeInfo':
+                return {
+                    symbols: this.market.map(t => ({ symbol: t.symbol, status: 'TRADING', baseAsset: t.symbol.slice(0, -4), quoteAsset: 'USDT' }))
+                };
+            default:
+                throw new Error(`Ruta no simulada: binance ${path}`);
+        }
+    }
+
+    // mock: MockTracker de node:test (t.mock o mock)
+    install(mock) {
+        const upstream = this;
+        mock.method(ResilientClient.prototype, 'get', async function (path, { params = {} } = {}) {
+            return upstream.respond(this.name, path, params);
+        });
+        return this;
+    }
+}
+
+module.exports = { FakeUpstream, MARKET };
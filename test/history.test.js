@@ -0,0 +1,82 @@
+require('./helpers/env');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { once } = require('events');
+const express = require('express');
+const CONFIG = require('../src/config');
+const historyStore = require('../src/history');
+const historyRoutes = require('../src/routes/history');
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+const ticker = (symbol, price, change) => ({
+    symbol,
+    lastPrice: String(price),
+    priceChangePercent: String(change),
+    quoteVolume: '2000000',
+    volume: '1000',
+    highPrice: String(price * 1.1),
+    lowPrice: String(price * 0.9),
+    openPrice: String(price / (1 + change / 100)),
+    count: 5000
+});
+
+describe('histórico', () => {
+    const now = Date.parse('2024-05-03T12:00:00Z');
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        // Tres días con un snapshot cada 6 horas y una línea cortada al final del segundo
+        for (let t = now - 2 * DAY_MS; t <= now; t += 6 * HOUR_MS) {
+            historyStore.record([ticker('BTCUSDT', 60000 + (t - now) / HOUR_MS, 3), ticker('SOLUSDT', 150, 12)], t);
+        }
+        fs.appendFileSync(historyStore.dayFile('2024-05-02'), '{"timestamp":');
+
+        const app = express();
+        app.use('/history', historyRoutes);
+        server = app.listen(0);
+        await once(server, 'listening');
+        baseUrl = `http://127.0.0.1:${server.address().port}/history`;
+    });
+
+    after(() => server.close());
+
+    it('lee los snapshots del rango en orden y salta las líneas cortadas', async () => {
+        const points = await historyStore.getSymbolHistory('BTCUSDT', { from: now - 30 * HOUR_MS, to: now });
+        assert.deepEqual(points.map(point => point.timestamp), [30, 24, 18, 12, 6, 0].map(h => new Date(now - h * HOUR_MS).toISOString()));
+
+        const latest = await historyStore.getRankingAt(now - HOUR_MS, { type: 'top-gainers', limit: 1 });
+        assert.equal(latest.timestamp, new Date(now - 6 * HOUR_MS).toISOString());
+        assert.deepEqual(latest.items.map(item => item.symbol), ['SOLUSDT']);
+
+        assert.equal(await historyStore.getRankingAt(now - 3 * DAY_MS), null);
+        assert.equal((await historyStore.getStatus()).days, 3);
+    });
+
+    it('rechaza rangos from..to mayores que HISTORY_MAX_RANGE_DAYS', async () => {
+        const to = now;
+        const from = to - (CONFIG.HISTORY_MAX_RANGE_DAYS * DAY_MS + 1);
+        const response = await fetch(`${baseUrl}/sentiment?from=${from}&to=${to}`);
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).details[0].param, 'from');
+
+        const allowed = await fetch(`${baseUrl}/sentiment?from=${to - 2 * DAY_MS}&to=${to}`);
+        assert.equal(allowed.status, 200);
+        assert.equal((await allowed.json()).length, 9);
+    });
+
+    it('compact reduce los días antiguos a un snapshot por intervalo', async () => {
+        const downsample = CONFIG.HISTORY_DOWNSAMPLE_MINUTES;
+        CONFIG.HISTORY_DOWNSAMPLE_MINUTES = 12 * 60;
+        try {
+            await historyStore.compact(now + DAY_MS);
+            const points = await historyStore.getSentiment({ from: now - 2 * DAY_MS, to: now });
+            assert.deepEqual(points.map(point => point.timestamp), [48, 36, 24, 12, 6, 0].map(h => new Date(now - h * HOUR_MS).toISOString()));
+        } finally {
+            CONFIG.HISTORY_DOWNSAMPLE_MINUTES = downsample;
+        }
+    });
+});
@@ -0,0 +1,113 @@
+require('./helpers/env');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const CONFIG = require('../src/config');
+const { ResilientClient } = require('../src/httpClient');
+
+const WEIGHT_HEADER = 'x-mbx-used-weight-1m';
+
+const serverError = () => Object.assign(new Error('Request failed with status code 503'), { response: { status: 503, headers: {} } });
+const timeoutError = () => Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+
+// Promesa que el test resuelve o rechaza cuando quiere (respuesta en vuelo)
+function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+}
+
+describe('ResilientClient', () => {
+    const config = {};
+    let client;
+
+    before(() => {
+        Object.assign(config, { retries: CONFIG.HTTP_MAX_RETRIES, threshold: CONFIG.BREAKER_FAILURE_THRESHOLD, cooldown: CONFIG.BREAKER_COOLDOWN_MS });
+        CONFIG.HTTP_MAX_RETRIES = 2;
+        CONFIG.BREAKER_FAILURE_THRESHOLD = 1;
+        CONFIG.BREAKER_COOLDOWN_MS = 20;
+    });
+
+    after(() => {
+        CONFIG.HTTP_MAX_RETRIES = config.retries;
+        CONFIG.BREAKER_FAILURE_THRESHOLD = config.threshold;
+        CONFIG.BREAKER_COOLDOWN_MS = config.cooldown;
+    });
+
+    beforeEach(() => {
+        client = new ResilientClient({ name: 'test', baseUrl: 'http://upstream.test', weightHeader: WEIGHT_HEADER, weightLimit: 1000 });
+    });
+
+    // Abre el circuito y espera al fin del enfriamiento
+    async function openCircuit(t) {
+        t.mock.method(ResilientClient, 'backoffDelay', () => 0);
+        const failing = t.mock.method(axios, 'get', async () => {
+            throw serverError();
+        });
+        await assert.rejects(client.get('/a'), { code: 'UPSTREAM_ERROR' });
+        assert.equal(client.state, 'OPEN');
+        failing.mock.restore();
+
+        await new Promise(resolve => setTimeout(resolve, CONFIG.BREAKER_COOLDOWN_MS + 5));
+    }
+
+    it('HALF_OPEN deja pasar una sola petición de prueba y rechaza el resto al momento', async t => {
+        await openCircuit(t);
+        const pending = deferred();
+        const get = t.mock.method(axios, 'get', () => pending.promise);
+
+        const probe = client.get('/probe');
+        await assert.rejects(client.get('/b'), { code: 'CIRCUIT_OPEN' });
+        await assert.rejects(client.get('/c'), { code: 'CIRCUIT_OPEN' });
+        assert.equal(get.mock.callCount(), 1);
+        assert.equal(client.isAvailable(), false);
+
+        pending.resolve({ status: 200, headers: {}, data: { ok: true } });
+        assert.deepEqual(await probe, { ok: true });
+        assert.equal(client.state, 'CLOSED');
+
+        assert.deepEqual(await client.get('/d'), { ok: true });
+        assert.equal(get.mock.callCount(), 2);
+    });
+
+    it('una prueba fallida reabre el circuito sin reintentos', async t => {
+        await openCircuit(t);
+        const get = t.mock.method(axios, 'get', async () => {
+            throw serverError();
+        });
+
+        await assert.rejects(client.get('/probe'), { code: 'UPSTREAM_ERROR' });
+        assert.equal(get.mock.callCount(), 1);
+        assert.equal(client.state, 'OPEN');
+        await assert.rejects(client.get('/b'), { code: 'CIRCUIT_OPEN' });
+        assert.equal(client.probing, false);
+    });
+
+    it('solo cuenta peso en los intentos con respuesta', async t => {
+        t.mock.method(ResilientClient, 'backoffDelay', () => 0);
+        const responses = [
+            () => { throw timeoutError(); },
+            () => { throw serverError(); },
+            () => ({ status: 200, headers: {}, data: [] })
+        ];
+        t.mock.method(axios, 'get', async () => responses.shift()());
+
+        // Timeout (0) + 503 sin cabecera (10) + 200 sin cabecera (10)
+        await client.get('/klines', { weight: 10 });
+        assert.equal(client.getStatus().weight.used, 20);
+
+        t.mock.method(axios, 'get', async () => ({ status: 200, headers: { [WEIGHT_HEADER]: '321' }, data: [] }));
+        await client.get('/klines', { weight: 10 });
+        assert.equal(client.getStatus().weight.used, 321);
+
+        t.mock.method(axios, 'get', async () => {
+            throw timeoutError();
+        });
+        await assert.rejects(client.get('/klines', { weight: 10 }));
+        assert.equal(client.getStatus().weight.used, 321);
+    });
+});
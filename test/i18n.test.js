@@ -0,0 +1,59 @@
+require('./helpers/env');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const I18n = require('../src/i18n');
+const { registry } = require('../src/apiV1');
+const { RULE_TYPES, DIRECTIONS } = require('../src/alerts');
+
+const LOCALES = ['es', 'en', 'pt'];
+const bundles = Object.fromEntries(LOCALES.map(locale => [locale, require(`../src/i18n/${locale}.json`)]));
+const enumOf = (schema, property) => (property ? registry.schemas[schema].properties[property] : registry.schemas[schema]).enum;
+
+// Claves que el código puede pedir: enums de las respuestas v1, mensajes de alertas y textos fijos
+const USED_KEYS = [
+    ...enumOf('Recommendation', 'action').map(value => `action.${value}`),
+    ...enumOf('Recommendation', 'confidence').map(value => `confidence.${value}`),
+    ...enumOf('Recommendation', 'timeframe').map(value => `timeframe.${value}`),
+    ...enumOf('RiskLevel').map(value => `risk.${value}`),
+    ...['BULLISH', 'BEARISH', 'NEUTRAL'].map(value => `trend.${value}`),
+    ...RULE_TYPES.flatMap(type => (['price_change', 'rsi'].includes(type) ? DIRECTIONS.map(direction => `alert.${type}.${direction}`) : [`alert.${type}`])),
+    'alert.default',
+    'signal.rsiOverbought', 'signal.rsiOversold', 'signal.volumeSpike', 'signal.trend',
+    'smartAnalysis.explosionAlert', 'smartAnalysis.safeInvestment'
+];
+
+describe('I18n', () => {
+    it('hay paquete para es, en y pt', () => {
+        assert.deepEqual([...I18n.locales()].sort(), [...LOCALES].sort());
+    });
+
+    for (const locale of LOCALES) {
+        it(`${locale} traduce todas las claves que usa el código`, () => {
+            const missing = USED_KEYS.filter(key => typeof bundles[locale][key] !== 'string' || bundles[locale][key] === '');
+            assert.deepEqual(missing, []);
+        });
+    }
+
+    it('los paquetes tienen las mismas claves y marcadores', () => {
+        assert.deepEqual(I18n.check({ strict: true }), []);
+    });
+
+    it('check falla en modo estricto si falta una clave o cambia un marcador', () => {
+        const { 'action.AVOID': removed, ...incomplete } = bundles.en;
+        assert.throws(() => I18n.check({ strict: true, bundles: { ...bundles, en: incomplete } }), /en: Textos sin traducir \(action\.AVOID\)/);
+
+        const renamed = { ...bundles.pt, 'signal.rsiOverbought': bundles.pt['signal.rsiOverbought'].replace('{rsi}', '{valor}') };
+        assert.throws(() => I18n.check({ strict: true, bundles: { ...bundles, pt: renamed } }), /pt: Marcadores distintos \(signal\.rsiOverbought\)/);
+    });
+
+    it('traduce con ?lang= y Accept-Language', () => {
+        const text = I18n.text('signal.trend', { trend: I18n.text('trend.BULLISH') });
+        assert.equal(I18n.localize({ text }, 'en').text, 'bullish trend');
+        assert.equal(text.toString('pt'), I18n.t('pt', 'signal.trend', { trend: I18n.t('pt', 'trend.BULLISH') }));
+
+        const negotiate = (query, language) => I18n.negotiate({ query, acceptsLanguages: (...locales) => (locales.includes(language) ? language : false) });
+        assert.deepEqual(negotiate({ lang: 'pt-BR' }, 'en'), { locale: 'pt' });
+        assert.deepEqual(negotiate({}, 'en'), { locale: 'en' });
+        assert.ok(negotiate({ lang: 'fr' }).errors);
+    });
+});
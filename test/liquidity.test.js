@@ -0,0 +1,171 @@
+require('./helpers/env');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CONFIG = require('../src/config');
+const { ResilientClient } = require('../src/httpClient');
+const { LiquidityAnalyzer } = require('../src/liquidity');
+const books = require('./fixtures/orderBooks.json');
+
+const levels = book => book.map(([price, qty]) => ({ price: parseFloat(price), qty: parseFloat(qty) }));
+
+// Operaciones de Binance cada `everyMs`, alternando compras y ventas del agresor
+const trades = (count, everyMs = 1000) => Array.from({ length: count }, (_, i) => ({
+    id: i + 1, price: '100', qty: '0.5', quoteQty: '50', time: 1717200000000 + i * everyMs, isBuyerMaker: i % 2 === 1
+}));
+
+// Métricas mínimas que lee rateRisk
+const metrics = ({ spreadPercent = 0.1, depth = 50000, imbalance = 0, buy = 0.1, sell = 0.1, filled = true, tradesPerMinute = 10 } = {}) => ({
+    spreadPercent,
+    depth: { '2%': { bid: depth, ask: depth } },
+    imbalance,
+    slippage: {
+        orderSize: 1000,
+        buy: { filled, percent: buy },
+        sell: { filled: true, percent: sell }
+    },
+    activity: tradesPerMinute === null ? null : { tradesPerMinute }
+});
+
+describe('LiquidityAnalyzer.analyzeBook', () => {
+    it('spread, profundidad por bandas e imbalance de un libro profundo', () => {
+        const book = LiquidityAnalyzer.analyzeBook(books.deep, 1000);
+        assert.equal(book.bestBid, 99.9);
+        assert.equal(book.bestAsk, 100.1);
+        assert.equal(book.midPrice, 100);
+        assert.equal(book.spreadPercent, 0.2);
+
+        // ±1% deja fuera 98.5 y 101.5; ±2% los incluye
+        assert.deepEqual(book.depth, {
+            '1%': { bid: 19940, ask: 15035 },
+            '2%': { bid: 29790, ask: 25185 }
+        });
+        assert.equal(book.imbalance, 0.0838);
+    });
+
+    it('depthTruncated si el último nivel no llega al ±2% del mid', () => {
+        assert.equal(LiquidityAnalyzer.analyzeBook(books.deep, 1000).depthTruncated, true);
+        assert.equal(LiquidityAnalyzer.analyzeBook(books.thin, 1000).depthTruncated, false);
+
+        const wide = { ...books.deep, bids: [...books.deep.bids, ['97.00000000', '1.00000000']], asks: [...books.deep.asks, ['103.00000000', '1.00000000']] };
+        assert.equal(LiquidityAnalyzer.analyzeBook(wide, 1000).depthTruncated, false);
+    });
+
+    it('libro fino: sin profundidad en las bandas el imbalance es null', () => {
+        const book = LiquidityAnalyzer.analyzeBook(books.thin, 1000);
+        assert.equal(book.spreadPercent, 10);
+        assert.deepEqual(book.depth['2%'], { bid: 0, ask: 0 });
+        assert.equal(book.imbalance, null);
+    });
+});
+
+describe('LiquidityAnalyzer.estimateSlippage', () => {
+    it('consume niveles hasta cubrir la orden y mide el precio medio frente al mid', () => {
+        assert.deepEqual(LiquidityAnalyzer.estimateSlippage(levels(books.deep.asks), 1000, 100), {
+            filled: true, filledAmount: 1000, avgPrice: 100.1, percent: 0.1
+        });
+
+        // 10010 USDT en 100.1 y el resto en 100.5
+        assert.deepEqual(LiquidityAnalyzer.estimateSlippage(levels(books.deep.asks), 15000, 100), {
+            filled: true, filledAmount: 15000, avgPrice: 100.23271277, percent: 0.2327
+        });
+    });
+
+    it('una orden mayor que el libro queda parcialmente ejecutada', () => {
+        assert.deepEqual(LiquidityAnalyzer.estimateSlippage(levels(books.thin.bids), 1000, 1), {
+            filled: false, filledAmount: 950, avgPrice: 0.95, percent: 5
+        });
+        assert.deepEqual(LiquidityAnalyzer.estimateSlippage([], 1000, 1), { filled: false, filledAmount: 0, avgPrice: null, percent: null });
+    });
+});
+
+describe('LiquidityAnalyzer.rateRisk', () => {
+    it('LOW: libro profundo, spread y slippage bajos y actividad suficiente', () => {
+        const book = LiquidityAnalyzer.analyzeBook(books.deep, 1000);
+        const risk = LiquidityAnalyzer.rateRisk({ ...book, activity: LiquidityAnalyzer.analyzeTrades(trades(120)) });
+        assert.deepEqual(risk, { score: 4, level: 'LOW', illiquid: false, reasons: [] });
+    });
+
+    it('MEDIUM y HIGH según spread, slippage, actividad e imbalance', () => {
+        // 15 del spread en el límite + 12.5 del slippage en el límite: aún no es ilíquido
+        assert.deepEqual(LiquidityAnalyzer.rateRisk(metrics({ spreadPercent: 1, buy: 1 })), { score: 28, level: 'MEDIUM', illiquid: false, reasons: [] });
+
+        assert.deepEqual(LiquidityAnalyzer.rateRisk(metrics({ spreadPercent: 2, buy: 0.5, tradesPerMinute: 0.5, imbalance: -0.6 })), {
+            score: 61,
+            level: 'HIGH',
+            illiquid: true,
+            reasons: ['Spread amplio (2%)', 'Poca actividad reciente', 'Libro desequilibrado hacia ventas (-0.6)']
+        });
+    });
+
+    it('VERY_HIGH: libro fino que no cubre la orden y sin actividad', () => {
+        const book = LiquidityAnalyzer.analyzeBook(books.thin, 1000);
+        assert.deepEqual(LiquidityAnalyzer.rateRisk({ ...book, activity: null }), {
+            score: 100,
+            level: 'VERY_HIGH',
+            illiquid: true,
+            reasons: [
+                'Spread amplio (10%)',
+                'Profundidad escasa a ±2% (0 USDT)',
+                'El libro no cubre una orden de 1000 USDT',
+                'Poca actividad reciente'
+            ]
+        });
+    });
+
+    it('la profundidad parcial y el slippage alto puntúan de forma proporcional', () => {
+        const risk = LiquidityAnalyzer.rateRisk(metrics({ depth: CONFIG.LIQUIDITY_MIN_DEPTH / 2, sell: 3 }));
+        assert.equal(risk.score, Math.round(1.5 + 15 + 25));
+        assert.equal(risk.illiquid, true);
+        assert.deepEqual(risk.reasons, [`Profundidad escasa a ±2% (${CONFIG.LIQUIDITY_MIN_DEPTH / 2} USDT)`, 'Slippage estimado alto (3%)']);
+    });
+});
+
+describe('LiquidityAnalyzer.analyze', () => {
+    it('combina libro y operaciones de Binance y reutiliza el resultado', async t => {
+        const requests = [];
+        t.mock.method(ResilientClient.prototype, 'get', async function (requestPath, { params = {} } = {}) {
+            requests.push([requestPath, params]);
+            if (requestPath === '/api/v3/depth') return params.symbol === 'EMPTYUSDT' ? { bids: [], asks: [] } : books.deep;
+            return trades(60, 2000);
+        });
+        const analyzer = new LiquidityAnalyzer();
+
+        const result = await analyzer.analyze('BTCUSDT');
+        assert.equal(result.symbol, 'BTCUSDT');
+        assert.equal(result.spreadPercent, 0.2);
+        assert.deepEqual(result.activity, { trades: 60, windowMinutes: 1.97, tradesPerMinute: 30.51, avgTradeSize: 50, buyRatio: 0.5 });
+        assert.equal(result.illiquid, false);
+        assert.equal(result.risk.level, 'LOW');
+        assert.deepEqual(requests.map(([requestPath, params]) => [requestPath, params.limit]), [
+            ['/api/v3/depth', CONFIG.LIQUIDITY_DEPTH_LIMIT],
+            ['/api/v3/trades', CONFIG.LIQUIDITY_TRADES_LIMIT]
+        ]);
+
+        assert.equal(await analyzer.analyze('BTCUSDT'), result);
+        assert.equal(requests.length, 2);
+
+        assert.equal(await analyzer.analyze('EMPTYUSDT'), null);
+    });
+
+    it('applyToRecommendation y summarize usan el riesgo calculado', () => {
+        const book = LiquidityAnalyzer.analyzeBook(books.thin, 1000);
+        const liquidity = { ...book, risk: LiquidityAnalyzer.rateRisk({ ...book, activity: null }) };
+        liquidity.illiquid = liquidity.risk.illiquid;
+
+        const recommendation = LiquidityAnalyzer.applyToRecommendation({ action: 'WATCH', risk: 'MEDIUM' }, liquidity);
+        assert.equal(recommendation.risk, 'VERY_HIGH');
+        assert.equal(recommendation.riskScore, 100);
+        assert.equal(recommendation.riskFactors.length, 4);
+
+        assert.deepEqual(LiquidityAnalyzer.summarize(liquidity), {
+            spreadPercent: 10,
+            depth2Percent: { bid: 0, ask: 0 },
+            imbalance: null,
+            slippagePercent: 7.3171,
+            orderSize: 1000,
+            riskScore: 100,
+            illiquid: true
+        });
+        assert.equal(LiquidityAnalyzer.summarize(null), null);
+    });
+});
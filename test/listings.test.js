@@ -0,0 +1,130 @@
+require('./helpers/env');
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../src/config');
+const { ResilientClient } = require('../src/httpClient');
+const listingTracker = require('../src/listings');
+const { ListingTracker } = require('../src/listings');
+const fixtures = require('./fixtures/listings.json');
+
+const HOUR_MS = 3600000;
+const storeFile = path.join(CONFIG.DATA_DIR, 'listings', 'symbols.json');
+
+// exchangeInfo y primeras velas grabados, desplazados para que "hace 2 horas" lo sea respecto a ahora
+function installBinance(state) {
+    const shift = Date.now() - fixtures.recordedAt;
+    const klineRequests = [];
+    mock.method(ResilientClient.prototype, 'get', async function (requestPath, { params = {} } = {}) {
+        switch (requestPath) {
+            case '/api/v3/exchangeInfo':
+                return { symbols: fixtures.exchangeInfo[state.exchangeInfo] };
+            case '/api/v3/ticker/24hr':
+                return fixtures.tickers;
+            case '/api/v3/klines': {
+                klineRequests.push(params);
+                const row = fixtures.firstKlines[params.symbol];
+                return row ? [[row[0] + shift, ...row.slice(1, 6), row[6] + shift, ...row.slice(7)]] : [];
+            }
+            default:
+                throw new Error(`Ruta no simulada: ${requestPath}`);
+        }
+    });
+    return { shift, klineRequests };
+}
+
+describe('ListingTracker', () => {
+    const state = { exchangeInfo: 'baseline' };
+    let upstream;
+    let baseline;
+
+    before(async () => {
+        upstream = installBinance(state);
+        baseline = JSON.parse(JSON.stringify(await listingTracker.refresh()));
+
+        state.exchangeInfo = 'next';
+        await listingTracker.refresh();
+    });
+
+    after(() => mock.restoreAll());
+
+    it('el primer refresco marca todo como baseline y solo sigue pares USDT', () => {
+        assert.ok(baseline.initializedAt);
+        assert.deepEqual(Object.keys(baseline.symbols), ['BTCUSDT', 'ETHUSDT', 'LUNAUSDT']);
+        assert.ok(Object.values(baseline.symbols).every(entry => entry.baseline && entry.firstSeenAt === baseline.initializedAt));
+        assert.equal(baseline.symbols.BTCUSDT.listedAt, new Date(fixtures.firstKlines.BTCUSDT[0] + upstream.shift).toISOString());
+        assert.equal(baseline.symbols.BTCUSDT.firstPrice, 4261.48);
+    });
+
+    it('el diff de exchangeInfo detecta altas, bajas y cambios de estado y lo persiste', () => {
+        const saved = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+        assert.equal(saved.initializedAt, baseline.initializedAt);
+        assert.equal(saved.symbols.BTCUSDT.firstSeenAt, baseline.symbols.BTCUSDT.firstSeenAt);
+        assert.equal(saved.symbols.ETHUSDT.status, 'BREAK');
+        assert.ok(saved.symbols.LUNAUSDT.delistedAt);
+        assert.equal(saved.symbols.ETHBTC, undefined);
+
+        for (const symbol of ['NOTUSDT', 'ZKUSDT', 'IOUSDT', 'BNXUSDT']) {
+            assert.equal(saved.symbols[symbol].baseline, false, symbol);
+            assert.notEqual(saved.symbols[symbol].firstSeenAt, baseline.initializedAt, symbol);
+        }
+    });
+
+    it('resuelve la fecha con la primera vela 1m, también en PRE_TRADING', () => {
+        const saved = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+        assert.equal(saved.symbols.NOTUSDT.listedAt, new Date(fixtures.firstKlines.NOTUSDT[0] + upstream.shift).toISOString());
+        assert.equal(saved.symbols.NOTUSDT.firstPrice, 0.0046);
+        assert.equal(saved.symbols.ZKUSDT.listedAt, new Date(fixtures.firstKlines.ZKUSDT[0] + upstream.shift).toISOString());
+
+        // Anunciado sin velas todavía: queda consultado y se reintenta en refrescos posteriores
+        assert.equal(saved.symbols.IOUSDT.listedAt, null);
+        assert.ok(saved.symbols.IOUSDT.checkedAt);
+
+        // HALT no se consulta; la búsqueda pide la primera vela 1m desde el epoch
+        assert.ok(!upstream.klineRequests.some(params => params.symbol === 'BNXUSDT'));
+        assert.ok(upstream.klineRequests.every(params => params.interval === '1m' && params.startTime === 0 && params.limit === 1));
+    });
+
+    it('getNewListings: diff, PRE_TRADING/BREAK y recientes, de más nuevo a más antiguo', () => {
+        const listings = listingTracker.getNewListings(fixtures.tickers);
+        assert.deepEqual(listings.map(listing => listing.symbol), ['IOUSDT', 'BNXUSDT', 'ZKUSDT', 'NOTUSDT', 'ETHUSDT']);
+
+        const not = listings.find(listing => listing.symbol === 'NOTUSDT');
+        assert.equal(not.listingAgeHours, 2);
+        assert.equal(not.detectedByDiff, true);
+        assert.equal(not.price, 0.0123);
+        assert.equal(not.sinceListingPercent, 167.39);
+        assert.equal(typeof not.score, 'number');
+
+        const zk = listings.find(listing => listing.symbol === 'ZKUSDT');
+        assert.equal(zk.isPreTrading, true);
+        assert.equal(zk.listingAgeHours, 0.5);
+        assert.equal(zk.price, null);
+
+        const eth = listings.find(listing => listing.symbol === 'ETHUSDT');
+        assert.equal(eth.isOnBreak, true);
+        assert.equal(eth.detectedByDiff, false);
+    });
+
+    it('las consultas ya hechas sin velas ceden el turno a las pendientes', async t => {
+        const lookups = CONFIG.LISTING_LOOKUPS_PER_REFRESH;
+        CONFIG.LISTING_LOOKUPS_PER_REFRESH = 1;
+        t.after(() => {
+            CONFIG.LISTING_LOOKUPS_PER_REFRESH = lookups;
+        });
+
+        const entry = (symbol, fields) => ({ symbol, status: 'TRADING', baseline: true, listedAt: null, checkedAt: null, delistedAt: null, ...fields });
+        const data = {
+            symbols: {
+                IOUSDT: entry('IOUSDT', { status: 'PRE_TRADING', baseline: false, checkedAt: new Date(Date.now() - HOUR_MS).toISOString() }),
+                NOTUSDT: entry('NOTUSDT')
+            }
+        };
+        upstream.klineRequests.length = 0;
+        await new ListingTracker().resolveListingDates(data, fixtures.tickers);
+
+        assert.deepEqual(upstream.klineRequests.map(params => params.symbol), ['NOTUSDT']);
+        assert.ok(data.symbols.NOTUSDT.listedAt);
+    });
+});
@@ -0,0 +1,191 @@
+require('./helpers/env');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const http = require('http');
+const express = require('express');
+const WebSocket = require('ws');
+const { createMockStream, DEFAULT_TICKERS } = require('../scripts/mockStream');
+const { MarketStream } = require('../src/marketStream');
+const { LiveFeed } = require('../src/liveFeed');
+
+// Espera a que `condition()` se cumpla (el stream y los sockets son asíncronos)
+async function waitFor(condition, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Tiempo de espera agotado');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+// Cliente WebSocket que guarda los mensajes recibidos
+async function connect(url) {
+    const socket = new WebSocket(url);
+    socket.messages = [];
+    socket.on('message', raw => socket.messages.push(JSON.parse(raw)));
+    await once(socket, 'open');
+    return socket;
+}
+
+describe('MarketStream contra scripts/mockStream.js', () => {
+    let mock;
+    let stream;
+
+    before(async () => {
+        mock = createMockStream({ port: 0, interval: 60000 });
+        await mock.listening;
+        stream = new MarketStream(`ws://127.0.0.1:${mock.port}`);
+        stream.start();
+        await waitFor(() => stream.connected);
+    });
+
+    after(async () => {
+        stream.stop();
+        await mock.close();
+    });
+
+    it('rellena la tabla de tickers con el formato REST y actualiza cada símbolo', async () => {
+        const updated = once(stream, 'update');
+        mock.broadcast();
+        assert.deepEqual(await updated, [DEFAULT_TICKERS.length]);
+
+        assert.equal(stream.isLive(), true);
+        assert.deepEqual(stream.getTickers().map(t => t.symbol).sort(), DEFAULT_TICKERS.map(t => t.symbol).sort());
+        const btc = stream.getTickers().find(t => t.symbol === 'BTCUSDT');
+        assert.equal(parseFloat(btc.lastPrice).toFixed(8), mock.state[0].lastPrice.toFixed(8));
+        assert.equal(typeof btc.quoteVolume, 'string');
+
+        mock.broadcast();
+        await once(stream, 'update');
+        assert.equal(stream.getTickers().length, DEFAULT_TICKERS.length);
+        assert.equal(parseFloat(stream.getTickers().find(t => t.symbol === 'BTCUSDT').lastPrice).toFixed(8), mock.state[0].lastPrice.toFixed(8));
+    });
+
+    it('se reconecta tras perder la conexión y conserva la tabla', async () => {
+        const closed = once(stream.socket, 'close');
+        mock.dropClients();
+        await closed;
+        assert.equal(stream.connected, false);
+        assert.equal(stream.reconnectAttempts, 1);
+        assert.equal(stream.getTickers().length, DEFAULT_TICKERS.length);
+
+        // Primer reintento al segundo
+        await waitFor(() => stream.connected);
+        assert.equal(stream.reconnectAttempts, 0);
+
+        const updated = once(stream, 'update');
+        mock.broadcast();
+        await updated;
+        assert.equal(stream.isLive(), true);
+    });
+});
+
+describe('LiveFeed SSE y WebSocket', () => {
+    let mock;
+    let stream;
+    let feed;
+    let server;
+    let wss;
+    let baseUrl;
+
+    before(async () => {
+        mock = createMockStream({ port: 0, interval: 60000 });
+        await mock.listening;
+        stream = new MarketStream(`ws://127.0.0.1:${mock.port}`);
+        stream.start();
+        await waitFor(() => stream.connected);
+        mock.broadcast();
+        await once(stream, 'update');
+
+        // Como LiveFeed.start() pero sin el intervalo: los tests llaman a tick() cuando quieren publicar
+        feed = new LiveFeed(stream);
+        feed.dirty = true;
+        stream.on('update', () => {
+            feed.dirty = true;
+        });
+
+        const app = express();
+        app.get('/stream', (req, res) => feed.handleSSE(req, res));
+        server = http.createServer(app);
+        wss = feed.attachWebSocket(server);
+        server.listen(0);
+        await once(server, 'listening');
+        baseUrl = `127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        wss.close();
+        server.close();
+        stream.stop();
+        await mock.close();
+    });
+
+    it('parseChannels: todos sin pedir nada, ignora los desconocidos y [] si ninguno es válido', () => {
+        assert.deepEqual(LiveFeed.parseChannels(undefined), ['explosion-candidates', 'top-gainers', 'market-sentiment']);
+        assert.deepEqual(LiveFeed.parseChannels('top-gainers, nope'), ['top-gainers']);
+        assert.deepEqual(LiveFeed.parseChannels(['nope']), []);
+        assert.deepEqual(LiveFeed.parseChannels('nope,otro'), []);
+    });
+
+    it('SSE envía solo los canales pedidos y se da de baja al cerrar', async () => {
+        const controller = new AbortController();
+        const response = await fetch(`http://${baseUrl}/stream?channels=market-sentiment`, { signal: controller.signal });
+        assert.equal(response.headers.get('content-type'), 'text/event-stream');
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let text = '';
+        while (!/data: .*\n\n/.test(text)) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            text += decoder.decode(value);
+        }
+        assert.match(text, /event: market-sentiment\ndata: \{/);
+        assert.doesNotMatch(text, /event: (explosion-candidates|top-gainers)/);
+        assert.equal(feed.subscribers.size, 1);
+
+        controller.abort();
+        await waitFor(() => feed.subscribers.size === 0);
+    });
+
+    it('SSE responde 400 si ningún canal es válido', async () => {
+        const response = await fetch(`http://${baseUrl}/stream?channels=nope`);
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).details[0].param, 'channels');
+        assert.equal(feed.subscribers.size, 0);
+    });
+
+    it('WebSocket: estado inicial, unsubscribe, subscribe y trama de error', async () => {
+        const socket = await connect(`ws://${baseUrl}/ws`);
+        await waitFor(() => socket.messages.length >= 3);
+        assert.deepEqual(socket.messages.map(m => m.channel).sort(), ['explosion-candidates', 'market-sentiment', 'top-gainers']);
+
+        socket.send(JSON.stringify({ action: 'unsubscribe', channels: ['explosion-candidates', 'top-gainers'] }));
+        await waitFor(() => socket.messages.some(m => m.subscribed));
+        assert.deepEqual(socket.messages.pop().subscribed, ['market-sentiment']);
+
+        // Un update del stream solo llega por los canales suscritos
+        socket.messages = [];
+        feed.latestJson = {};
+        mock.broadcast();
+        await once(stream, 'update');
+        await feed.tick();
+        await waitFor(() => socket.messages.length > 0);
+        assert.deepEqual([...new Set(socket.messages.map(m => m.channel))], ['market-sentiment']);
+
+        socket.messages = [];
+        socket.send(JSON.stringify({ action: 'subscribe', channels: ['nope'] }));
+        await waitFor(() => socket.messages.length > 0);
+        assert.equal(socket.messages[0].error, 'Canales inválidos');
+        assert.equal(socket.messages[0].details[0].param, 'channels');
+
+        socket.messages = [];
+        socket.send(JSON.stringify({ action: 'subscribe', channels: ['top-gainers'] }));
+        await waitFor(() => socket.messages.some(m => m.subscribed));
+        assert.deepEqual(socket.messages.find(m => m.subscribed).subscribed, ['market-sentiment', 'top-gainers']);
+        assert.ok(socket.messages.some(m => m.channel === 'top-gainers'));
+
+        socket.close();
+        await waitFor(() => feed.subscribers.size === 0);
+    });
+});
@@ -0,0 +1,134 @@
+require('./helpers/env');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CONFIG = require('../src/config');
+const RankingQuery = require('../src/rankingQuery');
+const scanner = require('../src/scanner');
+const marketBreadth = require('../src/marketBreadth');
+const { MarketBreadth } = require('../src/marketBreadth');
+const fixtures = require('./fixtures/marketBreadth.json');
+
+const HOUR_MS = 3600000;
+const T0 = Date.parse('2024-06-01T00:00:00Z');
+
+const universe = MarketBreadth.universe(fixtures.tickers, RankingQuery.parse({}, MarketBreadth.universeDefaults()).params);
+
+// Velas 1h a partir de los cierres grabados
+const candles = closes => closes.map((close, i) => ({ timestamp: T0 + i * HOUR_MS, open: close, high: close, low: close, close }));
+
+describe('MarketBreadth.summarize', () => {
+    it('el universo deja fuera stablecoins, otras cotizaciones y pares sin volumen', () => {
+        assert.deepEqual(universe.map(token => token.baseAsset), ['BTC', 'ETH', 'SOL', 'DOGE', 'FLAT', 'NEW']);
+    });
+
+    it('amplitud, cambio, dominancia y volatilidad del universo', () => {
+        const summary = MarketBreadth.summarize(universe);
+        assert.equal(summary.universe, 6);
+        assert.deepEqual(summary.advanceDecline, { advancing: 3, declining: 2, unchanged: 1, net: 1, ratio: 1.5, percentAdvancing: 50 });
+        assert.deepEqual(summary.change, { average: 6, median: 1, volumeWeighted: 2.8, totalVolume: 1000000000 });
+        assert.deepEqual(summary.dominance, { btcVolumeShare: 50, ethVolumeShare: 20, btcChange: 2, ethChange: -1 });
+        assert.deepEqual(summary.volatility, { medianRangePercent: 7.04, averageRangePercent: 11.44 });
+    });
+
+    it('fear & greed: cada componente en 0-100 ponderado con MARKET_FEAR_GREED_WEIGHTS', () => {
+        const { fearGreed } = MarketBreadth.summarize(universe);
+        const weights = CONFIG.MARKET_FEAR_GREED_WEIGHTS;
+        assert.deepEqual(fearGreed.components, {
+            breadth: { value: 50, weight: weights.breadth },
+            momentum: { value: 64, weight: weights.momentum },
+            btcTrend: { value: 70, weight: weights.btcTrend },
+            volatility: { value: 66.3, weight: weights.volatility },
+            dominance: { value: 0, weight: weights.dominance }
+        });
+        assert.equal(fearGreed.value, 55);
+        assert.equal(fearGreed.label, 'GREED');
+    });
+
+    it('sin BTC reparte su peso entre los componentes restantes', () => {
+        const { fearGreed } = MarketBreadth.summarize(universe.filter(token => token.baseAsset !== 'BTC'));
+        assert.equal(fearGreed.components.btcTrend.value, null);
+        assert.equal(fearGreed.components.dominance.value, null);
+
+        // (40 × 30 + 68 × 25 + 41.7 × 15) / 70
+        assert.deepEqual([fearGreed.components.breadth.value, fearGreed.components.momentum.value, fearGreed.components.volatility.value], [40, 68, 41.7]);
+        assert.equal(fearGreed.value, 50);
+        assert.equal(fearGreed.label, 'NEUTRAL');
+    });
+
+    it('con el universo vacío todo es null en vez de NaN', () => {
+        const summary = MarketBreadth.summarize([]);
+        assert.deepEqual(summary, {
+            universe: 0,
+            advanceDecline: { advancing: 0, declining: 0, unchanged: 0, net: 0, ratio: null, percentAdvancing: null },
+            change: { average: null, median: null, volumeWeighted: null, totalVolume: 0 },
+            dominance: { btcVolumeShare: null, ethVolumeShare: null, btcChange: null, ethChange: null },
+            volatility: { medianRangePercent: null, averageRangePercent: null },
+            fearGreed: {
+                value: null,
+                label: null,
+                components: Object.fromEntries(Object.entries(CONFIG.MARKET_FEAR_GREED_WEIGHTS).map(([name, weight]) => [name, { value: null, weight }]))
+            }
+        });
+    });
+
+    it('las etiquetas siguen los cortes de FEAR_GREED_LEVELS', () => {
+        const at = percentAdvancing => MarketBreadth.fearGreed({
+            advanceDecline: { percentAdvancing },
+            change: { volumeWeighted: null },
+            dominance: { btcChange: null, btcVolumeShare: null },
+            volatility: { medianRangePercent: null }
+        });
+        assert.deepEqual([0, 24, 25, 44, 45, 54, 55, 74, 75, 100].map(value => at(value).label), [
+            'EXTREME_FEAR', 'EXTREME_FEAR', 'FEAR', 'FEAR', 'NEUTRAL', 'NEUTRAL', 'GREED', 'GREED', 'EXTREME_GREED', 'EXTREME_GREED'
+        ]);
+    });
+});
+
+describe('MarketBreadth.correlation', () => {
+    it('correlaciona los retornos de los mayores ganadores con BTC y ETH', async t => {
+        const requested = [];
+        t.mock.method(scanner, 'getCandles', async (symbol, interval) => {
+            requested.push([symbol, interval]);
+            return candles(fixtures.closes[symbol] || []);
+        });
+
+        const result = await marketBreadth.correlation(universe, { limit: 10 });
+        assert.deepEqual(requested.map(([symbol]) => symbol), ['BTCUSDT', 'ETHUSDT', 'NEWUSDT', 'SOLUSDT', 'FLATUSDT', 'DOGEUSDT']);
+        assert.ok(requested.every(([, interval]) => interval === CONFIG.MARKET_CORRELATION_INTERVAL));
+        assert.deepEqual(result.references, { btc: 'BTCUSDT', eth: 'ETHUSDT' });
+
+        const bySymbol = Object.fromEntries(result.gainers.map(gainer => [gainer.symbol, gainer]));
+        // SOL repite los retornos de BTC y DOGE cotiza a su inverso
+        assert.deepEqual([bySymbol.SOLUSDT.btc, bySymbol.SOLUSDT.eth], [1, 0.07]);
+        assert.deepEqual([bySymbol.DOGEUSDT.btc, bySymbol.DOGEUSDT.eth], [-1, -0.07]);
+        // Menos velas comunes que MARKET_CORRELATION_MIN_POINTS y serie sin varianza → null
+        assert.deepEqual([bySymbol.NEWUSDT.btc, bySymbol.NEWUSDT.eth], [null, null]);
+        assert.deepEqual([bySymbol.FLATUSDT.btc, bySymbol.FLATUSDT.eth], [null, null]);
+
+        // Los null no cuentan en la media
+        assert.deepEqual(result.average, { btc: 0, eth: 0 });
+        assert.equal(result.regime, 'DECOUPLED');
+    });
+
+    it('sin velas no hay correlación ni régimen', async t => {
+        t.mock.method(scanner, 'getCandles', async () => []);
+        const result = await marketBreadth.correlation(universe, { limit: 2 });
+        assert.deepEqual(result.gainers.map(gainer => [gainer.symbol, gainer.btc, gainer.eth]), [['NEWUSDT', null, null], ['SOLUSDT', null, null]]);
+        assert.deepEqual(result.average, { btc: null, eth: null });
+        assert.equal(result.regime, null);
+    });
+
+    it('correlate solo usa las velas comunes y devuelve null con varianza nula', () => {
+        const btc = MarketBreadth.returns(candles(fixtures.closes.BTCUSDT));
+        const flat = MarketBreadth.returns(candles(fixtures.closes.FLATUSDT));
+        assert.equal(btc.size, 14);
+        assert.equal(MarketBreadth.correlate(flat, btc), null);
+        assert.equal(MarketBreadth.correlate(btc, flat), null);
+        assert.ok(Math.abs(MarketBreadth.correlate(btc, btc) - 1) < 1e-12);
+
+        // Desplazada una vela: 13 retornos comunes, todavía por encima del mínimo
+        const shifted = MarketBreadth.returns(candles(fixtures.closes.BTCUSDT).map(c => ({ ...c, timestamp: c.timestamp + HOUR_MS })));
+        assert.ok(Math.abs(MarketBreadth.correlate(shifted, btc)) < 1);
+        assert.equal(MarketBreadth.returns([{ timestamp: T0, close: 0 }, { timestamp: T0 + HOUR_MS, close: 1 }]).size, 0);
+    });
+});
@@ -0,0 +1,161 @@
+require('./helpers/env');
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const CONFIG = require('../src/config');
+const TechnicalAnalysis = require('../src/technicalAnalysis');
+const { FakeUpstream } = require('./helpers/upstream');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+// Cambia claves de CONFIG durante un test
+function withConfig(t, values) {
+    const previous = Object.fromEntries(Object.keys(values).map(key => [key, CONFIG[key]]));
+    Object.assign(CONFIG, values);
+    t.after(() => Object.assign(CONFIG, previous));
+}
+
+describe('métricas, request IDs y sobre de error', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        new FakeUpstream().install(mock);
+        const app = require('../index');
+
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+        mock.restoreAll();
+    });
+
+    const request = async (path, { method = 'GET', headers = {}, body } = {}) => {
+        const response = await fetch(`${baseUrl}${path}`, { method, headers, body });
+        const text = await response.text();
+        const json = (response.headers.get('content-type') || '').includes('application/json') ? JSON.parse(text) : null;
+        return { status: response.status, headers: response.headers, text, body: json };
+    };
+
+    describe('GET /metrics', () => {
+        it('expone latencia por ruta, cachés, upstreams y métricas del proceso en formato Prometheus', async () => {
+            assert.equal((await request('/api/top-gainers?limit=3')).status, 200);
+            assert.equal((await request('/api/top-gainers?limit=5')).status, 200);
+            assert.equal((await request('/api/nope/123')).status, 404);
+
+            const { status, headers, text } = await request('/metrics');
+            assert.equal(status, 200);
+            assert.match(headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+
+            // La etiqueta es la ruta de Express, no la URL: sin parámetros y una sola serie "unmatched" para las desconocidas
+            assert.match(text, /^boostiq_http_request_duration_seconds_count\{method="GET",route="\/api\/top-gainers",status="200"\} 2$/m);
+            assert.match(text, /^boostiq_http_request_duration_seconds_count\{method="GET",route="unmatched",status="404"\} 1$/m);
+            assert.doesNotMatch(text, /route="\/api\/nope/);
+
+            assert.match(text, /^boostiq_cache_requests\{cache="api",result="miss"\} \d+$/m);
+            assert.match(text, /^boostiq_cache_hit_ratio\{cache="api"\} [\d.]+$/m);
+            assert.match(text, /^boostiq_upstream_circuit_state\{upstream="binance"\} 0$/m);
+            assert.match(text, /^# TYPE boostiq_scoring_duration_seconds histogram$/m);
+            assert.match(text, /^boostiq_process_resident_memory_bytes \d+$/m);
+        });
+
+        it('con METRICS_TOKEN exige Authorization: Bearer', async t => {
+            withConfig(t, { METRICS_TOKEN: 'scrape-secret' });
+
+            const anonymous = await request('/metrics', { headers: { 'X-Request-Id': 'scrape-1' } });
+            assert.equal(anonymous.status, 401);
+            assert.deepEqual(anonymous.body, { error: 'Token de métricas requerido (Authorization: Bearer)', requestId: 'scrape-1' });
+            assert.equal((await request('/metrics', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+            assert.equal((await request('/metrics', { headers: { Authorization: 'Bearer scrape-secret' } })).status, 200);
+        });
+    });
+
+    describe('X-Request-Id', () => {
+        it('genera un UUID por petición si no llega ninguno', async () => {
+            const first = await request('/health');
+            const second = await request('/health');
+            assert.match(first.headers.get('x-request-id'), UUID);
+            assert.match(second.headers.get('x-request-id'), UUID);
+            assert.notEqual(first.headers.get('x-request-id'), second.headers.get('x-request-id'));
+        });
+
+        it('reutiliza el entrante si es válido y lo sustituye si no', async () => {
+            assert.equal((await request('/health', { headers: { 'X-Request-Id': 'lb-7f3a.01:req_9' } })).headers.get('x-request-id'), 'lb-7f3a.01:req_9');
+
+            for (const invalid of ['con espacios', 'x'.repeat(65), '<script>']) {
+                assert.match((await request('/health', { headers: { 'X-Request-Id': invalid } })).headers.get('x-request-id'), UUID, invalid);
+            }
+        });
+
+        it('los logs de la petición llevan el mismo requestId', async t => {
+            withConfig(t, { LOG_LEVEL: 'info' });
+            const lines = [];
+            const write = process.stdout.write.bind(process.stdout);
+            t.mock.method(process.stdout, 'write', (chunk, ...rest) => {
+                if (String(chunk).startsWith('{"time"')) return lines.push(JSON.parse(chunk));
+                return write(chunk, ...rest);
+            });
+
+            await request('/api/top-gainers?limit=3', { headers: { 'X-Request-Id': 'trace-42' } });
+            await new Promise(resolve => setImmediate(resolve));
+            t.mock.restoreAll();
+
+            const entry = lines.find(line => line.msg === 'request' && line.requestId === 'trace-42');
+            assert.ok(entry, JSON.stringify(lines));
+            assert.deepEqual([entry.level, entry.method, entry.path, entry.status], ['info', 'GET', '/api/top-gainers', 200]);
+            assert.equal(typeof entry.durationMs, 'number');
+        });
+    });
+
+    describe('sobre de error { error, details?, requestId }', () => {
+        it('rutas desconocidas: 404 con el método y la ruta sin query', async () => {
+            const { status, headers, body } = await request('/api/nope?limit=3');
+            assert.equal(status, 404);
+            assert.deepEqual(body, { error: 'Endpoint no encontrado', details: 'GET /api/nope', requestId: headers.get('x-request-id') });
+        });
+
+        it('JSON mal formado: 400 antes de llegar a la ruta', async () => {
+            const { status, body } = await request('/api/position-size', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-Request-Id': 'bad-json' },
+                body: '{"equity": '
+            });
+            assert.equal(status, 400);
+            assert.deepEqual(Object.keys(body), ['error', 'details', 'requestId']);
+            assert.equal(body.error, 'JSON inválido en el cuerpo de la petición');
+            assert.equal(body.requestId, 'bad-json');
+        });
+
+        it('los 4xx de las rutas conservan sus campos y reciben el requestId', async () => {
+            const { status, body } = await request('/api/position-size', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-Request-Id': 'invalid-body' },
+                body: JSON.stringify({ symbol: 'SOLUSDT' })
+            });
+            assert.equal(status, 400);
+            assert.deepEqual(body, { error: 'Parámetros inválidos', details: ['"equity" debe ser un número mayor que 0'], requestId: 'invalid-body' });
+        });
+
+        it('las excepciones responden 500 sin filtrar el mensaje interno', async t => {
+            t.mock.method(TechnicalAnalysis, 'analyzeTechnicals', async () => {
+                throw new Error('ECONNRESET en la base interna');
+            });
+
+            const { status, headers, body } = await request('/api/position-size', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ equity: 10000, symbol: 'SOLUSDT', entryPrice: 100 })
+            });
+            assert.equal(status, 500);
+            assert.deepEqual(body, { error: 'Error interno del servidor', requestId: headers.get('x-request-id') });
+        });
+
+        it('las respuestas correctas no cambian', async () => {
+            const { status, body } = await request('/');
+            assert.equal(status, 200);
+            assert.equal(body.requestId, undefined);
+        });
+    });
+});
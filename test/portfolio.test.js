@@ -0,0 +1,163 @@
+require('./helpers/env');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const express = require('express');
+const CONFIG = require('../src/config');
+const Auth = require('../src/auth');
+const apiKeys = require('../src/apiKeys');
+const portfolio = require('../src/portfolio');
+const { PaperPortfolio } = portfolio;
+const portfolioRoutes = require('../src/routes/portfolio');
+
+const ticker = (symbol, lastPrice) => ({ symbol, lastPrice: String(lastPrice), priceChangePercent: '10', quoteVolume: '5000000', highPrice: String(lastPrice * 1.1), lowPrice: String(lastPrice * 0.9) });
+
+// Abre una posición de 100 a precio 1 con objetivo 1.2 y stop 0.9
+function open(symbol, owner = null) {
+    const result = portfolio.openFromTicker(ticker(symbol, 1), { amount: 100, sellTarget: 1.2, stopLoss: 0.9 }, 'manual', owner);
+    assert.ok(result.position, result.error);
+    return result.position;
+}
+
+describe('PaperPortfolio', () => {
+    beforeEach(() => {
+        portfolio.reset();
+        portfolio.updateSettings({ feePercent: 0, autoTrade: false });
+    });
+
+    it('cierra el stop al precio observado cuando el precio salta el nivel', async () => {
+        open('AAAUSDT');
+        const { closed } = await portfolio.evaluate([ticker('AAAUSDT', 0.5)]);
+
+        assert.equal(closed.length, 1);
+        assert.equal(closed[0].reason, 'STOP_LOSS');
+        assert.equal(closed[0].exitPrice, 0.5);
+        assert.equal(closed[0].pnl, -50);
+    });
+
+    it('cierra el objetivo al precio observado cuando el precio salta el nivel', async () => {
+        open('AAAUSDT');
+        const { closed } = await portfolio.evaluate([ticker('AAAUSDT', 1.5)]);
+
+        assert.equal(closed[0].reason, 'TARGET');
+        assert.equal(closed[0].exitPrice, 1.5);
+        assert.equal(closed[0].pnl, 50);
+    });
+
+    it('mantiene el P&L realizado y el saldo al recortar el historial de trades', async () => {
+        const limit = CONFIG.PAPER_TRADE_HISTORY_LIMIT;
+        CONFIG.PAPER_TRADE_HISTORY_LIMIT = 2;
+        try {
+            for (const [i, price] of [1.5, 0.5, 1.5, 1.5].entries()) {
+                open(`T${i}USDT`);
+                await portfolio.evaluate([ticker(`T${i}USDT`, price)]);
+            }
+        } finally {
+            CONFIG.PAPER_TRADE_HISTORY_LIMIT = limit;
+        }
+
+        const summary = portfolio.getSummary();
+        assert.equal(portfolio.listTrades().length, 2);
+        assert.equal(summary.realizedPnl, 100);
+        assert.equal(summary.cash, CONFIG.PAPER_INITIAL_BALANCE + 100);
+        assert.equal(summary.equity, CONFIG.PAPER_INITIAL_BALANCE + 100);
+        assert.equal(summary.closedTrades, 4);
+        assert.equal(summary.winRate, 75);
+    });
+
+    it('reconstruye los acumulados de un estado guardado sin ellos', () => {
+        const data = { trades: [{ pnl: 10 }, { pnl: -4 }] };
+        PaperPortfolio.withTotals(data);
+        assert.deepEqual(data, { trades: data.trades, realizedPnl: 6, closedTrades: 2, winningTrades: 1 });
+    });
+});
+
+describe('carteras por API key', () => {
+    let server;
+    let baseUrl;
+    let alice;
+    let bob;
+
+    before(async () => {
+        alice = apiKeys.issue({ name: 'alice', tier: 'pro' });
+        bob = apiKeys.issue({ name: 'bob', tier: 'pro' });
+
+        const app = express();
+        app.use(express.json());
+        app.use('/portfolio', Auth.authenticate, portfolioRoutes);
+        server = app.listen(0);
+        await once(server, 'listening');
+        baseUrl = `http://127.0.0.1:${server.address().port}/portfolio`;
+    });
+
+    after(() => server.close());
+
+    const call = async (path, { key, method = 'GET', body } = {}) => {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { ...(key && { 'X-API-Key': key.key }), ...(body && { 'Content-Type': 'application/json' }) },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    it('una key no ve ni cierra las posiciones de otra', async () => {
+        const position = open('ALICEUSDT', alice.id);
+
+        assert.deepEqual((await call('/positions', { key: bob })).body, []);
+        assert.equal((await call(`/positions/${position.id}`, { key: bob })).status, 404);
+        assert.equal((await call(`/positions/${position.id}/close`, { key: bob, method: 'POST' })).status, 404);
+
+        const own = await call('/positions', { key: alice });
+        assert.deepEqual(own.body.map(p => p.id), [position.id]);
+        assert.equal((await call('/positions', {})).body.some(p => p.id === position.id), false);
+    });
+
+    it('reset y ajustes solo afectan a la cartera de la key', async () => {
+        open('ALICE2USDT', alice.id);
+        const before = portfolio.listPositions(alice.id).length;
+
+        assert.equal((await call('/settings', { key: bob, method: 'PUT', body: { positionSize: 321 } })).body.positionSize, 321);
+        assert.equal((await call('/reset', { key: bob, method: 'POST' })).status, 200);
+
+        assert.equal(portfolio.listPositions(alice.id).length, before);
+        assert.notEqual(portfolio.getSettings(alice.id).positionSize, 321);
+        assert.equal((await call('/settings', { key: alice })).body.positionSize, CONFIG.PAPER_POSITION_SIZE);
+    });
+
+    it('sin key se puede consultar pero no modificar', async () => {
+        assert.equal((await call('/', {})).status, 200);
+        for (const [path, method, body] of [['/reset', 'POST'], ['/settings', 'PUT', { positionSize: 1 }], ['/positions', 'POST', { symbol: 'BTCUSDT' }]]) {
+            const response = await call(path, { method, body });
+            assert.equal(response.status, 401, path);
+            assert.match(response.body.error, /API key requerida/);
+        }
+    });
+
+    it('evaluate cierra posiciones en cada cartera con su owner', async () => {
+        portfolio.reset(alice.id);
+        portfolio.reset(bob.id);
+        open('SHAREDUSDT', alice.id);
+        open('SHAREDUSDT', bob.id);
+
+        const { closed } = await portfolio.evaluate([ticker('SHAREDUSDT', 1.5)]);
+        assert.equal(closed.length, 2);
+        assert.equal(portfolio.getSummary(alice.id).closedTrades, 1);
+        assert.equal(portfolio.getSummary(bob.id).closedTrades, 1);
+    });
+
+    it('migra el estado global anterior a la cartera anónima', () => {
+        const data = { positions: [], trades: [{ pnl: 5 }], settings: {} };
+        const store = PaperPortfolio.load();
+        const saved = { ...store };
+        for (const key of Object.keys(store)) delete store[key];
+        Object.assign(store, data);
+        try {
+            assert.deepEqual(Object.keys(PaperPortfolio.load().portfolios), ['anonymous']);
+            assert.deepEqual(portfolio.listTrades(), [{ pnl: 5 }]);
+        } finally {
+            for (const key of Object.keys(store)) delete store[key];
+            Object.assign(store, saved);
+        }
+    });
+});
@@ -0,0 +1,176 @@
+require('./helpers/env');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Providers = require('../src/providers');
+
+// Respuestas grabadas de cada exchange (test/fixtures/providers/<exchange>.json)
+const fixture = name => require(`./fixtures/providers/${name}.json`);
+
+// Sustituye el cliente HTTP del proveedor: responde según la ruta y guarda las peticiones
+function stubClient(t, provider, responses) {
+    const calls = [];
+    t.mock.method(provider.client, 'get', async (path, { params = {} } = {}) => {
+        calls.push({ path, params });
+        if (!(path in responses)) throw new Error(`Ruta no grabada: ${path}`);
+        return responses[path];
+    });
+    return calls;
+}
+
+// Velas comunes a todos los fixtures, en orden cronológico tras getCandles
+const CANDLES = [
+    { timestamp: 1717999200000, open: 66900, high: 67150, low: 66800, close: 67100 },
+    { timestamp: 1718002800000, open: 67100, high: 67300, low: 67050, close: 67250 }
+];
+
+function assertCandles(candles, volumes) {
+    assert.equal(candles.length, CANDLES.length);
+    candles.forEach((candle, i) => {
+        const { timestamp, open, high, low, close } = candle;
+        assert.deepEqual({ timestamp, open, high, low, close: Math.round(close) }, CANDLES[i]);
+        assert.deepEqual([candle.volume, candle.quoteVolume], volumes[i]);
+    });
+}
+
+describe('OkxProvider', () => {
+    const provider = Providers.get('okx');
+    const data = fixture('okx');
+
+    it('normaliza tickers SPOT (volumen en base y en cotización)', async t => {
+        stubClient(t, provider, { '/api/v5/market/tickers': data.tickers });
+        const [btc, eth] = await provider.getTickers();
+
+        assert.deepEqual(btc, {
+            exchange: 'okx', symbol: 'BTCUSDT', baseAsset: 'BTC', quoteAsset: 'USDT',
+            lastPrice: 67250.1, openPrice: 65000, highPrice: 67800, lowPrice: 64800.5,
+            priceChangePercent: 3.462, volume: 9180.5, quoteVolume: 612345678.9, count: null
+        });
+        assert.equal(eth.symbol, 'ETHBTC');
+        assert.equal(eth.priceChangePercent, 5);
+    });
+
+    it('normaliza velas (más reciente primero → orden cronológico)', async t => {
+        stubClient(t, provider, { '/api/v5/market/candles': data.candles });
+        assertCandles(await provider.getCandles('BTCUSDT', '1h', 2), [[20.25, 1358000], [12.5, 840000]]);
+    });
+
+    it('getTicker usa el endpoint de un instrumento', async t => {
+        const calls = stubClient(t, provider, { '/api/v5/market/ticker': data.ticker });
+        const ticker = await provider.getTicker('BTCUSDT');
+
+        assert.deepEqual(calls, [{ path: '/api/v5/market/ticker', params: { instId: 'BTC-USDT' } }]);
+        assert.equal(ticker.symbol, 'BTCUSDT');
+        assert.equal(ticker.lastPrice, 67300);
+    });
+});
+
+describe('BybitProvider', () => {
+    const provider = Providers.get('bybit');
+    const data = fixture('bybit');
+
+    it('normaliza tickers spot (price24hPcnt como fracción)', async t => {
+        stubClient(t, provider, { '/v5/market/tickers': data.tickers });
+        const [btc, sol] = await provider.getTickers();
+
+        assert.deepEqual(btc, {
+            exchange: 'bybit', symbol: 'BTCUSDT', baseAsset: 'BTC', quoteAsset: 'USDT',
+            lastPrice: 67250.1, openPrice: 65000, highPrice: 67800, lowPrice: 64800.5,
+            priceChangePercent: 3.46, volume: 6800.25, quoteVolume: 455000000.5, count: null
+        });
+        assert.equal(sol.quoteAsset, 'USDC');
+        assert.equal(sol.priceChangePercent, -6.13);
+    });
+
+    it('normaliza velas (turnover como volumen en cotización)', async t => {
+        stubClient(t, provider, { '/v5/market/kline': data.candles });
+        assertCandles(await provider.getCandles('BTCUSDT', '1h', 2), [[20.25, 1358000], [12.5, 840000]]);
+    });
+
+    it('getTicker filtra /v5/market/tickers por símbolo', async t => {
+        const calls = stubClient(t, provider, { '/v5/market/tickers': data.ticker });
+        const ticker = await provider.getTicker('BTCUSDT');
+
+        assert.deepEqual(calls, [{ path: '/v5/market/tickers', params: { category: 'spot', symbol: 'BTCUSDT' } }]);
+        assert.equal(ticker.lastPrice, 67300);
+    });
+
+    it('getTicker devuelve null si el símbolo no existe', async t => {
+        stubClient(t, provider, { '/v5/market/tickers': { retCode: 10001, retMsg: 'Not supported symbols', result: {} } });
+        assert.equal(await provider.getTicker('NOPEUSDT'), null);
+    });
+});
+
+describe('CoinbaseProvider', () => {
+    const provider = Providers.get('coinbase');
+    const data = fixture('coinbase');
+
+    it('normaliza productos online (volumen en cotización = volumen × precio)', async t => {
+        stubClient(t, provider, { '/api/v3/brokerage/market/products': data.tickers });
+        const tickers = await provider.getTickers();
+
+        assert.deepEqual(tickers.map(ticker => ticker.symbol), ['BTCUSD', 'ETHEUR']);
+        assert.deepEqual(tickers[0], {
+            exchange: 'coinbase', symbol: 'BTCUSD', baseAsset: 'BTC', quoteAsset: 'USD',
+            lastPrice: 67250.1, openPrice: null, highPrice: null, lowPrice: null,
+            priceChangePercent: 3.46, volume: 9180.5, quoteVolume: 9180.5 * 67250.1, count: null
+        });
+    });
+
+    it('normaliza velas (start en segundos)', async t => {
+        stubClient(t, provider, { '/api/v3/brokerage/market/products/BTC-USD/candles': data.candles });
+        assertCandles(await provider.getCandles('BTCUSD', '1h', 2), [[20, 20 * 67100], [12, 12 * 67250]]);
+    });
+
+    it('getTicker usa el endpoint del producto', async t => {
+        const calls = stubClient(t, provider, { '/api/v3/brokerage/market/products/BTC-USD': data.ticker });
+        const ticker = await provider.getTicker('BTCUSD');
+
+        assert.deepEqual(calls.map(call => call.path), ['/api/v3/brokerage/market/products/BTC-USD']);
+        assert.equal(ticker.lastPrice, 67300);
+        assert.equal(ticker.priceChangePercent, 3.54);
+    });
+
+    it('getTicker devuelve null con 404', async t => {
+        t.mock.method(provider.client, 'get', async () => {
+            throw Object.assign(new Error('coinbase respondió 404'), { code: 'CLIENT_ERROR', status: 404 });
+        });
+        assert.equal(await provider.getTicker('NOPEUSD'), null);
+    });
+});
+
+describe('KucoinProvider', () => {
+    const provider = Providers.get('kucoin');
+    const data = fixture('kucoin');
+
+    it('normaliza tickers (changeRate como fracción)', async t => {
+        stubClient(t, provider, { '/api/v1/market/allTickers': data.tickers });
+        const [btc, kcs] = await provider.getTickers();
+
+        assert.deepEqual(btc, {
+            exchange: 'kucoin', symbol: 'BTCUSDT', baseAsset: 'BTC', quoteAsset: 'USDT',
+            lastPrice: 67250.1, openPrice: null, highPrice: 67800, lowPrice: 64800.5,
+            priceChangePercent: 3.46, volume: 3100.5, quoteVolume: 205000000.25, count: null
+        });
+        assert.equal(kcs.symbol, 'KCSBTC');
+        assert.equal(kcs.priceChangePercent, -1.2);
+    });
+
+    it('normaliza velas (orden open, close, high, low)', async t => {
+        stubClient(t, provider, { '/api/v1/market/candles': data.candles });
+        assertCandles(await provider.getCandles('BTCUSDT', '1h', 2), [[20.25, 1358000], [12.5, 840000]]);
+    });
+
+    it('getTicker usa /market/stats', async t => {
+        const calls = stubClient(t, provider, { '/api/v1/market/stats': data.ticker });
+        const ticker = await provider.getTicker('BTCUSDT');
+
+        assert.deepEqual(calls, [{ path: '/api/v1/market/stats', params: { symbol: 'BTC-USDT' } }]);
+        assert.equal(ticker.symbol, 'BTCUSDT');
+        assert.equal(ticker.lastPrice, 67300);
+    });
+
+    it('getTicker devuelve null si el símbolo no cotiza', async t => {
+        stubClient(t, provider, { '/api/v1/market/stats': data.unknownTicker });
+        assert.equal(await provider.getTicker('NOPEUSDT'), null);
+    });
+});
@@ -0,0 +1,240 @@
+require('./helpers/env');
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const CONFIG = require('../src/config');
+const Rankings = require('../src/rankings');
+const RankingQuery = require('../src/rankingQuery');
+const Strategies = require('../src/strategies');
+const RankingPipeline = require('../src/rankingPipeline');
+const anomalyDetector = require('../src/anomalyDetector');
+const liquidity = require('../src/liquidity');
+const TechnicalAnalysis = require('../src/technicalAnalysis');
+const { makeTickers, fakeProvider, technicals } = require('./helpers/market');
+
+const TICKERS = makeTickers(60);
+const TOTAL = TICKERS.length;
+const provider = fakeProvider(TICKERS);
+
+const explosionQuery = query => RankingQuery.parse(query, Rankings.explosionDefaults('USDT'));
+
+// Resultado de LiquidityAnalyzer.analyze con lo que usan applyToRecommendation y summarize
+const liquidityAnalysis = (illiquid = false) => ({
+    spreadPercent: illiquid ? 3 : 0.05,
+    depth: { '2%': { bid: 50000, ask: 50000 } },
+    imbalance: 0,
+    slippage: { orderSize: 1000, buy: { percent: 0.1 } },
+    risk: { score: illiquid ? 80 : 10, level: illiquid ? 'VERY_HIGH' : 'LOW', illiquid, reasons: [] },
+    illiquid
+});
+
+const scores = items => items.map(item => item.analysis.totalScore);
+const isSortedDesc = values => values.every((value, i) => i === 0 || values[i - 1] >= value);
+
+// El ranking completo sin reescores: referencia de qué símbolos debe contener cada página
+async function basePage(query) {
+    return RankingPipeline.rankPage(provider, explosionQuery(query), Strategies.get());
+}
+
+describe('RankingPipeline.rankPage', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('sin reescores pagina todo el universo', async () => {
+        const page = await basePage({ offset: '20', limit: '5' });
+        assert.equal(page.total, TOTAL);
+        assert.equal(page.items.length, 5);
+    });
+
+    describe('anomalies', () => {
+        const options = { anomalies: true };
+        const clean = { score: 0, level: 'LOW', flagged: false, penalty: 0, signals: [] };
+
+        it('devuelve páginas completas fuera de la ventana analizada', async () => {
+            mock.method(anomalyDetector, 'analyze', async () => clean);
+
+            for (const [offset, limit, expected] of [[20, 5, 5], [0, 30, 30], [TOTAL - 5, 10, 5]]) {
+                const query = { offset: String(offset), limit: String(limit) };
+                const page = await RankingPipeline.rankPage(provider, explosionQuery(query), Strategies.get(), options);
+                const base = await basePage(query);
+                assert.equal(page.total, TOTAL);
+                assert.equal(page.items.length, expected, `offset=${offset} limit=${limit}`);
+                assert.deepEqual(page.items.map(item => item.token.symbol), base.items.map(item => item.token.symbol));
+            }
+        });
+
+        it('solo analiza la ventana y reordena el ranking completo con la penalización', async () => {
+            const [leader] = (await basePage({ limit: '1' })).items.map(item => item.token.symbol);
+            const analyzed = [];
+            mock.method(anomalyDetector, 'analyze', async token => {
+                analyzed.push(token.symbol);
+                return token.symbol === leader ? { ...clean, score: 100, level: 'HIGH', flagged: true, penalty: 60 } : clean;
+            });
+
+            const page = await RankingPipeline.rankPage(provider, explosionQuery({ limit: String(TOTAL) }), Strategies.get(), options);
+            assert.equal(analyzed.length, Math.min(CONFIG.ANOMALY_WINDOW_MAX, TOTAL * 2));
+            assert.equal(page.items.length, TOTAL);
+            assert.ok(isSortedDesc(scores(page.items)));
+            assert.notEqual(page.items[0].token.symbol, leader);
+            assert.equal(page.items.find(item => item.token.symbol === leader).manipulation.flagged, true);
+        });
+    });
+
+    describe('liquidity', () => {
+        const options = { liquidity: { orderSize: 1000 } };
+
+        it('devuelve páginas completas más allá de LIQUIDITY_ENRICH_MAX', async () => {
+            const analyzed = [];
+            mock.method(liquidity, 'analyze', async symbol => {
+                analyzed.push(symbol);
+                return liquidityAnalysis();
+            });
+
+            for (const [offset, limit, expected] of [[20, 5, 5], [0, 30, 30], [TOTAL - 5, 10, 5]]) {
+                const query = { offset: String(offset), limit: String(limit) };
+                const page = await RankingPipeline.rankPage(provider, explosionQuery(query), Strategies.get(), options);
+                assert.equal(page.total, TOTAL);
+                assert.equal(page.excluded, 0);
+                assert.equal(page.items.length, expected, `offset=${offset} limit=${limit}`);
+            }
+            assert.ok(analyzed.length <= 3 * CONFIG.LIQUIDITY_ENRICH_MAX);
+        });
+
+        it('descarta los ilíquidos de la ventana y conserva el resto del ranking', async () => {
+            const illiquid = (await basePage({ limit: '2' })).items.map(item => item.token.symbol);
+            mock.method(liquidity, 'analyze', async symbol => liquidityAnalysis(illiquid.includes(symbol)));
+
+            const page = await RankingPipeline.rankPage(provider, explosionQuery({ offset: '0', limit: String(TOTAL) }), Strategies.get(), options);
+            assert.equal(page.excluded, 2);
+            assert.equal(page.total, TOTAL - 2);
+            assert.equal(page.items.length, TOTAL - 2);
+            assert.ok(!page.items.some(item => illiquid.includes(item.token.symbol)));
+            assert.equal(page.items.filter(item => item.liquidity).length, CONFIG.LIQUIDITY_ENRICH_MAX - 2);
+        });
+    });
+
+    describe('technical', () => {
+        const options = { technical: true };
+
+        it('devuelve páginas completas más allá de TECHNICAL_RESCORE_MAX', async () => {
+            const analyzed = [];
+            mock.method(TechnicalAnalysis, 'analyzeTechnicals', async symbol => {
+                analyzed.push(symbol);
+                return technicals();
+            });
+
+            for (const [offset, limit, expected] of [[20, 5, 5], [40, 20, 20], [TOTAL - 5, 10, 5]]) {
+                const query = { offset: String(offset), limit: String(limit) };
+                const page = await RankingPipeline.rankPage(provider, explosionQuery(query), Strategies.get(), options);
+                assert.equal(page.total, TOTAL);
+                assert.equal(page.items.length, expected, `offset=${offset} limit=${limit}`);
+                assert.ok(isSortedDesc(scores(page.items)));
+            }
+            assert.ok(analyzed.length <= 3 * CONFIG.TECHNICAL_RESCORE_MAX);
+        });
+
+        it('reordena el ranking completo con el score técnico de la ventana', async () => {
+            mock.method(TechnicalAnalysis, 'analyzeTechnicals', async () => technicals({ rsi: '80.00', trend: 'BEARISH' }));
+
+            const page = await RankingPipeline.rankPage(provider, explosionQuery({ limit: String(TOTAL) }), Strategies.get(), options);
+            const rescored = page.items.filter(item => item.technicals);
+            assert.equal(page.items.length, TOTAL);
+            assert.equal(rescored.length, Math.min(CONFIG.TECHNICAL_RESCORE_MAX, TOTAL * 2));
+            assert.ok(isSortedDesc(scores(page.items)));
+        });
+    });
+
+    describe('levels', () => {
+        it('conserva volatilityAdjusted tras el reescore por anomalías y la liquidez', async () => {
+            mock.method(TechnicalAnalysis, 'analyzeTechnicals', async () => technicals());
+            mock.method(anomalyDetector, 'analyze', async () => ({ score: 40, level: 'MEDIUM', flagged: false, penalty: 5, signals: [] }));
+            mock.method(liquidity, 'analyze', async () => liquidityAnalysis());
+
+            const options = { technical: true, levels: true, anomalies: true, liquidity: { orderSize: 1000 } };
+            const page = await RankingPipeline.rankPage(provider, explosionQuery({ limit: '10' }), Strategies.get(), options);
+            assert.equal(page.items.length, 10);
+            for (const item of page.items) {
+                const { recommendation } = item.analysis;
+                assert.ok(item.manipulation, item.token.symbol);
+                if (recommendation.buyPrice === null) continue;
+                assert.equal(recommendation.volatilityAdjusted.method, 'ATR', item.token.symbol);
+                assert.ok(recommendation.volatilityAdjusted.stopLoss < recommendation.buyPrice);
+            }
+            assert.ok(page.items.some(item => item.analysis.recommendation.volatilityAdjusted));
+        });
+    });
+});
+
+describe('Rankings del feed en vivo', () => {
+    // Un ticker fuera del universo por defecto (volumen bajo) que antes colaba en top-gainers
+    const tickers = [...TICKERS, { ...TICKERS[0], symbol: 'THINUSDT', priceChangePercent: 500, quoteVolume: 1000 }];
+    const gainerQuery = query => RankingQuery.parse(query, Rankings.gainerDefaults('USDT'));
+
+    it('usan los defaults y el límite de RankingQuery, como los endpoints sin query', async () => {
+        const explosion = await basePage({});
+        assert.deepEqual(Rankings.buildExplosionCandidates(tickers).map(item => item.symbol), explosion.items.map(item => item.token.symbol));
+
+        const gainers = await RankingPipeline.rankPage(fakeProvider(tickers), gainerQuery({}), Strategies.get());
+        const built = Rankings.buildTopGainers(tickers);
+        assert.equal(built.length, 5);
+        assert.deepEqual(built.map(item => item.symbol), gainers.items.map(item => item.token.symbol));
+        assert.ok(!built.some(item => item.symbol === 'THINUSDT'));
+    });
+
+    it('aceptan params de RankingQuery para cambiar el límite', () => {
+        assert.equal(Rankings.buildTopGainers(tickers, gainerQuery({ limit: '12' }).params).length, 12);
+        assert.equal(Rankings.buildExplosionCandidates(tickers, explosionQuery({ limit: '8' }).params).length, 8);
+    });
+});
+
+describe('Rankings.buildSmartAnalysis y buildMarketSentiment', () => {
+    const make = (symbol, priceChangePercent, quoteVolume) => ({ ...TICKERS[0], symbol, baseAsset: symbol.slice(0, -4), priceChangePercent, quoteVolume });
+    const tickers = [
+        make('AAAUSDT', 20, 2e6),
+        make('BBBUSDT', 16, 3e6),
+        make('CCCUSDT', 5, 2e7),
+        make('DDDUSDT', 5, 5e6),
+        make('EEEUSDT', 9, 3e7),
+        make('FFFUSDT', -3, 4e6)
+    ];
+    const smartQuery = query => RankingQuery.parse(query, Rankings.smartDefaults('USDT')).params;
+    const symbols = items => items.map(item => item.symbol);
+
+    it('universo vacío: sentimiento NEUTRAL y estadísticas null en vez de NaN', () => {
+        assert.deepEqual(Rankings.buildMarketSentiment([]), {
+            marketSentiment: 'NEUTRAL',
+            marketStats: { totalTokens: 0, positiveTokens: 0, bullishPercentage: null, avgChange: null }
+        });
+
+        const analysis = Rankings.buildSmartAnalysis([], smartQuery({}));
+        assert.deepEqual(analysis.explosionAlerts, []);
+        assert.deepEqual(analysis.safeInvestments, []);
+        assert.equal(analysis.marketStats.bullishPercentage, null);
+    });
+
+    it('las secciones usan los umbrales de CONFIG', t => {
+        const analysis = Rankings.buildSmartAnalysis(tickers, smartQuery({}));
+        assert.deepEqual(symbols(analysis.explosionAlerts).sort(), ['AAAUSDT', 'BBBUSDT']);
+        assert.deepEqual(symbols(analysis.safeInvestments), ['CCCUSDT']);
+        assert.equal(analysis.marketStats.bullishPercentage, '83.3');
+
+        const minChange = CONFIG.SMART_ALERT_MIN_CHANGE;
+        CONFIG.SMART_ALERT_MIN_CHANGE = 18;
+        t.after(() => {
+            CONFIG.SMART_ALERT_MIN_CHANGE = minChange;
+        });
+        assert.deepEqual(symbols(Rankings.buildSmartAnalysis(tickers, smartQuery({})).explosionAlerts), ['AAAUSDT']);
+    });
+
+    it('los filtros, el orden y el límite de la query se aplican a cada sección', () => {
+        const bySort = query => symbols(Rankings.buildSmartAnalysis(tickers, smartQuery(query)).explosionAlerts);
+        assert.deepEqual(bySort({ sort: 'change' }), ['AAAUSDT', 'BBBUSDT']);
+        assert.deepEqual(bySort({ sort: 'change', order: 'asc' }), ['BBBUSDT', 'AAAUSDT']);
+        assert.deepEqual(bySort({ sort: 'change', limit: '1' }), ['AAAUSDT']);
+        assert.deepEqual(bySort({ minChange: '17' }), ['AAAUSDT']);
+        assert.deepEqual(bySort({ exclude: 'AAAUSDT' }), ['BBBUSDT']);
+
+        // Un filtro de la query más estricto que el umbral de la sección gana
+        const safe = Rankings.buildSmartAnalysis(tickers, smartQuery({ minVolume: '25000000', maxChange: '10' })).safeInvestments;
+        assert.deepEqual(symbols(safe), []);
+        assert.deepEqual(symbols(Rankings.buildSmartAnalysis(tickers, smartQuery({ minVolume: '15000000' })).safeInvestments), ['CCCUSDT']);
+    });
+});
@@ -0,0 +1,78 @@
+require('./helpers/env');
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CONFIG = require('../src/config');
+const { ReportScheduler } = require('../src/reports');
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Tiempo de espera agotado');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+};
+
+describe('ReportScheduler.run', () => {
+    const config = { base: CONFIG.REPORTS_RETRY_BASE_MS, retries: CONFIG.REPORTS_MAX_RETRIES };
+    let scheduler;
+
+    before(() => {
+        CONFIG.REPORTS_RETRY_BASE_MS = 10;
+        CONFIG.REPORTS_MAX_RETRIES = 2;
+    });
+
+    after(() => {
+        CONFIG.REPORTS_RETRY_BASE_MS = config.base;
+        CONFIG.REPORTS_MAX_RETRIES = config.retries;
+    });
+
+    afterEach(() => scheduler.stop());
+
+    // generate() falla (null) las `failures` primeras veces y guarda cuándo se llamó
+    const failing = (t, failures) => {
+        scheduler = new ReportScheduler();
+        const calls = [];
+        t.mock.method(scheduler, 'generate', async now => {
+            calls.push({ now, at: Date.now() });
+            return calls.length > failures ? { day: new Date(now).toISOString().slice(0, 10) } : null;
+        });
+        return calls;
+    };
+
+    it('reintenta con backoff exponencial el informe del mismo día hasta generarlo', async t => {
+        const calls = failing(t, 2);
+        const now = Date.parse('2024-05-01T00:05:00Z');
+
+        assert.equal(await scheduler.run(now), null);
+        const { retry } = scheduler.getStatus();
+        assert.equal(retry.day, '2024-05-01');
+        assert.equal(retry.attempt, 1);
+
+        await waitFor(() => calls.length === 3);
+        assert.ok(calls.every(call => call.now === now));
+        assert.ok(calls[1].at - calls[0].at >= 9);
+        assert.ok(calls[2].at - calls[1].at >= 19);
+        await waitFor(() => scheduler.retry === null);
+    });
+
+    it('deja de reintentar tras REPORTS_MAX_RETRIES', async t => {
+        const calls = failing(t, Infinity);
+        await scheduler.run();
+
+        await waitFor(() => calls.length === 3);
+        await new Promise(resolve => setTimeout(resolve, 80));
+        assert.equal(calls.length, 3);
+        assert.equal(scheduler.retry, null);
+        assert.equal(scheduler.retryTimer, null);
+    });
+
+    it('stop cancela el reintento pendiente', async t => {
+        const calls = failing(t, Infinity);
+        await scheduler.run();
+        scheduler.stop();
+
+        await new Promise(resolve => setTimeout(resolve, 40));
+        assert.equal(calls.length, 1);
+        assert.equal(scheduler.getStatus().retry, null);
+    });
+});
@@ -0,0 +1,196 @@
+require('./helpers/env');
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const CONFIG = require('../src/config');
+const RiskManager = require('../src/riskManager');
+const TechnicalAnalysis = require('../src/technicalAnalysis');
+const { FakeUpstream } = require('./helpers/upstream');
+const { technicals } = require('./helpers/market');
+
+// Cambia claves de CONFIG durante un test
+function withConfig(t, values) {
+    const previous = Object.fromEntries(Object.keys(values).map(key => [key, CONFIG[key]]));
+    Object.assign(CONFIG, values);
+    t.after(() => Object.assign(CONFIG, previous));
+}
+
+const withAtr = (atr, volatility = '2.00') => technicals({ volatility, indicators: atr === undefined ? {} : { atr } });
+
+describe('RiskManager.levels', () => {
+    it('coloca el stop a RISK_ATR_MULTIPLIER × ATR y el objetivo a RISK_REWARD_RATIO veces esa distancia', () => {
+        assert.deepEqual(RiskManager.levels(100, withAtr('1')), {
+            method: 'ATR',
+            interval: '1h',
+            atr: 1,
+            atrPercent: 1,
+            multiplier: 2,
+            rewardRisk: 2,
+            stopLoss: 98,
+            stopPercent: 2,
+            sellTarget: 104,
+            targetPercent: 4,
+            clamped: false
+        });
+
+        const custom = RiskManager.levels(100, withAtr('1'), { atrMultiplier: 3, rewardRisk: 1.5 });
+        assert.deepEqual([custom.stopLoss, custom.sellTarget, custom.targetPercent], [97, 104.5, 4.5]);
+    });
+
+    it('con ATR a cero o ausente usa la volatilidad de los retornos; sin ninguna devuelve null', () => {
+        for (const atr of ['0', undefined]) {
+            const levels = RiskManager.levels(100, withAtr(atr));
+            assert.deepEqual([levels.method, levels.atr, levels.atrPercent], ['VOLATILITY', null, null], String(atr));
+            assert.deepEqual([levels.stopLoss, levels.stopPercent, levels.sellTarget], [96, 4, 108], String(atr));
+        }
+
+        assert.equal(RiskManager.levels(100, withAtr('0', '0')), null);
+        assert.equal(RiskManager.levels(100, technicals({ volatility: undefined, indicators: {} })), null);
+        assert.equal(RiskManager.levels(100, null), null);
+        assert.equal(RiskManager.levels(0, withAtr('1')), null);
+    });
+
+    it('acota la distancia a [RISK_MIN_STOP_PERCENT, RISK_MAX_STOP_PERCENT] aunque el ATR supere el precio', () => {
+        // 2 × 80 = 160 de distancia sobre un precio de 100
+        const wide = RiskManager.levels(100, withAtr('80'));
+        assert.deepEqual([wide.stopLoss, wide.stopPercent, wide.sellTarget, wide.clamped], [75, CONFIG.RISK_MAX_STOP_PERCENT, 150, true]);
+
+        const tight = RiskManager.levels(100, withAtr('0.1'));
+        assert.deepEqual([tight.stopLoss, tight.stopPercent, tight.sellTarget, tight.clamped], [99.5, CONFIG.RISK_MIN_STOP_PERCENT, 101, true]);
+    });
+});
+
+describe('RiskManager.size', () => {
+    it('arriesga riskPercent del capital entre la entrada y el stop', () => {
+        assert.deepEqual(RiskManager.size({ equity: 10000, riskPercent: 1, entryPrice: 100, stopLoss: 96, sellTarget: 108 }), {
+            quantity: 25,
+            value: 2500,
+            percentOfEquity: 25,
+            riskAmount: 100,
+            capped: false,
+            expectedLoss: 100,
+            expectedLossPercent: 1,
+            expectedProfit: 200
+        });
+    });
+
+    it('recorta la posición a RISK_MAX_POSITION_PERCENT del capital y con ello la pérdida esperada', () => {
+        // Con el stop a 0.5 harían falta 200 unidades (20000 USDT) para arriesgar 100
+        assert.deepEqual(RiskManager.size({ equity: 10000, riskPercent: 1, entryPrice: 100, stopLoss: 99.5, sellTarget: 101 }), {
+            quantity: 100,
+            value: 10000,
+            percentOfEquity: CONFIG.RISK_MAX_POSITION_PERCENT,
+            riskAmount: 100,
+            capped: true,
+            expectedLoss: 50,
+            expectedLossPercent: 0.5,
+            expectedProfit: 100
+        });
+    });
+
+    it('devuelve null si el stop no queda entre 0 y el precio de entrada', () => {
+        for (const stopLoss of [100, 120, 0, -60, undefined]) {
+            assert.equal(RiskManager.size({ equity: 10000, riskPercent: 1, entryPrice: 100, stopLoss, sellTarget: 108 }), null, String(stopLoss));
+        }
+    });
+});
+
+describe('RiskManager.validateRequest', () => {
+    it('enumera los errores del cuerpo', () => {
+        assert.deepEqual(RiskManager.validateRequest(null), ['El cuerpo debe ser un objeto JSON']);
+        assert.deepEqual(RiskManager.validateRequest({ symbol: ' ', equity: '1000', riskPercent: CONFIG.RISK_MAX_PERCENT + 1, entryPrice: 0, atrMultiplier: -1, interval: 4 }), [
+            '"symbol" es obligatorio',
+            '"equity" debe ser un número mayor que 0',
+            `"riskPercent" debe ser un número mayor que 0 y como máximo ${CONFIG.RISK_MAX_PERCENT}`,
+            '"entryPrice" debe ser un número mayor que 0',
+            '"atrMultiplier" debe ser un número mayor que 0',
+            '"interval" debe ser un texto'
+        ]);
+        assert.deepEqual(RiskManager.validateRequest({ symbol: 'SOLUSDT', equity: 1000 }), []);
+    });
+});
+
+describe('POST /api/position-size', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        new FakeUpstream().install(mock);
+        const app = require('../index');
+
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/position-size`;
+    });
+
+    after(() => {
+        server.close();
+        mock.restoreAll();
+    });
+
+    const post = async body => {
+        const response = await fetch(baseUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+        return { status: response.status, body: await response.json() };
+    };
+
+    it('calcula stop, objetivo y tamaño con el ATR del intervalo pedido', async t => {
+        const analyze = t.mock.method(TechnicalAnalysis, 'analyzeTechnicals', async () => withAtr('2'));
+
+        const { status, body } = await post({ equity: 10000, symbol: 'solusdt', entryPrice: 100 });
+        assert.equal(status, 200);
+        assert.deepEqual(analyze.mock.calls[0].arguments, ['SOLUSDT', CONFIG.RISK_ATR_INTERVAL, CONFIG.KLINE_LOOKBACK, 'binance']);
+        assert.deepEqual([body.symbol, body.exchange, body.entryPrice, body.equity, body.riskPercent], ['SOLUSDT', 'binance', 100, 10000, CONFIG.RISK_DEFAULT_PERCENT]);
+        assert.deepEqual([body.levels.method, body.levels.stopLoss, body.levels.sellTarget], ['ATR', 96, 108]);
+        assert.deepEqual(body.position, { quantity: 25, value: 2500, percentOfEquity: 25, riskAmount: 100, capped: false });
+        assert.deepEqual([body.expectedLoss, body.expectedLossPercent, body.expectedProfit], [100, 1, 200]);
+
+        // Sin entryPrice se entra al último precio del ticker
+        const atTicker = await post({ equity: 10000, symbol: 'SOLUSDT', interval: '4h' });
+        assert.equal(atTicker.status, 200);
+        assert.equal(analyze.mock.calls[1].arguments[1], '4h');
+        assert.equal(atTicker.body.entryPrice, 45);
+        assert.equal(atTicker.body.levels.stopLoss, 41);
+    });
+
+    it('con ATR a cero o ausente usa la volatilidad y sin ninguna responde 404', async t => {
+        const analyze = t.mock.method(TechnicalAnalysis, 'analyzeTechnicals', async () => withAtr('0'));
+        const zero = await post({ equity: 10000, symbol: 'SOLUSDT', entryPrice: 100 });
+        assert.equal(zero.status, 200);
+        assert.deepEqual([zero.body.levels.method, zero.body.levels.atr, zero.body.levels.stopLoss], ['VOLATILITY', null, 96]);
+
+        analyze.mock.mockImplementation(async () => withAtr(undefined, '0'));
+        const missing = await post({ equity: 10000, symbol: 'SOLUSDT', entryPrice: 100 });
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.error, 'No hay velas suficientes para medir la volatilidad de SOLUSDT');
+    });
+
+    it('una distancia de stop mayor que el precio se acota y nunca deja el stop por debajo de 0', async t => {
+        t.mock.method(TechnicalAnalysis, 'analyzeTechnicals', async () => withAtr('300'));
+        const clamped = await post({ equity: 10000, symbol: 'SOLUSDT', entryPrice: 100 });
+        assert.equal(clamped.status, 200);
+        assert.deepEqual([clamped.body.levels.stopLoss, clamped.body.levels.stopPercent, clamped.body.levels.clamped], [75, CONFIG.RISK_MAX_STOP_PERCENT, true]);
+        assert.deepEqual([clamped.body.position.quantity, clamped.body.expectedLoss], [4, 100]);
+
+        // Con un límite por encima del 100% el stop quedaría negativo: no se calcula el tamaño
+        withConfig(t, { RISK_MAX_STOP_PERCENT: 150 });
+        const negative = await post({ equity: 10000, symbol: 'SOLUSDT', entryPrice: 100 });
+        assert.equal(negative.status, 400);
+        assert.equal(negative.body.error, 'El stop (-50) debe quedar entre 0 y el precio de entrada (100)');
+    });
+
+    it('valida el cuerpo, el exchange, el par y el intervalo', async () => {
+        const invalid = await post({ symbol: 'SOLUSDT', equity: 10000, riskPercent: 50 });
+        assert.equal(invalid.status, 400);
+        assert.equal(invalid.body.error, 'Parámetros inválidos');
+        assert.deepEqual(invalid.body.details, [`"riskPercent" debe ser un número mayor que 0 y como máximo ${CONFIG.RISK_MAX_PERCENT}`]);
+
+        const error = async body => {
+            const response = await post({ equity: 10000, symbol: 'SOLUSDT', ...body });
+            return [response.status, response.body.error];
+        };
+        const [status, message] = await error({ exchange: 'mtgox' });
+        assert.equal(status, 400);
+        assert.match(message, /^Exchange no soportado/);
+        assert.deepEqual(await error({ symbol: 'SOLBTC' }), [400, 'Solo se admiten pares USDT']);
+        assert.match((await error({ interval: '7m' }))[1], /^Intervalo inválido/);
+    });
+});
@@ -0,0 +1,192 @@
+require('./helpers/env');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CONFIG = require('../src/config');
+const ScanQuery = require('../src/scanQuery');
+const { ResilientClient } = require('../src/httpClient');
+const { MarketScanner } = require('../src/scanner');
+const { INTERVAL_MS } = require('../src/binance');
+
+const HOUR_MS = INTERVAL_MS['1h'];
+
+const parse = text => {
+    const result = ScanQuery.parse(text);
+    assert.deepEqual(result.errors, [], text);
+    return result;
+};
+const errorOf = text => {
+    const { errors, ast } = ScanQuery.parse(text);
+    assert.equal(ast, null, text);
+    assert.equal(errors.length, 1, text);
+    assert.equal(errors[0].param, 'q');
+    return errors[0].message;
+};
+const condition = (field, interval, operator, value) => ({ type: 'condition', field, interval, operator, value });
+
+describe('ScanQuery.parse', () => {
+    it('tokeniza intervalos, números negativos, operadores y palabras sin distinguir mayúsculas', () => {
+        assert.deepEqual(parse('RSI(1h) < 30').ast, condition('rsi', '1h', '<', 30));
+        assert.deepEqual(parse('change>-2.5').ast, condition('change', null, '>', -2.5));
+        assert.deepEqual(parse('  score == 40 ').ast, condition('score', null, '=', 40));
+        assert.deepEqual(parse('VolumeSpike(15m) >= 3').ast, condition('volumeSpike', '15m', '>=', 3));
+
+        // Texto: el operador es opcional y el valor se normaliza a mayúsculas
+        assert.deepEqual(parse('TREND(4h) bullish').ast, condition('trend', '4h', '=', 'BULLISH'));
+        assert.deepEqual(parse('rsiSignal(1d) != oversold').ast, condition('rsiSignal', '1d', '!=', 'OVERSOLD'));
+
+        // Sin intervalo los campos técnicos usan SCAN_DEFAULT_INTERVAL
+        assert.equal(parse('macd > 0').ast.interval, CONFIG.SCAN_DEFAULT_INTERVAL);
+    });
+
+    it('and tiene prioridad sobre or; not se aplica a la condición o al paréntesis siguiente', () => {
+        const a = condition('change', null, '>', 1);
+        const b = condition('score', null, '>', 2);
+        const c = condition('price', null, '<', 3);
+
+        assert.deepEqual(parse('change > 1 or score > 2 and price < 3').ast, { type: 'or', left: a, right: { type: 'and', left: b, right: c } });
+        assert.deepEqual(parse('(change > 1 or score > 2) and price < 3').ast, { type: 'and', left: { type: 'or', left: a, right: b }, right: c });
+        assert.deepEqual(parse('NOT change > 1 and score > 2').ast, { type: 'and', left: { type: 'not', operand: a }, right: b });
+        assert.deepEqual(parse('not (change > 1 and score > 2)').ast, { type: 'not', operand: { type: 'and', left: a, right: b } });
+        assert.deepEqual(parse('not not change > 1').ast, { type: 'not', operand: { type: 'not', operand: a } });
+        assert.deepEqual(parse('change > 1 or score > 2 or price < 3').ast, { type: 'or', left: { type: 'or', left: a, right: b }, right: c });
+    });
+
+    it('normaliza la consulta con los paréntesis mínimos y lista los intervalos en orden', () => {
+        assert.equal(parse('(change>1 OR score>2) AND price<3').normalized, '(change > 1 or score > 2) and price < 3');
+        assert.equal(parse('change>1 or (score>2 and price<3)').normalized, 'change > 1 or score > 2 and price < 3');
+        assert.equal(parse('not (rsi < 30 and trend(4h) bullish)').normalized, 'not (rsi(1h) < 30 and trend(4h) = BULLISH)');
+
+        assert.deepEqual(parse('rsi(4h) < 30 and trend(15m) BULLISH or volumeSpike > 2').intervals, ['15m', '1h', '4h']);
+        assert.deepEqual(parse('change > 1').intervals, []);
+    });
+
+    it('devuelve un error con el formato de RankingQuery para las consultas inválidas', () => {
+        const cases = [
+            ['', /es obligatorio/],
+            ['change > 1 and '.repeat(40), /máximo 500 caracteres/],
+            ['change > 1 & score > 2', /carácter inesperado en la posición \d+: "&"/],
+            ['foo > 1', /campo desconocido "foo"/],
+            ['price(1h) > 1', /price no admite intervalo/],
+            ['rsi(2h) < 30', /intervalo 2h no soportado/],
+            ['rsi(abc) < 30', /se esperaba un intervalo/],
+            ['rsi(1h < 30', /se esperaba "\)"/],
+            ['rsi 30', /falta el operador tras rsi/],
+            ['rsi < oversold', /rsi se compara con un número/],
+            ['trend(4h) > BULLISH', /trend solo admite = o !=/],
+            ['trend SIDEWAYS', /valor inválido para trend/],
+            ['rsi < 30 change > 1', /sobra "change"/],
+            ['rsi < 30 and', /termina de forma incompleta/],
+            ['not', /termina de forma incompleta/],
+            ['(rsi < 30', /se esperaba "\)"/],
+            ['and rsi < 30', /campo desconocido "and"/],
+            [') rsi < 30', /se esperaba un campo y llegó "\)"/]
+        ];
+        for (const [text, pattern] of cases) assert.match(errorOf(text), pattern, text);
+        assert.match(ScanQuery.parse(undefined).errors[0].message, /es obligatorio/);
+    });
+});
+
+describe('ScanQuery.evaluate', () => {
+    const row = {
+        price: 10,
+        change: 5,
+        volume: 1e6,
+        score: 60,
+        technicals: {
+            '1h': { rsi: '28.5', volumeSpike: '3.2', volatility: '1.0', trend: 'BULLISH', rsiSignal: 'OVERSOLD', indicators: { macd: { histogram: '0.4' } } },
+            '4h': null
+        }
+    };
+    const matches = text => ScanQuery.evaluate(parse(text).ast, row);
+
+    it('compara campos del ticker y técnicos por intervalo', () => {
+        assert.equal(matches('RSI(1h) < 30 and trend BULLISH and volumeSpike > 3'), true);
+        assert.equal(matches('macd > 0.5 or change >= 5'), true);
+        assert.equal(matches('rsiSignal != OVERSOLD'), false);
+        assert.equal(matches('not (price < 5 or score < 50)'), true);
+    });
+
+    it('una condición sin datos del intervalo nunca se cumple', () => {
+        assert.equal(matches('rsi(4h) < 100'), false);
+        assert.equal(matches('rsi(15m) < 100'), false);
+        assert.equal(matches('rsi(4h) < 100 or change > 0'), true);
+        assert.equal(ScanQuery.evaluate(parse('rsi < 100').ast, { ...row, technicals: { '1h': { rsi: 'NaN' } } }), false);
+    });
+});
+
+describe('MarketScanner caché incremental de klines', () => {
+    const openHour = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+
+    // Velas 1h de Binance desde `first`; `closeAt` decide el cierre de cada vela
+    const rows = (first, count, closeAt = t => 100 + (t - openHour) / HOUR_MS) => Array.from({ length: count }, (_, i) => {
+        const time = first + i * HOUR_MS;
+        const close = String(closeAt(time));
+        return [time, close, close, close, close, '10', time + HOUR_MS - 1, '1000', 5, '0', '0', '0'];
+    });
+
+    // Sustituye las klines de Binance; registra los parámetros de cada petición
+    function stubKlines(t, respond) {
+        const requests = [];
+        t.mock.method(ResilientClient.prototype, 'get', async function (requestPath, { params = {} } = {}) {
+            assert.equal(requestPath, '/api/v3/klines');
+            requests.push(params);
+            return respond(params);
+        });
+        return requests;
+    }
+
+    it('descarga la serie completa, la sirve desde caché y agrupa peticiones simultáneas', async t => {
+        const scanner = new MarketScanner();
+        const requests = stubKlines(t, () => rows(openHour - (CONFIG.KLINE_LOOKBACK - 1) * HOUR_MS, CONFIG.KLINE_LOOKBACK));
+
+        const [candles, same] = await Promise.all([scanner.getCandles('BTCUSDT', '1h'), scanner.getCandles('BTCUSDT', '1h')]);
+        assert.equal(candles, same);
+        assert.equal(candles.length, CONFIG.KLINE_LOOKBACK);
+        assert.deepEqual(requests, [{ symbol: 'BTCUSDT', interval: '1h', limit: CONFIG.KLINE_LOOKBACK }]);
+
+        assert.equal(await scanner.getCandles('BTCUSDT', '1h'), candles);
+        assert.equal(requests.length, 1);
+        assert.deepEqual({ ...scanner.getStatus(), lastScan: undefined }, { cachedSeries: 1, hits: 1, incremental: 0, full: 1, failures: 0, lastScan: undefined });
+    });
+
+    it('pide solo las velas que faltan desde la última guardada y las fusiona sin duplicados', async t => {
+        const scanner = new MarketScanner();
+        const limit = CONFIG.KLINE_LOOKBACK;
+
+        // Serie guardada hace tres horas: su última vela seguía abierta
+        const staleLast = openHour - 3 * HOUR_MS;
+        const stale = rows(staleLast - (limit - 1) * HOUR_MS, limit).map(([time, , , , close]) => ({ timestamp: time, close: parseFloat(close) }));
+        scanner.series.set('BTCUSDT:1h', { candles: stale, fetchedAt: 0 });
+
+        const requests = stubKlines(t, params => rows(params.startTime, params.limit, time => 200 + (time - openHour) / HOUR_MS));
+        const candles = await scanner.getCandles('BTCUSDT', '1h');
+
+        assert.deepEqual(requests, [{ symbol: 'BTCUSDT', interval: '1h', limit: 4, startTime: staleLast }]);
+        assert.equal(candles.length, limit);
+        assert.equal(candles[candles.length - 1].timestamp, openHour);
+        assert.ok(candles.every((candle, i) => i === 0 || candle.timestamp - candles[i - 1].timestamp === HOUR_MS));
+
+        // La vela que estaba abierta se reemplaza por su versión actual; las anteriores se conservan
+        const at = time => candles.find(candle => candle.timestamp === time);
+        assert.equal(at(staleLast).close, 197);
+        assert.equal(at(staleLast - HOUR_MS).close, 96);
+        assert.equal(candles[0].timestamp, stale[3].timestamp);
+        assert.equal(scanner.getStatus().incremental, 1);
+    });
+
+    it('si Binance no devuelve velas mantiene la serie anterior y reintenta en la siguiente consulta', async t => {
+        const scanner = new MarketScanner();
+        const stale = [{ timestamp: openHour - 2 * HOUR_MS, close: 1 }];
+        scanner.series.set('ETHUSDT:1h', { candles: stale, fetchedAt: 0 });
+
+        const requests = stubKlines(t, () => {
+            throw new Error('503');
+        });
+        assert.equal(await scanner.getCandles('ETHUSDT', '1h'), stale);
+        assert.deepEqual(await scanner.getCandles('SOLUSDT', '1h'), []);
+        assert.equal(await scanner.getCandles('ETHUSDT', '1h'), stale);
+
+        assert.equal(requests.length, 3);
+        assert.equal(scanner.getStatus().failures, 3);
+    });
+});
@@ -0,0 +1,170 @@
+const { dataDir } = require('./helpers/env');
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const CONFIG = require('../src/config');
+const { FakeUpstream } = require('./helpers/upstream');
+
+// Perfil propio: solo puntúa el volumen (100 puntos por encima de 100M, 50 por encima de 1M)
+const volumeOnly = {
+    name: 'volume-only',
+    description: 'Solo liquidez',
+    factors: {
+        volume: { weight: 100, bands: [{ min: 100000000, points: 10 }, { min: 1000000, points: 5 }] }
+    },
+    tiers: { strongBuy: 90, moderateBuy: 60, watch: 30 }
+};
+
+// Los perfiles de DATA_DIR/strategies se cargan al requerir el registro: se escriben antes
+const strategiesDir = path.join(dataDir, 'strategies');
+fs.mkdirSync(strategiesDir, { recursive: true });
+fs.writeFileSync(path.join(strategiesDir, 'volume-only.json'), JSON.stringify(volumeOnly));
+fs.writeFileSync(path.join(strategiesDir, 'broken-tiers.json'), JSON.stringify({ ...volumeOnly, name: 'broken-tiers', tiers: { strongBuy: 10, moderateBuy: 60, watch: 30 } }));
+fs.writeFileSync(path.join(strategiesDir, 'default.json'), JSON.stringify({ ...volumeOnly, name: 'default' }));
+fs.writeFileSync(path.join(strategiesDir, 'truncated.json'), '{"name": "truncated", "factors": {');
+
+const Strategies = require('../src/strategies');
+const ExplosionDetector = require('../src/explosionDetector');
+
+const ticker = quoteVolume => ({ symbol: 'BTCUSDT', lastPrice: '100', highPrice: '110', lowPrice: '90', priceChangePercent: '8', quoteVolume: String(quoteVolume) });
+
+describe('Strategies', () => {
+    it('carga los perfiles JSON de DATA_DIR/strategies junto a los incluidos', () => {
+        assert.deepEqual(Strategies.names(), [CONFIG.DEFAULT_STRATEGY, 'aggressive', 'conservative', 'volume-only']);
+
+        const [listed] = Strategies.list().filter(strategy => strategy.name === 'volume-only');
+        assert.deepEqual(listed, { ...volumeOnly, builtIn: false, isDefault: false });
+        assert.equal(Strategies.list()[0].isDefault, true);
+        assert.equal(Strategies.get('VOLUME-ONLY'), Strategies.get('volume-only'));
+    });
+
+    it('ignora los perfiles inválidos, ilegibles o que reutilizan el nombre de uno incluido', () => {
+        assert.equal(Strategies.get('broken-tiers'), null);
+        assert.equal(Strategies.get('truncated'), null);
+        assert.equal(Strategies.list().find(strategy => strategy.name === 'default').builtIn, true);
+        assert.notDeepEqual(Strategies.get('default').factors, volumeOnly.factors);
+    });
+
+    it('validate enumera los errores del perfil', () => {
+        assert.deepEqual(Strategies.validate(null), ['El perfil debe ser un objeto JSON']);
+        assert.deepEqual(Strategies.validate({ name: 'Mal Nombre' }), [
+            '"name" debe contener solo minúsculas, números, "-" o "_"',
+            '"factors" debe contener al menos un factor'
+        ]);
+
+        assert.deepEqual(Strategies.validate({
+            name: 'bad',
+            factors: {
+                hype: { weight: 10 },
+                momentum: { weight: -1 },
+                volume: { weight: 10, bands: [] },
+                priceChange: { weight: 10, bands: [{ points: 5, min: '5' }, { points: -1 }, { points: 1, max: 'x' }] },
+                technicals: { rsiOversold: '5', moon: 1 }
+            },
+            tiers: { strongBuy: 50, moderateBuy: 50, watch: 10 }
+        }), [
+            'Factor desconocido: hype. Valores permitidos: priceChange, volume, priceAccessibility, volatility, momentum, technicals',
+            'momentum.weight debe ser un número positivo',
+            'volume.bands debe contener al menos una banda',
+            'priceChange.bands[0].min debe ser un número',
+            'priceChange.bands[1].points debe ser un número positivo',
+            'priceChange.bands[2].max debe ser un número',
+            'technicals.rsiOversold debe ser un número',
+            'technicals.moon: valores permitidos: rsiOverbought, rsiOversold, volumeSpike, trendBullish, trendBearish',
+            '"tiers" debe cumplir strongBuy > moderateBuy > watch'
+        ]);
+        assert.deepEqual(Strategies.validate({ ...volumeOnly, tiers: { strongBuy: 90 } }), ['"tiers" debe definir strongBuy, moderateBuy, watch']);
+        assert.deepEqual(Strategies.validate(volumeOnly), []);
+    });
+
+    it('register rechaza un perfil inválido sin tocar el registro', () => {
+        const errors = Strategies.register({ ...volumeOnly, name: 'late', factors: { volume: { weight: 10 } } });
+        assert.deepEqual(errors, ['volume.bands debe contener al menos una banda']);
+        assert.equal(Strategies.get('late'), null);
+    });
+
+    it('el score y los tiers salen del perfil elegido', () => {
+        const strategy = Strategies.get('volume-only');
+        const high = ExplosionDetector.calculateExplosionScore(ticker(200000000), null, strategy);
+        assert.equal(high.totalScore, 100);
+        assert.deepEqual(high.breakdown, { volumeScore: 100 });
+        assert.equal(high.recommendation.action, 'STRONG_BUY');
+        assert.equal(high.strategy, 'volume-only');
+
+        const mid = ExplosionDetector.calculateExplosionScore(ticker(5000000), null, strategy);
+        assert.equal(mid.totalScore, 50);
+        assert.equal(mid.recommendation.action, 'WATCH');
+        assert.equal(ExplosionDetector.calculateExplosionScore(ticker(100), null, strategy).recommendation.action, 'AVOID');
+    });
+});
+
+describe('estrategia por petición', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        new FakeUpstream().install(mock);
+        const app = require('../index');
+
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    });
+
+    after(() => {
+        server.close();
+        mock.restoreAll();
+    });
+
+    const get = async path => {
+        const response = await fetch(`${baseUrl}${path}`);
+        return { status: response.status, body: await response.json() };
+    };
+
+    it('?strategy= elige el perfil de scoring y rechaza los desconocidos', async () => {
+        const byDefault = await get('/top-gainers?limit=3');
+        const custom = await get('/top-gainers?limit=3&strategy=volume-only');
+        assert.equal(custom.status, 200);
+        assert.ok(byDefault.body.every(item => item.strategy === CONFIG.DEFAULT_STRATEGY));
+        assert.ok(custom.body.every(item => item.strategy === 'volume-only'));
+
+        // Todos los pares simulados superan 1M de volumen: 100 o 50 puntos según pasen de 100M
+        for (const item of custom.body) assert.equal(item.score, item.volume > 100000000 ? 100 : 50, item.symbol);
+
+        const unknown = await get('/explosion-candidates?strategy=yolo');
+        assert.equal(unknown.status, 400);
+        assert.equal(unknown.body.error, `Estrategia no soportada. Valores permitidos: ${Strategies.names().join(', ')}`);
+    });
+
+    it('GET /strategies/compare puntúa el mismo universo con cada perfil', async () => {
+        const { status, body } = await get('/strategies/compare?strategies=default,volume-only&limit=5');
+        assert.equal(status, 200);
+        assert.deepEqual(body.strategies, ['default', 'volume-only']);
+        assert.deepEqual(Object.keys(body.summary), ['default', 'volume-only']);
+        assert.equal(body.symbols.length, 5);
+
+        for (const row of body.symbols) {
+            assert.deepEqual(Object.keys(row.scores), ['default', 'volume-only']);
+            assert.equal(row.scores['volume-only'].score, row.volume > 100000000 ? 100 : 50, row.symbol);
+            const values = Object.values(row.scores).map(entry => entry.score);
+            assert.equal(row.scoreSpread, parseFloat((Math.max(...values) - Math.min(...values)).toFixed(2)));
+        }
+        // Las filas siguen el orden de la primera estrategia
+        assert.deepEqual(body.symbols.map(row => row.scores.default.rank), [1, 2, 3, 4, 5]);
+        assert.equal(body.summary['volume-only'].candidates, body.total);
+    });
+
+    it('GET /strategies/compare valida la lista de perfiles', async () => {
+        const unknown = await get('/strategies/compare?strategies=default,yolo');
+        assert.equal(unknown.status, 400);
+        assert.match(unknown.body.error, /^Estrategia no soportada: yolo\./);
+
+        const single = await get('/strategies/compare?strategies=aggressive');
+        assert.equal(single.status, 400);
+        assert.equal(single.body.error, 'Se necesitan al menos 2 estrategias');
+
+        const all = await get('/strategies/compare');
+        assert.deepEqual(all.body.strategies, Strategies.names());
+    });
+});
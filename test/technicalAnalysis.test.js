@@ -0,0 +1,110 @@
+require('./helpers/env');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TechnicalAnalysis = require('../src/technicalAnalysis');
+
+// Compara series con la precisión de las tablas de referencia (null = periodo de calentamiento)
+function assertSeries(actual, expected, decimals = 2) {
+    assert.equal(actual.length, expected.length);
+    expected.forEach((value, i) => {
+        if (value === null) return assert.equal(actual[i], null, `índice ${i}`);
+        assert.ok(Math.abs(actual[i] - value) <= 0.5 * Math.pow(10, -decimals) + 1e-9, `índice ${i}: ${actual[i]} ≠ ${value}`);
+    });
+}
+
+const warmup = (count, values) => [...new Array(count).fill(null), ...values];
+const candle = (high, low, close, volume = 0) => ({ open: close, high, low, close, volume });
+
+// Ejemplo de RSI(14) de StockCharts (hoja "cs-rsi"): media simple de 14 variaciones y suavizado de Wilder
+const RSI_CLOSES = [
+    44.3389, 44.0902, 44.1497, 43.6124, 44.3278, 44.8264, 45.0955, 45.4245, 45.8433, 46.0826, 45.8931, 46.0328,
+    45.6140, 46.2820, 46.2820, 46.0028, 46.0328, 46.4116, 46.2222, 45.6439, 46.2122, 46.2521, 45.7137, 46.4515,
+    45.7835, 45.3548, 44.0288, 44.1783, 44.2181, 44.5672, 43.4205, 42.6628, 43.1314
+];
+const RSI_EXPECTED = warmup(14, [
+    70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38, 54.71, 50.42, 39.99, 41.46, 41.87,
+    45.46, 37.30, 33.08, 37.77
+]);
+
+// Ejemplo de medias móviles de 10 días de StockCharts (hoja "cs-movavg")
+const MA_CLOSES = [
+    22.2734, 22.1940, 22.0847, 22.1741, 22.1840, 22.1344, 22.2337, 22.4323, 22.2436, 22.2933, 22.1542, 22.3926,
+    22.3816, 22.6109, 23.3558, 24.0519, 23.7530, 23.8324, 23.9516, 23.6338, 23.8225, 23.8722, 23.6537, 23.1870,
+    23.0976, 23.3260, 22.6805, 23.0976, 22.4025, 22.1725
+];
+const SMA_EXPECTED = warmup(9, [
+    22.22, 22.21, 22.23, 22.26, 22.31, 22.42, 22.61, 22.77, 22.91, 23.08, 23.21, 23.38, 23.53, 23.65, 23.71,
+    23.69, 23.61, 23.51, 23.43, 23.28, 23.13
+]);
+const EMA_EXPECTED = warmup(9, [
+    22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34, 23.43, 23.51, 23.54, 23.47,
+    23.40, 23.39, 23.26, 23.23, 23.08, 22.92
+]);
+
+describe('TechnicalAnalysis', () => {
+    it('RSI de Wilder coincide con el ejemplo publicado', () => {
+        assertSeries(TechnicalAnalysis.calculateRSISeries(RSI_CLOSES, 14), RSI_EXPECTED);
+        assert.equal(TechnicalAnalysis.calculateRSI(RSI_CLOSES, 14).toFixed(2), '37.77');
+    });
+
+    it('RSI usa las variaciones más recientes', () => {
+        const rising = Array.from({ length: 30 }, (_, i) => 100 + i);
+        const falling = [...rising, ...Array.from({ length: 30 }, (_, i) => 128 - i)];
+
+        assert.equal(TechnicalAnalysis.calculateRSI(rising), 100);
+        assert.ok(TechnicalAnalysis.calculateRSI(falling) < 30);
+        assert.equal(TechnicalAnalysis.calculateRSI(rising.slice(0, 10)), 50);
+    });
+
+    it('SMA y EMA coinciden con el ejemplo publicado', () => {
+        assertSeries(TechnicalAnalysis.calculateSMA(MA_CLOSES, 10), SMA_EXPECTED);
+        assertSeries(TechnicalAnalysis.calculateEMA(MA_CLOSES, 10), EMA_EXPECTED);
+    });
+
+    it('MACD de una rampa lineal: línea constante (lento - rápido) / 2 e histograma 0', () => {
+        // En una serie lineal la EMA sembrada con la SMA va exactamente (periodo - 1) / 2 por detrás
+        const ramp = Array.from({ length: 60 }, (_, i) => i);
+        const { macd, signal, histogram } = TechnicalAnalysis.calculateMACD(ramp, 12, 26, 9);
+
+        assertSeries(macd, warmup(25, new Array(35).fill(7)), 9);
+        assertSeries(signal, warmup(33, new Array(27).fill(7)), 9);
+        assertSeries(histogram, warmup(33, new Array(27).fill(0)), 9);
+    });
+
+    it('Bollinger usa la desviación típica poblacional', () => {
+        // 2, 4, 4, 4, 5, 5, 7, 9: media 5 y desviación típica poblacional 2
+        const { upper, middle, lower } = TechnicalAnalysis.calculateBollingerBands([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+
+        assertSeries(middle, warmup(7, [5]), 9);
+        assertSeries(upper, warmup(7, [9]), 9);
+        assertSeries(lower, warmup(7, [1]), 9);
+    });
+
+    it('ATR de Wilder con true range sobre el cierre anterior', () => {
+        const candles = [
+            candle(10, 8, 9), //  TR 2 (primera vela: máximo - mínimo)
+            candle(11, 9, 10), // TR 2
+            candle(14, 12, 13), // TR 4 (hueco alcista: máximo - cierre anterior)
+            candle(12, 11, 11.5), // TR 2 (hueco bajista: cierre anterior - mínimo)
+            candle(12, 11, 11) // TR 1
+        ];
+
+        // Semilla: media de los 3 primeros TR = 8/3; después (ATR * 2 + TR) / 3
+        assertSeries(TechnicalAnalysis.calculateATR(candles, 3), [null, null, 8 / 3, 22 / 9, 53 / 27], 9);
+        assertSeries(TechnicalAnalysis.calculateATR(candles.slice(0, 2), 3), [null, null]);
+    });
+
+    it('VWAP acumulado con el precio típico', () => {
+        const candles = [candle(12, 9, 9, 100), candle(15, 12, 12, 300), candle(9, 6, 6, 0)];
+
+        // Precios típicos 10 y 13: (10 * 100 + 13 * 300) / 400 = 12.25
+        assertSeries(TechnicalAnalysis.calculateVWAP(candles), [10, 12.25, 12.25], 9);
+        assertSeries(TechnicalAnalysis.calculateVWAP([candle(1, 1, 1, 0)]), [null]);
+    });
+
+    it('OBV suma el volumen al subir, lo resta al bajar y lo ignora sin cambio', () => {
+        const candles = [[10, 50], [11, 100], [10.5, 40], [10.5, 70], [12, 30]].map(([close, volume]) => candle(close, close, close, volume));
+
+        assert.deepEqual(TechnicalAnalysis.calculateOBV(candles), [0, 100, 60, 60, 90]);
+    });
+});